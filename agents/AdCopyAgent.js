@@ -1,14 +1,64 @@
+const BaseAgent = require('./BaseAgent');
 const axios = require('axios');
 const config = require('../config/config');
+const RetryPolicy = require('../services/RetryPolicy');
+const { getCircuitBreaker } = require('../services/CircuitBreaker');
+const { getSecrets } = require('../secrets');
 
-class AdCopyAgent {
-  constructor() {
+class AdCopyAgent extends BaseAgent {
+  static capabilities = {
+    generateAdCopy: {
+      description: 'Write responsive search ads for a campaign and its top keywords',
+      inputs: ['campaign', 'keywords', 'limit'],
+      summarize: result => result.summary
+    }
+  };
+  static events = ['ads_generated'];
+  static dependencies = ['aiProvider'];
+
+  constructor(options = {}) {
+    super(options);
     this.name = 'Ad Copy Agent';
-    this.status = 'idle';
-    this.lastAction = null;
+    this.secrets = options.secrets || getSecrets();
+    this.circuitBreaker = options.circuitBreaker || getCircuitBreaker('aiProvider');
     this.generatedAds = [];
   }
 
+  async run(input, context) {
+    const keywords = input.keywords || [];
+    const result = await this.generateAdCopy(input.campaign || {}, keywords.slice(0, input.limit || keywords.length));
+    if (context.plan) this.addRecommendations(context.plan, result);
+    return result;
+  }
+
+  async healthCheck() {
+    const health = await super.healthCheck();
+    await this.secrets.ready();
+    if (health.healthy && !this.secrets.get('aiProvider.apiKey')) {
+      return { healthy: true, message: 'AI API key not set, ads come from fallback templates' };
+    }
+    return health;
+  }
+
+  // Ads are not pushed to the account yet either; a dry run's plan lists them
+  addRecommendations(plan, adCopyResult) {
+    (adCopyResult.ads || []).forEach(ad => {
+      plan.add({
+        action: 'create',
+        resource: 'adGroupAds',
+        label: ad.headline1,
+        source: 'ad_copy',
+        reason: `${ad.type} ad`,
+        applied: false,
+        fields: [
+          { field: 'ad.responsiveSearchAd.headlines', before: null, after: [ad.headline1, ad.headline2, ad.headline3].filter(Boolean) },
+          { field: 'ad.responsiveSearchAd.descriptions', before: null, after: [ad.description1, ad.description2].filter(Boolean) },
+          { field: 'ad.path', before: null, after: [ad.path1, ad.path2].filter(Boolean).join('/') }
+        ]
+      });
+    });
+  }
+
   async generateAdCopy(campaignData, keywords = []) {
     try {
       this.status = 'working';
@@ -26,6 +76,10 @@ class AdCopyAgent {
       this.generatedAds = validatedAds;
       this.status = 'completed';
       this.lastAction = `Generated ${validatedAds.length} ad variations across ${testGroups.length} test groups`;
+      this.emit('ads_generated', {
+        totalAds: validatedAds.length,
+        testGroups: testGroups.length
+      });
 
       console.log(`[${this.name}] Ad copy generation completed`);
       console.log(`Total ads generated: ${validatedAds.length}`);
@@ -52,32 +106,32 @@ class AdCopyAgent {
   async createAdVariations(campaignData, keywords) {
     console.log(`[${this.name}] Creating ad variations using AI...`);
     
-    const businessInfo = config.campaignSettings.businessInfo;
-    const services = config.campaignSettings.services;
+    const { businessInfo, services, region, businessType, targetAudience } = this.profile.campaignSettings;
+    const { keyMessages, tone } = this.profile.brandRules;
     
     // Create different ad copy prompts for various scenarios
     const adPrompts = [
       {
         type: 'trust_focused',
-        prompt: `Create professional Google Ads copy for ${businessInfo.name}, a London-based security company established in ${businessInfo.established}. 
-        Focus on trust, SIA licensing, and 10+ years experience. 
+        prompt: `Create ${tone} Google Ads copy for ${businessInfo.name}, a ${region}-based ${businessType.toLowerCase()} company established in ${businessInfo.established}. 
+        Focus on trust and: ${keyMessages.join(', ')}. 
         Services: ${services.join(', ')}. 
-        Target: London businesses and homeowners.
+        Target: ${targetAudience.join(', ')}.
         Include compelling headlines, descriptions, and call-to-action.
         Format: JSON with headline1, headline2, headline3, description1, description2, path1, path2, callToAction`
       },
       {
         type: 'service_focused',
-        prompt: `Generate Google Ads copy for ${businessInfo.name} highlighting specific security services.
-        Key services: manned guarding, construction site security, reception security, mobile patrols.
-        Location: London (${businessInfo.address}).
-        Emphasize 24/7 availability and professional SIA-licensed staff.
+        prompt: `Generate Google Ads copy for ${businessInfo.name} highlighting specific ${businessType.toLowerCase()}.
+        Key services: ${services.slice(0, 4).join(', ')}.
+        Location: ${region} (${businessInfo.address}).
+        Emphasize ${keyMessages.join(' and ')}.
         Format: JSON with headline1, headline2, headline3, description1, description2, path1, path2, callToAction`
       },
       {
         type: 'urgency_focused',
         prompt: `Create urgent, action-oriented Google Ads copy for ${businessInfo.name}.
-        Focus on immediate security needs, emergency response, 24/7 availability.
+        Focus on immediate ${businessType.toLowerCase()} needs.
         Phone: ${businessInfo.phone[0]}.
         Emphasize quick response and professional service.
         Format: JSON with headline1, headline2, headline3, description1, description2, path1, path2, callToAction`
@@ -85,8 +139,8 @@ class AdCopyAgent {
       {
         type: 'local_focused',
         prompt: `Generate location-specific Google Ads copy for ${businessInfo.name}.
-        Emphasize London coverage, local expertise, Chingford base.
-        Target local businesses, construction sites, residential properties.
+        Emphasize ${region} coverage, local expertise, and the base at ${businessInfo.address}.
+        Target local ${targetAudience.join(', ')}.
         Highlight community trust and local knowledge.
         Format: JSON with headline1, headline2, headline3, description1, description2, path1, path2, callToAction`
       }
@@ -109,6 +163,8 @@ class AdCopyAgent {
           });
         }
       } catch (error) {
+        // Transient failures fail the step so its retry policy can try again
+        if (RetryPolicy.isTransient(error)) throw error;
         console.warn(`[${this.name}] AI generation failed for ${promptData.type}, using fallback`);
       }
     }
@@ -124,13 +180,15 @@ class AdCopyAgent {
   async callAIProvider(prompt) {
     try {
       const { aiProvider } = config;
+      await this.secrets.ready();
+      const apiKey = this.secrets.get('aiProvider.apiKey');
       
-      if (!aiProvider.apiKey || aiProvider.apiKey.includes('INSERT_')) {
+      if (!apiKey) {
         console.warn(`[${this.name}] AI API key not configured, using fallback templates`);
         return [];
       }
 
-      const response = await axios.post(aiProvider.endpoint, {
+      const response = await this.circuitBreaker.execute(() => axios.post(aiProvider.endpoint, {
         model: aiProvider.model,
         messages: [
           {
@@ -146,11 +204,11 @@ class AdCopyAgent {
         temperature: 0.7
       }, {
         headers: {
-          'Authorization': `Bearer ${aiProvider.apiKey}`,
+          'Authorization': `Bearer ${apiKey}`,
           'Content-Type': 'application/json'
         },
         timeout: 10000
-      });
+      }));
 
       const aiResponse = response.data.choices[0].message.content;
       
@@ -164,7 +222,12 @@ class AdCopyAgent {
       }
 
     } catch (error) {
-      console.warn(`[${this.name}] AI API call failed:`, error.message);
+      if (RetryPolicy.isTransient(error)) {
+        console.warn(`[${this.name}] AI API call failed:`, error.message);
+        throw error;
+      }
+      // Includes an open circuit: the provider is down, so don't wait for it
+      console.warn(`[${this.name}] AI API call failed, using fallback templates:`, error.message);
       return [];
     }
   }
@@ -198,7 +261,7 @@ class AdCopyAgent {
   }
 
   getFallbackAdTemplates() {
-    const businessInfo = config.campaignSettings.businessInfo;
+    const businessInfo = this.profile.campaignSettings.businessInfo;
     
     return [
       {
@@ -302,8 +365,8 @@ class AdCopyAgent {
       // Ensure required fields exist
       if (!ad.headline1 || !ad.description1) return false;
       
-      // Check for prohibited content
-      const prohibitedTerms = ['guaranteed', 'best', 'cheapest', 'free money'];
+      // Check for prohibited content (brand rules from the client profile)
+      const prohibitedTerms = this.profile.brandRules.prohibitedTerms.map(term => term.toLowerCase());
       const adText = `${ad.headline1} ${ad.headline2} ${ad.headline3} ${ad.description1} ${ad.description2}`.toLowerCase();
       if (prohibitedTerms.some(term => adText.includes(term))) return false;
       
@@ -0,0 +1,506 @@
+const BaseAgent = require('./BaseAgent');
+const GoogleAdsClient = require('../services/GoogleAdsClient');
+
+// Metric fields requested for every asset report row
+const METRIC_FIELDS = [
+  'metrics.impressions',
+  'metrics.clicks',
+  'metrics.cost_micros',
+  'metrics.conversions'
+].join(', ');
+
+// Google Ads text limits for each asset type
+const LIMITS = {
+  sitelinkText: 25,
+  sitelinkDescription: 35,
+  calloutText: 25,
+  snippetValue: 25,
+  snippetMinValues: 3,
+  snippetMaxValues: 10
+};
+
+// How many of each type a campaign needs for Google to show them in full
+const RECOMMENDED_COUNTS = {
+  SITELINK: 4,
+  CALLOUT: 4,
+  STRUCTURED_SNIPPET: 1,
+  CALL: 1
+};
+
+// An asset is judged on its CTR once it has this many impressions
+const MIN_IMPRESSIONS = 100;
+
+// Sitelinks, callouts, call, location and structured snippet assets built from
+// the business info. Campaign-wide assets are attached to the campaign; each
+// service ad group gets a snippet of the areas its keywords cover.
+class AssetManagerAgent extends BaseAgent {
+  static capabilities = {
+    setupAssets: {
+      description: 'Create sitelink, callout, call, location and structured snippet assets from the business info and attach them to a campaign and its ad groups',
+      inputs: ['campaign'],
+      summarize: result => result.summary
+    },
+    reviewAssets: {
+      description: 'Fetch the performance of a campaign\'s assets and flag weak or missing ones',
+      inputs: ['campaignId', 'days'],
+      summarize: result => result.summary
+    }
+  };
+  static events = ['assets_created', 'assets_reviewed'];
+  static dependencies = ['googleAds'];
+
+  constructor(options = {}) {
+    super(options);
+    this.name = 'Asset Manager Agent';
+    this.googleAdsClient = options.googleAdsClient || new GoogleAdsClient();
+  }
+
+  run(input, context) {
+    if (context.capability === 'reviewAssets') {
+      if (!input.campaignId) {
+        throw new Error('No campaign to review; run full_automation first or list the account\'s campaigns in the accounts file');
+      }
+      return this.reviewAssets(input.campaignId, input.days);
+    }
+    return this.setupAssets(input.campaign, { idempotencyKey: context.idempotencyKey });
+  }
+
+  // options.idempotencyKey makes a repeated setup return the assets created the first time
+  async setupAssets(campaign, options = {}) {
+    try {
+      this.status = 'working';
+      if (!campaign || (!campaign.resourceName && !campaign.id)) {
+        throw new Error('No campaign to add assets to; run campaign setup first');
+      }
+      console.log(`[${this.name}] Building assets for campaign ${campaign.id || campaign.resourceName}...`);
+
+      const { assets, location, issues } = this.buildAssets(campaign.adGroups || []);
+      issues.forEach(issue => console.log(`[${this.name}] ${issue.asset}: ${issue.message}`));
+
+      const created = await this.createAssets(campaign, assets, location, options.idempotencyKey);
+      const summary = {
+        assets: created.length,
+        ...Object.fromEntries(Object.keys(RECOMMENDED_COUNTS).map(type => [type, created.filter(asset => asset.type === type).length])),
+        location: Boolean(location),
+        skipped: issues.length
+      };
+
+      this.status = 'completed';
+      this.lastAction = `Created ${created.length} assets${issues.length > 0 ? `, skipped ${issues.length}` : ''}`;
+      this.emit('assets_created', { campaignId: campaign.id, ...summary });
+
+      console.log(`[${this.name}] Asset setup completed`);
+      console.log(`Sitelinks: ${summary.SITELINK}, callouts: ${summary.CALLOUT}, calls: ${summary.CALL}, snippets: ${summary.STRUCTURED_SNIPPET}, location: ${location ? 'yes' : 'no'}`);
+
+      return {
+        campaignId: campaign.id,
+        assets: created,
+        location: location,
+        issues: issues,
+        summary: summary,
+        created: new Date().toISOString()
+      };
+
+    } catch (error) {
+      this.status = 'error';
+      this.lastAction = `Error: ${error.message}`;
+      console.error(`[${this.name}] Error setting up assets:`, error.message);
+      throw error;
+    }
+  }
+
+  // Every asset the business info supports, minus those that fail validation.
+  // Returns { assets: [{ type, level, adGroup, label, asset }], location, issues }
+  buildAssets(adGroups = []) {
+    const candidates = [
+      ...this.buildSitelinks(),
+      ...this.buildCallouts(),
+      ...this.buildCalls(),
+      ...this.buildStructuredSnippets(adGroups)
+    ];
+
+    const issues = [];
+    const assets = [];
+    candidates.forEach(candidate => {
+      const problem = this.validateAsset(candidate, assets);
+      if (problem) {
+        issues.push({ type: candidate.type, asset: candidate.label, message: problem });
+      } else {
+        assets.push(candidate);
+      }
+    });
+
+    Object.keys(RECOMMENDED_COUNTS).forEach(type => {
+      const count = assets.filter(asset => asset.type === type && asset.level === 'campaign').length;
+      if (count < RECOMMENDED_COUNTS[type]) {
+        issues.push({ type, asset: `${type.toLowerCase().replace('_', ' ')}s`, message: `only ${count} of the recommended ${RECOMMENDED_COUNTS[type]}${this.getMissingHint(type)}` });
+      }
+    });
+
+    const location = this.buildLocation();
+    if (!location) {
+      const { address } = this.profile.campaignSettings.businessInfo;
+      issues.push({ type: 'LOCATION', asset: 'location', message: `location assets come from the Google Business Profile listing for ${address}; set businessInfo.businessProfileEmail to link it` });
+    }
+
+    return { assets, location, issues };
+  }
+
+  getMissingHint(type) {
+    return {
+      SITELINK: '; add pages to businessInfo.sitelinks',
+      CALLOUT: '; add certifications or brandRules.keyMessages',
+      CALL: '; add a phone number to businessInfo.phone',
+      STRUCTURED_SNIPPET: '; add more campaignSettings.services'
+    }[type];
+  }
+
+  // Sitelinks only go to pages listed in businessInfo.sitelinks, since each needs its own page
+  buildSitelinks() {
+    return (this.profile.campaignSettings.businessInfo.sitelinks || []).map(sitelink => ({
+      type: 'SITELINK',
+      level: 'campaign',
+      label: sitelink.text,
+      asset: {
+        finalUrls: [sitelink.url],
+        sitelinkAsset: {
+          linkText: sitelink.text,
+          ...(sitelink.description1 ? { description1: sitelink.description1 } : {}),
+          ...(sitelink.description2 ? { description2: sitelink.description2 } : {})
+        }
+      }
+    }));
+  }
+
+  // Certifications ("SIA Licensed", "ISO Certified"), key messages and the founding year
+  buildCallouts() {
+    const { businessInfo } = this.profile.campaignSettings;
+    const texts = [
+      ...(businessInfo.certifications || []).map(certification => this.toTitleCase(certification.replace(/-/g, ' '))),
+      ...(this.profile.brandRules.keyMessages || []).map(message => this.toTitleCase(message)),
+      businessInfo.established && `Established ${businessInfo.established}`
+    ].filter(Boolean);
+
+    return texts.map(text => ({ type: 'CALLOUT', level: 'campaign', label: text, asset: { calloutAsset: { calloutText: text } } }));
+  }
+
+  // Calls from the ad are reported as conversions with the account's call conversion action
+  buildCalls() {
+    return (this.profile.campaignSettings.businessInfo.phone || []).map(phone => {
+      const number = GoogleAdsClient.normalizePhoneNumber(phone);
+      return {
+        type: 'CALL',
+        level: 'campaign',
+        label: phone,
+        asset: {
+          callAsset: {
+            countryCode: number ? number.countryCode : null,
+            phoneNumber: number ? number.phoneNumber : phone,
+            callConversionReportingState: 'USE_ACCOUNT_LEVEL_CALL_CONVERSION_ACTION'
+          }
+        }
+      };
+    });
+  }
+
+  // The campaign lists the services (those short enough to fit); each ad group
+  // lists the areas its keywords name
+  buildStructuredSnippets(adGroups) {
+    const { services = [], regions = [] } = this.profile.campaignSettings;
+    const serviceValues = services.map(service => this.toTitleCase(service)).filter(value => value.length <= LIMITS.snippetValue);
+    const snippets = [{
+      type: 'STRUCTURED_SNIPPET',
+      level: 'campaign',
+      label: 'Services',
+      asset: { structuredSnippetAsset: { header: 'Services', values: serviceValues.slice(0, LIMITS.snippetMaxValues) } }
+    }];
+
+    adGroups.filter(adGroup => adGroup.service && adGroup.resourceName).forEach(adGroup => {
+      const areas = regions.filter(area => adGroup.keywords.some(keyword => this.containsPhrase(keyword.keyword, area)));
+      // Areas inside a wider one that is also listed ("east london" within "london") say more
+      const specific = areas.filter(area => !areas.some(other => other !== area && this.containsPhrase(other, area)));
+      if (specific.length < LIMITS.snippetMinValues) return;
+
+      snippets.push({
+        type: 'STRUCTURED_SNIPPET',
+        level: 'adGroup',
+        adGroup: adGroup.resourceName,
+        label: `${adGroup.name} areas`,
+        asset: { structuredSnippetAsset: { header: 'Neighborhoods', values: specific.slice(0, LIMITS.snippetMaxValues).map(area => this.toTitleCase(area)) } }
+      });
+    });
+
+    return snippets;
+  }
+
+  // Google Ads builds location assets from the Business Profile listing
+  buildLocation() {
+    const { businessInfo } = this.profile.campaignSettings;
+    if (!businessInfo.businessProfileEmail) return null;
+
+    return {
+      name: `${businessInfo.name} locations`,
+      type: 'LOCATION_SYNC',
+      locationSet: {
+        locationOwnershipType: 'BUSINESS_OWNER',
+        businessProfileLocationSet: {
+          emailAddress: businessInfo.businessProfileEmail,
+          businessNameFilter: businessInfo.name
+        }
+      }
+    };
+  }
+
+  // The reason Google Ads would reject the asset, or null. accepted: assets already kept
+  validateAsset(candidate, accepted) {
+    const prohibitedTerms = this.profile.brandRules.prohibitedTerms || [];
+    const texts = this.getAssetTexts(candidate.asset);
+    const prohibited = prohibitedTerms.find(term => texts.some(text => this.containsPhrase(text, term)));
+    if (prohibited) return `uses prohibited term "${prohibited}"`;
+
+    const sameType = accepted.filter(asset => asset.type === candidate.type && asset.level === candidate.level && asset.adGroup === candidate.adGroup);
+    const { sitelinkAsset, calloutAsset, callAsset, structuredSnippetAsset } = candidate.asset;
+
+    if (sitelinkAsset) {
+      const url = candidate.asset.finalUrls[0];
+      if (sitelinkAsset.linkText.length > LIMITS.sitelinkText) return `link text is over ${LIMITS.sitelinkText} characters`;
+      if (!/^https?:\/\//.test(url || '')) return 'needs an http(s) URL';
+      if (this.getDomain(url) !== this.getDomain(this.profile.campaignSettings.businessInfo.website || url)) return 'must link to a page on the website';
+      if (Boolean(sitelinkAsset.description1) !== Boolean(sitelinkAsset.description2)) return 'needs both descriptions or neither';
+      if ([sitelinkAsset.description1, sitelinkAsset.description2].some(text => text && text.length > LIMITS.sitelinkDescription)) {
+        return `descriptions must be ${LIMITS.sitelinkDescription} characters or fewer`;
+      }
+      if (sameType.some(asset => asset.asset.finalUrls[0] === url)) return `links to the same page as another sitelink (${url})`;
+      if (sameType.some(asset => asset.asset.sitelinkAsset.linkText.toLowerCase() === sitelinkAsset.linkText.toLowerCase())) return 'duplicates another sitelink';
+    }
+
+    if (calloutAsset) {
+      if (calloutAsset.calloutText.length > LIMITS.calloutText) return `is over ${LIMITS.calloutText} characters`;
+      if (sameType.some(asset => asset.asset.calloutAsset.calloutText.toLowerCase() === calloutAsset.calloutText.toLowerCase())) return 'duplicates another callout';
+    }
+
+    if (callAsset) {
+      if (!callAsset.countryCode || !/^\+\d{8,15}$/.test(callAsset.phoneNumber)) return 'is not a phone number Google Ads can call';
+      if (sameType.some(asset => asset.asset.callAsset.phoneNumber === callAsset.phoneNumber)) return 'duplicates another call asset';
+    }
+
+    if (structuredSnippetAsset) {
+      const { values } = structuredSnippetAsset;
+      if (values.length < LIMITS.snippetMinValues) return `needs at least ${LIMITS.snippetMinValues} values`;
+      const tooLong = values.find(value => value.length > LIMITS.snippetValue);
+      if (tooLong) return `"${tooLong}" is over ${LIMITS.snippetValue} characters`;
+    }
+
+    return null;
+  }
+
+  getAssetTexts(asset) {
+    return [
+      asset.sitelinkAsset?.linkText,
+      asset.sitelinkAsset?.description1,
+      asset.sitelinkAsset?.description2,
+      asset.calloutAsset?.calloutText,
+      ...(asset.structuredSnippetAsset?.values || [])
+    ].filter(Boolean);
+  }
+
+  // Assets first, then their links to the campaign and ad groups; each batch
+  // has its own idempotency key so a resumed setup picks up where it stopped
+  async createAssets(campaign, assets, location, idempotencyKey = null) {
+    const client = this.googleAdsClient;
+    const key = suffix => idempotencyKey && `${idempotencyKey}:${suffix}`;
+    const campaignResourceName = campaign.resourceName || client.getResourceName('campaigns', campaign.id);
+    console.log(`[${this.name}] Creating ${assets.length} assets via Google Ads API (${client.mode} mode)...`);
+
+    const created = [];
+    if (assets.length > 0) {
+      const assetResponse = await client.mutateAssets(assets.map(asset => ({ create: asset.asset })), { idempotencyKey: key('assets') });
+      assets.forEach((asset, index) => {
+        const resourceName = assetResponse.results[index].resourceName;
+        created.push({ id: GoogleAdsClient.getIdFromResourceName(resourceName), resourceName, ...asset });
+      });
+    }
+
+    const campaignAssets = created.filter(asset => asset.level === 'campaign');
+    if (campaignAssets.length > 0) {
+      await client.mutateCampaignAssets(campaignAssets.map(asset => ({
+        create: { campaign: campaignResourceName, asset: asset.resourceName, fieldType: asset.type }
+      })), { idempotencyKey: key('campaignAssets') });
+    }
+
+    const adGroupAssets = created.filter(asset => asset.level === 'adGroup');
+    if (adGroupAssets.length > 0) {
+      await client.mutateAdGroupAssets(adGroupAssets.map(asset => ({
+        create: { adGroup: asset.adGroup, asset: asset.resourceName, fieldType: asset.type }
+      })), { idempotencyKey: key('adGroupAssets') });
+    }
+
+    if (location) {
+      const assetSetResponse = await client.mutateAssetSets([{ create: location }], { idempotencyKey: key('assetSets') });
+      await client.mutateCampaignAssetSets([{
+        create: { campaign: campaignResourceName, assetSet: assetSetResponse.results[0].resourceName }
+      }], { idempotencyKey: key('campaignAssetSets') });
+    }
+
+    return created;
+  }
+
+  async reviewAssets(campaignId, days = 7) {
+    try {
+      this.status = 'working';
+      console.log(`[${this.name}] Reviewing asset performance for campaign ${campaignId}...`);
+
+      const dateRange = this.getDateRange(days);
+      const queries = this.buildAssetQueries(campaignId, dateRange);
+      const [campaignRows, adGroupRows] = await Promise.all([
+        this.googleAdsClient.searchStream(queries.campaignAssets),
+        this.googleAdsClient.searchStream(queries.adGroupAssets)
+      ]);
+
+      const assets = [
+        ...campaignRows.map(row => this.toAssetPerformance(row, row.campaignAsset, 'campaign')),
+        ...adGroupRows.map(row => this.toAssetPerformance(row, row.adGroupAsset, 'adGroup'))
+      ];
+      const byType = this.summarizeByType(assets);
+      const recommendations = this.buildRecommendations(assets, byType);
+
+      const result = {
+        campaignId: campaignId,
+        dateRange: dateRange,
+        assets: assets,
+        byType: byType,
+        recommendations: recommendations,
+        summary: {
+          assets: assets.length,
+          flagged: assets.filter(asset => asset.issues.length > 0).length,
+          recommendations: recommendations.length
+        },
+        reviewedAt: new Date().toISOString()
+      };
+
+      this.status = 'completed';
+      this.lastAction = `Reviewed ${assets.length} assets, ${result.summary.flagged} flagged`;
+      this.emit('assets_reviewed', { campaignId, ...result.summary });
+      console.log(`[${this.name}] Asset review completed: ${assets.length} assets, ${result.summary.flagged} flagged`);
+
+      return result;
+
+    } catch (error) {
+      this.status = 'error';
+      this.lastAction = `Error: ${error.message}`;
+      console.error(`[${this.name}] Error reviewing assets:`, error.message);
+      throw error;
+    }
+  }
+
+  getDateRange(days) {
+    const end = new Date();
+    const start = new Date(end.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+    return {
+      startDate: start.toISOString().split('T')[0],
+      endDate: end.toISOString().split('T')[0]
+    };
+  }
+
+  buildAssetQueries(campaignId, dateRange) {
+    // Negative ids are campaigns a dry run has planned but not created
+    if (!/^-?\d+$/.test(String(campaignId))) {
+      throw new Error(`Invalid campaign ID for asset query: ${campaignId}`);
+    }
+
+    const assetFields = 'asset.id, asset.type, asset.sitelink_asset.link_text, asset.callout_asset.callout_text, asset.call_asset.phone_number, asset.structured_snippet_asset.header';
+    const where = `WHERE campaign.id = ${campaignId} AND segments.date BETWEEN '${dateRange.startDate}' AND '${dateRange.endDate}'`;
+
+    return {
+      campaignAssets: `SELECT campaign_asset.resource_name, campaign_asset.field_type, campaign_asset.status, ${assetFields}, ${METRIC_FIELDS} FROM campaign_asset ${where}`,
+      adGroupAssets: `SELECT ad_group.id, ad_group.name, ad_group_asset.resource_name, ad_group_asset.field_type, ad_group_asset.status, ${assetFields}, ${METRIC_FIELDS} FROM ad_group_asset ${where}`
+    };
+  }
+
+  toAssetPerformance(row, link, level) {
+    const asset = row.asset || {};
+    const impressions = Number(row.metrics?.impressions || 0);
+    const clicks = Number(row.metrics?.clicks || 0);
+    const CTR = impressions > 0 ? Math.round((clicks / impressions) * 10000) / 100 : 0;
+    const minCTR = this.profile.kpiThresholds.minCTR * 100;
+
+    const issues = [];
+    if (impressions === 0) issues.push('Not shown in this period');
+    // A call asset's clicks are mostly calls, so its CTR isn't comparable
+    if (impressions >= MIN_IMPRESSIONS && CTR < minCTR && link.fieldType !== 'CALL') issues.push(`CTR ${CTR}% is below the ${minCTR}% target`);
+
+    return {
+      assetId: asset.id,
+      type: link.fieldType,
+      level: level,
+      adGroup: row.adGroup?.name || null,
+      text: asset.sitelinkAsset?.linkText || asset.calloutAsset?.calloutText || asset.callAsset?.phoneNumber || asset.structuredSnippetAsset?.header || null,
+      status: link.status,
+      impressions: impressions,
+      clicks: clicks,
+      cost: GoogleAdsClient.fromMicros(row.metrics?.costMicros),
+      conversions: Number(row.metrics?.conversions || 0),
+      CTR: CTR,
+      issues: issues
+    };
+  }
+
+  summarizeByType(assets) {
+    const byType = {};
+    assets.forEach(asset => {
+      const totals = byType[asset.type] || (byType[asset.type] = { count: 0, impressions: 0, clicks: 0, conversions: 0, CTR: 0 });
+      totals.count++;
+      totals.impressions += asset.impressions;
+      totals.clicks += asset.clicks;
+      totals.conversions += asset.conversions;
+    });
+    Object.values(byType).forEach(totals => {
+      totals.CTR = totals.impressions > 0 ? Math.round((totals.clicks / totals.impressions) * 10000) / 100 : 0;
+    });
+    return byType;
+  }
+
+  buildRecommendations(assets, byType) {
+    const recommendations = assets
+      .filter(asset => asset.issues.length > 0 && asset.impressions > 0)
+      .map(asset => ({
+        type: 'replace_asset',
+        priority: 'medium',
+        assetId: asset.assetId,
+        message: `Replace ${asset.type.toLowerCase().replace('_', ' ')} "${asset.text}": ${asset.issues.join('; ')}`
+      }));
+
+    Object.keys(RECOMMENDED_COUNTS).forEach(type => {
+      const count = assets.filter(asset => asset.type === type && asset.level === 'campaign').length;
+      if (count < RECOMMENDED_COUNTS[type]) {
+        recommendations.push({
+          type: 'add_assets',
+          priority: type === 'SITELINK' || type === 'CALL' ? 'high' : 'medium',
+          message: `Add ${RECOMMENDED_COUNTS[type] - count} more ${type.toLowerCase().replace('_', ' ')} asset${RECOMMENDED_COUNTS[type] - count === 1 ? '' : 's'}${this.getMissingHint(type)}`
+        });
+      }
+    });
+
+    return recommendations;
+  }
+
+  toTitleCase(text) {
+    // Keep acronyms such as SIA and ISO as they are
+    return text.split(/\s+/).map(word => word === word.toUpperCase() ? word : word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  }
+
+  containsPhrase(text, phrase) {
+    const escaped = phrase.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|\\W)${escaped}(\\W|$)`).test(text.toLowerCase());
+  }
+
+  getDomain(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = AssetManagerAgent;
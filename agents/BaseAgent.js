@@ -0,0 +1,59 @@
+const EventEmitter = require('events');
+const ProfileLoader = require('../services/ProfileLoader');
+const { getCircuitBreaker } = require('../services/CircuitBreaker');
+
+// What every agent, built in or a plugin, provides so the workflow engine
+// and the dashboard can use it without knowing it:
+// - capabilities: what it can do. Each one is a workflow step action (see
+//   config/workflows) with the inputs it takes and, optionally, a
+//   summarize(output) for the step record. Static, so workflow definitions
+//   can be checked without creating agents
+// - events: the events it emits, forwarded as live events
+// - dependencies: the external services it calls (circuit breaker names)
+// - run(input, context): performs context.capability with the step's inputs
+// - getStatus() and healthCheck() for the dashboard and API
+//
+// Agents are created once per account with { profile, account,
+// googleAdsClient, storage, approvalQueue, secrets }.
+class BaseAgent extends EventEmitter {
+  static capabilities = {};
+  static events = [];
+  static dependencies = [];
+
+  constructor(options = {}) {
+    super();
+    this.name = this.constructor.name;
+    this.status = 'idle';
+    this.lastAction = null;
+    this.profile = options.profile || ProfileLoader.getDefaultProfile();
+  }
+
+  // context: { capability, account, workflow: { id, type, dryRun }, step,
+  // idempotencyKey, plan (dry runs only), agentStatuses }
+  async run(input, context) {
+    throw new Error(`${this.name} can't ${context.capability}: run() is not implemented`);
+  }
+
+  getStatus() {
+    return {
+      agent: this.name,
+      status: this.status,
+      lastAction: this.lastAction,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Unhealthy while a dependency's circuit is open or after the agent's last run failed
+  async healthCheck() {
+    const unavailable = this.constructor.dependencies.filter(dependency => getCircuitBreaker(dependency).state === 'open');
+    if (unavailable.length > 0) {
+      return { healthy: false, message: `${unavailable.join(', ')} unavailable (circuit open)` };
+    }
+    if (this.status === 'error') {
+      return { healthy: false, message: this.lastAction };
+    }
+    return { healthy: true, message: 'OK' };
+  }
+}
+
+module.exports = BaseAgent;
@@ -1,14 +1,65 @@
-const config = require('../config/config');
+const BaseAgent = require('./BaseAgent');
+const GoogleAdsClient = require('../services/GoogleAdsClient');
+const ApprovalQueue = require('../services/ApprovalQueue');
+const GeoTargeting = require('../services/GeoTargeting');
+const AdSchedule = require('../services/AdSchedule');
+const { getStorage } = require('../storage');
 
-class BidOptimizerAgent {
-  constructor() {
+class BidOptimizerAgent extends BaseAgent {
+  static capabilities = {
+    adjustBids: {
+      description: 'Adjust keyword bids from performance metrics, through the approval queue',
+      inputs: ['campaignId', 'metrics', 'newKeywords', 'newKeywordLimit'],
+      summarize: result => result.summary
+    },
+    adjustLocationBids: {
+      description: 'Set location bid modifiers from each targeted area\'s CPA, through the approval queue',
+      inputs: ['campaignId', 'days'],
+      summarize: result => result.summary
+    },
+    optimizeAdSchedule: {
+      description: 'Set ad schedule bid modifiers from stored performance by hour and day, through the approval queue',
+      inputs: ['campaignId'],
+      summarize: result => result.summary
+    }
+  };
+  static events = ['bids_adjusted', 'location_bids_adjusted', 'ad_schedule_adjusted', 'bids_reverted'];
+  static dependencies = ['googleAds'];
+
+  constructor(options = {}) {
+    super(options);
     this.name = 'Bid Optimizer Agent';
-    this.status = 'idle';
-    this.lastAction = null;
-    this.bidHistory = [];
+    this.storage = options.storage || getStorage();
+    this.bidHistory = this.storage.bidHistory.findRecent(100);
+    this.googleAdsClient = options.googleAdsClient || new GoogleAdsClient();
+    this.approvalQueue = options.approvalQueue || new ApprovalQueue({ storage: this.storage, googleAdsClient: this.googleAdsClient });
+    this.geoTargeting = options.geoTargeting || new GeoTargeting();
     this.optimizationRules = this.initializeOptimizationRules();
   }
 
+  // Live keywords (with reported bids) plus a few newly discovered ones
+  run(input, context) {
+    if (context.capability === 'adjustLocationBids') {
+      if (!input.campaignId) {
+        throw new Error('No campaign to adjust; run full_automation first or list the account\'s campaigns in the accounts file');
+      }
+      return this.adjustLocationBids(input.campaignId, input.days);
+    }
+    if (context.capability === 'optimizeAdSchedule') {
+      if (!input.campaignId) {
+        throw new Error('No campaign to adjust; run full_automation first or list the account\'s campaigns in the accounts file');
+      }
+      return this.optimizeAdSchedule(input.campaignId);
+    }
+
+    const newKeywords = input.newKeywords || [];
+    return this.adjustBids(
+      input.campaignId,
+      input.metrics,
+      [...(input.metrics.keywords || []), ...newKeywords.slice(0, input.newKeywordLimit || newKeywords.length)]
+    );
+  }
+
   async adjustBids(campaignId, performanceMetrics, keywords = []) {
     try {
       this.status = 'working';
@@ -18,7 +69,7 @@ class BidOptimizerAgent {
       const performanceAnalysis = this.analyzePerformance(performanceMetrics);
       
       // Calculate bid adjustments based on performance
-      const bidAdjustments = await this.calculateBidAdjustments(performanceAnalysis, keywords);
+      const bidAdjustments = await this.calculateBidAdjustments(performanceAnalysis, keywords, performanceMetrics.keywords);
       
       // Apply bid optimization rules
       const optimizedBids = this.applyOptimizationRules(bidAdjustments, performanceMetrics);
@@ -26,11 +77,21 @@ class BidOptimizerAgent {
       // Validate bid changes are within acceptable limits
       const validatedBids = this.validateBidChanges(optimizedBids);
       
-      // Record bid changes for analysis
-      this.recordBidHistory(campaignId, validatedBids, performanceMetrics);
+      // Queue changes to live keywords; large ones wait for approval
+      await this.submitBidChanges(campaignId, validatedBids);
+      
+      // Record bid changes for analysis; dry runs leave the history untouched
+      if (!this.approvalQueue.plan) {
+        this.recordBidHistory(campaignId, validatedBids, performanceMetrics);
+      }
 
       this.status = 'completed';
       this.lastAction = `Optimized ${validatedBids.length} bids based on performance data`;
+      this.emit('bids_adjusted', {
+        campaignId: campaignId,
+        totalAdjustments: validatedBids.length,
+        averageChange: this.calculateAverageBidChange(validatedBids)
+      });
 
       console.log(`[${this.name}] Bid optimization completed`);
       console.log(`Bid adjustments made: ${validatedBids.length}`);
@@ -54,8 +115,178 @@ class BidOptimizerAgent {
     }
   }
 
+  // Bid modifiers for the campaign's targeted locations, from the last days
+  // of location performance: areas converting cheaper than the campaign bid up,
+  // dearer ones and ones with clicks but no conversions bid down
+  async adjustLocationBids(campaignId, days = 30) {
+    try {
+      this.status = 'working';
+      console.log(`[${this.name}] Adjusting location bid modifiers for campaign ${campaignId}...`);
+
+      // Negative ids are campaigns a dry run has planned but not created
+      if (!/^-?\d+$/.test(String(campaignId))) {
+        throw new Error(`Invalid campaign ID for location query: ${campaignId}`);
+      }
+      const end = new Date();
+      const start = new Date(end.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+      const rows = await this.googleAdsClient.searchStream(
+        'SELECT campaign.id, campaign_criterion.resource_name, campaign_criterion.criterion_id, campaign_criterion.location.geo_target_constant, campaign_criterion.bid_modifier, ' +
+        'metrics.impressions, metrics.clicks, metrics.cost_micros, metrics.conversions FROM location_view ' +
+        `WHERE campaign.id = ${campaignId} AND campaign_criterion.negative = FALSE AND segments.date BETWEEN '${start.toISOString().split('T')[0]}' AND '${end.toISOString().split('T')[0]}'`
+      );
+
+      const adjustments = this.geoTargeting.calculateBidModifiers(rows, this.profile.automationSettings.bidAdjustmentPercent);
+      await this.submitLocationBidChanges(campaignId, adjustments);
+
+      const summary = {
+        locations: rows.length,
+        totalAdjustments: adjustments.length,
+        raised: adjustments.filter(adjustment => adjustment.newModifier > adjustment.currentModifier).length,
+        lowered: adjustments.filter(adjustment => adjustment.newModifier < adjustment.currentModifier).length
+      };
+
+      this.status = 'completed';
+      this.lastAction = `Adjusted ${adjustments.length} location bid modifiers`;
+      this.emit('location_bids_adjusted', { campaignId, ...summary });
+      console.log(`[${this.name}] Location bid adjustment completed: ${summary.raised} raised, ${summary.lowered} lowered`);
+
+      return { campaignId, adjustments, summary };
+
+    } catch (error) {
+      this.status = 'error';
+      this.lastAction = `Error: ${error.message}`;
+      console.error(`[${this.name}] Error adjusting location bids:`, error.message);
+      throw error;
+    }
+  }
+
+  async submitLocationBidChanges(campaignId, adjustments) {
+    for (const adjustment of adjustments) {
+      const approval = await this.approvalQueue.submit({
+        type: 'location_bid_modifier',
+        campaignId: campaignId,
+        source: 'bidOptimizer',
+        reason: adjustment.reason,
+        changes: [{
+          resource: 'campaignCriteria',
+          resourceName: adjustment.resourceName,
+          field: 'bidModifier',
+          label: adjustment.location,
+          before: adjustment.currentModifier,
+          after: adjustment.newModifier
+        }],
+        changePercent: Math.round(((adjustment.newModifier - adjustment.currentModifier) / adjustment.currentModifier) * 100),
+        expectedImpact: {
+          summary: `Bids in ${adjustment.location} ${adjustment.newModifier > adjustment.currentModifier ? 'rise' : 'fall'} to ${Math.round(adjustment.newModifier * 100)}% of the keyword bid`,
+          dailySpendChange: null
+        }
+      });
+
+      adjustment.approvalId = approval.id;
+      adjustment.approvalStatus = approval.status;
+    }
+  }
+
+  // Bid modifiers for the campaign's ad schedule slots from the hourly
+  // performance the monitor has stored. Hours the schedule should gain or
+  // lose are returned as recommendations.
+  async optimizeAdSchedule(campaignId) {
+    try {
+      this.status = 'working';
+      console.log(`[${this.name}] Optimizing the ad schedule for campaign ${campaignId}...`);
+
+      const adSchedule = new AdSchedule(this.profile.campaignSettings.adSchedule);
+      await adSchedule.verifyTimezone(this.googleAdsClient);
+
+      const matrix = adSchedule.buildMatrix(this.storage.performanceHistory.findRecent(500, { campaignId }));
+      const currentSlots = await this.getAdScheduleSlots(campaignId);
+      const generated = adSchedule.generate(matrix);
+      const adjustments = adSchedule.calculateSlotChanges(matrix, currentSlots, this.profile.automationSettings.bidAdjustmentPercent);
+      await this.submitAdScheduleChanges(campaignId, adjustments);
+
+      const recommendations = generated.source === 'performance' ? adSchedule.compareSlots(generated, currentSlots) : [];
+      const summary = {
+        source: generated.source,
+        slots: currentSlots.length,
+        totalAdjustments: adjustments.length,
+        recommendations: recommendations.length,
+        reason: generated.reason
+      };
+
+      this.status = 'completed';
+      this.lastAction = `Adjusted ${adjustments.length} ad schedule bid modifiers`;
+      this.emit('ad_schedule_adjusted', { campaignId, ...summary });
+      console.log(`[${this.name}] Ad schedule optimization completed: ${adjustments.length} of ${currentSlots.length} slots adjusted (${generated.reason})`);
+
+      return { campaignId, timezone: adSchedule.timezone, matrix, adjustments, recommendations, summary };
+
+    } catch (error) {
+      this.status = 'error';
+      this.lastAction = `Error: ${error.message}`;
+      console.error(`[${this.name}] Error optimizing the ad schedule:`, error.message);
+      throw error;
+    }
+  }
+
+  async getAdScheduleSlots(campaignId) {
+    // Negative ids are campaigns a dry run has planned but not created
+    if (!/^-?\d+$/.test(String(campaignId))) {
+      throw new Error(`Invalid campaign ID for ad schedule query: ${campaignId}`);
+    }
+
+    const rows = await this.googleAdsClient.searchStream(
+      'SELECT campaign_criterion.resource_name, campaign_criterion.campaign, campaign_criterion.ad_schedule.day_of_week, ' +
+      'campaign_criterion.ad_schedule.start_hour, campaign_criterion.ad_schedule.end_hour, campaign_criterion.bid_modifier ' +
+      `FROM campaign_criterion WHERE campaign.id = ${campaignId} AND campaign_criterion.type = 'AD_SCHEDULE'`
+    );
+
+    return rows
+      .map(row => row.campaignCriterion)
+      .filter(criterion => criterion.adSchedule && GoogleAdsClient.getIdFromResourceName(criterion.campaign) === String(campaignId))
+      .map(criterion => ({
+        resourceName: criterion.resourceName,
+        dayOfWeek: criterion.adSchedule.dayOfWeek,
+        startHour: Number(criterion.adSchedule.startHour),
+        endHour: Number(criterion.adSchedule.endHour),
+        bidModifier: Number(criterion.bidModifier || 1)
+      }));
+  }
+
+  async submitAdScheduleChanges(campaignId, adjustments) {
+    for (const adjustment of adjustments) {
+      const approval = await this.approvalQueue.submit({
+        type: 'ad_schedule_bid_modifier',
+        campaignId: campaignId,
+        source: 'bidOptimizer',
+        reason: adjustment.reason,
+        changes: [{
+          resource: 'campaignCriteria',
+          resourceName: adjustment.resourceName,
+          field: 'bidModifier',
+          label: adjustment.label,
+          before: adjustment.currentModifier,
+          after: adjustment.newModifier
+        }],
+        changePercent: Math.round(((adjustment.newModifier - adjustment.currentModifier) / adjustment.currentModifier) * 100),
+        expectedImpact: {
+          summary: `Bids on ${adjustment.label} ${adjustment.newModifier > adjustment.currentModifier ? 'rise' : 'fall'} to ${Math.round(adjustment.newModifier * 100)}% of the keyword bid`,
+          dailySpendChange: null
+        }
+      });
+
+      adjustment.approvalId = approval.id;
+      adjustment.approvalStatus = approval.status;
+    }
+  }
+
+  // The rules capture the thresholds they were built with; called again when the settings change
+  reloadSettings() {
+    this.optimizationRules = this.initializeOptimizationRules();
+    console.log(`[${this.name}] Optimization rules rebuilt (max CPA £${this.profile.kpiThresholds.maxCPA}, min CTR ${this.profile.kpiThresholds.minCTR}, min ROAS ${this.profile.kpiThresholds.minROAS})`);
+  }
+
   initializeOptimizationRules() {
-    const thresholds = config.kpiThresholds;
+    const thresholds = this.profile.kpiThresholds;
     
     return {
       // CPA-based rules
@@ -131,7 +362,7 @@ class BidOptimizerAgent {
   }
 
   analyzePerformance(metrics) {
-    const thresholds = config.kpiThresholds;
+    const thresholds = this.profile.kpiThresholds;
     
     const analysis = {
       cpa: {
@@ -209,7 +440,7 @@ class BidOptimizerAgent {
     return factors > 0 ? Math.round(score / factors) : 50;
   }
 
-  async calculateBidAdjustments(performanceAnalysis, keywords) {
+  async calculateBidAdjustments(performanceAnalysis, keywords, keywordBreakdown = []) {
     console.log(`[${this.name}] Calculating bid adjustments...`);
     
     const bidAdjustments = [];
@@ -221,14 +452,22 @@ class BidOptimizerAgent {
         bidAdjustments.push(generalAdjustment);
       }
     } else {
-      // Calculate keyword-specific adjustments
+      // Calculate keyword-specific adjustments for keywords with reported metrics
+      let unreported = 0;
       keywords.forEach(keyword => {
-        const keywordMetrics = this.getKeywordMetrics(keyword, performanceAnalysis);
+        const keywordMetrics = this.getKeywordMetrics(keyword, keywordBreakdown);
+        if (!keywordMetrics) {
+          unreported++;
+          return;
+        }
         const adjustment = this.calculateKeywordBidAdjustment(keyword, keywordMetrics);
         if (adjustment) {
           bidAdjustments.push(adjustment);
         }
       });
+      if (unreported > 0) {
+        console.log(`[${this.name}] Skipped ${unreported} keywords without reported metrics`);
+      }
     }
     
     return bidAdjustments;
@@ -273,7 +512,7 @@ class BidOptimizerAgent {
   }
 
   calculateKeywordBidAdjustment(keyword, keywordMetrics) {
-    const currentBid = keyword.suggestedBid || keyword.estimatedCPC || 1.20;
+    const currentBid = keywordMetrics.currentBid || keyword.suggestedBid || keyword.estimatedCPC || 1.20;
     let adjustment = 0;
     let reasons = [];
     
@@ -314,6 +553,8 @@ class BidOptimizerAgent {
     return {
       type: 'keyword',
       target: keyword.keyword || keyword,
+      criterionId: keywordMetrics.criterionId || null,
+      adGroupId: keywordMetrics.adGroupId || null,
       currentBid: currentBid,
       newBid: Math.round(newBid * 100) / 100,
       adjustment: adjustment,
@@ -323,16 +564,27 @@ class BidOptimizerAgent {
     };
   }
 
-  getKeywordMetrics(keyword, performanceAnalysis) {
-    // In a real implementation, this would fetch keyword-specific metrics
-    // For now, we'll use campaign-level metrics with some variation
-    return {
-      CTR: (performanceAnalysis.ctr.current || 0.02) * (0.8 + Math.random() * 0.4),
-      CPC: (performanceAnalysis.cpc.current || 1.20) * (0.9 + Math.random() * 0.2),
-      conversions: Math.floor(Math.random() * 5),
-      clicks: Math.floor(Math.random() * 100) + 10,
-      impressions: Math.floor(Math.random() * 1000) + 100
-    };
+  getKeywordMetrics(keyword, keywordBreakdown = []) {
+    // Prefer the keyword's own reported metrics from the Performance Monitor
+    const keywordText = (keyword.keyword || keyword).toLowerCase();
+    const reported = (keywordBreakdown || []).find(k => k.keyword && k.keyword.toLowerCase() === keywordText);
+
+    if (reported) {
+      return {
+        criterionId: reported.criterionId,
+        adGroupId: reported.adGroupId,
+        currentBid: reported.currentBid,
+        CTR: reported.impressions > 0 ? reported.clicks / reported.impressions : 0, // Ratio, not percent
+        CPC: reported.CPC,
+        conversions: reported.conversions,
+        clicks: reported.clicks,
+        impressions: reported.impressions
+      };
+    }
+
+    // Keywords without reported data yet (e.g. newly discovered ones) have
+    // nothing to base a bid change on
+    return null;
   }
 
   createMetricsFromAnalysis(analysis) {
@@ -353,9 +605,9 @@ class BidOptimizerAgent {
       // Apply additional business rules
       
       // Don't bid above maximum CPC threshold
-      if (adjustment.newBid > config.kpiThresholds.maxCPC) {
-        adjustment.newBid = config.kpiThresholds.maxCPC;
-        adjustment.reasons.push(`Capped at max CPC (£${config.kpiThresholds.maxCPC})`);
+      if (adjustment.newBid > this.profile.kpiThresholds.maxCPC) {
+        adjustment.newBid = this.profile.kpiThresholds.maxCPC;
+        adjustment.reasons.push(`Capped at max CPC (£${this.profile.kpiThresholds.maxCPC})`);
       }
       
       // Don't bid below minimum viable bid
@@ -364,20 +616,8 @@ class BidOptimizerAgent {
         adjustment.reasons.push('Set to minimum viable bid');
       }
       
-      // Time-based adjustments (business hours)
-      const currentHour = new Date().getHours();
-      if (currentHour >= 9 && currentHour <= 17) {
-        adjustment.newBid *= 1.1; // 10% increase during business hours
-        adjustment.reasons.push('Business hours boost');
-      }
-      
-      // Day of week adjustments
-      const dayOfWeek = new Date().getDay();
-      if (dayOfWeek >= 1 && dayOfWeek <= 5) { // Monday to Friday
-        adjustment.newBid *= 1.05; // 5% increase on weekdays
-        adjustment.reasons.push('Weekday boost');
-      }
-      
+      // Time of day and day of week are left to the ad schedule's bid
+      // modifiers (optimizeAdSchedule), so a bid doesn't depend on when this runs
       return adjustment;
     });
   }
@@ -405,8 +645,44 @@ class BidOptimizerAgent {
     });
   }
 
+  async submitBidChanges(campaignId, bidAdjustments) {
+    for (const adjustment of bidAdjustments) {
+      // Keywords not yet in the account (no criterion) stay as recommendations
+      if (!adjustment.criterionId) {
+        adjustment.approvalStatus = 'not_applicable';
+        continue;
+      }
+
+      const newBid = Math.round(adjustment.newBid * 100) / 100;
+      const approval = await this.approvalQueue.submit({
+        type: 'keyword_bid',
+        campaignId: campaignId,
+        source: 'bidOptimizer',
+        reason: adjustment.reasons.join('; '),
+        changes: [{
+          resource: 'adGroupCriteria',
+          resourceName: this.googleAdsClient.getResourceName('adGroupCriteria', `${adjustment.adGroupId}~${adjustment.criterionId}`),
+          field: 'cpcBidMicros',
+          label: adjustment.target,
+          before: adjustment.currentBid,
+          after: newBid
+        }],
+        // Caps are applied after adjustmentPercent, so compare the actual bids
+        changePercent: Math.round(((newBid - adjustment.currentBid) / adjustment.currentBid) * 100),
+        expectedImpact: {
+          summary: `CPC for "${adjustment.target}" expected to ${newBid > adjustment.currentBid ? 'rise' : 'fall'} towards £${newBid.toFixed(2)}`,
+          dailySpendChange: null
+        }
+      });
+
+      adjustment.approvalId = approval.id;
+      adjustment.approvalStatus = approval.status;
+    }
+  }
+
   recordBidHistory(campaignId, bidAdjustments, performanceMetrics) {
     const historyEntry = {
+      id: `bids_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       campaignId: campaignId,
       timestamp: new Date().toISOString(),
       adjustments: bidAdjustments,
@@ -415,6 +691,7 @@ class BidOptimizerAgent {
     };
     
     this.bidHistory.push(historyEntry);
+    this.storage.bidHistory.save(historyEntry);
     
     // Keep only last 100 entries
     if (this.bidHistory.length > 100) {
@@ -422,6 +699,197 @@ class BidOptimizerAgent {
     }
   }
 
+  // Undo applied bid changes. selector picks what to revert: { historyId }
+  // for one history entry, { since, until } for a time window, and/or
+  // { keywords } to limit it to some keywords (optionally with campaignId).
+  // Bids that were changed in the account after our change are reported
+  // as conflicts and left alone unless options.force is set.
+  async revertBids(selector = {}, options = {}) {
+    const keywords = (selector.keywords || []).map(keyword => keyword.toLowerCase());
+    if (!selector.historyId && !selector.since && keywords.length === 0) {
+      throw new Error('Specify a bid history entry, a time window or keywords to revert');
+    }
+
+    this.status = 'working';
+    console.log(`[${this.name}] Reverting bid changes...`);
+
+    const entries = this.findBidHistory(selector);
+    if (selector.historyId && entries.length === 0) {
+      this.status = 'idle';
+      throw new Error(`Bid history entry not found: ${selector.historyId}`);
+    }
+
+    const changes = entries
+      .flatMap(entry => this.getAppliedBidChanges(entry))
+      .filter(change => keywords.length === 0 || keywords.includes(change.keyword.toLowerCase()))
+      .sort((a, b) => a.appliedAt.localeCompare(b.appliedAt));
+
+    // Several changes to one keyword collapse into one revert: back to the
+    // bid before the first change, expecting the bid set by the last one
+    const reverts = {};
+    changes.forEach(change => {
+      const revert = reverts[change.resourceName] || (reverts[change.resourceName] = {
+        resourceName: change.resourceName,
+        keyword: change.keyword,
+        criterionId: change.criterionId,
+        adGroupId: change.adGroupId,
+        restoreBid: change.before
+      });
+      revert.expectedBid = change.after;
+    });
+
+    const liveBids = await this.getLiveBids(Object.keys(reverts));
+    const adjustments = [];
+    const conflicts = [];
+
+    Object.values(reverts).forEach(revert => {
+      const liveBid = liveBids[revert.resourceName];
+
+      if (liveBid === undefined) {
+        conflicts.push({ ...revert, liveBid: null, reason: 'Keyword no longer exists in the account' });
+      } else if (!(liveBid > 0)) {
+        // Left alone even when forced: there is no bid of our own to revert from
+        conflicts.push({ ...revert, liveBid, reason: 'Keyword has no bid of its own now (it uses the ad group\'s default bid)' });
+      } else if (Math.abs(liveBid - revert.restoreBid) < 0.005) {
+        // Already back at the old bid (e.g. reverted before), nothing to do
+      } else if (Math.abs(liveBid - revert.expectedBid) >= 0.005 && !options.force) {
+        conflicts.push({ ...revert, liveBid, reason: `Bid was changed to £${liveBid.toFixed(2)} since our change to £${revert.expectedBid.toFixed(2)}` });
+      } else {
+        adjustments.push({
+          type: 'keyword',
+          target: revert.keyword,
+          criterionId: revert.criterionId,
+          adGroupId: revert.adGroupId,
+          resourceName: revert.resourceName,
+          currentBid: liveBid,
+          newBid: revert.restoreBid,
+          adjustmentPercent: Math.round(((revert.restoreBid - liveBid) / liveBid) * 100),
+          reasons: ['Reverted bid change'],
+          applied: false
+        });
+      }
+    });
+
+    const campaignIds = [...new Set(entries.map(entry => entry.campaignId))];
+    const revertEntry = {
+      id: `bids_revert_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      type: 'revert',
+      campaignId: selector.campaignId || (campaignIds.length === 1 ? campaignIds[0] : null),
+      timestamp: new Date().toISOString(),
+      by: options.by || 'unknown',
+      selector: selector,
+      revertedEntries: entries.map(entry => entry.id),
+      adjustments: adjustments,
+      conflicts: conflicts,
+      totalAdjustments: adjustments.length,
+      status: 'completed',
+      error: null
+    };
+
+    try {
+      if (adjustments.length > 0) {
+        await this.googleAdsClient.mutateAdGroupCriteria(adjustments.map(adjustment => ({
+          update: {
+            resourceName: adjustment.resourceName,
+            cpcBidMicros: GoogleAdsClient.toMicros(adjustment.newBid)
+          },
+          updateMask: 'cpc_bid_micros'
+        })));
+        adjustments.forEach(adjustment => { adjustment.applied = true; });
+      }
+    } catch (error) {
+      // The failed attempt is still recorded so the audit trail is complete
+      revertEntry.status = 'failed';
+      revertEntry.error = error.message;
+      console.error(`[${this.name}] Error reverting bids:`, error.message);
+    }
+
+    this.bidHistory.push(revertEntry);
+    this.storage.bidHistory.save(revertEntry);
+
+    this.status = revertEntry.status === 'failed' ? 'error' : 'completed';
+    this.lastAction = `Reverted ${revertEntry.status === 'failed' ? 0 : adjustments.length} bids (${conflicts.length} conflicts)`;
+    this.emit('bids_reverted', {
+      historyId: revertEntry.id,
+      campaignId: revertEntry.campaignId,
+      reverted: revertEntry.status === 'failed' ? 0 : adjustments.length,
+      conflicts: conflicts.length,
+      status: revertEntry.status,
+      error: revertEntry.error
+    });
+
+    console.log(`[${this.name}] Bid revert ${revertEntry.status}: ${adjustments.length} bids, ${conflicts.length} conflicts`);
+    return revertEntry;
+  }
+
+  findBidHistory(selector) {
+    if (selector.historyId) {
+      const entry = this.storage.bidHistory.findById(selector.historyId);
+      return entry ? [entry] : [];
+    }
+
+    // Keyword-only reverts look through all retained history
+    return this.storage.bidHistory.findSince(new Date(selector.since || 0), {
+      until: selector.until ? new Date(selector.until).toISOString() : undefined,
+      campaignId: selector.campaignId
+    });
+  }
+
+  // Bid changes from a history entry that actually reached the account.
+  // Optimizer entries go through the approval queue, whose items hold the
+  // exact before/after bids; revert entries record their own.
+  getAppliedBidChanges(entry) {
+    if (entry.type === 'revert') {
+      return entry.adjustments
+        .filter(adjustment => adjustment.applied)
+        .map(adjustment => ({
+          resourceName: adjustment.resourceName,
+          keyword: adjustment.target,
+          criterionId: adjustment.criterionId,
+          adGroupId: adjustment.adGroupId,
+          before: adjustment.currentBid,
+          after: adjustment.newBid,
+          appliedAt: entry.timestamp
+        }));
+    }
+
+    return (entry.adjustments || [])
+      .filter(adjustment => adjustment.approvalId)
+      .map(adjustment => ({ adjustment, approval: this.approvalQueue.get(adjustment.approvalId) }))
+      .filter(({ approval }) => approval && approval.status === 'executed')
+      .map(({ adjustment, approval }) => ({
+        resourceName: approval.changes[0].resourceName,
+        keyword: adjustment.target,
+        criterionId: adjustment.criterionId,
+        adGroupId: adjustment.adGroupId,
+        before: approval.changes[0].before,
+        after: approval.changes[0].after,
+        appliedAt: approval.execution.executedAt
+      }));
+  }
+
+  async getLiveBids(resourceNames) {
+    // Resource names come from stored history, so check their shape before they go into GAQL
+    const names = resourceNames.filter(name => /^customers\/\d+\/adGroupCriteria\/\d+~\d+$/.test(name));
+    if (names.length === 0) return {};
+
+    const rows = await this.googleAdsClient.searchStream(
+      `SELECT ad_group_criterion.resource_name, ad_group_criterion.cpc_bid_micros FROM ad_group_criterion WHERE ad_group_criterion.resource_name IN (${names.map(name => `'${name}'`).join(', ')})`
+    );
+
+    return rows.reduce((bids, row) => {
+      const criterion = row.adGroupCriterion;
+      if (names.includes(criterion.resourceName)) {
+        bids[criterion.resourceName] = GoogleAdsClient.fromMicros(criterion.cpcBidMicros);
+      }
+      return bids;
+    }, {});
+  }
+
+  getBidHistory(query = {}) {
+    return this.storage.bidHistory.findRecent(query.limit || 20, { campaignId: query.campaignId }).reverse();
+  }
+
   calculateAverageBidChange(bidAdjustments) {
     if (bidAdjustments.length === 0) return 0;
     
@@ -455,8 +923,8 @@ class BidOptimizerAgent {
       if (generalRec) recommendations.push(generalRec);
     } else {
       keywords.forEach(keyword => {
-        const keywordMetrics = this.getKeywordMetrics(keyword, performanceAnalysis);
-        const rec = this.calculateKeywordBidAdjustment(keyword, keywordMetrics);
+        const keywordMetrics = this.getKeywordMetrics(keyword, performanceMetrics.keywords);
+        const rec = keywordMetrics && this.calculateKeywordBidAdjustment(keyword, keywordMetrics);
         if (rec) recommendations.push(rec);
       });
     }
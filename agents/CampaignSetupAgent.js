@@ -1,35 +1,104 @@
-const axios = require('axios');
-const config = require('../config/config');
+const BaseAgent = require('./BaseAgent');
+const GoogleAdsClient = require('../services/GoogleAdsClient');
+const GeoTargeting = require('../services/GeoTargeting');
+const AdSchedule = require('../services/AdSchedule');
+const { getStorage } = require('../storage');
+const { DEFAULT_TEMPLATES, createTemplate } = require('../campaignTemplates');
 
-class CampaignSetupAgent {
-  constructor() {
+// Google Ads advertising channel for each supported campaign type
+const CHANNEL_TYPES = {
+  'Search': 'SEARCH',
+  'Display': 'DISPLAY',
+  'Performance Max': 'PERFORMANCE_MAX'
+};
+
+// Keyword research groups keywords by match type
+const MATCH_TYPES = { exact: 'EXACT', phrase: 'PHRASE', broad: 'BROAD' };
+
+class CampaignSetupAgent extends BaseAgent {
+  static capabilities = {
+    setupCampaign: {
+      description: 'Create a campaign, its budget and its ad groups or asset groups from the account settings',
+      // Overrides for the campaign built from the settings; researched keywords;
+      // the campaign template (see campaignTemplates/), by default the one for the campaign type
+      inputs: ['campaign', 'keywords', 'template'],
+      summarize: campaign => ({ campaignId: campaign.id, name: campaign.name, template: campaign.template, budget: campaign.budget, adGroups: campaign.adGroups.length })
+    }
+  };
+  static events = ['campaign_created'];
+  static dependencies = ['googleAds'];
+
+  constructor(options = {}) {
+    super(options);
     this.name = 'Campaign Setup Agent';
-    this.status = 'idle';
-    this.lastAction = null;
+    this.googleAdsClient = options.googleAdsClient || new GoogleAdsClient();
+    this.geoTargeting = options.geoTargeting || new GeoTargeting();
+    this.storage = options.storage || getStorage();
+  }
+
+  // The idempotency key stops a resumed or retried workflow creating a second campaign
+  run(input, context) {
+    const template = input.template ? createTemplate(input.template, this.profile) : null;
+    return this.setupCampaign(
+      { ...this.getDefaultCampaignData(context.account, template), keywords: input.keywords, ...input.campaign },
+      { idempotencyKey: context.idempotencyKey, template }
+    );
+  }
+
+  // Campaign, budget and locations come from the account's settings; the
+  // campaign type from the template when one is chosen
+  getDefaultCampaignData(account, template = null) {
+    const settings = this.profile.campaignSettings;
+    const geo = settings.geoTargeting || {};
+    return {
+      name: `${account.name} - ${template ? template.constructor.label : settings.campaignType} Campaign`,
+      budget: settings.budgetDaily,
+      campaignType: template ? template.constructor.campaignType : settings.campaignType,
+      targeting: {
+        locations: geo.locations || [settings.region],
+        excludedLocations: geo.excludedLocations || [],
+        keywords: settings.targetKeywords
+      }
+    };
   }
 
-  async setupCampaign(campaignData) {
+  // options.idempotencyKey makes a repeated setup return the campaign created
+  // the first time; options.template is the campaign template, by default the
+  // one for the campaign type
+  async setupCampaign(campaignData, options = {}) {
     try {
       this.status = 'working';
       console.log(`[${this.name}] Starting campaign setup...`);
 
-      // Validate campaign data
+      // Validate campaign data, then that the settings have what the template needs
       this.validateCampaignData(campaignData);
+      const template = options.template || createTemplate(DEFAULT_TEMPLATES[campaignData.campaignType], this.profile);
+      this.validateTemplate(campaignData, template);
 
       // Prepare campaign configuration for 2015 Security Services
-      const campaignConfig = this.prepareCampaignConfig(campaignData);
+      const campaignConfig = this.prepareCampaignConfig(campaignData, template);
+
+      // The bundled location dataset and the schedule's time zone are checked against the API before they're used
+      await this.geoTargeting.verify(this.googleAdsClient, [...campaignConfig.targeting.locations, ...campaignConfig.targeting.excludedLocations]);
+      await new AdSchedule(this.profile.campaignSettings.adSchedule).verifyTimezone(this.googleAdsClient);
 
-      // In a real implementation, this would call Google Ads API
-      // For now, we'll simulate the API call
-      const campaignResponse = await this.simulateGoogleAdsAPI(campaignConfig);
+      // Create budget and campaign through the Google Ads API (live or mock)
+      const campaignResponse = await this.createCampaign(campaignConfig, template, options.idempotencyKey);
 
       this.status = 'completed';
       this.lastAction = `Campaign created: ${campaignResponse.id}`;
+      this.emit('campaign_created', {
+        campaignId: campaignResponse.id,
+        name: campaignResponse.name,
+        budget: campaignResponse.budget
+      });
       
       console.log(`[${this.name}] Campaign setup completed successfully`);
       console.log(`Campaign ID: ${campaignResponse.id}`);
       console.log(`Budget: £${campaignResponse.budget}/day`);
-      console.log(`Targeting: ${campaignResponse.targeting.location}`);
+      console.log(`Targeting: ${this.describeTargeting(campaignResponse.targeting)}`);
+      console.log(`Ad schedule: ${campaignResponse.adSchedule.slots.length} slots (${campaignResponse.adSchedule.alwaysOn ? '24/7' : 'business hours'}, ${campaignResponse.adSchedule.timezone}); ${campaignResponse.adSchedule.reason}`);
+      console.log(template.describe(campaignResponse));
 
       return campaignResponse;
 
@@ -52,113 +121,155 @@ class CampaignSetupAgent {
     if (data.budget <= 0) {
       throw new Error('Budget must be greater than 0');
     }
+
+    if (!CHANNEL_TYPES[data.campaignType]) {
+      throw new Error(`Unsupported campaign type: ${data.campaignType}`);
+    }
   }
 
-  prepareCampaignConfig(data) {
-    const businessInfo = config.campaignSettings.businessInfo;
-    
+  validateTemplate(data, template) {
+    const { id, campaignType } = template.constructor;
+    if (campaignType !== data.campaignType) {
+      throw new Error(`The ${id} campaign template sets up ${campaignType} campaigns, not ${data.campaignType}`);
+    }
+    template.validate();
+  }
+
+  // Keywords go into the template's ad groups or signals; only the account-wide
+  // negatives stay on the campaign. Locations are resolved to geo target
+  // constants, so a name Google doesn't know stops the setup here.
+  prepareCampaignConfig(data, template) {
+    const settings = this.profile.campaignSettings;
+    const { businessInfo } = settings;
+    const keywords = this.collectKeywords(data.keywords, data.targeting.keywords || this.getDefaultKeywords());
+    const geo = this.geoTargeting.buildTargeting({
+      ...settings,
+      geoTargeting: {
+        ...settings.geoTargeting,
+        locations: data.targeting.locations || settings.geoTargeting?.locations,
+        excludedLocations: data.targeting.excludedLocations || settings.geoTargeting?.excludedLocations
+      }
+    });
+
     return {
-      name: `${businessInfo.name} - ${data.campaignType} Campaign`,
+      name: data.name || `${businessInfo.name} - ${template.constructor.label} Campaign`,
       budget: data.budget,
       campaignType: data.campaignType,
+      template: template.constructor.id,
       targeting: {
-        location: data.targeting.location || config.campaignSettings.region,
-        radius: data.targeting.radius || 25, // 25 mile radius around London
+        ...geo,
         demographics: {
           ageRange: '25-65',
-          interests: [
-            'Home Security',
-            'Business Security', 
-            'Construction',
-            'Property Management',
-            'Commercial Services'
-          ]
+          interests: settings.interests || []
         },
-        keywords: data.targeting.keywords || this.getDefaultKeywords(),
         negativeKeywords: this.getDefaultNegativeKeywords()
       },
-      adSchedule: {
-        monday: { start: '08:00', end: '18:00' },
-        tuesday: { start: '08:00', end: '18:00' },
-        wednesday: { start: '08:00', end: '18:00' },
-        thursday: { start: '08:00', end: '18:00' },
-        friday: { start: '08:00', end: '18:00' },
-        saturday: { start: '09:00', end: '17:00' },
-        sunday: { start: '10:00', end: '16:00' }
-      },
-      bidStrategy: 'TARGET_CPA',
-      targetCPA: config.kpiThresholds.maxCPA
+      adSchedule: this.buildAdSchedule(),
+      bidStrategy: template.constructor.bidStrategy,
+      targetCPA: this.profile.kpiThresholds.maxCPA,
+      adGroups: [],
+      ...template.buildConfig(keywords)
     };
   }
 
-  getDefaultKeywords() {
+  // Researched keywords ({ exact, phrase, broad }, with suggested bids) and the
+  // settings' target keywords, each once
+  collectKeywords(keywordStructure, targetKeywords = []) {
+    const keywords = new Map();
+    Object.keys(MATCH_TYPES).forEach(group => {
+      (keywordStructure?.[group] || []).forEach(item => {
+        const text = item.keyword.toLowerCase().trim();
+        if (!keywords.has(text)) {
+          keywords.set(text, { text, matchType: MATCH_TYPES[group], suggestedBid: item.suggestedBid || null });
+        }
+      });
+    });
+    targetKeywords.forEach(keyword => {
+      const text = keyword.toLowerCase().trim();
+      if (!keywords.has(text)) keywords.set(text, { text, matchType: 'PHRASE', suggestedBid: null });
+    });
+    return [...keywords.values()];
+  }
+
+  // From the account's stored hourly performance, across its campaigns
+  buildAdSchedule() {
+    const adSchedule = new AdSchedule(this.profile.campaignSettings.adSchedule);
+    return adSchedule.generate(adSchedule.buildMatrix(this.storage.performanceHistory.findRecent(500)));
+  }
+
+  // "Waltham Forest, Hackney, E4 + 10 miles around E4 9HH, excluding City of London"
+  describeTargeting(targeting) {
     return [
-      // Core security services
-      'security services london',
-      'security guards london',
-      'manned guarding london',
-      'construction site security',
-      'residential security services',
-      'commercial security london',
-      
-      // Specific services from website
-      'reception security',
-      'front of house security',
-      'empty property security',
-      'key holding services',
-      'mobile security patrols',
-      
-      // Location-based
-      'london security company',
-      'chingford security services',
-      'e4 security services',
-      
-      // Certification-focused
-      'sia licensed security',
-      'certified security guards',
-      'professional security services',
-      
-      // Business-specific
-      'office security services',
-      'retail security london',
-      'warehouse security',
-      'event security london'
-    ];
+      targeting.locations.map(location => location.name).join(', '),
+      targeting.proximity && ` + ${targeting.proximity.radius} miles around ${targeting.proximity.address.postalCode}`,
+      targeting.excludedLocations.length > 0 && `, excluding ${targeting.excludedLocations.map(location => location.name).join(', ')}`
+    ].filter(Boolean).join('');
+  }
+
+  getDefaultKeywords() {
+    return this.profile.campaignSettings.targetKeywords;
   }
 
   getDefaultNegativeKeywords() {
-    return [
-      'free',
-      'cheap',
-      'diy',
-      'volunteer',
-      'part time',
-      'jobs',
-      'careers',
-      'recruitment',
-      'training',
-      'course',
-      'alarm systems',
-      'cctv only',
-      'software',
-      'app'
-    ];
+    return this.profile.campaignSettings.negativeKeywords || [];
   }
 
-  async simulateGoogleAdsAPI(campaignConfig) {
-    // Simulate API call delay
-    await new Promise(resolve => setTimeout(resolve, 2000));
+  async createCampaign(campaignConfig, template, idempotencyKey = null) {
+    const client = this.googleAdsClient;
+    console.log(`[${this.name}] Creating campaign via Google Ads API (${client.mode} mode)...`);
+
+    // Budgets are created first so the campaign can reference them
+    const budgetResponse = await client.mutateCampaignBudgets([{
+      create: {
+        name: `${campaignConfig.name} Budget ${Date.now()}`,
+        amountMicros: GoogleAdsClient.toMicros(campaignConfig.budget),
+        deliveryMethod: 'STANDARD',
+        explicitlyShared: false
+      }
+    }], { idempotencyKey: idempotencyKey && `${idempotencyKey}:budget` });
+    const budgetResourceName = budgetResponse.results[0].resourceName;
+
+    const campaignResponse = await client.mutateCampaigns([{
+      create: {
+        name: campaignConfig.name,
+        advertisingChannelType: CHANNEL_TYPES[campaignConfig.campaignType],
+        status: 'ENABLED',
+        campaignBudget: budgetResourceName,
+        ...template.getCampaignFields(campaignConfig),
+        geoTargetTypeSetting: {
+          positiveGeoTargetType: campaignConfig.targeting.positiveGeoTargetType,
+          negativeGeoTargetType: campaignConfig.targeting.negativeGeoTargetType
+        }
+      }
+    }], { idempotencyKey: idempotencyKey && `${idempotencyKey}:campaign` });
+    const resourceName = campaignResponse.results[0].resourceName;
+
+    await client.mutateCampaignCriteria(
+      this.geoTargeting.buildCriteriaOperations(campaignConfig.targeting, resourceName),
+      { idempotencyKey: idempotencyKey && `${idempotencyKey}:locations` }
+    );
+    await client.mutateCampaignCriteria(
+      new AdSchedule(this.profile.campaignSettings.adSchedule).buildCriteriaOperations(campaignConfig.adSchedule, resourceName),
+      { idempotencyKey: idempotencyKey && `${idempotencyKey}:adSchedule` }
+    );
+
+    // Ad groups or asset groups, depending on the template
+    const children = await template.create(client, campaignConfig, resourceName, idempotencyKey);
 
-    // Simulate successful campaign creation
-    const campaignId = `campaign_${Date.now()}`;
-    
     return {
-      id: campaignId,
+      id: GoogleAdsClient.getIdFromResourceName(resourceName),
+      resourceName: resourceName,
+      budgetResourceName: budgetResourceName,
+      customerId: client.customerId,
       name: campaignConfig.name,
       status: 'ENABLED',
       budget: campaignConfig.budget,
       campaignType: campaignConfig.campaignType,
+      template: campaignConfig.template,
       targeting: campaignConfig.targeting,
+      adSchedule: campaignConfig.adSchedule,
+      adGroups: [],
+      ...children,
       created: new Date().toISOString(),
       metrics: {
         impressions: 0,
@@ -168,53 +279,6 @@ class CampaignSetupAgent {
       }
     };
   }
-
-  // Real Google Ads API implementation (commented for reference)
-  /*
-  async createRealCampaign(campaignConfig) {
-    const { googleAds } = config;
-    
-    const headers = {
-      'Authorization': `Bearer ${googleAds.accessToken}`,
-      'developer-token': googleAds.developerToken,
-      'Content-Type': 'application/json'
-    };
-
-    const campaignData = {
-      operations: [{
-        create: {
-          name: campaignConfig.name,
-          advertisingChannelType: 'SEARCH',
-          status: 'ENABLED',
-          campaignBudget: {
-            amountMicros: campaignConfig.budget * 1000000, // Convert to micros
-            deliveryMethod: 'STANDARD'
-          },
-          targetCpa: {
-            targetCpaMicros: campaignConfig.targetCPA * 1000000
-          }
-        }
-      }]
-    };
-
-    const response = await axios.post(
-      `https://googleads.googleapis.com/v14/customers/${googleAds.customerId}/campaigns:mutate`,
-      campaignData,
-      { headers }
-    );
-
-    return response.data;
-  }
-  */
-
-  getStatus() {
-    return {
-      agent: this.name,
-      status: this.status,
-      lastAction: this.lastAction,
-      timestamp: new Date().toISOString()
-    };
-  }
 }
 
 module.exports = CampaignSetupAgent;
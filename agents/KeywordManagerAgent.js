@@ -1,15 +1,68 @@
+const BaseAgent = require('./BaseAgent');
 const axios = require('axios');
-const config = require('../config/config');
 
-class KeywordManagerAgent {
-  constructor() {
+class KeywordManagerAgent extends BaseAgent {
+  static capabilities = {
+    optimizeKeywords: {
+      description: 'Research keywords from seed keywords, grouped by match type, plus negatives',
+      inputs: ['seedKeywords'],
+      summarize: result => result.summary
+    }
+  };
+  static events = ['keywords_optimized'];
+
+  constructor(options = {}) {
+    super(options);
     this.name = 'Keyword Manager Agent';
-    this.status = 'idle';
-    this.lastAction = null;
     this.discoveredKeywords = [];
     this.negativeKeywords = [];
   }
 
+  async run(input, context) {
+    const result = await this.fetchAndOptimizeKeywords(input.seedKeywords || this.profile.campaignSettings.seedKeywords);
+    if (context.plan) this.addRecommendations(context.plan, result, context.account);
+    return result;
+  }
+
+  // Keywords are not pushed to the account yet, but a dry run's plan lists
+  // them so a reviewer sees everything the workflow came up with
+  addRecommendations(plan, keywordResult, account) {
+    const matchTypes = { exact: 'EXACT', phrase: 'PHRASE', broad: 'BROAD' };
+
+    Object.keys(matchTypes).forEach(matchType => {
+      (keywordResult.keywords[matchType] || []).forEach(keyword => {
+        plan.add({
+          action: 'create',
+          resource: 'adGroupCriteria',
+          label: keyword.keyword,
+          source: 'keyword_manager',
+          applied: false,
+          fields: [
+            { field: 'keyword.text', before: null, after: keyword.keyword },
+            { field: 'keyword.matchType', before: null, after: matchTypes[matchType] },
+            { field: 'cpcBidMicros', before: null, after: Math.round(keyword.suggestedBid * 100) / 100 }
+          ]
+        });
+      });
+    });
+
+    (keywordResult.negativeKeywords || []).forEach(negativeKeyword => {
+      plan.add({
+        action: 'create',
+        resource: 'campaignCriteria',
+        label: negativeKeyword,
+        source: 'keyword_manager',
+        reason: `Negative keyword for ${account.name}`,
+        applied: false,
+        fields: [
+          { field: 'keyword.text', before: null, after: negativeKeyword },
+          { field: 'keyword.matchType', before: null, after: 'BROAD' },
+          { field: 'negative', before: null, after: true }
+        ]
+      });
+    });
+  }
+
   async fetchAndOptimizeKeywords(baseKeywords, campaignData = {}) {
     try {
       this.status = 'working';
@@ -31,6 +84,10 @@ class KeywordManagerAgent {
       this.negativeKeywords = negativeKeywords;
       this.status = 'completed';
       this.lastAction = `Optimized ${optimizedKeywords.length} keywords, added ${negativeKeywords.length} negative keywords`;
+      this.emit('keywords_optimized', {
+        totalKeywords: optimizedKeywords.length,
+        negativeKeywords: negativeKeywords.length
+      });
 
       console.log(`[${this.name}] Keyword optimization completed`);
       console.log(`Total keywords: ${optimizedKeywords.length}`);
@@ -58,12 +115,8 @@ class KeywordManagerAgent {
     console.log(`[${this.name}] Expanding keywords from base set...`);
     
     // Security services specific keyword expansion
-    const securityServiceTypes = config.campaignSettings.services;
-    const locationVariations = [
-      'london', 'central london', 'east london', 'north london', 
-      'south london', 'west london', 'greater london', 'chingford',
-      'waltham forest', 'hackney', 'islington', 'tower hamlets'
-    ];
+    const securityServiceTypes = this.profile.campaignSettings.services;
+    const locationVariations = this.getServiceAreas();
     
     const serviceModifiers = [
       'professional', 'certified', 'licensed', 'experienced', 'reliable',
@@ -182,13 +235,19 @@ class KeywordManagerAgent {
     // Sort by score and take top keywords within limit
     const topKeywords = scoredKeywords
       .sort((a, b) => b.score - a.score)
-      .slice(0, config.automationSettings.keywordExpansionLimit)
+      .slice(0, this.profile.automationSettings.keywordExpansionLimit)
       .map(item => item.keyword);
 
     console.log(`[${this.name}] Filtered to ${topKeywords.length} high-quality keywords`);
     return topKeywords;
   }
 
+  // The profile's service areas, falling back to its primary region
+  getServiceAreas() {
+    const { regions, region } = this.profile.campaignSettings;
+    return (regions && regions.length > 0 ? regions : [region]).map(area => area.toLowerCase());
+  }
+
   isAcceptableSingleWord(word) {
     const acceptableSingleWords = [
       'security', 'guards', 'protection', 'surveillance', 
@@ -207,13 +266,13 @@ class KeywordManagerAgent {
     });
     
     // Higher score for location relevance
-    const locationTerms = ['london', 'chingford', 'e4'];
+    const locationTerms = this.getServiceAreas();
     locationTerms.forEach(term => {
       if (keyword.includes(term)) score += 15;
     });
     
     // Higher score for specific services offered
-    const specificServices = config.campaignSettings.services;
+    const specificServices = this.profile.campaignSettings.services;
     specificServices.forEach(service => {
       if (keyword.includes(service.toLowerCase())) score += 20;
     });
@@ -327,7 +386,7 @@ class KeywordManagerAgent {
         keyword,
         estimatedCPC,
         competition,
-        suggestedBid: Math.min(estimatedCPC * 1.2, config.kpiThresholds.maxCPC)
+        suggestedBid: Math.min(estimatedCPC * 1.2, this.profile.kpiThresholds.maxCPC)
       };
       
       // Organize by match type based on keyword characteristics
@@ -1,23 +1,63 @@
-const config = require('../config/config');
+const BaseAgent = require('./BaseAgent');
+const GoogleAdsClient = require('../services/GoogleAdsClient');
+const ApprovalQueue = require('../services/ApprovalQueue');
+const { getStorage } = require('../storage');
+
+// Metric fields requested for every GAQL report row
+const METRIC_FIELDS = [
+  'metrics.impressions',
+  'metrics.clicks',
+  'metrics.cost_micros',
+  'metrics.conversions',
+  'metrics.conversions_value'
+].join(', ');
+
+class PerformanceMonitorAgent extends BaseAgent {
+  static capabilities = {
+    monitorPerformance: {
+      description: 'Fetch a campaign\'s metrics, score them against the KPI thresholds and raise alerts',
+      inputs: ['campaignId', 'days'],
+      summarize: result => ({
+        status: result.status,
+        overallScore: result.analysis?.overallScore,
+        alerts: result.alerts?.length || 0
+      })
+    }
+  };
+  static events = ['monitoring_completed', 'alert_raised'];
+  static dependencies = ['googleAds'];
 
-class PerformanceMonitorAgent {
-  constructor() {
+  constructor(options = {}) {
+    super(options);
     this.name = 'Performance Monitor Agent';
-    this.status = 'idle';
-    this.lastAction = null;
-    this.monitoringActive = false;
-    this.performanceHistory = [];
-    this.alerts = [];
-    this.thresholds = config.kpiThresholds;
+    this.storage = options.storage || getStorage();
+    // Restore recent history so trends and alerts survive restarts
+    this.performanceHistory = this.storage.performanceHistory.findRecent(100);
+    this.alerts = this.storage.alerts.findRecentAlerts(24);
+    this.thresholds = this.profile.kpiThresholds;
+    this.googleAdsClient = options.googleAdsClient || new GoogleAdsClient();
+    this.approvalQueue = options.approvalQueue || new ApprovalQueue({ storage: this.storage, googleAdsClient: this.googleAdsClient });
+  }
+
+  run(input) {
+    if (!input.campaignId) {
+      throw new Error('No campaign to monitor; run full_automation first or list the account\'s campaigns in the accounts file');
+    }
+    return this.monitorCampaign(input.campaignId, {}, input.days ? { dateRange: this.getDefaultDateRange(input.days) } : {});
+  }
+
+  // Called when the profile's thresholds change at runtime
+  reloadSettings() {
+    this.thresholds = this.profile.kpiThresholds;
   }
 
-  async monitorCampaign(campaignId, campaignData = {}) {
+  async monitorCampaign(campaignId, campaignData = {}, options = {}) {
     try {
       this.status = 'working';
       console.log(`[${this.name}] Starting performance monitoring for campaign ${campaignId}...`);
 
       // Fetch current performance metrics
-      const currentMetrics = await this.fetchPerformanceMetrics(campaignId);
+      const currentMetrics = await this.fetchPerformanceMetrics(campaignId, options.dateRange);
       
       // Analyze performance against thresholds
       const performanceAnalysis = this.analyzePerformanceMetrics(currentMetrics);
@@ -26,13 +66,22 @@ class PerformanceMonitorAgent {
       const alerts = this.checkPerformanceAlerts(performanceAnalysis, campaignId);
       
       // Take automated actions if needed
-      const actions = await this.executeAutomatedActions(performanceAnalysis, campaignId);
+      const actions = await this.executeAutomatedActions(performanceAnalysis, campaignId, currentMetrics);
       
-      // Record performance data
-      this.recordPerformanceHistory(campaignId, currentMetrics, performanceAnalysis);
+      // Record performance data; dry runs leave the history (and so the
+      // dashboard totals and ad schedules built from it) untouched
+      if (!this.approvalQueue.plan) {
+        this.recordPerformanceHistory(campaignId, currentMetrics, performanceAnalysis);
+      }
 
       this.status = 'monitoring';
       this.lastAction = `Monitored campaign ${campaignId} - ${alerts.length} alerts, ${actions.length} actions taken`;
+      this.emit('monitoring_completed', {
+        campaignId: campaignId,
+        overallScore: performanceAnalysis.overallScore,
+        alerts: alerts.length,
+        actions: actions.length
+      });
 
       console.log(`[${this.name}] Performance monitoring completed`);
       console.log(`Current CTR: ${currentMetrics.CTR}%`);
@@ -59,88 +108,158 @@ class PerformanceMonitorAgent {
     }
   }
 
-  async fetchPerformanceMetrics(campaignId) {
-    console.log(`[${this.name}] Fetching performance metrics...`);
-    
-    // In a real implementation, this would call Google Ads API
-    // For now, we'll simulate realistic performance data
-    const simulatedMetrics = this.generateSimulatedMetrics(campaignId);
-    
-    // Add some realistic variation based on time and campaign age
-    const timeVariation = this.applyTimeBasedVariation(simulatedMetrics);
-    
-    return timeVariation;
-  }
-
-  generateSimulatedMetrics(campaignId) {
-    // Generate realistic metrics for a security services campaign
-    const baseMetrics = {
-      impressions: Math.floor(Math.random() * 5000) + 1000,
-      clicks: 0,
-      cost: 0,
-      conversions: 0,
-      CTR: 0,
-      CPC: 0,
-      CPA: 0,
-      ROAS: 0,
-      qualityScore: Math.floor(Math.random() * 4) + 6, // 6-10
-      searchImpressionShare: Math.random() * 0.4 + 0.3, // 30-70%
-      avgPosition: Math.random() * 2 + 1.5, // 1.5-3.5
-      conversionRate: 0
+  async fetchPerformanceMetrics(campaignId, dateRange = this.getDefaultDateRange()) {
+    console.log(`[${this.name}] Fetching performance metrics (${dateRange.startDate} to ${dateRange.endDate})...`);
+
+    const queries = this.buildPerformanceQueries(campaignId, dateRange);
+    const client = this.googleAdsClient;
+
+    const [campaignRows, adGroupRows, keywordRows, adRows, searchTermRows, hourlyRows] = await Promise.all([
+      client.searchStream(queries.campaign),
+      client.searchStream(queries.adGroups),
+      client.searchStream(queries.keywords),
+      client.searchStream(queries.ads),
+      client.searchStream(queries.searchTerms),
+      client.searchStream(queries.hourly)
+    ]);
+
+    const metrics = this.buildCampaignMetrics(campaignRows, keywordRows);
+
+    // Breakdowns used by the bid optimizer and reporting
+    metrics.dateRange = dateRange;
+    metrics.adGroups = adGroupRows.map(row => ({
+      adGroupId: row.adGroup.id,
+      name: row.adGroup.name,
+      status: row.adGroup.status,
+      qualityScore: this.calculateWeightedQualityScore(keywordRows.filter(keywordRow => keywordRow.adGroup.id === row.adGroup.id)),
+      ...this.convertRowMetrics(row.metrics)
+    }));
+    metrics.keywords = keywordRows.map(row => ({
+      criterionId: row.adGroupCriterion.criterionId,
+      adGroupId: row.adGroup.id,
+      keyword: row.adGroupCriterion.keyword?.text,
+      matchType: row.adGroupCriterion.keyword?.matchType,
+      qualityScore: row.adGroupCriterion.qualityInfo?.qualityScore || null,
+      currentBid: this.fromMicros(row.adGroupCriterion.effectiveCpcBidMicros),
+      ...this.convertRowMetrics(row.metrics)
+    }));
+    metrics.ads = adRows.map(row => ({
+      adId: row.adGroupAd.ad.id,
+      adGroupId: row.adGroup.id,
+      type: row.adGroupAd.ad.type,
+      status: row.adGroupAd.status,
+      ...this.convertRowMetrics(row.metrics)
+    }));
+    metrics.searchTerms = searchTermRows.map(row => ({
+      searchTerm: row.searchTermView.searchTerm,
+      status: row.searchTermView.status,
+      keyword: row.segments?.keyword?.info?.text,
+      ...this.convertRowMetrics(row.metrics)
+    }));
+    // By hour of day and day of week in the account's time zone; stored with
+    // the history so ad schedules can be built from it (see services/AdSchedule)
+    metrics.hourly = hourlyRows.map(row => {
+      const { impressions, clicks, cost, conversions } = this.convertRowMetrics(row.metrics);
+      return { dayOfWeek: row.segments.dayOfWeek, hour: Number(row.segments.hour), impressions, clicks, cost, conversions };
+    });
+
+    return metrics;
+  }
+
+  getDefaultDateRange(days = 7) {
+    const end = new Date();
+    const start = new Date(end.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+    return {
+      startDate: start.toISOString().split('T')[0],
+      endDate: end.toISOString().split('T')[0]
     };
+  }
 
-    // Calculate dependent metrics
-    baseMetrics.CTR = (Math.random() * 0.04 + 0.015) * 100; // 1.5-5.5%
-    baseMetrics.clicks = Math.floor(baseMetrics.impressions * (baseMetrics.CTR / 100));
-    baseMetrics.CPC = Math.random() * 1.5 + 0.8; // £0.80-£2.30
-    baseMetrics.cost = baseMetrics.clicks * baseMetrics.CPC;
-    
-    // Conversion metrics (security services typically have lower conversion rates)
-    baseMetrics.conversionRate = (Math.random() * 0.03 + 0.01) * 100; // 1-4%
-    baseMetrics.conversions = Math.floor(baseMetrics.clicks * (baseMetrics.conversionRate / 100));
-    baseMetrics.CPA = baseMetrics.conversions > 0 ? baseMetrics.cost / baseMetrics.conversions : 0;
-    
-    // ROAS calculation (assuming average order value of £500 for security services)
-    const avgOrderValue = 500;
-    baseMetrics.ROAS = baseMetrics.conversions > 0 ? (baseMetrics.conversions * avgOrderValue) / baseMetrics.cost : 0;
-
-    // Round values for realism
-    baseMetrics.CTR = Math.round(baseMetrics.CTR * 100) / 100;
-    baseMetrics.CPC = Math.round(baseMetrics.CPC * 100) / 100;
-    baseMetrics.CPA = Math.round(baseMetrics.CPA * 100) / 100;
-    baseMetrics.ROAS = Math.round(baseMetrics.ROAS * 100) / 100;
-    baseMetrics.cost = Math.round(baseMetrics.cost * 100) / 100;
-    baseMetrics.conversionRate = Math.round(baseMetrics.conversionRate * 100) / 100;
-    baseMetrics.searchImpressionShare = Math.round(baseMetrics.searchImpressionShare * 100);
-    baseMetrics.avgPosition = Math.round(baseMetrics.avgPosition * 10) / 10;
-
-    return baseMetrics;
-  }
-
-  applyTimeBasedVariation(metrics) {
-    const currentHour = new Date().getHours();
-    const dayOfWeek = new Date().getDay();
-    
-    // Business hours boost (9 AM - 6 PM)
-    if (currentHour >= 9 && currentHour <= 18) {
-      metrics.impressions *= 1.3;
-      metrics.CTR *= 1.1;
-      metrics.conversionRate *= 1.2;
+  buildPerformanceQueries(campaignId, dateRange) {
+    // Values are interpolated into GAQL, so only accept well-formed ids and dates.
+    // Negative ids are campaigns a dry run has planned but not created.
+    if (!/^-?\d+$/.test(String(campaignId))) {
+      throw new Error(`Invalid campaign ID for performance query: ${campaignId}`);
     }
-    
-    // Weekday vs weekend variation
-    if (dayOfWeek >= 1 && dayOfWeek <= 5) {
-      metrics.impressions *= 1.2;
-      metrics.conversionRate *= 1.15;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(dateRange.startDate) || !datePattern.test(dateRange.endDate)) {
+      throw new Error(`Invalid date range: ${dateRange.startDate} to ${dateRange.endDate}`);
     }
-    
-    // Recalculate dependent metrics
-    metrics.clicks = Math.floor(metrics.impressions * (metrics.CTR / 100));
-    metrics.cost = metrics.clicks * metrics.CPC;
-    metrics.conversions = Math.floor(metrics.clicks * (metrics.conversionRate / 100));
-    metrics.CPA = metrics.conversions > 0 ? metrics.cost / metrics.conversions : 0;
-    
-    return metrics;
+
+    const where = `WHERE campaign.id = ${campaignId} AND segments.date BETWEEN '${dateRange.startDate}' AND '${dateRange.endDate}'`;
+
+    return {
+      campaign: `SELECT campaign.id, campaign.name, campaign.status, ${METRIC_FIELDS}, metrics.search_impression_share FROM campaign ${where}`,
+      adGroups: `SELECT ad_group.id, ad_group.name, ad_group.status, ${METRIC_FIELDS} FROM ad_group ${where}`,
+      keywords: `SELECT ad_group.id, ad_group_criterion.criterion_id, ad_group_criterion.keyword.text, ad_group_criterion.keyword.match_type, ad_group_criterion.quality_info.quality_score, ad_group_criterion.effective_cpc_bid_micros, ${METRIC_FIELDS} FROM keyword_view ${where}`,
+      ads: `SELECT ad_group.id, ad_group_ad.ad.id, ad_group_ad.ad.type, ad_group_ad.status, ${METRIC_FIELDS} FROM ad_group_ad ${where}`,
+      searchTerms: `SELECT search_term_view.search_term, search_term_view.status, segments.keyword.info.text, ${METRIC_FIELDS} FROM search_term_view ${where}`,
+      hourly: `SELECT segments.day_of_week, segments.hour, ${METRIC_FIELDS} FROM campaign ${where}`
+    };
+  }
+
+  buildCampaignMetrics(campaignRows, keywordRows) {
+    // Sum in case the campaign is reported across several rows
+    const totals = campaignRows.reduce((sum, row) => {
+      const rowMetrics = row.metrics || {};
+      sum.impressions += Number(rowMetrics.impressions || 0);
+      sum.clicks += Number(rowMetrics.clicks || 0);
+      sum.costMicros += Number(rowMetrics.costMicros || 0);
+      sum.conversions += Number(rowMetrics.conversions || 0);
+      sum.conversionsValue += Number(rowMetrics.conversionsValue || 0);
+      sum.searchImpressionShare = Math.max(sum.searchImpressionShare, Number(rowMetrics.searchImpressionShare || 0));
+      return sum;
+    }, { impressions: 0, clicks: 0, costMicros: 0, conversions: 0, conversionsValue: 0, searchImpressionShare: 0 });
+
+    return {
+      ...this.convertRowMetrics(totals),
+      qualityScore: this.calculateWeightedQualityScore(keywordRows),
+      searchImpressionShare: Math.round(totals.searchImpressionShare * 100),
+      avgPosition: null // Retired by Google Ads; kept so the metrics shape is unchanged
+    };
+  }
+
+  convertRowMetrics(rowMetrics = {}) {
+    const impressions = Number(rowMetrics.impressions || 0);
+    const clicks = Number(rowMetrics.clicks || 0);
+    const cost = this.fromMicros(rowMetrics.costMicros);
+    const conversions = Number(rowMetrics.conversions || 0);
+    const conversionsValue = Number(rowMetrics.conversionsValue || 0);
+
+    return {
+      impressions: impressions,
+      clicks: clicks,
+      cost: cost,
+      conversions: conversions,
+      conversionsValue: conversionsValue,
+      CTR: impressions > 0 ? Math.round((clicks / impressions) * 10000) / 100 : 0,
+      CPC: clicks > 0 ? Math.round((cost / clicks) * 100) / 100 : 0,
+      CPA: conversions > 0 ? Math.round((cost / conversions) * 100) / 100 : 0,
+      ROAS: cost > 0 ? Math.round((conversionsValue / cost) * 100) / 100 : 0,
+      conversionRate: clicks > 0 ? Math.round((conversions / clicks) * 10000) / 100 : 0
+    };
+  }
+
+  calculateWeightedQualityScore(keywordRows) {
+    // Impression-weighted average across keywords that have a quality score
+    let weightedSum = 0;
+    let totalImpressions = 0;
+
+    keywordRows.forEach(row => {
+      const qualityScore = row.adGroupCriterion?.qualityInfo?.qualityScore;
+      const impressions = Number(row.metrics?.impressions || 0);
+      if (qualityScore && impressions > 0) {
+        weightedSum += qualityScore * impressions;
+        totalImpressions += impressions;
+      }
+    });
+
+    return totalImpressions > 0 ? Math.round((weightedSum / totalImpressions) * 10) / 10 : 0;
+  }
+
+  // Convert micros (string or number) to pounds, rounded to pence
+  fromMicros(micros) {
+    return Math.round(Number(micros || 0) / 10000) / 100;
   }
 
   analyzePerformanceMetrics(metrics) {
@@ -371,7 +490,7 @@ class PerformanceMonitorAgent {
       const metricData = analysis[metric];
       if (metricData.severity === 'critical') {
         alerts.push({
-          id: `alert_${Date.now()}_${metric}`,
+          id: `alert_${Date.now()}_${metric}_${Math.random().toString(36).substr(2, 9)}`,
           type: 'critical_performance',
           metric: metricData.metricName,
           message: `Critical: ${metricData.metricName} is ${metricData.status} (${metricData.current} vs target ${metricData.target})`,
@@ -386,7 +505,7 @@ class PerformanceMonitorAgent {
     // Budget alerts
     if (analysis.cpc && analysis.cpc.current > this.thresholds.maxCPC * 0.9) {
       alerts.push({
-        id: `alert_${Date.now()}_budget`,
+        id: `alert_${Date.now()}_budget_${Math.random().toString(36).substr(2, 9)}`,
         type: 'budget_warning',
         message: `CPC approaching maximum threshold (£${analysis.cpc.current} vs £${this.thresholds.maxCPC})`,
         severity: 'high',
@@ -396,9 +515,9 @@ class PerformanceMonitorAgent {
     }
 
     // Quality score alerts
-    if (analysis.qualityScore && analysis.qualityScore.current < 5) {
+    if (analysis.qualityScore && analysis.qualityScore.status !== 'no_data' && analysis.qualityScore.current < 5) {
       alerts.push({
-        id: `alert_${Date.now()}_quality`,
+        id: `alert_${Date.now()}_quality_${Math.random().toString(36).substr(2, 9)}`,
         type: 'quality_score',
         message: `Low quality score detected (${analysis.qualityScore.current}/10)`,
         severity: 'high',
@@ -408,16 +527,24 @@ class PerformanceMonitorAgent {
       });
     }
 
-    // Add alerts to history
-    this.alerts.push(...alerts);
+    // Add alerts to history and announce them, except a dry run's: they are
+    // only in its result
+    if (!this.approvalQueue.plan) {
+      this.alerts.push(...alerts);
+      alerts.forEach(alert => {
+        this.storage.alerts.save(alert);
+        this.emit('alert_raised', alert);
+      });
+    }
     
     return alerts;
   }
 
-  async executeAutomatedActions(analysis, campaignId) {
+  async executeAutomatedActions(analysis, campaignId, metrics = {}) {
     console.log(`[${this.name}] Executing automated actions...`);
     
     const actions = [];
+    const dailySpend = (metrics.cost || 0) / this.getDaysInRange(metrics.dateRange);
     
     // Auto-pause if performance is critically poor for multiple metrics
     const criticalMetrics = Object.keys(analysis).filter(
@@ -429,38 +556,98 @@ class PerformanceMonitorAgent {
         type: 'pause_campaign',
         campaignId: campaignId,
         reason: `Multiple critical performance issues: ${criticalMetrics.join(', ')}`,
-        timestamp: new Date().toISOString(),
-        executed: false // Would be true after actual execution
+        changes: [{
+          resource: 'campaigns',
+          resourceName: this.googleAdsClient.getResourceName('campaigns', campaignId),
+          field: 'status',
+          label: `Campaign ${campaignId}`,
+          before: 'ENABLED',
+          after: 'PAUSED'
+        }],
+        expectedImpact: {
+          summary: `Stops all spend (about £${dailySpend.toFixed(2)}/day) until the campaign is re-enabled`,
+          dailySpendChange: -Math.round(dailySpend * 100) / 100
+        },
+        timestamp: new Date().toISOString()
       });
     }
 
     // Auto-adjust bids if CPA is too high
     if (analysis.cpa && analysis.cpa.severity === 'critical') {
-      actions.push({
-        type: 'reduce_bids',
-        campaignId: campaignId,
-        reason: `CPA too high (£${analysis.cpa.current} vs target £${analysis.cpa.target})`,
-        adjustment: -0.20, // 20% reduction
-        timestamp: new Date().toISOString(),
-        executed: false
-      });
+      actions.push(this.buildBidAction('reduce_bids', campaignId, -0.20, // 20% reduction
+        `CPA too high (£${analysis.cpa.current} vs target £${analysis.cpa.target})`, metrics));
     }
 
     // Auto-increase bids if performance is excellent and under budget
     if (analysis.overallScore > 85 && analysis.cpa && analysis.cpa.status === 'excellent') {
-      actions.push({
-        type: 'increase_bids',
+      actions.push(this.buildBidAction('increase_bids', campaignId, 0.15, // 15% increase
+        'Excellent performance with low CPA - opportunity to scale', metrics));
+    }
+
+    // Nothing touches the account until the approval queue lets it through
+    for (const action of actions) {
+      if (action.changes.length === 0) {
+        action.status = 'not_applicable';
+        action.executed = false;
+        continue;
+      }
+
+      const approval = await this.approvalQueue.submit({
+        type: action.type,
         campaignId: campaignId,
-        reason: 'Excellent performance with low CPA - opportunity to scale',
-        adjustment: 0.15, // 15% increase
-        timestamp: new Date().toISOString(),
-        executed: false
+        source: 'performanceMonitor',
+        reason: action.reason,
+        changes: action.changes,
+        changePercent: action.adjustment !== undefined ? action.adjustment * 100 : null,
+        expectedImpact: action.expectedImpact
       });
+
+      action.approvalId = approval.id;
+      action.status = approval.status;
+      action.executed = approval.status === 'executed';
     }
 
     return actions;
   }
 
+  // Scale every reported keyword bid in the campaign by the same adjustment
+  buildBidAction(type, campaignId, adjustment, reason, metrics) {
+    const keywords = (metrics.keywords || []).filter(keyword => keyword.currentBid > 0);
+    const days = this.getDaysInRange(metrics.dateRange);
+
+    const changes = keywords.map(keyword => ({
+      resource: 'adGroupCriteria',
+      resourceName: this.googleAdsClient.getResourceName('adGroupCriteria', `${keyword.adGroupId}~${keyword.criterionId}`),
+      field: 'cpcBidMicros',
+      label: keyword.keyword,
+      before: keyword.currentBid,
+      after: Math.max(0.10, Math.round(keyword.currentBid * (1 + adjustment) * 100) / 100)
+    }));
+
+    // Assume spend moves roughly in line with the bid
+    const keywordDailySpend = keywords.reduce((sum, keyword) => sum + (keyword.cost || 0), 0) / days;
+    const dailySpendChange = Math.round(keywordDailySpend * adjustment * 100) / 100;
+
+    return {
+      type: type,
+      campaignId: campaignId,
+      reason: reason,
+      adjustment: adjustment,
+      changes: changes,
+      expectedImpact: {
+        summary: `${changes.length} keyword bids ${adjustment > 0 ? 'up' : 'down'} ${Math.abs(adjustment * 100)}%, spend about ${dailySpendChange >= 0 ? '+' : '-'}£${Math.abs(dailySpendChange).toFixed(2)}/day`,
+        dailySpendChange: dailySpendChange
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  getDaysInRange(dateRange) {
+    if (!dateRange) return 1;
+    const days = (new Date(dateRange.endDate) - new Date(dateRange.startDate)) / (24 * 60 * 60 * 1000) + 1;
+    return days > 0 ? days : 1;
+  }
+
   generateRecommendations(analysis) {
     const recommendations = [];
     
@@ -519,6 +706,7 @@ class PerformanceMonitorAgent {
 
   recordPerformanceHistory(campaignId, metrics, analysis) {
     const historyEntry = {
+      id: `perf_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       campaignId: campaignId,
       timestamp: new Date().toISOString(),
       metrics: metrics,
@@ -527,6 +715,7 @@ class PerformanceMonitorAgent {
     };
     
     this.performanceHistory.push(historyEntry);
+    this.storage.performanceHistory.save(historyEntry);
     
     // Keep only last 100 entries
     if (this.performanceHistory.length > 100) {
@@ -534,43 +723,11 @@ class PerformanceMonitorAgent {
     }
   }
 
-  // Method to start continuous monitoring
-  startContinuousMonitoring(campaignId, intervalMinutes = 5) {
-    if (this.monitoringActive) {
-      console.log(`[${this.name}] Monitoring already active`);
-      return;
-    }
-
-    this.monitoringActive = true;
-    console.log(`[${this.name}] Starting continuous monitoring every ${intervalMinutes} minutes`);
-
-    const monitoringInterval = setInterval(async () => {
-      if (!this.monitoringActive) {
-        clearInterval(monitoringInterval);
-        return;
-      }
-
-      try {
-        await this.monitorCampaign(campaignId);
-      } catch (error) {
-        console.error(`[${this.name}] Error in continuous monitoring:`, error.message);
-      }
-    }, intervalMinutes * 60 * 1000);
-
-    return monitoringInterval;
-  }
-
-  stopContinuousMonitoring() {
-    this.monitoringActive = false;
-    console.log(`[${this.name}] Continuous monitoring stopped`);
-  }
-
   getStatus() {
     return {
       agent: this.name,
       status: this.status,
       lastAction: this.lastAction,
-      monitoringActive: this.monitoringActive,
       performanceHistoryEntries: this.performanceHistory.length,
       activeAlerts: this.alerts.filter(alert => 
         new Date() - new Date(alert.timestamp) < 24 * 60 * 60 * 1000 // Last 24 hours
@@ -581,8 +738,33 @@ class PerformanceMonitorAgent {
 
   // Method to get recent alerts
   getRecentAlerts(hours = 24) {
-    const cutoffTime = new Date(Date.now() - hours * 60 * 60 * 1000);
-    return this.alerts.filter(alert => new Date(alert.timestamp) > cutoffTime);
+    return this.storage.alerts.findRecentAlerts(hours);
+  }
+
+  // Percentage change of each KPI between the last two monitoring runs
+  getKpiChanges() {
+    const [previous, latest] = this.performanceHistory.slice(-2);
+    if (!previous || !latest) return {};
+
+    const changes = {};
+    ['CTR', 'CPC', 'CPA', 'ROAS'].forEach(metric => {
+      const before = previous.metrics[metric];
+      const after = latest.metrics[metric];
+      changes[metric] = before > 0 ? Math.round(((after - before) / before) * 1000) / 10 : null;
+    });
+
+    return changes;
+  }
+
+  // Recent KPI data points for the dashboard chart
+  getPerformanceTrend(points = 7) {
+    return this.performanceHistory.slice(-points).map(entry => ({
+      timestamp: entry.timestamp,
+      CTR: entry.metrics.CTR,
+      CPC: entry.metrics.CPC,
+      CPA: entry.metrics.CPA,
+      ROAS: entry.metrics.ROAS
+    }));
   }
 
   // Method to get performance summary
@@ -1,15 +1,42 @@
-const config = require('../config/config');
+const BaseAgent = require('./BaseAgent');
+const { redact } = require('../secrets/redact');
+const { getStorage } = require('../storage');
+
+class ReportingAgent extends BaseAgent {
+  static capabilities = {
+    generateReport: {
+      description: 'Build a performance report with insights and recommendations',
+      inputs: ['campaign', 'performance', 'period', 'assets'],
+      summarize: report => ({
+        reportId: report.id,
+        overallScore: report.executiveSummary?.campaignHealth?.status,
+        insights: report.insights?.totalInsights || 0,
+        recommendations: report.recommendations?.totalRecommendations || 0
+      })
+    }
+  };
+  static events = ['report_generated'];
 
-class ReportingAgent {
-  constructor() {
+  constructor(options = {}) {
+    super(options);
     this.name = 'Reporting Agent';
-    this.status = 'idle';
-    this.lastAction = null;
-    this.reports = [];
+    this.storage = options.storage || getStorage();
+    this.reports = this.storage.reports.findRecent(50);
     this.dashboardData = {};
+
+    // Rebuild the dashboard from the last stored report after a restart
+    if (this.reports.length > 0) {
+      this.updateDashboardData(this.reports[this.reports.length - 1]);
+    }
   }
 
-  async generateReport(campaignData, performanceData, agentStatuses = {}) {
+  run(input, context) {
+    return this.generateReport(input.campaign || {}, input.performance || {}, context.agentStatuses, { period: input.period, assets: input.assets, dryRun: context.workflow.dryRun });
+  }
+
+  // options.period: 'daily' (default) or 'weekly'; options.assets: an asset review;
+  // options.dryRun returns the report without storing it or updating the dashboard
+  async generateReport(campaignData, performanceData, agentStatuses = {}, options = {}) {
     try {
       this.status = 'working';
       console.log(`[${this.name}] Generating comprehensive campaign report...`);
@@ -27,8 +54,8 @@ class ReportingAgent {
         campaignId: campaignData.id || 'unknown',
         reportType: 'comprehensive',
         generatedAt: new Date().toISOString(),
-        reportPeriod: this.getReportPeriod(),
-        businessInfo: config.campaignSettings.businessInfo,
+        reportPeriod: this.getReportPeriod(options.period),
+        businessInfo: this.profile.campaignSettings.businessInfo,
         
         // Main report sections
         executiveSummary: this.generateExecutiveSummary(performanceData, agentStatuses),
@@ -37,24 +64,35 @@ class ReportingAgent {
         agentActivity: agentActivityReport,
         insights: insightsReport,
         recommendations: recommendationsReport,
+        assetPerformance: options.assets ? this.generateAssetReport(options.assets) : null,
         
         // Additional data
-        rawData: {
+        // Inputs as received, minus any credentials, since reports are stored and exported
+        rawData: redact({
           campaignData: campaignData,
           performanceData: performanceData,
           agentStatuses: agentStatuses
-        }
+        })
       };
 
-      // Update dashboard data
-      this.updateDashboardData(comprehensiveReport);
+      if (!options.dryRun) {
+        // Update dashboard data
+        this.updateDashboardData(comprehensiveReport);
 
-      // Store report
-      this.reports.push(comprehensiveReport);
-      this.cleanupOldReports();
+        // Store report
+        this.reports.push(comprehensiveReport);
+        this.storage.reports.save(comprehensiveReport);
+        this.cleanupOldReports();
+      }
 
       this.status = 'completed';
       this.lastAction = `Generated comprehensive report for campaign ${campaignData.id}`;
+      this.emit('report_generated', {
+        reportId: comprehensiveReport.id,
+        campaignId: comprehensiveReport.campaignId,
+        period: comprehensiveReport.reportPeriod.type,
+        overallScore: performanceData.analysis?.overallScore
+      });
 
       console.log(`[${this.name}] Report generation completed`);
       console.log(`Report ID: ${comprehensiveReport.id}`);
@@ -89,7 +127,7 @@ class ReportingAgent {
       performanceHighlights: this.getPerformanceHighlights(analysis),
       criticalIssues: analysis.topIssues || [],
       agentStatus: this.getAgentStatusSummary(agentStatuses),
-      budgetUtilization: this.calculateBudgetUtilization(metrics.cost),
+      budgetUtilization: this.calculateBudgetUtilization(metrics.cost, this.getDaysInRange(metrics.dateRange)),
       nextActions: this.getNextActions(analysis, agentStatuses)
     };
   }
@@ -172,20 +210,20 @@ class ReportingAgent {
     return summary;
   }
 
-  calculateBudgetUtilization(currentSpend) {
-    const dailyBudget = config.campaignSettings.budgetDaily;
-    const monthlyBudget = config.campaignSettings.budgetMonthly;
+  calculateBudgetUtilization(totalSpend, days = 1) {
+    const dailyBudget = this.profile.campaignSettings.budgetDaily;
+    const monthlyBudget = this.profile.campaignSettings.budgetMonthly;
     
-    // Calculate daily utilization
+    // Spend covers the whole reporting range, so compare the daily average
+    const currentSpend = (totalSpend || 0) / days;
     const dailyUtilization = dailyBudget > 0 ? (currentSpend / dailyBudget) * 100 : 0;
     
     // Estimate monthly pace
-    const daysInMonth = new Date().getDate();
-    const estimatedMonthlySpend = (currentSpend / daysInMonth) * 30;
+    const estimatedMonthlySpend = currentSpend * 30;
     const monthlyPace = monthlyBudget > 0 ? (estimatedMonthlySpend / monthlyBudget) * 100 : 0;
 
     return {
-      dailySpend: `£${(currentSpend || 0).toFixed(2)}`,
+      dailySpend: `£${currentSpend.toFixed(2)}`,
       dailyBudget: `£${dailyBudget}`,
       dailyUtilization: `${dailyUtilization.toFixed(1)}%`,
       estimatedMonthlySpend: `£${estimatedMonthlySpend.toFixed(2)}`,
@@ -195,6 +233,12 @@ class ReportingAgent {
     };
   }
 
+  getDaysInRange(dateRange) {
+    if (!dateRange) return 1;
+    const days = (new Date(dateRange.endDate) - new Date(dateRange.startDate)) / (24 * 60 * 60 * 1000) + 1;
+    return days > 0 ? days : 1;
+  }
+
   getBudgetStatus(dailyUtil, monthlyPace) {
     if (dailyUtil > 120 || monthlyPace > 120) return 'overspend';
     if (dailyUtil > 90 || monthlyPace > 90) return 'on_track_high';
@@ -270,25 +314,25 @@ class ReportingAgent {
           value: `${(metrics.CTR || 0).toFixed(2)}%`,
           change: this.calculateChange('CTR', metrics.CTR),
           status: analysis.ctr?.status || 'unknown',
-          target: `${(config.kpiThresholds.minCTR * 100).toFixed(2)}%`
+          target: `${(this.profile.kpiThresholds.minCTR * 100).toFixed(2)}%`
         },
         cpc: {
           value: `£${(metrics.CPC || 0).toFixed(2)}`,
           change: this.calculateChange('CPC', metrics.CPC),
           status: analysis.cpc?.status || 'unknown',
-          target: `£${config.kpiThresholds.maxCPC}`
+          target: `£${this.profile.kpiThresholds.maxCPC}`
         },
         cpa: {
           value: `£${(metrics.CPA || 0).toFixed(2)}`,
           change: this.calculateChange('CPA', metrics.CPA),
           status: analysis.cpa?.status || 'unknown',
-          target: `£${config.kpiThresholds.maxCPA}`
+          target: `£${this.profile.kpiThresholds.maxCPA}`
         },
         roas: {
           value: `${(metrics.ROAS || 0).toFixed(2)}x`,
           change: this.calculateChange('ROAS', metrics.ROAS),
           status: analysis.roas?.status || 'unknown',
-          target: `${config.kpiThresholds.minROAS}x`
+          target: `${this.profile.kpiThresholds.minROAS}x`
         },
         conversions: {
           value: metrics.conversions || 0,
@@ -302,6 +346,8 @@ class ReportingAgent {
         }
       },
 
+      adGroups: this.generateAdGroupReport(campaignData, metrics),
+
       performanceAnalysis: analysis,
       
       timeSeriesData: this.generateTimeSeriesData(metrics),
@@ -310,9 +356,54 @@ class ReportingAgent {
     };
   }
 
+  // Ad groups the campaign was set up with, alongside those the account
+  // reports metrics for, matched by id
+  generateAdGroupReport(campaignData, metrics) {
+    const planned = campaignData.adGroups || [];
+    const reported = metrics.adGroups || [];
+    const ids = [...new Set([...planned.map(adGroup => String(adGroup.id)), ...reported.map(adGroup => String(adGroup.adGroupId))])];
+
+    return ids.map(id => {
+      const setup = planned.find(adGroup => String(adGroup.id) === id);
+      const performance = reported.find(adGroup => String(adGroup.adGroupId) === id);
+      return {
+        adGroupId: id,
+        name: performance?.name || setup.name,
+        service: setup?.service || null,
+        status: performance?.status || 'ENABLED',
+        defaultBid: setup ? setup.defaultBid : null,
+        keywords: setup ? setup.keywords.length : null,
+        impressions: performance?.impressions || 0,
+        clicks: performance?.clicks || 0,
+        cost: performance?.cost || 0,
+        conversions: performance?.conversions || 0,
+        CTR: performance?.CTR || 0,
+        CPA: performance?.CPA || 0,
+        qualityScore: performance?.qualityScore || null
+      };
+    });
+  }
+
+  // Totals by asset type plus the assets the review flagged
+  generateAssetReport(assetReview) {
+    return {
+      dateRange: assetReview.dateRange,
+      totalAssets: assetReview.assets.length,
+      byType: assetReview.byType,
+      flaggedAssets: assetReview.assets.filter(asset => asset.issues.length > 0).map(asset => ({
+        assetId: asset.assetId,
+        type: asset.type,
+        text: asset.text,
+        adGroup: asset.adGroup,
+        issues: asset.issues
+      })),
+      recommendations: assetReview.recommendations
+    };
+  }
+
   generateKPIReport(performanceData) {
     const analysis = performanceData.analysis || {};
-    const thresholds = config.kpiThresholds;
+    const thresholds = this.profile.kpiThresholds;
 
     return {
       kpiSummary: {
@@ -432,12 +523,12 @@ class ReportingAgent {
     }
 
     // Cost efficiency insights
-    if (metrics.CPA && metrics.CPA > config.kpiThresholds.maxCPA) {
+    if (metrics.CPA && metrics.CPA > this.profile.kpiThresholds.maxCPA) {
       insights.push({
         type: 'warning',
         category: 'cost_efficiency',
         title: 'High Cost Per Acquisition',
-        description: `CPA of £${metrics.CPA.toFixed(2)} exceeds target of £${config.kpiThresholds.maxCPA}`,
+        description: `CPA of £${metrics.CPA.toFixed(2)} exceeds target of £${this.profile.kpiThresholds.maxCPA}`,
         impact: 'high',
         actionable: true,
         suggestedActions: ['Optimize targeting', 'Improve landing pages', 'Reduce bids on low-performing keywords']
@@ -501,7 +592,7 @@ class ReportingAgent {
     }
 
     // Budget optimization recommendations
-    const budgetUtil = this.calculateBudgetUtilization(metrics.cost);
+    const budgetUtil = this.calculateBudgetUtilization(metrics.cost, this.getDaysInRange(metrics.dateRange));
     if (budgetUtil.status === 'underspend' && analysis.overallScore > 70) {
       recommendations.push({
         priority: 'medium',
@@ -715,19 +806,20 @@ class ReportingAgent {
     return improvements[issue.metric] || '+5-15%';
   }
 
-  getReportPeriod() {
+  getReportPeriod(period = 'daily') {
+    const days = period === 'weekly' ? 7 : 1;
     const now = new Date();
-    const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    const start = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
     return {
-      start: yesterday.toISOString().split('T')[0],
+      start: start.toISOString().split('T')[0],
       end: now.toISOString().split('T')[0],
-      type: 'daily'
+      type: period
     };
   }
 
   updateDashboardData(report) {
     this.dashboardData = {
-      lastUpdated: new Date().toISOString(),
+      lastUpdated: report.generatedAt,
       campaignStatus: report.executiveSummary.campaignHealth.status,
       KPIs: {
         CTR: report.executiveSummary.keyMetrics.currentCTR,
@@ -754,11 +846,12 @@ class ReportingAgent {
   }
 
   getRecentReports(limit = 10) {
-    return this.reports.slice(-limit).reverse();
+    return this.storage.reports.findRecent(limit).reverse();
   }
 
   getReportById(reportId) {
-    return this.reports.find(report => report.id === reportId);
+    // Older reports are no longer cached in memory but remain in storage
+    return this.reports.find(report => report.id === reportId) || this.storage.reports.findById(reportId);
   }
 
   exportReport(reportId, format = 'json') {
@@ -767,7 +860,7 @@ class ReportingAgent {
 
     switch (format) {
       case 'json':
-        return JSON.stringify(report, null, 2);
+        return JSON.stringify(redact(report), null, 2);
       case 'csv':
         return this.convertReportToCSV(report);
       default:
@@ -785,6 +878,23 @@ class ReportingAgent {
       csv += `${key},${metric.value},${metric.status || 'N/A'},${metric.target || 'N/A'}\n`;
     });
     
+    const adGroups = report.performanceOverview.adGroups || [];
+    if (adGroups.length > 0) {
+      csv += '\nAd Group,Impressions,Clicks,Cost,Conversions,CTR,CPA,Quality Score\n';
+      adGroups.forEach(adGroup => {
+        csv += `"${adGroup.name.replace(/"/g, '""')}",${adGroup.impressions},${adGroup.clicks},${adGroup.cost},${adGroup.conversions},${adGroup.CTR},${adGroup.CPA},${adGroup.qualityScore || 'N/A'}\n`;
+      });
+    }
+
+    const assetTypes = report.assetPerformance?.byType || {};
+    if (Object.keys(assetTypes).length > 0) {
+      csv += '\nAsset Type,Assets,Impressions,Clicks,Conversions,CTR\n';
+      Object.keys(assetTypes).forEach(type => {
+        const totals = assetTypes[type];
+        csv += `${type},${totals.count},${totals.impressions},${totals.clicks},${totals.conversions},${totals.CTR}\n`;
+      });
+    }
+
     return csv;
   }
 
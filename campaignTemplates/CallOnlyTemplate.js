@@ -0,0 +1,111 @@
+const SearchTemplate = require('./SearchTemplate');
+const GoogleAdsClient = require('../services/GoogleAdsClient');
+
+// Call ad limits
+const AD_LIMITS = { headline: 30, description: 90, path: 15, headlines: 2, descriptions: 2 };
+
+// Searches that mean someone needs help now
+const URGENT_MODIFIERS = ['emergency', '24 hour'];
+
+// A Search campaign of call ads for urgent needs: a tap on the ad rings the
+// business. Only the services answered around the clock
+// (adSchedule.emergencyServices) get an ad group, or every service when none
+// are listed, each with "emergency" and "24 hour" searches added.
+class CallOnlyTemplate extends SearchTemplate {
+  static id = 'callOnly';
+  static label = 'Call-only';
+
+  check() {
+    const { businessInfo = {} } = this.profile.campaignSettings;
+    const issues = this.checkBusinessInfo('for call ads: Google checks the phone number is shown on it');
+    if (!GoogleAdsClient.normalizePhoneNumber((businessInfo.phone || [])[0] || '')) {
+      issues.push({ severity: 'error', path: 'campaignSettings.businessInfo.phone[0]', message: 'is not a phone number Google Ads can call' });
+    }
+    return issues;
+  }
+
+  buildConfig(keywords) {
+    const emergencyServices = (this.profile.campaignSettings.adSchedule?.emergencyServices || []).map(service => service.toLowerCase().trim());
+    const adGroups = this.buildAdGroups(keywords);
+    const urgent = adGroups.filter(adGroup => adGroup.service && emergencyServices.includes(adGroup.service));
+
+    return {
+      adGroups: (urgent.length > 0 ? urgent : adGroups).map(adGroup => {
+        const texts = new Set(adGroup.keywords.map(keyword => keyword.keyword));
+        const urgentKeywords = adGroup.service
+          ? URGENT_MODIFIERS.map(modifier => `${modifier} ${adGroup.service}`).filter(text => !texts.has(text))
+          : [];
+        return { ...adGroup, keywords: [...adGroup.keywords, ...urgentKeywords.map(text => ({ keyword: text, matchType: 'PHRASE', bid: null }))] };
+      })
+    };
+  }
+
+  // A call ad for the first phone number. Calls are reported as conversions
+  // with the account's call conversion action.
+  buildAd(name, phrase) {
+    const { businessInfo = {}, region } = this.profile.campaignSettings;
+    const { keyMessages = [] } = this.profile.brandRules || {};
+    const number = GoogleAdsClient.normalizePhoneNumber((businessInfo.phone || [])[0] || '');
+    if (!businessInfo.website || !number) return null;
+
+    const businessName = this.getBusinessName();
+    const headlines = [...new Set([
+      region && `${name} ${region}`,
+      name,
+      ...keyMessages.map(message => this.toTitleCase(message)),
+      'Call Us Now'
+    ])].filter(this.fits(AD_LIMITS.headline)).slice(0, AD_LIMITS.headlines);
+
+    const descriptions = [
+      `${name} ${region ? `across ${region} ` : ''}from ${businessName}.`,
+      keyMessages.length > 0 && `${keyMessages.join(', ')}.`,
+      `Call now to speak to ${businessName}.`
+    ].filter(this.fits(AD_LIMITS.description)).slice(0, AD_LIMITS.descriptions);
+
+    if (headlines.length < AD_LIMITS.headlines || descriptions.length < AD_LIMITS.descriptions) {
+      console.log(`[${this.name}] Not enough ad text within the limits for ${name}; no ad created`);
+      return null;
+    }
+
+    const path1 = phrase && this.toPath(phrase);
+    const path2 = region && this.toPath(region);
+    return {
+      finalUrls: [businessInfo.website],
+      countryCode: number.countryCode,
+      phoneNumber: number.phoneNumber,
+      businessName: businessName,
+      headlines: headlines,
+      descriptions: descriptions,
+      path1: path1 && path1.length <= AD_LIMITS.path ? path1 : null,
+      path2: path1 && path2 && path2.length <= AD_LIMITS.path ? path2 : null
+    };
+  }
+
+  toAdResource(ad) {
+    return {
+      finalUrls: ad.finalUrls,
+      callAd: {
+        countryCode: ad.countryCode,
+        phoneNumber: ad.phoneNumber,
+        businessName: ad.businessName,
+        headline1: ad.headlines[0],
+        headline2: ad.headlines[1],
+        description1: ad.descriptions[0],
+        description2: ad.descriptions[1],
+        ...(ad.path1 ? { path1: ad.path1 } : {}),
+        ...(ad.path2 ? { path2: ad.path2 } : {}),
+        callTracked: true,
+        disableCallConversion: false,
+        conversionReportingState: 'USE_ACCOUNT_LEVEL_CALL_CONVERSION_ACTION',
+        phoneNumberVerificationUrl: ad.finalUrls[0]
+      }
+    };
+  }
+
+  describe(campaign) {
+    const ads = campaign.adGroups.filter(adGroup => adGroup.ad);
+    return `${super.describe(campaign)}; call ads to ${ads[0]?.ad.phoneNumber || 'none'}`;
+  }
+}
+
+module.exports = CallOnlyTemplate;
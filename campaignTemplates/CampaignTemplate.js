@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const GoogleAdsClient = require('../services/GoogleAdsClient');
+
+// Words that don't tell one service from another
+const STOP_WORDS = ['and', 'of', 'the', 'for', 'in', 'near', 'me'];
+
+// Share of the max CPC an ad group bids when nothing better is known
+const DEFAULT_BID_SHARE = 0.6;
+
+// The longest business name an ad or asset group can show; a company suffix
+// is dropped to fit ("2015 Security Services Ltd" -> "2015 Security Services")
+const BUSINESS_NAME_LIMIT = 25;
+const COMPANY_SUFFIX = /[\s,]+(ltd\.?|limited|llp|plc|inc\.?)$/i;
+
+// Image assets Google Ads accepts, and what each kind of image is for
+const IMAGE_TYPES = ['.png', '.jpg', '.jpeg', '.gif'];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const IMAGE_KINDS = {
+  landscapeImages: { fieldType: 'MARKETING_IMAGE', hint: '1.91:1 images, at least 600x314' },
+  squareImages: { fieldType: 'SQUARE_MARKETING_IMAGE', hint: '1:1 images, at least 300x300' },
+  logos: { fieldType: 'LOGO', hint: 'a 1:1 logo, at least 128x128' }
+};
+
+// What every campaign type has in common. A template checks the profile has
+// what its campaign type needs (check), builds what goes below the campaign
+// from the keywords (buildConfig), sets the campaign's bidding and networks
+// (getCampaignFields) and creates the ad groups or asset groups (create).
+class CampaignTemplate {
+  static id = null;
+  static label = null;
+  static campaignType = 'Search'; // The profile's campaignType this template sets up
+  static bidStrategy = 'TARGET_CPA';
+
+  constructor(profile) {
+    this.name = `${this.constructor.label} Template`;
+    this.profile = profile;
+  }
+
+  // { severity, path, message } for everything the profile is missing for this campaign type
+  check() {
+    return [];
+  }
+
+  validate() {
+    const errors = this.check().filter(issue => issue.severity === 'error');
+    if (errors.length > 0) {
+      throw new Error(`The ${this.constructor.id} campaign template can't be used: ${errors.map(issue => `${issue.path} ${issue.message}`).join('; ')}`);
+    }
+  }
+
+  buildConfig(keywords) {
+    return {};
+  }
+
+  getCampaignFields(campaignConfig) {
+    return {
+      targetCpa: {
+        targetCpaMicros: GoogleAdsClient.toMicros(campaignConfig.targetCPA)
+      },
+      networkSettings: {
+        targetGoogleSearch: true,
+        targetSearchNetwork: true,
+        targetContentNetwork: false
+      }
+    };
+  }
+
+  // What was created below the campaign, merged into the setup's response
+  async create(client, campaignConfig, campaignResourceName, idempotencyKey = null) {
+    return {};
+  }
+
+  // A line for the setup log
+  describe(campaign) {
+    return `Ad groups: ${campaign.adGroups.map(adGroup => `${adGroup.name} (${adGroup.keywords.length} keywords)`).join(', ') || 'none'}`;
+  }
+
+  // Ad text within the limit and without a prohibited term
+  fits(limit) {
+    const { prohibitedTerms = [] } = this.profile.brandRules || {};
+    return text => Boolean(text) && text.length <= limit &&
+      !prohibitedTerms.some(term => text.toLowerCase().includes(term.toLowerCase()));
+  }
+
+  getBusinessName() {
+    const { name = '' } = this.profile.campaignSettings.businessInfo || {};
+    return name.length > BUSINESS_NAME_LIMIT ? name.replace(COMPANY_SUFFIX, '') : name;
+  }
+
+  getDefaultBid() {
+    return this.roundToPence(this.profile.kpiThresholds.maxCPC * DEFAULT_BID_SHARE);
+  }
+
+  // Problems with the business details ads are built from
+  checkBusinessInfo(purpose) {
+    const { businessInfo = {} } = this.profile.campaignSettings;
+    const issues = [];
+    if (!businessInfo.website) {
+      issues.push({ severity: 'error', path: 'campaignSettings.businessInfo.website', message: `is required ${purpose}` });
+    }
+    if (this.getBusinessName().length > BUSINESS_NAME_LIMIT) {
+      issues.push({ severity: 'error', path: 'campaignSettings.businessInfo.name', message: `is over ${BUSINESS_NAME_LIMIT} characters, the longest business name an ad can show` });
+    }
+    return issues;
+  }
+
+  // Images listed in campaignSettings.brandAssets, by kind; paths are relative
+  // to the working directory like the other paths in the settings
+  checkImages(requiredKinds, optionalKinds = []) {
+    const brandAssets = this.profile.campaignSettings.brandAssets || {};
+    const issues = [];
+
+    [...requiredKinds, ...optionalKinds].forEach(kind => {
+      const files = brandAssets[kind] || [];
+      if (files.length === 0 && requiredKinds.includes(kind)) {
+        issues.push({ severity: 'error', path: `campaignSettings.brandAssets.${kind}`, message: `is required for ${this.constructor.label} campaigns (${IMAGE_KINDS[kind].hint})` });
+      }
+
+      files.forEach((file, index) => {
+        const issuePath = `campaignSettings.brandAssets.${kind}[${index}]`;
+        if (!IMAGE_TYPES.includes(path.extname(file).toLowerCase())) {
+          issues.push({ severity: 'error', path: issuePath, message: `"${file}" must be a ${IMAGE_TYPES.join(', ')} image` });
+        } else if (!fs.existsSync(path.resolve(file))) {
+          issues.push({ severity: 'error', path: issuePath, message: `"${file}" doesn't exist` });
+        } else if (fs.statSync(path.resolve(file)).size > MAX_IMAGE_BYTES) {
+          issues.push({ severity: 'error', path: issuePath, message: `"${file}" is over ${MAX_IMAGE_BYTES / 1024 / 1024}MB, the largest image Google Ads accepts` });
+        }
+      });
+    });
+
+    return issues;
+  }
+
+  // { kind, fieldType, file } for each image of the given kinds
+  buildImages(kinds) {
+    const brandAssets = this.profile.campaignSettings.brandAssets || {};
+    return kinds.flatMap(kind => (brandAssets[kind] || []).map(file => ({ kind, fieldType: IMAGE_KINDS[kind].fieldType, file })));
+  }
+
+  // The create operation for an image asset; the file is read when it is sent
+  toImageAsset(image, campaignName) {
+    return {
+      name: `${campaignName} - ${path.basename(image.file)}`,
+      type: 'IMAGE',
+      imageAsset: { data: fs.readFileSync(path.resolve(image.file)).toString('base64') }
+    };
+  }
+
+  getWords(text) {
+    return text.toLowerCase().split(/[^a-z0-9]+/).filter(word => word && !STOP_WORDS.includes(word));
+  }
+
+  // Stop words and the words of e.g. the business type, which every service shares
+  getGenericWords(text) {
+    return new Set([...STOP_WORDS, ...this.getWords(text)]);
+  }
+
+  // Enough to match "patrols" with "patrol"
+  stem(word) {
+    return word.length > 3 ? word.replace(/s$/, '') : word;
+  }
+
+  toTitleCase(text) {
+    return text.split(/\s+/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  }
+
+  toPath(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  roundToPence(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+module.exports = CampaignTemplate;
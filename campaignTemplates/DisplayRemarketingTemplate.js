@@ -0,0 +1,157 @@
+const CampaignTemplate = require('./CampaignTemplate');
+const GoogleAdsClient = require('../services/GoogleAdsClient');
+
+// Responsive display ad limits
+const AD_LIMITS = { headline: 30, headlines: 5, longHeadline: 90, description: 90, descriptions: 5 };
+
+// A Display campaign shown only to the people on a remarketing list
+// (campaignSettings.remarketing.userList, e.g. the site's visitors from the
+// Google tag), with one responsive display ad built from the business info and
+// the images in campaignSettings.brandAssets
+class DisplayRemarketingTemplate extends CampaignTemplate {
+  static id = 'displayRemarketing';
+  static label = 'Display remarketing';
+  static campaignType = 'Display';
+
+  check() {
+    const issues = [
+      ...this.checkBusinessInfo('as the display ad\'s final URL'),
+      ...this.checkImages(['landscapeImages', 'squareImages'], ['logos'])
+    ];
+
+    if (!this.profile.campaignSettings.remarketing?.userList) {
+      issues.push({ severity: 'error', path: 'campaignSettings.remarketing.userList', message: 'is required for Display remarketing: the id of a remarketing list, e.g. the site\'s visitors (Tools > Audience manager in Google Ads)' });
+    }
+
+    const ad = this.buildAd();
+    if (ad.headlines.length === 0 || !ad.longHeadline || ad.descriptions.length === 0) {
+      issues.push({ severity: 'error', path: 'brandRules.keyMessages', message: 'don\'t give a headline, long headline and description within the display ad limits' });
+    }
+    return issues;
+  }
+
+  buildConfig(keywords) {
+    const { userList } = this.profile.campaignSettings.remarketing || {};
+    return {
+      adGroups: [{
+        name: 'Remarketing - Site Visitors',
+        service: null,
+        defaultBid: this.getDefaultBid(),
+        keywords: [],
+        negativeKeywords: [],
+        userList: String(userList),
+        ad: this.buildAd()
+      }]
+    };
+  }
+
+  // Lines over the limits or using a prohibited term are left out
+  buildAd() {
+    const { businessInfo = {}, region, businessType = '', services = [] } = this.profile.campaignSettings;
+    const { keyMessages = [] } = this.profile.brandRules || {};
+    const businessName = this.getBusinessName();
+
+    const headlines = [...new Set([
+      businessName,
+      region && `${businessType} ${region}`,
+      ...keyMessages.map(message => this.toTitleCase(message)),
+      'Request a Quote Today'
+    ])].filter(this.fits(AD_LIMITS.headline)).slice(0, AD_LIMITS.headlines);
+
+    const longHeadline = [
+      `${businessType} ${region ? `across ${region} ` : ''}from ${businessName}`,
+      keyMessages.length > 0 && `${businessName}: ${keyMessages.join(', ')}`
+    ].find(this.fits(AD_LIMITS.longHeadline)) || null;
+
+    const descriptions = [
+      `Still looking for ${businessType.toLowerCase()}? Speak to ${businessName} today.`,
+      keyMessages.length > 0 && `${keyMessages.join(', ')}.`,
+      services.length > 0 && `${services.map(service => this.toTitleCase(service)).join(', ')}.`
+    ].filter(this.fits(AD_LIMITS.description)).slice(0, AD_LIMITS.descriptions);
+
+    return {
+      finalUrls: [businessInfo.website],
+      businessName: businessName,
+      headlines: headlines,
+      longHeadline: longHeadline,
+      descriptions: descriptions,
+      images: this.buildImages(['landscapeImages', 'squareImages', 'logos'])
+    };
+  }
+
+  getCampaignFields(campaignConfig) {
+    return {
+      ...super.getCampaignFields(campaignConfig),
+      networkSettings: {
+        targetGoogleSearch: false,
+        targetSearchNetwork: false,
+        targetContentNetwork: true
+      }
+    };
+  }
+
+  // Images, then the ad group targeting (not just observing) the list, then its ad
+  async create(client, campaignConfig, campaignResourceName, idempotencyKey = null) {
+    const [adGroup] = campaignConfig.adGroups;
+    const key = suffix => idempotencyKey && `${idempotencyKey}:${suffix}`;
+
+    const imageResponse = await client.mutateAssets(
+      adGroup.ad.images.map(image => ({ create: this.toImageAsset(image, campaignConfig.name) })),
+      { idempotencyKey: key('assets') }
+    );
+    const imagesOfKind = kind => adGroup.ad.images
+      .map((image, index) => ({ kind: image.kind, asset: imageResponse.results[index].resourceName }))
+      .filter(image => image.kind === kind)
+      .map(image => ({ asset: image.asset }));
+
+    const adGroupResponse = await client.mutateAdGroups([{
+      create: {
+        name: adGroup.name,
+        campaign: campaignResourceName,
+        status: 'ENABLED',
+        type: 'DISPLAY_STANDARD',
+        cpcBidMicros: GoogleAdsClient.toMicros(adGroup.defaultBid),
+        targetingSetting: { targetRestrictions: [{ targetingDimension: 'AUDIENCE', bidOnly: false }] }
+      }
+    }], { idempotencyKey: key('adGroups') });
+    const adGroupResourceName = adGroupResponse.results[0].resourceName;
+
+    await client.mutateAdGroupCriteria([{
+      create: {
+        adGroup: adGroupResourceName,
+        status: 'ENABLED',
+        userList: { userList: client.getResourceName('userLists', adGroup.userList) }
+      }
+    }], { idempotencyKey: key('adGroupCriteria') });
+
+    await client.mutateAdGroupAds([{
+      create: {
+        adGroup: adGroupResourceName,
+        status: 'ENABLED',
+        ad: {
+          finalUrls: adGroup.ad.finalUrls,
+          responsiveDisplayAd: {
+            marketingImages: imagesOfKind('landscapeImages'),
+            squareMarketingImages: imagesOfKind('squareImages'),
+            logoImages: imagesOfKind('logos'),
+            headlines: adGroup.ad.headlines.map(text => ({ text })),
+            longHeadline: { text: adGroup.ad.longHeadline },
+            descriptions: adGroup.ad.descriptions.map(text => ({ text })),
+            businessName: adGroup.ad.businessName
+          }
+        }
+      }
+    }], { idempotencyKey: key('adGroupAds') });
+
+    console.log(`[${this.name}] Created ad group ${adGroup.name} for user list ${adGroup.userList} with a responsive display ad and ${adGroup.ad.images.length} images`);
+    return {
+      adGroups: [{ id: GoogleAdsClient.getIdFromResourceName(adGroupResourceName), resourceName: adGroupResourceName, ...adGroup }]
+    };
+  }
+
+  describe(campaign) {
+    return `Ad groups: ${campaign.adGroups.map(adGroup => `${adGroup.name} (user list ${adGroup.userList})`).join(', ')}`;
+  }
+}
+
+module.exports = DisplayRemarketingTemplate;
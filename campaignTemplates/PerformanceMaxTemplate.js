@@ -0,0 +1,182 @@
+const CampaignTemplate = require('./CampaignTemplate');
+const GoogleAdsClient = require('../services/GoogleAdsClient');
+
+// Asset group limits; at least one description must fit in the short length
+const ASSET_LIMITS = {
+  headline: 30, headlines: 15, minHeadlines: 3,
+  longHeadline: 90, longHeadlines: 5, minLongHeadlines: 1,
+  description: 90, shortDescription: 60, descriptions: 5, minDescriptions: 2,
+  searchTheme: 80, searchThemes: 25
+};
+
+// A Performance Max campaign maximising conversions at the target CPA, with
+// one asset group for the business: text from the business info and brand
+// rules, images from campaignSettings.brandAssets, and as signals the keywords
+// as search themes plus a custom audience of the services and interests.
+class PerformanceMaxTemplate extends CampaignTemplate {
+  static id = 'performanceMax';
+  static label = 'Performance Max';
+  static campaignType = 'Performance Max';
+  static bidStrategy = 'MAXIMIZE_CONVERSIONS';
+
+  check() {
+    const issues = [
+      ...this.checkBusinessInfo('as the asset group\'s final URL'),
+      ...this.checkImages(['landscapeImages', 'squareImages', 'logos'])
+    ];
+
+    const texts = this.buildTexts();
+    if (texts.headlines.length < ASSET_LIMITS.minHeadlines || texts.longHeadlines.length < ASSET_LIMITS.minLongHeadlines ||
+        texts.descriptions.length < ASSET_LIMITS.minDescriptions || !texts.descriptions.some(text => text.length <= ASSET_LIMITS.shortDescription)) {
+      issues.push({
+        severity: 'error',
+        path: 'brandRules.keyMessages',
+        message: `don't give enough asset text within the limits (${texts.headlines.length} headlines, ${texts.longHeadlines.length} long headlines and ${texts.descriptions.length} descriptions; ` +
+          `${ASSET_LIMITS.minHeadlines}, ${ASSET_LIMITS.minLongHeadlines} and ${ASSET_LIMITS.minDescriptions} are needed, one description up to ${ASSET_LIMITS.shortDescription} characters)`
+      });
+    }
+    return issues;
+  }
+
+  // Lines over the limits or using a prohibited term are left out
+  buildTexts() {
+    const { region, businessType = '', services = [] } = this.profile.campaignSettings;
+    const { keyMessages = [] } = this.profile.brandRules || {};
+    const businessName = this.getBusinessName();
+    const serviceTitles = services.map(service => this.toTitleCase(service));
+
+    const headlines = [...new Set([
+      businessName,
+      region && `${businessType} ${region}`,
+      ...serviceTitles,
+      ...keyMessages.map(message => this.toTitleCase(message)),
+      'Request a Quote Today'
+    ])].filter(this.fits(ASSET_LIMITS.headline)).slice(0, ASSET_LIMITS.headlines);
+
+    const longHeadlines = [
+      `${businessType} ${region ? `across ${region} ` : ''}from ${businessName}`,
+      keyMessages.length > 0 && `${businessName}: ${keyMessages.join(', ')}`,
+      serviceTitles.length > 1 && `${serviceTitles.slice(0, 3).join(', ')} and more`
+    ].filter(this.fits(ASSET_LIMITS.longHeadline)).slice(0, ASSET_LIMITS.longHeadlines);
+
+    const descriptions = [
+      `Speak to ${businessName} about what you need today.`,
+      keyMessages.length > 0 && `${keyMessages.join(', ')}.`,
+      `${serviceTitles.join(', ')}${region ? ` across ${region}` : ''}.`,
+      `${businessType} ${region ? `across ${region} ` : ''}from ${businessName}.`
+    ].filter(this.fits(ASSET_LIMITS.description)).slice(0, ASSET_LIMITS.descriptions);
+
+    return { headlines, longHeadlines, descriptions };
+  }
+
+  buildConfig(keywords) {
+    const { businessInfo = {}, region, businessType = '', services = [], interests = [] } = this.profile.campaignSettings;
+    const toPhrases = texts => [...new Set(texts.map(text => text.toLowerCase().trim()))].filter(text => text && text.length <= ASSET_LIMITS.searchTheme);
+
+    return {
+      assetGroup: {
+        name: `${this.toTitleCase(businessType)}${region ? ` - ${region}` : ''}`,
+        finalUrls: [businessInfo.website],
+        businessName: this.getBusinessName(),
+        ...this.buildTexts(),
+        images: this.buildImages(['landscapeImages', 'squareImages', 'logos']),
+        searchThemes: toPhrases(keywords.map(keyword => keyword.text)).slice(0, ASSET_LIMITS.searchThemes),
+        audienceKeywords: toPhrases([...services, ...interests])
+      }
+    };
+  }
+
+  getCampaignFields(campaignConfig) {
+    return {
+      maximizeConversions: {
+        targetCpaMicros: GoogleAdsClient.toMicros(campaignConfig.targetCPA)
+      }
+    };
+  }
+
+  // The audience signal first, then the asset group, its assets and signals in
+  // one request: Google Ads rejects an asset group without its required assets
+  async create(client, campaignConfig, campaignResourceName, idempotencyKey = null) {
+    const { assetGroup } = campaignConfig;
+    const key = suffix => idempotencyKey && `${idempotencyKey}:${suffix}`;
+
+    const customAudienceResponse = await client.mutateCustomAudiences([{
+      create: {
+        name: `${campaignConfig.name} audience`,
+        type: 'AUTO',
+        status: 'ENABLED',
+        members: assetGroup.audienceKeywords.map(keyword => ({ memberType: 'KEYWORD', keyword }))
+      }
+    }], { idempotencyKey: key('customAudience') });
+    const audienceResponse = await client.mutateAudiences([{
+      create: {
+        name: `${campaignConfig.name} audience`,
+        dimensions: [{
+          audienceSegments: { segments: [{ customAudience: { customAudience: customAudienceResponse.results[0].resourceName } }] }
+        }]
+      }
+    }], { idempotencyKey: key('audience') });
+    const audienceResourceName = audienceResponse.results[0].resourceName;
+
+    // Text used twice (a headline that is also the business name) is one asset
+    let nextTemporaryId = -1;
+    const assetGroupResourceName = client.getResourceName('assetGroups', nextTemporaryId--);
+    const assets = [];
+    const addAsset = (content, create) => {
+      let asset = assets.find(existing => existing.content === content);
+      if (!asset) {
+        asset = { content, create: { resourceName: client.getResourceName('assets', nextTemporaryId--), ...create } };
+        assets.push(asset);
+      }
+      return asset.create.resourceName;
+    };
+    const links = [
+      ...assetGroup.headlines.map(text => ({ fieldType: 'HEADLINE', text })),
+      ...assetGroup.longHeadlines.map(text => ({ fieldType: 'LONG_HEADLINE', text })),
+      ...assetGroup.descriptions.map(text => ({ fieldType: 'DESCRIPTION', text })),
+      { fieldType: 'BUSINESS_NAME', text: assetGroup.businessName }
+    ].map(({ fieldType, text }) => ({ fieldType, asset: addAsset(`text:${text}`, { textAsset: { text } }) }));
+    assetGroup.images.forEach(image => links.push({ fieldType: image.fieldType, asset: addAsset(`image:${image.file}`, this.toImageAsset(image, campaignConfig.name)) }));
+
+    const signals = [
+      ...assetGroup.searchThemes.map(text => ({ searchTheme: { text } })),
+      { audience: { audience: audienceResourceName } }
+    ];
+
+    const response = await client.mutateAll([
+      ...assets.map(asset => ({ assetOperation: { create: asset.create } })),
+      {
+        assetGroupOperation: {
+          create: {
+            resourceName: assetGroupResourceName,
+            name: assetGroup.name,
+            campaign: campaignResourceName,
+            finalUrls: assetGroup.finalUrls,
+            status: 'ENABLED'
+          }
+        }
+      },
+      ...links.map(link => ({ assetGroupAssetOperation: { create: { assetGroup: assetGroupResourceName, ...link } } })),
+      ...signals.map(signal => ({ assetGroupSignalOperation: { create: { assetGroup: assetGroupResourceName, ...signal } } }))
+    ], { idempotencyKey: key('assetGroup') });
+    const createdResourceName = response.mutateOperationResponses[assets.length].assetGroupResult.resourceName;
+
+    console.log(`[${this.name}] Created asset group ${assetGroup.name} with ${links.length} assets and ${signals.length} signals`);
+    return {
+      assetGroups: [{
+        id: GoogleAdsClient.getIdFromResourceName(createdResourceName),
+        resourceName: createdResourceName,
+        ...assetGroup,
+        audience: audienceResourceName
+      }]
+    };
+  }
+
+  describe(campaign) {
+    return `Asset groups: ${campaign.assetGroups.map(assetGroup => `${assetGroup.name} (${assetGroup.headlines.length} headlines, ` +
+      `${assetGroup.descriptions.length} descriptions, ${assetGroup.images.length} images, ${assetGroup.searchThemes.length} search themes, ` +
+      `audience of ${assetGroup.audienceKeywords.length} interests)`).join(', ')}`;
+  }
+}
+
+module.exports = PerformanceMaxTemplate;
@@ -0,0 +1,200 @@
+const CampaignTemplate = require('./CampaignTemplate');
+const GoogleAdsClient = require('../services/GoogleAdsClient');
+
+// Responsive search ad limits
+const AD_LIMITS = { headline: 30, description: 90, path: 15, headlines: 15, descriptions: 4, minHeadlines: 3, minDescriptions: 2 };
+
+// A Search campaign bidding to the target CPA, with an ad group per service
+class SearchTemplate extends CampaignTemplate {
+  static id = 'search';
+  static label = 'Search';
+
+  buildConfig(keywords) {
+    return { adGroups: this.buildAdGroups(keywords) };
+  }
+
+  async create(client, campaignConfig, campaignResourceName, idempotencyKey = null) {
+    return { adGroups: await this.createAdGroups(client, campaignConfig.adGroups, campaignResourceName, idempotencyKey) };
+  }
+
+  // One ad group per service, named after it, plus a general one for keywords
+  // no service claims. A service is known by the words that set it apart
+  // ("construction site" in "construction site security" for a security
+  // business); a keyword joins the service whose words it shares most, and each
+  // group has the other services' words as negatives so a search is served by
+  // the group written for it.
+  buildAdGroups(keywords) {
+    const { services = [], businessType, region } = this.profile.campaignSettings;
+    const genericWords = this.getGenericWords(businessType || '');
+
+    const themes = [];
+    [...new Set(services.map(service => service.toLowerCase().trim()))].forEach(service => {
+      const words = service.split(/\s+/);
+      while (words.length > 0 && genericWords.has(words[words.length - 1])) words.pop();
+      while (words.length > 0 && genericWords.has(words[0])) words.shift();
+      const terms = this.getWords(words.join(' ')).filter(word => !genericWords.has(word));
+      if (terms.length > 0) themes.push({ service, title: this.toTitleCase(service), phrase: words.join(' '), terms, keywords: [] });
+    });
+
+    const general = { service: null, title: this.toTitleCase(businessType || 'General'), phrase: null, terms: [], keywords: [] };
+    keywords.forEach(keyword => {
+      const words = new Set(this.getWords(keyword.text).map(word => this.stem(word)));
+      let best = null;
+      let bestScore = 0;
+      themes.forEach(theme => {
+        const matches = theme.terms.filter(term => words.has(this.stem(term))).length;
+        const score = matches + matches / theme.terms.length; // Ties go to the service matched most completely
+        if (matches > 0 && score > bestScore) {
+          best = theme;
+          bestScore = score;
+        }
+      });
+      (best || general).keywords.push(keyword);
+    });
+
+    // A service without researched keywords still gets its own name to match on
+    themes.filter(theme => theme.keywords.length === 0).forEach(theme => {
+      theme.keywords.push({ text: theme.service, matchType: 'PHRASE', suggestedBid: null });
+      if (region) theme.keywords.push({ text: `${theme.service} ${region.toLowerCase()}`, matchType: 'EXACT', suggestedBid: null });
+    });
+
+    const adGroups = themes.map(theme => this.buildAdGroup(
+      theme.title,
+      theme,
+      themes.filter(other => other !== theme && !theme.keywords.some(keyword => keyword.text.includes(other.phrase))).map(other => other.phrase)
+    ));
+    if (general.keywords.length > 0) {
+      adGroups.push(this.buildAdGroup(`${general.title} - General`, general, themes.map(theme => theme.phrase)));
+    }
+    return adGroups;
+  }
+
+  // The default bid is the median suggested bid of the group's keywords, within
+  // the max CPC; keywords whose suggestion differs bid their own
+  buildAdGroup(name, theme, negativeKeywords) {
+    const { maxCPC } = this.profile.kpiThresholds;
+    const bids = theme.keywords.map(keyword => keyword.suggestedBid).filter(bid => bid > 0).sort((a, b) => a - b);
+    const median = bids.length > 0 ? (bids[Math.floor((bids.length - 1) / 2)] + bids[Math.ceil((bids.length - 1) / 2)]) / 2 : this.getDefaultBid();
+    const defaultBid = this.roundToPence(Math.min(median, maxCPC));
+
+    return {
+      name: name,
+      service: theme.service,
+      defaultBid: defaultBid,
+      keywords: theme.keywords.map(keyword => {
+        const bid = keyword.suggestedBid ? this.roundToPence(Math.min(keyword.suggestedBid, maxCPC)) : null;
+        return { keyword: keyword.text, matchType: keyword.matchType, bid: bid !== defaultBid ? bid : null };
+      }),
+      negativeKeywords: negativeKeywords,
+      ad: this.buildAd(theme.title, theme.phrase)
+    };
+  }
+
+  // A responsive search ad about the group's service. Lines over the length
+  // limits or using a prohibited term are left out; without enough lines, or a
+  // website to link to, the group gets no ad.
+  buildAd(name, phrase) {
+    const { businessInfo = {}, region } = this.profile.campaignSettings;
+    const { keyMessages = [] } = this.profile.brandRules || {};
+    if (!businessInfo.website) return null;
+
+    const phone = businessInfo.phone;
+
+    const headlines = [...new Set([
+      name,
+      region && `${name} ${region}`,
+      region && `${region} ${name}`,
+      ...keyMessages.map(message => this.toTitleCase(message)),
+      businessInfo.name,
+      phone && `Call ${phone}`,
+      'Request a Quote Today'
+    ])].filter(this.fits(AD_LIMITS.headline)).slice(0, AD_LIMITS.headlines);
+
+    const descriptions = [
+      `${name} ${region ? `across ${region} ` : ''}from ${businessInfo.name}.`,
+      keyMessages.length > 0 && `${keyMessages.join(', ')}.`,
+      phone && `Call ${phone} to discuss what you need and get a quote.`,
+      `Speak to ${businessInfo.name} about ${name.toLowerCase()} today.`
+    ].filter(this.fits(AD_LIMITS.description)).slice(0, AD_LIMITS.descriptions);
+
+    if (headlines.length < AD_LIMITS.minHeadlines || descriptions.length < AD_LIMITS.minDescriptions) {
+      console.log(`[${this.name}] Not enough ad text within the limits for ${name}; no ad created`);
+      return null;
+    }
+
+    const path1 = phrase && this.toPath(phrase);
+    const path2 = region && this.toPath(region);
+    return {
+      finalUrls: [businessInfo.website],
+      headlines: headlines,
+      descriptions: descriptions,
+      path1: path1 && path1.length <= AD_LIMITS.path ? path1 : null,
+      path2: path1 && path2 && path2.length <= AD_LIMITS.path ? path2 : null
+    };
+  }
+
+  // The ad field of an ad group ad create operation
+  toAdResource(ad) {
+    return {
+      finalUrls: ad.finalUrls,
+      responsiveSearchAd: {
+        headlines: ad.headlines.map(text => ({ text })),
+        descriptions: ad.descriptions.map(text => ({ text })),
+        ...(ad.path1 ? { path1: ad.path1 } : {}),
+        ...(ad.path2 ? { path2: ad.path2 } : {})
+      }
+    };
+  }
+
+  // Ad groups, then their keywords and negatives, then their ads; each batch
+  // has its own idempotency key so a resumed setup picks up where it stopped
+  async createAdGroups(client, adGroups, campaignResourceName, idempotencyKey = null) {
+    if (adGroups.length === 0) return [];
+    const key = suffix => idempotencyKey && `${idempotencyKey}:${suffix}`;
+
+    const adGroupResponse = await client.mutateAdGroups(adGroups.map(adGroup => ({
+      create: {
+        name: adGroup.name,
+        campaign: campaignResourceName,
+        status: 'ENABLED',
+        type: 'SEARCH_STANDARD',
+        cpcBidMicros: GoogleAdsClient.toMicros(adGroup.defaultBid)
+      }
+    })), { idempotencyKey: key('adGroups') });
+    const created = adGroups.map((adGroup, index) => {
+      const adGroupResourceName = adGroupResponse.results[index].resourceName;
+      return { id: GoogleAdsClient.getIdFromResourceName(adGroupResourceName), resourceName: adGroupResourceName, ...adGroup };
+    });
+
+    const criteria = created.flatMap(adGroup => [
+      ...adGroup.keywords.map(keyword => ({
+        create: {
+          adGroup: adGroup.resourceName,
+          status: 'ENABLED',
+          keyword: { text: keyword.keyword, matchType: keyword.matchType },
+          ...(keyword.bid ? { cpcBidMicros: GoogleAdsClient.toMicros(keyword.bid) } : {})
+        }
+      })),
+      ...adGroup.negativeKeywords.map(text => ({
+        create: { adGroup: adGroup.resourceName, negative: true, keyword: { text, matchType: 'PHRASE' } }
+      }))
+    ]);
+    await client.mutateAdGroupCriteria(criteria, { idempotencyKey: key('adGroupCriteria') });
+
+    const withAds = created.filter(adGroup => adGroup.ad);
+    if (withAds.length > 0) {
+      await client.mutateAdGroupAds(withAds.map(adGroup => ({
+        create: {
+          adGroup: adGroup.resourceName,
+          status: 'ENABLED',
+          ad: this.toAdResource(adGroup.ad)
+        }
+      })), { idempotencyKey: key('adGroupAds') });
+    }
+
+    console.log(`[${this.name}] Created ${created.length} ad groups, ${criteria.length} keywords and negatives, ${withAds.length} ads`);
+    return created;
+  }
+}
+
+module.exports = SearchTemplate;
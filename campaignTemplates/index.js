@@ -0,0 +1,33 @@
+const SearchTemplate = require('./SearchTemplate');
+const CallOnlyTemplate = require('./CallOnlyTemplate');
+const PerformanceMaxTemplate = require('./PerformanceMaxTemplate');
+const DisplayRemarketingTemplate = require('./DisplayRemarketingTemplate');
+
+// Campaign templates by the id a workflow's setupCampaign step chooses (inputs.template)
+const TEMPLATES = {
+  search: SearchTemplate,
+  callOnly: CallOnlyTemplate,
+  performanceMax: PerformanceMaxTemplate,
+  displayRemarketing: DisplayRemarketingTemplate
+};
+
+// The template used when a step doesn't choose one, by the profile's campaignType
+const DEFAULT_TEMPLATES = {
+  'Search': 'search',
+  'Performance Max': 'performanceMax',
+  'Display': 'displayRemarketing'
+};
+
+function createTemplate(id, profile) {
+  const Template = TEMPLATES[id];
+  if (!Template) {
+    throw new Error(`Unknown campaign template: ${id} (use ${Object.keys(TEMPLATES).join(', ')})`);
+  }
+  return new Template(profile);
+}
+
+module.exports = {
+  TEMPLATES,
+  DEFAULT_TEMPLATES,
+  createTemplate
+};
@@ -0,0 +1,409 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const MultiAccountOrchestrator = require('./multiAccountOrchestrator');
+const ApiServer = require('./server/ApiServer');
+const { checkConfiguration, countIssues, printSection } = require('./config/check');
+const { redact, redactText } = require('./secrets/redact');
+
+// `npm run cli -- <command>` (or `ads-agent <command>` once linked): one-off
+// operator tasks that run and exit, unlike `npm start`, which keeps running
+// the schedule. With --json, stdout carries only the result as JSON and the
+// progress logging goes to stderr. Exit codes: 0 when it worked, 1 when the
+// command or what it ran failed, 2 for a usage error.
+const USAGE = `Usage: npm run cli -- <command> [options]
+
+  run [type]                      Run a workflow type (default full_automation) and exit
+      --dry-run                   Only plan the changes (same as: plan [type])
+      --plan-out=<file>           With --dry-run, save the plan as JSON
+      --resume[=<workflowId>]     Continue a failed workflow (the latest one by default)
+      --all-accounts              Run it for every configured account
+  plan [type]                     Dry run: what the workflow would change
+      --out=<file>                Save the plan as JSON
+  status                          Account, agent, approval and KPI status
+  reports [list]                  Recent reports (--limit=10)
+  reports export <reportId>       Export a report (--format=json|csv, --out=<file>)
+  alerts                          Performance alerts (--hours=24)
+  approvals [list]                Approvals (--status=pending, --limit=50)
+  approvals approve <id>          Approve and apply an action (--by=<name>, --note=<text>)
+  approvals reject <id>           Reject an action (--by=<name>, --reason=<text>)
+  bids history                    Bid changes (--campaign=<id>, --limit=20)
+  bids revert                     Undo bid changes: --history=<id>, --since=<time> [--until=<time>]
+                                  and/or --keywords=<a,b> (--campaign=<id>, --force, --by=<name>)
+  config check                    Validate config.js, profiles, plugins and workflows (--profile=<id>)
+  serve                           Start the dashboard and API server (--port=<port>)
+
+Options for every command:
+  --account=<customerId>          Account to use when several are configured (default: the first)
+  --json                          Print the result as JSON`;
+
+// Exits with 2 instead of 1
+function usageError(message) {
+  const error = new Error(message);
+  error.code = 'USAGE';
+  return error;
+}
+
+// --name=value and --flag options, the rest positional
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  argv.forEach(arg => {
+    const match = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+    if (match) {
+      options[match[1]] = match[2] === undefined ? true : match[2];
+    } else {
+      positional.push(arg);
+    }
+  });
+
+  return { positional, options };
+}
+
+function parseNumber(value, name, defaultValue) {
+  if (value === undefined) return defaultValue;
+  const parsed = parseInt(value, 10);
+  if (!(parsed > 0)) throw usageError(`--${name} must be a positive number`);
+  return parsed;
+}
+
+class Cli {
+  constructor(argv) {
+    const { positional, options } = parseArgs(argv);
+    this.name = 'CLI';
+    this.command = positional[0];
+    this.args = positional.slice(1);
+    this.options = options;
+    this.json = options.json === true;
+    this.accounts = null;
+  }
+
+  // Workflows and agents log as they work; with --json that goes to stderr
+  routeLogsToStderr() {
+    console.log = console.error;
+    console.info = console.error;
+  }
+
+  async getAccounts() {
+    if (!this.accounts) {
+      this.accounts = new MultiAccountOrchestrator();
+      await this.accounts.initialize();
+    }
+    return this.accounts;
+  }
+
+  async getOrchestrator() {
+    const accounts = await this.getAccounts();
+    if (!this.options.account) return accounts.getPrimaryOrchestrator();
+
+    const orchestrator = accounts.getOrchestrator(this.options.account);
+    if (!orchestrator) throw usageError(`Unknown account: ${this.options.account}`);
+    return orchestrator;
+  }
+
+  // Prints the result (as JSON with --json, otherwise with text(result)) and
+  // returns the exit code
+  output(result, text, failed = false) {
+    if (this.json) {
+      process.stdout.write(`${JSON.stringify(redact(result), null, 2)}\n`);
+    } else {
+      text(result);
+    }
+    return failed ? 1 : 0;
+  }
+
+  async run() {
+    if (this.json) this.routeLogsToStderr();
+
+    switch (this.command) {
+      case 'run':
+        return this.options['dry-run'] && !this.options['all-accounts'] ? this.planWorkflow(this.options['plan-out']) : this.runWorkflow();
+      case 'plan':
+      case 'dry-run':
+        return this.planWorkflow(this.options.out);
+      case 'status':
+        return this.showStatus();
+      case 'reports':
+        return this.reports(this.args[0] || 'list');
+      case 'alerts':
+        return this.listAlerts();
+      case 'approvals':
+        return this.approvals(this.args[0] || 'list');
+      case 'bids':
+        return this.bids(this.args[0]);
+      case 'config':
+        if (this.args[0] !== 'check') throw usageError('Use: config check');
+        return this.checkConfig();
+      case 'serve':
+        return this.serve();
+      case undefined:
+      case 'help':
+        console.log(USAGE);
+        return 0;
+      default:
+        throw usageError(`Unknown command: ${this.command}`);
+    }
+  }
+
+  async runWorkflow() {
+    const workflowType = this.args[0] || 'full_automation';
+
+    if (this.options['all-accounts']) {
+      const summary = await (await this.getAccounts()).executeWorkflowForAll(workflowType, { dryRun: this.options['dry-run'] === true });
+      return this.output(summary, () => {
+        summary.results.forEach(result => {
+          console.log(`${result.status === 'completed' ? '✅' : '❌'} ${result.name} (${result.customerId}): ${result.status}${result.error ? ` - ${result.error}` : ''}`);
+        });
+      }, summary.failed > 0);
+    }
+
+    const orchestrator = await this.getOrchestrator();
+    const resume = this.options.resume;
+    try {
+      let workflow;
+      if (resume) {
+        const workflowId = resume === true ? orchestrator.getResumableWorkflow()?.id : resume;
+        if (!workflowId) throw new Error('No failed workflow to resume');
+        workflow = await orchestrator.resumeWorkflow(workflowId);
+      } else {
+        workflow = await orchestrator.executeWorkflow(workflowType);
+      }
+      return this.output(this.summarizeWorkflow(workflow, orchestrator), summary => this.printWorkflow(summary));
+
+    } catch (error) {
+      const workflow = orchestrator.currentWorkflow;
+      if (!workflow || workflow.status !== 'failed') throw error;
+      return this.output(this.summarizeWorkflow(workflow, orchestrator), summary => this.printWorkflow(summary), true);
+    }
+  }
+
+  async planWorkflow(planOut) {
+    const orchestrator = await this.getOrchestrator();
+    let workflow;
+    try {
+      workflow = await orchestrator.executeWorkflow(this.args[0] || 'full_automation', { dryRun: true });
+    } catch (error) {
+      workflow = orchestrator.currentWorkflow;
+      if (!workflow || workflow.status !== 'failed') throw error;
+    }
+
+    if (planOut && workflow.plan) {
+      fs.writeFileSync(planOut, JSON.stringify(workflow.plan, null, 2));
+      console.error(`💾 Plan written to ${planOut}`);
+    }
+    // The plan itself is printed by the orchestrator as the workflow finishes
+    return this.output({ ...this.summarizeWorkflow(workflow, orchestrator), plan: workflow.plan || null }, summary => this.printWorkflow(summary), workflow.status === 'failed');
+  }
+
+  summarizeWorkflow(workflow, orchestrator) {
+    return {
+      id: workflow.id,
+      type: workflow.type,
+      customerId: workflow.customerId,
+      status: workflow.status,
+      dryRun: Boolean(workflow.dryRun),
+      startTime: workflow.startTime,
+      endTime: workflow.endTime || null,
+      duration: workflow.duration || null,
+      stages: workflow.stages.map(({ result, ...stage }) => stage),
+      error: workflow.error || null,
+      remainingSteps: workflow.dryRun ? [] : orchestrator.getRemainingSteps(workflow)
+    };
+  }
+
+  printWorkflow(summary) {
+    console.log(`\n${summary.status === 'completed' ? '✅' : '❌'} Workflow ${summary.id} (${summary.type}${summary.dryRun ? ', dry run' : ''}): ${summary.status}${summary.duration ? ` in ${summary.duration}` : ''}`);
+    summary.stages.forEach(stage => {
+      console.log(`  ${stage.stage}: ${stage.status}${stage.attempts && stage.attempts.length > 1 ? ` (${stage.attempts.length} attempts)` : ''}${stage.error ? ` - ${stage.error}` : ''}`);
+    });
+    if (summary.status === 'failed' && summary.remainingSteps.length > 0) {
+      console.log(`🔁 Fix the problem, then run ${summary.remainingSteps.join(', ')} with: npm run cli -- run --resume=${summary.id}`);
+    }
+  }
+
+  async showStatus() {
+    const orchestrator = await this.getOrchestrator();
+    const status = { ...orchestrator.getDashboardStatus(), agents: await orchestrator.getAgents() };
+
+    return this.output(status, () => {
+      const { account, orchestrator: state, dashboard, approvals } = status;
+      console.log(`🏢 ${account.name} (${account.customerId}), profile ${account.profile}`);
+      console.log(`🔄 ${state.status}, ${state.totalWorkflows} workflows${state.lastWorkflow ? `, last started ${state.lastWorkflow}` : ''}`);
+      console.log(`📋 ${approvals.pending} pending approvals`);
+      if (dashboard && dashboard.overallScore !== undefined) {
+        console.log(`📈 Overall score ${dashboard.overallScore}/100`);
+      }
+      console.log('\n🤖 Agents:');
+      status.agents.forEach(agent => {
+        console.log(`  ${agent.health.healthy ? '✓' : '✗'} ${agent.name} (${agent.id}): ${agent.status.status}${agent.status.lastAction ? ` - ${agent.status.lastAction}` : ''}${agent.health.healthy ? '' : ` [${agent.health.message}]`}`);
+      });
+    });
+  }
+
+  async reports(action) {
+    // An export is written to stdout as-is, so logging mustn't end up in it
+    if (action === 'export') this.routeLogsToStderr();
+    const reporting = (await this.getOrchestrator()).agents.reporting;
+
+    if (action === 'list') {
+      const reports = reporting.getRecentReports(parseNumber(this.options.limit, 'limit', 10));
+      return this.output(reports, () => {
+        if (reports.length === 0) console.log('No reports yet');
+        reports.forEach(report => {
+          console.log(`${report.id}  ${report.generatedAt}  ${report.reportPeriod?.type || report.reportType}  campaign ${report.campaignId}`);
+        });
+      });
+    }
+
+    if (action === 'export') {
+      const [, reportId] = this.args;
+      const format = this.options.format || 'json';
+      if (!reportId) throw usageError('Use: reports export <reportId>');
+      if (!['json', 'csv'].includes(format)) throw usageError(`Unsupported export format: ${format} (use json or csv)`);
+
+      const exported = reporting.exportReport(reportId, format);
+      if (!exported) throw new Error(`Report not found: ${reportId}`);
+
+      // The export is the output, so --json makes no difference here
+      if (this.options.out) {
+        fs.writeFileSync(this.options.out, redactText(exported));
+        console.error(`💾 ${reportId} written to ${this.options.out}`);
+      } else {
+        process.stdout.write(`${redactText(exported)}\n`);
+      }
+      return 0;
+    }
+
+    throw usageError(`Unknown reports command: ${action}`);
+  }
+
+  async listAlerts() {
+    const orchestrator = await this.getOrchestrator();
+    const hours = parseNumber(this.options.hours, 'hours', 24);
+    const alerts = orchestrator.agents.performanceMonitor.getRecentAlerts(hours);
+
+    return this.output(alerts, () => {
+      if (alerts.length === 0) console.log(`No alerts in the last ${hours} hours`);
+      alerts.forEach(alert => {
+        console.log(`[${alert.severity}] ${alert.timestamp}  campaign ${alert.campaignId}: ${alert.message}`);
+      });
+    });
+  }
+
+  async approvals(action) {
+    const queue = (await this.getOrchestrator()).approvalQueue;
+
+    if (action === 'list') {
+      const approvals = queue.list({
+        status: this.options.status,
+        campaignId: this.options.campaign,
+        limit: parseNumber(this.options.limit, 'limit', 50)
+      });
+      return this.output(approvals, () => {
+        if (approvals.length === 0) console.log('No approvals');
+        approvals.forEach(approval => {
+          console.log(`${approval.id}  ${approval.status}  ${approval.type}  campaign ${approval.campaignId} - ${approval.reason}`);
+        });
+      });
+    }
+
+    if (action === 'approve' || action === 'reject') {
+      const [, approvalId] = this.args;
+      if (!approvalId) throw usageError(`Use: approvals ${action} <id>`);
+
+      const approval = action === 'approve'
+        ? await queue.approve(approvalId, { by: this.options.by || 'cli', note: this.options.note })
+        : queue.reject(approvalId, { by: this.options.by || 'cli', reason: this.options.reason });
+
+      return this.output(approval, () => {
+        console.log(`${approval.status === 'failed' ? '❌' : '✅'} ${approval.id} ${approval.status}${approval.error ? `: ${approval.error}` : ''}`);
+      }, approval.status === 'failed');
+    }
+
+    throw usageError(`Unknown approvals command: ${action}`);
+  }
+
+  async bids(action) {
+    const bidOptimizer = (await this.getOrchestrator()).agents.bidOptimizer;
+
+    if (action === 'history') {
+      const history = bidOptimizer.getBidHistory({
+        campaignId: this.options.campaign,
+        limit: parseNumber(this.options.limit, 'limit', 20)
+      });
+      return this.output(history, () => {
+        if (history.length === 0) console.log('No bid changes yet');
+        history.forEach(entry => {
+          console.log(`${entry.id}  ${entry.timestamp}  ${entry.type === 'revert' ? 'revert' : 'adjust'}  campaign ${entry.campaignId}: ${entry.totalAdjustments} bids${entry.status ? `, ${entry.status}` : ''}`);
+        });
+      });
+    }
+
+    if (action === 'revert') {
+      const selector = {
+        historyId: this.options.history,
+        since: this.options.since,
+        until: this.options.until,
+        campaignId: this.options.campaign,
+        keywords: typeof this.options.keywords === 'string' ? this.options.keywords.split(',').map(keyword => keyword.trim()).filter(Boolean) : undefined
+      };
+      if (!selector.historyId && !selector.since && !(selector.keywords && selector.keywords.length > 0)) {
+        throw usageError('Specify --history, --since/--until or --keywords to revert');
+      }
+      ['since', 'until'].forEach(field => {
+        if (selector[field] && isNaN(Date.parse(selector[field]))) {
+          throw usageError(`Invalid --${field} timestamp: ${selector[field]}`);
+        }
+      });
+
+      const entry = await bidOptimizer.revertBids(selector, { by: this.options.by || 'cli', force: this.options.force === true });
+      return this.output(entry, () => {
+        console.log(`${entry.status === 'failed' ? '❌' : '✅'} Reverted ${entry.status === 'failed' ? 0 : entry.totalAdjustments} bids, ${entry.conflicts.length} conflicts (${entry.id})${entry.error ? `: ${entry.error}` : ''}`);
+        entry.conflicts.forEach(conflict => console.log(`  ⚠ ${conflict.keyword}: ${conflict.reason}`));
+      }, entry.status === 'failed');
+    }
+
+    throw usageError('Use: bids history or bids revert');
+  }
+
+  async checkConfig() {
+    const sections = await checkConfiguration(this.options.profile ? [`--profile=${this.options.profile}`] : []);
+    const counts = countIssues(sections);
+
+    return this.output({ ...counts, sections }, () => {
+      sections.forEach(section => printSection(section.title, section.issues));
+      console.log(`${counts.errors === 0 ? '✅' : '❌'} ${counts.errors} errors, ${counts.warnings} warnings`);
+    }, counts.errors > 0);
+  }
+
+  // Keeps running until Ctrl+C, so there's no exit code to return
+  async serve() {
+    await ApiServer.serve(parseNumber(this.options.port, 'port', undefined));
+    return null;
+  }
+}
+
+// process.exit() drops output still queued for a pipe (e.g. --json | jq), so
+// exit once everything written so far has gone out
+function exitAfterOutput(exitCode) {
+  process.stdout.write('', () => process.stderr.write('', () => process.exit(exitCode)));
+}
+
+async function main() {
+  const cli = new Cli(process.argv.slice(2));
+  try {
+    const exitCode = await cli.run();
+    if (exitCode !== null) exitAfterOutput(exitCode);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    if (error.code === 'USAGE') console.error('Run with help for the list of commands');
+    exitAfterOutput(error.code === 'USAGE' ? 2 : 1);
+  }
+}
+
+module.exports = Cli;
+
+// Run if this file is executed directly
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,163 @@
+const path = require('path');
+const config = require('./config');
+const ProfileLoader = require('../services/ProfileLoader');
+const AccountRegistry = require('../services/AccountRegistry');
+const WorkflowLoader = require('../services/WorkflowLoader');
+const AgentRegistry = require('../services/AgentRegistry');
+const GeoTargeting = require('../services/GeoTargeting');
+const { TEMPLATES, DEFAULT_TEMPLATES, createTemplate } = require('../campaignTemplates');
+const { getSecrets } = require('../secrets');
+
+// `npm run config:check` - validates config.js and every client profile in
+// use plus the workflow definitions, prints each problem with its path and exits non-zero on errors.
+// --profile=<id> checks one profile instead of the accounts in use.
+function collectProfiles(args) {
+  const profileArg = args.find(arg => arg.startsWith('--profile='))?.split('=')[1];
+  if (profileArg) {
+    return [{ label: `profile ${profileArg}`, profileId: profileArg, settings: {} }];
+  }
+
+  // Manager accounts are expanded through the API, so only their own profile is checked here
+  const registry = new AccountRegistry();
+  if (!registry.hasAccountsFile()) {
+    return [{ label: `profile ${config.profiles.defaultProfile}`, profileId: config.profiles.defaultProfile, settings: {} }];
+  }
+
+  const { accounts, managers } = registry.loadFile();
+  return [...managers, ...accounts].map(entry => ({
+    label: `${managers.includes(entry) ? 'manager' : 'account'} ${entry.customerId}`,
+    profileId: entry.profile || config.profiles.defaultProfile,
+    settings: entry.settings || {}
+  }));
+}
+
+// Campaign templates the workflows choose ({ workflow, step, template } for
+// each setupCampaign step with a template input)
+function collectTemplateSteps(workflowLoader) {
+  return [...workflowLoader.findFiles()].flatMap(([workflowType, file]) => {
+    try {
+      return workflowLoader.readFile(file).steps
+        .filter(step => step.action === 'setupCampaign' && typeof step.inputs.template === 'string' && !step.inputs.template.startsWith('$'))
+        .map(step => ({ workflow: workflowType, step: step.id, template: step.inputs.template }));
+    } catch (error) {
+      return []; // Reported with the workflow's own issues
+    }
+  });
+}
+
+// The profile against its campaign type's template (errors, as every setup
+// uses it) and against the templates workflows choose (warnings, as only
+// those workflows do)
+function checkTemplates(profile, templateSteps) {
+  const defaultTemplate = DEFAULT_TEMPLATES[profile.campaignSettings?.campaignType];
+  const issues = defaultTemplate ? createTemplate(defaultTemplate, profile).check() : [];
+
+  [...new Set(templateSteps.map(step => step.template))]
+    .filter(template => TEMPLATES[template] && template !== defaultTemplate)
+    .forEach(template => {
+      const workflows = templateSteps.filter(step => step.template === template).map(step => step.workflow);
+      createTemplate(template, profile).check().forEach(issue => issues.push({
+        severity: 'warning',
+        path: issue.path,
+        message: `${issue.message} (campaign template ${template}, used by workflow ${[...new Set(workflows)].join(', ')})`
+      }));
+    });
+  return issues;
+}
+
+function checkTarget(loader, target, templateSteps) {
+  let profile;
+  try {
+    // resolve() rather than load() so missing fields are reported with everything else
+    profile = ProfileLoader.merge(loader.resolve(target.profileId, []), { campaignSettings: target.settings });
+  } catch (error) {
+    return [{ severity: 'error', path: 'profile', message: error.message }];
+  }
+
+  const { errors, warnings } = config.checkConfig(profile);
+  return [
+    ...[...errors, ...warnings].filter(issue => issue.source !== 'config'),
+    ...new GeoTargeting().check(profile.campaignSettings),
+    ...checkTemplates(profile, templateSteps)
+  ];
+}
+
+function printSection(title, issues) {
+  console.log(title);
+  if (issues.length === 0) console.log('  ✓ no problems');
+  issues.forEach(issue => console.log(`  ${issue.severity === 'error' ? '✗' : '⚠'} ${issue.path} ${issue.message}`));
+  console.log('');
+}
+
+// Every section of the check (config.js, profiles, agent plugins, workflows)
+// with its issues. Throws when the accounts file can't be read.
+async function checkConfiguration(args = []) {
+  const targets = collectProfiles(args);
+
+  const secrets = getSecrets();
+  await secrets.ready();
+  const secretIssues = secrets.lastError
+    ? [{ severity: 'error', path: `secrets (${secrets.provider.name})`, message: secrets.lastError }]
+    : [];
+
+  const loader = new ProfileLoader();
+  const agents = new AgentRegistry();
+  const workflowLoader = new WorkflowLoader({ agents });
+  const templateSteps = collectTemplateSteps(workflowLoader);
+  const templateIssues = workflowId => templateSteps
+    .filter(step => step.workflow === workflowId && !TEMPLATES[step.template])
+    .map(step => ({ severity: 'error', path: `steps[${step.step}].inputs.template`, message: `"${step.template}" is not a campaign template (use ${Object.keys(TEMPLATES).join(', ')})` }));
+
+  const { errors, warnings } = config.checkConfig(undefined, secrets.loadedAt ? secrets.describe() : undefined);
+  return [
+    { title: 'config.js', issues: [...secretIssues, ...errors, ...warnings] },
+    ...targets.map(target => ({
+      title: target.label === `profile ${target.profileId}` ? target.label : `${target.label} (profile ${target.profileId})`,
+      issues: checkTarget(loader, target, templateSteps)
+    })),
+    { title: `agent plugins (${agents.directory})`, issues: agents.check() },
+    ...workflowLoader.check().map(workflow => ({
+      title: `workflow ${workflow.id} (${path.relative(process.cwd(), workflow.file)})`,
+      issues: [...workflow.issues, ...templateIssues(workflow.id)]
+    }))
+  ];
+}
+
+function countIssues(sections) {
+  const issues = sections.flatMap(section => section.issues);
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+  return { errors: errorCount, warnings: issues.length - errorCount };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  console.log(`🔎 Checking configuration (NODE_ENV=${config.environment}, Google Ads ${config.googleAds.mode} mode)\n`);
+
+  let sections;
+  try {
+    sections = await checkConfiguration(args);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  sections.forEach(section => printSection(section.title, section.issues));
+
+  const { errors: errorCount, warnings: warningCount } = countIssues(sections);
+  console.log(`${errorCount === 0 ? '✅' : '❌'} ${errorCount} error${errorCount === 1 ? '' : 's'}, ${warningCount} warning${warningCount === 1 ? '' : 's'}`);
+
+  process.exit(errorCount > 0 ? 1 : 0);
+}
+
+module.exports = {
+  checkConfiguration,
+  countIssues,
+  printSection
+};
+
+// Run if this file is executed directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,482 @@
+// Schema for config.js and for client profiles (config/profiles/). Each
+// field lists its type and limits; cross-field rules catch settings that are
+// valid on their own but contradict each other. Problems are reported as
+// { severity, path, message } so every one can be fixed in a single pass.
+
+const CronExpression = require('../services/CronExpression');
+
+// Values shipped in config.js that mean "not configured yet"
+const PLACEHOLDER = /INSERT_|_HERE$/;
+
+const CAMPAIGN_TYPES = ['Search', 'Display', 'Performance Max'];
+
+const GEO_TARGET_TYPES = ['PRESENCE', 'PRESENCE_OR_INTEREST'];
+
+// Google Ads can spend up to 30.4 times the daily budget in a month
+const DAYS_PER_MONTH = 30.4;
+
+const isLive = config => config.googleAds?.mode === 'live';
+const isProduction = config => config.environment === 'production';
+
+const stringList = (options = {}) => ({ type: 'array', items: { type: 'string', minLength: 1 }, ...options });
+
+// "08:00-18:00" (whole hours, 24:00 for midnight) or "off"
+const openingHours = { type: 'string', pattern: /^(off|([01]\d|2[0-3]):00-([01]\d|2[0-4]):00)$/, hint: 'whole hours such as "08:00-18:00", or "off"' };
+
+const cronSchedule = { type: 'string', required: true, format: 'cron', hint: 'a cron expression such as "*/15 * * * *", or "off"' };
+
+// config.js sets every field; a workflow step only the ones it changes
+const retryPolicy = required => ({
+  type: 'object',
+  required: required,
+  properties: {
+    maxAttempts: { type: 'integer', required: required, min: 1, max: 10 },
+    initialDelayMs: { type: 'integer', required: required, min: 0 },
+    maxDelayMs: { type: 'integer', required: required, min: 0 },
+    multiplier: { type: 'number', required: required, min: 1 }
+  }
+});
+
+// What a workflow step can set besides its action (see services/WorkflowLoader)
+const STEP_POLICY_SCHEMA = {
+  retry: retryPolicy(false),
+  timeoutMs: { type: 'integer', min: 1000 }
+};
+
+const CONFIG_SCHEMA = {
+  googleAds: {
+    type: 'object',
+    required: true,
+    properties: {
+      mode: { type: 'string', required: true, enum: ['live', 'mock'], hint: 'set GOOGLE_ADS_MODE' },
+      apiVersion: { type: 'string', required: true, pattern: /^v\d+$/, hint: 'e.g. GOOGLE_ADS_API_VERSION=v17' },
+      mockServerUrl: { type: 'string', format: 'url', hint: 'set GOOGLE_ADS_MOCK_URL to e.g. http://127.0.0.1:8080' },
+      clientId: { type: 'string', requiredWhen: isLive, hint: 'set GOOGLE_ADS_CLIENT_ID' },
+      customerId: { type: 'string', requiredWhen: isLive, pattern: /^\d{3}-?\d{3}-?\d{4}$/, hint: 'set GOOGLE_ADS_CUSTOMER_ID to the 10-digit account ID' },
+      loginCustomerId: { type: 'string', pattern: /^\d{3}-?\d{3}-?\d{4}$/, hint: 'set GOOGLE_ADS_LOGIN_CUSTOMER_ID to the 10-digit manager account ID' }
+    }
+  },
+
+  aiProvider: {
+    type: 'object',
+    required: true,
+    properties: {
+      endpoint: { type: 'string', required: true, format: 'url' },
+      model: { type: 'string', required: true, minLength: 1 }
+    }
+  },
+
+  resilience: {
+    type: 'object',
+    required: true,
+    properties: {
+      retry: retryPolicy(true),
+      stepTimeoutMs: { type: 'integer', required: true, min: 1000, hint: 'set STEP_TIMEOUT_MS' },
+      circuitBreaker: {
+        type: 'object',
+        required: true,
+        properties: {
+          failureThreshold: { type: 'integer', required: true, min: 1, hint: 'set CIRCUIT_FAILURE_THRESHOLD' },
+          resetTimeoutMs: { type: 'integer', required: true, min: 1000, hint: 'set CIRCUIT_RESET_MS' }
+        }
+      }
+    }
+  },
+
+  // Only whether each secret is set; values stay inside the secrets manager
+  secrets: {
+    type: 'object',
+    properties: {
+      googleAds: {
+        type: 'object',
+        properties: {
+          developerToken: { type: 'string', requiredWhen: isLive, hint: 'set GOOGLE_ADS_DEVELOPER_TOKEN or add it to the secrets provider' },
+          clientSecret: { type: 'string', requiredWhen: isLive, hint: 'set GOOGLE_ADS_CLIENT_SECRET or add it to the secrets provider' },
+          refreshToken: { type: 'string', requiredWhen: isLive, hint: 'set GOOGLE_ADS_REFRESH_TOKEN or add it to the secrets provider' }
+        }
+      },
+      aiProvider: {
+        type: 'object',
+        properties: {
+          apiKey: { type: 'string', requiredWhen: isProduction, recommended: true, hint: 'set OPENROUTER_API_KEY or add it to the secrets provider; without it ads come from fallback templates' }
+        }
+      }
+    }
+  }
+};
+
+const PROFILE_SCHEMA = {
+  campaignSettings: {
+    type: 'object',
+    required: true,
+    properties: {
+      budgetMonthly: { type: 'number', exclusiveMin: 0 },
+      budgetDaily: { type: 'number', required: true, exclusiveMin: 0 },
+      campaignType: { type: 'string', required: true, enum: CAMPAIGN_TYPES },
+      region: { type: 'string', required: true, minLength: 1 },
+      regions: stringList(),
+      radius: { type: 'number', required: true, min: 1, max: 500, hint: 'miles around the business address, used with geoTargeting.radiusAroundAddress' },
+      businessType: { type: 'string', required: true, minLength: 1 },
+      targetAudience: stringList({ required: true, minItems: 1 }),
+      services: stringList({ required: true, minItems: 1 }),
+      businessInfo: {
+        type: 'object',
+        required: true,
+        properties: {
+          name: { type: 'string', required: true, minLength: 1 },
+          address: { type: 'string', required: true, minLength: 1 },
+          phone: stringList({ required: true, minItems: 1, items: { type: 'string', pattern: /^\+?[\d\s()-]{7,}$/ } }),
+          website: { type: 'string', format: 'url' },
+          established: { type: ['string', 'number'] },
+          certifications: stringList(),
+          // Pages for sitelink assets; each needs its own page on the website
+          sitelinks: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                text: { type: 'string', required: true, minLength: 1, maxLength: 25 },
+                url: { type: 'string', required: true, format: 'url' },
+                description1: { type: 'string', maxLength: 35 },
+                description2: { type: 'string', maxLength: 35 }
+              }
+            }
+          },
+          // Google Business Profile account the location asset is synced from
+          businessProfileEmail: { type: 'string', pattern: /^[^\s@]+@[^\s@]+$/ }
+        }
+      },
+      // Areas the campaigns show in, by Google Ads location name, London
+      // borough or postcode district (see config/geoTargets.csv); region alone when not set
+      geoTargeting: {
+        type: 'object',
+        properties: {
+          locations: stringList(),
+          excludedLocations: stringList(),
+          radiusAroundAddress: { type: 'boolean' }, // Also target radius miles around businessInfo.address
+          targetType: { type: 'string', enum: GEO_TARGET_TYPES, hint: 'PRESENCE: people in the areas; PRESENCE_OR_INTEREST: also people searching for them' },
+          excludedType: { type: 'string', enum: GEO_TARGET_TYPES }
+        }
+      },
+      // When ads run: hours that convert, by hour of day and day of week, once
+      // there is enough data; the business hours until then
+      adSchedule: {
+        type: 'object',
+        properties: {
+          timezone: { type: 'string', format: 'timezone', hint: 'the Google Ads account\'s time zone, e.g. Europe/London' },
+          businessHours: {
+            type: 'object',
+            properties: Object.fromEntries(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].map(day => [day, openingHours]))
+          },
+          emergencyServices: stringList() // Offered around the clock; the campaign then runs 24/7
+        }
+      },
+      // Images for Performance Max and Display remarketing campaigns (see
+      // campaignTemplates/): .png, .jpg or .gif files up to 5MB, by path
+      brandAssets: {
+        type: 'object',
+        properties: {
+          landscapeImages: stringList({ hint: '1.91:1 images, at least 600x314' }),
+          squareImages: stringList({ hint: '1:1 images, at least 300x300' }),
+          logos: stringList({ hint: '1:1 logos, at least 128x128' })
+        }
+      },
+      // Who Display remarketing campaigns show to
+      remarketing: {
+        type: 'object',
+        properties: {
+          userList: { type: ['string', 'number'], pattern: /^\d+$/, hint: 'the id of a remarketing list in the account, e.g. the site\'s visitors' }
+        }
+      },
+      interests: stringList(),
+      targetKeywords: stringList({ required: true, minItems: 1 }),
+      seedKeywords: stringList({ required: true, minItems: 1 }),
+      negativeKeywords: stringList()
+    }
+  },
+
+  kpiThresholds: {
+    type: 'object',
+    required: true,
+    properties: {
+      minCTR: { type: 'number', required: true, exclusiveMin: 0, exclusiveMax: 1, hint: 'a fraction, e.g. 0.02 for 2%' },
+      maxCPC: { type: 'number', required: true, exclusiveMin: 0 },
+      maxCPA: { type: 'number', required: true, exclusiveMin: 0 },
+      minROAS: { type: 'number', required: true, min: 0 },
+      qualityScoreMin: { type: 'integer', required: true, min: 1, max: 10 }
+    }
+  },
+
+  automationSettings: {
+    type: 'object',
+    required: true,
+    properties: {
+      bidAdjustmentPercent: { type: 'number', required: true, exclusiveMin: 0, max: 1, hint: 'a fraction, e.g. 0.15 for 15%' },
+      pauseThresholdDays: { type: 'integer', required: true, min: 1 },
+      keywordExpansionLimit: { type: 'integer', required: true, min: 1, max: 1000 },
+      schedule: {
+        type: 'object',
+        required: true,
+        properties: {
+          timezone: { type: 'string', required: true, format: 'timezone', hint: 'an IANA timezone such as Europe/London' },
+          monitoring: cronSchedule,
+          bidOptimization: cronSchedule,
+          keywordRefresh: cronSchedule,
+          dailyReport: cronSchedule,
+          weeklyReport: cronSchedule
+        }
+      }
+    }
+  },
+
+  brandRules: {
+    type: 'object',
+    required: true,
+    properties: {
+      tone: { type: 'string', required: true, minLength: 1 },
+      keyMessages: stringList({ required: true, minItems: 1 }),
+      prohibitedTerms: stringList({ required: true })
+    }
+  }
+};
+
+const CONFIG_RULES = [
+  config => config.googleAds.mode === 'live' && config.googleAds.mockServerUrl
+    ? [warning('googleAds.mockServerUrl', 'is ignored in live mode; unset GOOGLE_ADS_MOCK_URL')]
+    : [],
+
+  config => {
+    const { customerId, loginCustomerId } = config.googleAds;
+    return isSet(customerId) && isSet(loginCustomerId) && strip(customerId) === strip(loginCustomerId)
+      ? [warning('googleAds.loginCustomerId', 'is the same account as customerId; only set it for a manager (MCC) account')]
+      : [];
+  },
+
+  ({ resilience: { retry = {} } }) => isNumber(retry.initialDelayMs) && isNumber(retry.maxDelayMs) && retry.maxDelayMs < retry.initialDelayMs
+    ? [error('resilience.retry.maxDelayMs', `(${retry.maxDelayMs}) is below initialDelayMs (${retry.initialDelayMs}), so retries would never back off`)]
+    : []
+];
+
+const PROFILE_RULES = [
+  ({ campaignSettings: { budgetDaily, budgetMonthly } }) => {
+    if (!isNumber(budgetDaily) || !isNumber(budgetMonthly)) return [];
+
+    const monthlySpend = budgetDaily * DAYS_PER_MONTH;
+    if (Math.abs(monthlySpend - budgetMonthly) / budgetMonthly <= 0.1) return [];
+
+    return [error('campaignSettings.budgetDaily',
+      `£${budgetDaily}/day can spend up to £${monthlySpend.toFixed(2)}/month, which does not match budgetMonthly £${budgetMonthly}; ` +
+      `set budgetDaily to about £${(budgetMonthly / DAYS_PER_MONTH).toFixed(2)}`)];
+  },
+
+  ({ campaignSettings: { region, regions } }) => isSet(region) && Array.isArray(regions) && regions.length > 0 &&
+    !regions.map(area => String(area).toLowerCase()).includes(region.toLowerCase())
+    ? [warning('campaignSettings.regions', `does not include the primary region "${region}"; add it so location keywords cover it`)]
+    : [],
+
+  ({ campaignSettings: { adSchedule, services } }) => {
+    if (!Array.isArray(adSchedule?.emergencyServices) || !Array.isArray(services)) return [];
+
+    const known = services.map(service => String(service).toLowerCase());
+    return adSchedule.emergencyServices
+      .filter(service => !known.includes(String(service).toLowerCase()))
+      .map(service => warning('campaignSettings.adSchedule.emergencyServices', `"${service}" is not one of the services; list the service as it appears in services`));
+  },
+
+  ({ campaignSettings: { adSchedule } }) => Object.entries(adSchedule?.businessHours || {})
+    .filter(([, hours]) => typeof hours === 'string' && /^\d\d:00-\d\d:00$/.test(hours) && parseInt(hours, 10) >= parseInt(hours.split('-')[1], 10))
+    .map(([day, hours]) => error(`campaignSettings.adSchedule.businessHours.${day}`, `"${hours}" ends before it starts; hours can't run past midnight, use "24:00" for the end of the day`)),
+
+  ({ campaignSettings: { adSchedule }, automationSettings: { schedule } }) => adSchedule?.timezone && schedule?.timezone && adSchedule.timezone !== schedule.timezone
+    ? [warning('campaignSettings.adSchedule.timezone', `(${adSchedule.timezone}) differs from automationSettings.schedule.timezone (${schedule.timezone}); ad schedules use the Google Ads account's time zone`)]
+    : [],
+
+  ({ kpiThresholds: { maxCPC, maxCPA } }) => isNumber(maxCPC) && isNumber(maxCPA) && maxCPC > maxCPA
+    ? [error('kpiThresholds.maxCPC', `(£${maxCPC}) is above maxCPA (£${maxCPA}); one click cannot cost more than a conversion`)]
+    : [],
+
+  ({ kpiThresholds: { maxCPC }, campaignSettings: { budgetDaily } }) => isNumber(maxCPC) && isNumber(budgetDaily) && maxCPC > budgetDaily
+    ? [error('kpiThresholds.maxCPC', `(£${maxCPC}) is above budgetDaily (£${budgetDaily}); lower it or raise the budget`)]
+    : [],
+
+  // A negative keyword contained in a target keyword stops that keyword ever showing
+  ({ campaignSettings: { targetKeywords, seedKeywords, negativeKeywords } }) => {
+    if (!Array.isArray(negativeKeywords)) return [];
+
+    return ['targetKeywords', 'seedKeywords'].flatMap(field => {
+      const keywords = { targetKeywords, seedKeywords }[field];
+      if (!Array.isArray(keywords)) return [];
+
+      return keywords
+        .map(keyword => ({ keyword, negative: negativeKeywords.find(negative => containsPhrase(keyword, negative)) }))
+        .filter(match => match.negative)
+        .map(({ keyword, negative }) => error(`campaignSettings.${field}`,
+          `"${keyword}" is blocked by negative keyword "${negative}"; remove one of them`));
+    });
+  },
+
+  ({ brandRules: { keyMessages, prohibitedTerms } }) => {
+    if (!Array.isArray(keyMessages) || !Array.isArray(prohibitedTerms)) return [];
+
+    return keyMessages
+      .map(message => ({ message, term: prohibitedTerms.find(term => containsPhrase(message, term)) }))
+      .filter(match => match.term)
+      .map(({ message, term }) => error('brandRules.keyMessages',
+        `"${message}" uses prohibited term "${term}", so every ad built on it would be rejected`));
+  }
+];
+
+// secrets: the secrets manager's describe() output, or nothing to skip secret checks
+function validateConfig(config, secrets) {
+  const { secrets: secretsSchema, ...schema } = CONFIG_SCHEMA;
+  if (secrets) schema.secrets = secretsSchema;
+  const root = { ...config, secrets: secrets ? toSecretPresence(secrets) : undefined };
+
+  return [
+    ...validateObject(schema, root, '', root),
+    ...runRules(CONFIG_RULES, config)
+  ];
+}
+
+// { 'googleAds.refreshToken': set } -> { googleAds: { refreshToken: '[set]' } }
+function toSecretPresence(secrets) {
+  const presence = {};
+  secrets.secrets.forEach(secret => {
+    const [section, key] = secret.name.split('.');
+    presence[section] = { ...presence[section], [key]: secret.set ? '[set]' : undefined };
+  });
+  return presence;
+}
+
+function validateProfile(profile) {
+  return [
+    ...validateObject(PROFILE_SCHEMA, profile, '', profile),
+    ...runRules(PROFILE_RULES, profile)
+  ];
+}
+
+// Rules only run on sections that passed the schema, with missing sections as {}
+function runRules(rules, target) {
+  const sections = new Proxy(target, { get: (obj, key) => obj[key] || {} });
+  return rules.flatMap(rule => rule(sections));
+}
+
+function validateObject(properties, value, basePath, root) {
+  return Object.keys(properties).flatMap(key =>
+    validateField(properties[key], value ? value[key] : undefined, basePath ? `${basePath}.${key}` : key, root)
+  );
+}
+
+function validateField(field, value, path, root) {
+  if (!isSet(value)) {
+    const placeholder = PLACEHOLDER.test(value) ? ' (still the placeholder value)' : '';
+    if (field.required || (field.requiredWhen && field.requiredWhen(root))) {
+      return [error(path, `is required${placeholder}`, field.hint)];
+    }
+    return field.recommended ? [warning(path, `is not set${placeholder}`, field.hint)] : [];
+  }
+
+  const types = [].concat(field.type);
+  if (!types.some(type => matchesType(type, value))) {
+    return [error(path, `must be ${types.map(type => `a${/^[aeiou]/.test(type) ? 'n' : ''} ${type}`).join(' or ')} (got ${JSON.stringify(value)})`, field.hint)];
+  }
+
+  if (field.type === 'object') return validateObject(field.properties, value, path, root);
+  if (field.type === 'array') return validateArray(field, value, path, root);
+
+  const problem = checkLimits(field, value);
+  return problem ? [error(path, `${problem} (got ${JSON.stringify(value)})`, field.hint)] : [];
+}
+
+function validateArray(field, value, path, root) {
+  if (field.minItems && value.length < field.minItems) {
+    return [error(path, `needs at least ${field.minItems} item${field.minItems === 1 ? '' : 's'}`, field.hint)];
+  }
+  return value.flatMap((item, index) => validateField({ ...field.items, required: true }, item, `${path}[${index}]`, root));
+}
+
+function checkLimits(field, value) {
+  if (field.enum && !field.enum.includes(value)) return `must be one of ${field.enum.map(option => `"${option}"`).join(', ')}`;
+  if (field.minLength && value.length < field.minLength) return 'must not be empty';
+  if (field.maxLength && value.length > field.maxLength) return `must be ${field.maxLength} characters or fewer`;
+  if (field.pattern && !field.pattern.test(value)) return 'has an invalid format';
+  if (field.format === 'url' && !/^https?:\/\/[^\s/]+/.test(value)) return 'must be an http(s) URL';
+  if (field.format === 'cron' || field.format === 'timezone') {
+    const problem = checkSchedule(field.format, value);
+    if (problem) return problem;
+  }
+  if (field.min !== undefined && value < field.min) return `must be at least ${field.min}`;
+  if (field.max !== undefined && value > field.max) return `must be at most ${field.max}`;
+  if (field.exclusiveMin !== undefined && field.exclusiveMax !== undefined && (value <= field.exclusiveMin || value >= field.exclusiveMax)) {
+    return `must be between ${field.exclusiveMin} and ${field.exclusiveMax}`;
+  }
+  if (field.exclusiveMin !== undefined && value <= field.exclusiveMin) return `must be greater than ${field.exclusiveMin}`;
+  if (field.exclusiveMax !== undefined && value >= field.exclusiveMax) return `must be less than ${field.exclusiveMax}`;
+  return null;
+}
+
+function checkSchedule(format, value) {
+  if (format === 'cron' && value === 'off') return null;
+
+  try {
+    new CronExpression(format === 'cron' ? value : '@daily', format === 'timezone' ? value : 'UTC');
+    return null;
+  } catch (error) {
+    return format === 'cron'
+      ? error.message.replace(/^Invalid cron expression "[^"]*": /, 'is not a valid cron expression: ')
+      : 'is not a known timezone';
+  }
+}
+
+function matchesType(type, value) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return isNumber(value);
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+  return typeof value === type;
+}
+
+// Dotted paths of every required field, e.g. 'kpiThresholds.maxCPC'
+function getRequiredPaths(properties = PROFILE_SCHEMA, basePath = '') {
+  return Object.keys(properties)
+    .filter(key => properties[key].required)
+    .flatMap(key => {
+      const path = basePath ? `${basePath}.${key}` : key;
+      return properties[key].type === 'object' ? getRequiredPaths(properties[key].properties, path) : [path];
+    });
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '' && !(typeof value === 'string' && PLACEHOLDER.test(value));
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function containsPhrase(text, phrase) {
+  const escaped = String(phrase).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|\\W)${escaped}(\\W|$)`).test(String(text).toLowerCase());
+}
+
+function strip(customerId) {
+  return String(customerId).replace(/-/g, '');
+}
+
+function error(path, message, hint) {
+  return { severity: 'error', path, message: hint ? `${message}; ${hint}` : message };
+}
+
+function warning(path, message, hint) {
+  return { severity: 'warning', path, message: hint ? `${message}; ${hint}` : message };
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  PROFILE_SCHEMA,
+  STEP_POLICY_SCHEMA,
+  validateConfig,
+  validateProfile,
+  validateObject,
+  getRequiredPaths
+};
@@ -0,0 +1,237 @@
+const EventEmitter = require('events');
+const path = require('path');
+const GoogleAdsOrchestrator = require('./orchestrator');
+const AccountRegistry = require('./services/AccountRegistry');
+const AgentRegistry = require('./services/AgentRegistry');
+const WorkflowLoader = require('./services/WorkflowLoader');
+const { createStorage } = require('./storage');
+const { getSecrets } = require('./secrets');
+const config = require('./config/config');
+
+// Runs one GoogleAdsOrchestrator per Google Ads account. Each account gets
+// its own API client, agents, approval queue and storage, so a failed
+// workflow or a pending approval in one account never touches another.
+class MultiAccountOrchestrator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.name = 'Multi-Account Orchestrator';
+    this.registry = options.registry || new AccountRegistry();
+    this.concurrency = options.concurrency || config.accounts.concurrency;
+    this.storageOptions = options.storageOptions || {};
+    this.orchestrators = new Map();
+  }
+
+  async initialize() {
+    // Remote secrets providers answer asynchronously; wait so startup checks see them
+    await getSecrets().ready();
+    const accounts = await this.registry.resolve();
+    const usesAccountsFile = this.registry.hasAccountsFile();
+    // Plugins and workflow definitions are loaded once for all accounts
+    const agentRegistry = new AgentRegistry();
+    const workflows = new WorkflowLoader({ agents: agentRegistry });
+
+    accounts.forEach(account => {
+      // The single default account keeps the default storage so existing history carries over
+      const storage = usesAccountsFile
+        ? createStorage({
+          ...this.storageOptions,
+          directory: path.join(this.storageOptions.directory || config.storage.directory, 'accounts', account.customerId),
+          path: null
+        })
+        : undefined;
+
+      const orchestrator = new GoogleAdsOrchestrator({ account, storage, agentRegistry, workflows });
+      orchestrator.on('event', event => this.emit('event', event));
+      this.orchestrators.set(account.customerId, orchestrator);
+    });
+
+    console.log(`[${this.name}] Managing ${accounts.length} accounts: ${this.getAccounts().map(account => `${account.name} (${account.customerId})`).join(', ')}`);
+    return this;
+  }
+
+  getAccounts() {
+    return [...this.orchestrators.values()].map(orchestrator => orchestrator.account);
+  }
+
+  getOrchestrator(customerId) {
+    return this.orchestrators.get(String(customerId).replace(/-/g, '')) || null;
+  }
+
+  // The first account answers requests that don't name an account
+  getPrimaryOrchestrator() {
+    return this.orchestrators.values().next().value || null;
+  }
+
+  async executeWorkflow(customerId, workflowType = 'full_automation', options = {}) {
+    const orchestrator = this.getOrchestrator(customerId);
+    if (!orchestrator) {
+      throw new Error(`Unknown account: ${customerId}`);
+    }
+    return orchestrator.executeWorkflow(workflowType, options);
+  }
+
+  // Runs the workflow for every account, a few at a time. One account
+  // failing is recorded in its result and does not stop the others.
+  async executeWorkflowForAll(workflowType = 'full_automation', options = {}) {
+    const pending = [...this.orchestrators.values()];
+    const results = [];
+
+    const runNext = async () => {
+      const orchestrator = pending.shift();
+      if (!orchestrator) return;
+
+      const { customerId, name } = orchestrator.account;
+      try {
+        const workflow = await orchestrator.executeWorkflow(workflowType, options);
+        results.push({ customerId, name, workflowId: workflow.id, status: workflow.status, error: null });
+      } catch (error) {
+        results.push({ customerId, name, workflowId: orchestrator.currentWorkflow?.id || null, status: 'failed', error: error.message });
+      }
+
+      return runNext();
+    };
+
+    const workers = Array.from({ length: Math.min(this.concurrency, pending.length) }, () => runNext());
+    await Promise.all(workers);
+
+    const failed = results.filter(result => result.status === 'failed').length;
+    console.log(`\n🏁 [${this.name}] ${workflowType} finished for ${results.length} accounts (${failed} failed)`);
+
+    return {
+      type: workflowType,
+      accounts: results.length,
+      completed: results.length - failed,
+      failed: failed,
+      results: results
+    };
+  }
+
+  startScheduler() {
+    this.orchestrators.forEach(orchestrator => orchestrator.startScheduler());
+  }
+
+  stopScheduler() {
+    this.orchestrators.forEach(orchestrator => orchestrator.stopScheduler());
+  }
+
+  watchSettings() {
+    this.orchestrators.forEach(orchestrator => orchestrator.watchSettings());
+  }
+
+  stopWatchingSettings() {
+    this.orchestrators.forEach(orchestrator => orchestrator.stopWatchingSettings());
+  }
+
+  // Per-account status plus totals across every account
+  getDashboardStatus() {
+    const accounts = [...this.orchestrators.values()].map(orchestrator => {
+      const status = orchestrator.getDashboardStatus();
+      const metrics = this.getLatestMetrics(orchestrator);
+
+      return {
+        ...status.account,
+        status: status.orchestrator.status,
+        currentWorkflow: status.orchestrator.currentWorkflow || null,
+        lastWorkflow: status.orchestrator.lastWorkflow,
+        totalWorkflows: status.orchestrator.totalWorkflows,
+        pendingApprovals: status.approvals.pending,
+        alerts: orchestrator.agents.performanceMonitor.getRecentAlerts(24).length,
+        campaigns: metrics.campaigns,
+        spend: metrics.spend,
+        conversions: metrics.conversions,
+        overallScore: status.dashboard?.overallScore ?? null,
+        kpis: status.dashboard?.KPIs || null
+      };
+    });
+
+    const sum = field => accounts.reduce((total, account) => total + (account[field] || 0), 0);
+
+    return {
+      orchestrator: {
+        status: this.getOverallStatus(accounts),
+        accounts: accounts.length,
+        working: accounts.filter(account => account.status === 'working').length,
+        failing: accounts.filter(account => account.status === 'error').length
+      },
+      totals: {
+        workflows: sum('totalWorkflows'),
+        pendingApprovals: sum('pendingApprovals'),
+        alerts: sum('alerts'),
+        spend: Math.round(sum('spend') * 100) / 100,
+        conversions: sum('conversions')
+      },
+      accounts: accounts,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Spend and conversions from the latest monitoring run of each campaign
+  getLatestMetrics(orchestrator) {
+    const latestByCampaign = {};
+    orchestrator.agents.performanceMonitor.performanceHistory.forEach(entry => {
+      latestByCampaign[entry.campaignId] = entry.metrics;
+    });
+
+    const latest = Object.values(latestByCampaign);
+    return {
+      campaigns: latest.length,
+      spend: Math.round(latest.reduce((total, metrics) => total + (metrics.cost || 0), 0) * 100) / 100,
+      conversions: latest.reduce((total, metrics) => total + (metrics.conversions || 0), 0)
+    };
+  }
+
+  getOverallStatus(accounts) {
+    if (accounts.some(account => account.status === 'working')) return 'working';
+    if (accounts.some(account => account.status === 'error')) return 'error';
+    return accounts.every(account => account.status === 'idle') ? 'idle' : 'completed';
+  }
+}
+
+// Runs the workflow for every configured account, then keeps monitoring them
+async function main() {
+  console.log('🤖 Google Ads AI Agent Automation System - all accounts\n');
+
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+  const accounts = new MultiAccountOrchestrator();
+
+  try {
+    await accounts.initialize();
+    const summary = await accounts.executeWorkflowForAll('full_automation', { dryRun });
+
+    console.log('\n📊 ACCOUNT RESULTS');
+    console.log('=' .repeat(80));
+    summary.results.forEach(result => {
+      console.log(`${result.status === 'completed' ? '✅' : '❌'} ${result.name} (${result.customerId}): ${result.status}${result.error ? ` - ${result.error}` : ''}`);
+    });
+
+    if (dryRun) {
+      console.log('\n✅ Dry run finished - no changes were made to any account');
+      process.exit(summary.failed > 0 ? 1 : 0);
+    }
+
+    accounts.startScheduler();
+    accounts.orchestrators.forEach(orchestrator => {
+      console.log(`\n🗓️  ${orchestrator.account.name}: ${orchestrator.scheduler.format()}`);
+    });
+    console.log('\n✅ All accounts are now running scheduled tasks');
+    console.log('Press Ctrl+C to stop the system');
+
+    process.on('SIGINT', () => {
+      console.log('\n🛑 Shutting down gracefully...');
+      accounts.stopScheduler();
+      console.log('✅ System stopped');
+      process.exit(0);
+    });
+
+  } catch (error) {
+    console.error('\n❌ System Error:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = MultiAccountOrchestrator;
+
+// Run if this file is executed directly
+if (require.main === module) {
+  main();
+}
@@ -1,302 +1,471 @@
-const CampaignSetupAgent = require('./agents/CampaignSetupAgent');
-const KeywordManagerAgent = require('./agents/KeywordManagerAgent');
-const AdCopyAgent = require('./agents/AdCopyAgent');
-const BidOptimizerAgent = require('./agents/BidOptimizerAgent');
-const PerformanceMonitorAgent = require('./agents/PerformanceMonitorAgent');
-const ReportingAgent = require('./agents/ReportingAgent');
+const EventEmitter = require('events');
+const fs = require('fs');
+const GoogleAdsClient = require('./services/GoogleAdsClient');
+const ApprovalQueue = require('./services/ApprovalQueue');
+const ChangePlan = require('./services/ChangePlan');
+const AccountRegistry = require('./services/AccountRegistry');
+const ProfileLoader = require('./services/ProfileLoader');
+const SettingsManager = require('./services/SettingsManager');
+const Scheduler = require('./services/Scheduler');
+const WorkflowLoader = require('./services/WorkflowLoader');
+const RetryPolicy = require('./services/RetryPolicy');
+const AgentRegistry = require('./services/AgentRegistry');
+const { getStorage } = require('./storage');
 const config = require('./config/config');
+const { getSecrets } = require('./secrets');
+const { redact } = require('./secrets/redact');
 
-class GoogleAdsOrchestrator {
-  constructor() {
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+const APPROVAL_EVENTS = ['approval_requested', 'approval_decided', 'action_executed', 'action_failed'];
+
+// Sent as schedule_run_completed etc.
+const SCHEDULER_EVENTS = ['run_completed', 'run_failed', 'run_skipped'];
+
+class GoogleAdsOrchestrator extends EventEmitter {
+  constructor(options = {}) {
+    super();
     this.name = 'Google Ads AI Orchestrator';
     this.status = 'idle';
     this.currentWorkflow = null;
-    this.workflowHistory = [];
+
+    // The Google Ads account this orchestrator manages (see multiAccountOrchestrator.js for several)
+    this.account = options.account || new AccountRegistry().getDefaultAccount();
+
+    // Workflows, bid history, alerts and reports persist across restarts
+    this.storage = options.storage || getStorage();
+    this.workflowHistory = this.storage.workflows.findAll();
+
+    // Client profile (config/profiles); settings from the accounts file override its campaignSettings
+    const profileLoader = new ProfileLoader();
+    const profile = options.profile || profileLoader.load(this.account.profile || undefined);
+    this.profile = ProfileLoader.merge(profile, { campaignSettings: this.account.settings });
+    this.settings = this.profile.campaignSettings;
+    this.account = { ...this.account, name: this.account.name || this.settings.businessInfo.name };
+
+    // KPI thresholds and automation settings can change while running (profile edits or the API)
+    this.settingsManager = new SettingsManager({
+      profile: this.profile,
+      profileId: options.profile ? null : this.profile.id,
+      accountSettings: this.account.settings,
+      customerId: this.account.customerId,
+      loader: profileLoader,
+      storage: this.storage
+    });
+
+    // Credentials for the API client and AI provider; secrets still loading from a remote vault are not checked
+    this.secrets = options.secrets || getSecrets();
+
+    // Throws in production when config.js or the profile has errors
+    if (!config.validateConfig(this.profile, this.secrets.loadedAt ? this.secrets.describe() : undefined)) {
+      console.warn('⚠️  Configuration has problems (see above). Using fallback values where possible.');
+    }
+
+    // Shared Google Ads API client (live or mock, per config.googleAds.mode)
+    this.googleAdsClient = this.createGoogleAdsClient();
+
+    // Account changes proposed by the agents go through one shared queue
+    this.approvalQueue = new ApprovalQueue({ storage: this.storage, googleAdsClient: this.googleAdsClient });
     
-    // Initialize all agents
-    this.agents = {
-      campaignSetup: new CampaignSetupAgent(),
-      keywordManager: new KeywordManagerAgent(),
-      adCopy: new AdCopyAgent(),
-      bidOptimizer: new BidOptimizerAgent(),
-      performanceMonitor: new PerformanceMonitorAgent(),
-      reporting: new ReportingAgent()
+    // Built-in and plugin agents, all sharing the account's client, storage and queue
+    this.agentRegistry = options.agentRegistry || new AgentRegistry();
+    this.agents = this.createAgents(this.googleAdsClient, this.approvalQueue);
+    this.workflowAgents = this.agents; // The agents the current workflow's steps run on
+    this.workflowPlan = null;
+
+    // Workflow types are step definitions in config/workflows (and WORKFLOWS_DIR)
+    this.workflows = options.workflows || new WorkflowLoader({ agents: this.agentRegistry });
+
+    // Cron schedules from the profile, in its timezone
+    this.scheduler = new Scheduler({ storage: this.storage, customerId: this.account.customerId });
+    this.scheduler.configure(this.getScheduledTasks(), this.profile.automationSettings.schedule);
+    this.forwardAgentEvents();
+
+    console.log(`[${this.name}] Initialized with ${Object.keys(this.agents).length} agents for ${this.account.name} (${this.account.customerId})`);
+    console.log(`[${this.name}] Client profile: ${this.profile.id}`);
+    console.log(`[${this.name}] Google Ads API mode: ${this.googleAdsClient.mode}`);
+    console.log(`[${this.name}] Storage: ${this.storage.driver} (${this.workflowHistory.length} previous workflows)`);
+  }
+
+  // plan: a dry run's ChangePlan, which the client records mutations in instead of sending them
+  createGoogleAdsClient(plan = null) {
+    return new GoogleAdsClient({
+      customerId: this.account.customerId,
+      loginCustomerId: this.account.loginCustomerId,
+      secrets: this.secrets,
+      storage: this.storage,
+      plan: plan
+    });
+  }
+
+  createAgents(googleAdsClient, approvalQueue) {
+    return this.agentRegistry.createAgents({
+      profile: this.profile,
+      account: this.account,
+      googleAdsClient: googleAdsClient,
+      storage: this.storage,
+      approvalQueue: approvalQueue,
+      secrets: this.secrets
+    });
+  }
+
+  forwardAgentEvents() {
+    this.forwardEventsOf(this.agents);
+
+    APPROVAL_EVENTS.forEach(type => {
+      this.approvalQueue.on(type, data => this.emitEvent(type, data, { source: 'approvals' }));
+    });
+
+    this.settingsManager.on('settings_updated', entry => this.onSettingsUpdated(entry));
+
+    SCHEDULER_EVENTS.forEach(type => {
+      this.scheduler.on(type, run => this.emitEvent(`schedule_${type}`, run, { source: 'scheduler' }));
+    });
+  }
+
+  forwardEventsOf(agents) {
+    Object.keys(agents).forEach(agentKey => {
+      const agent = agents[agentKey];
+      // Each agent class lists the events it emits
+      (agent.constructor.events || []).forEach(type => {
+        agent.on(type, data => this.emitEvent(type, data, {
+          source: agentKey,
+          agentStatus: agent.getStatus()
+        }));
+      });
+    });
+  }
+
+  // Agents read the shared profile; the ones that derive state from its thresholds rebuild it
+  onSettingsUpdated(entry) {
+    Object.values(this.agents).forEach(agent => {
+      if (typeof agent.reloadSettings === 'function') agent.reloadSettings();
+    });
+    if (entry.changes.some(change => change.path.startsWith('automationSettings.schedule.'))) {
+      this.scheduler.configure(this.getScheduledTasks(), this.profile.automationSettings.schedule);
+    }
+    this.emitEvent('settings_updated', entry, { source: 'settings' });
+  }
+
+  // Picks up edits to the client profile files until stopWatchingSettings()
+  watchSettings() {
+    this.settingsManager.watch();
+  }
+
+  stopWatchingSettings() {
+    this.settingsManager.unwatch();
+  }
+
+  // Every workflow, stage and agent event goes out on the single 'event' channel
+  emitEvent(type, data = {}, extra = {}) {
+    this.emit('event', {
+      type: type,
+      source: 'orchestrator',
+      customerId: this.account.customerId,
+      workflowId: this.currentWorkflow?.id || null,
+      data: data,
+      ...extra,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  startStage(stage, name) {
+    this.emitEvent('stage_started', { stage, name });
+  }
+
+  recordStage(stageResult) {
+    this.currentWorkflow.stages.push(stageResult);
+    this.emitEvent(`stage_${stageResult.status}`, {
+      stage: stageResult.stage,
+      name: stageResult.name,
+      duration: stageResult.duration,
+      attempts: stageResult.attempts ? stageResult.attempts.length : undefined,
+      error: stageResult.error
+    }, { agents: this.getAllAgentStatuses() });
+  }
+
+  // workflowType is one of the definitions in config/workflows (or WORKFLOWS_DIR).
+  // options.dryRun computes every change without applying it; the result
+  // carries a plan (see services/ChangePlan) instead of touching the account
+  async executeWorkflow(workflowType = 'full_automation', options = {}) {
+    const dryRun = Boolean(options.dryRun);
+    const definition = this.workflows.get(workflowType);
+    const workflowId = `workflow_${Date.now()}`;
+
+    this.status = 'working';
+    console.log(`\n🚀 [${this.name}] Starting ${workflowType} workflow for ${this.account.name} (ID: ${workflowId})${dryRun ? ' - DRY RUN' : ''}`);
+    console.log('=' .repeat(80));
+
+    this.currentWorkflow = {
+      id: workflowId,
+      type: workflowType,
+      customerId: this.account.customerId,
+      status: 'running',
+      startTime: new Date().toISOString(),
+      // Kept with the workflow so a resume runs the same steps even if the file has changed
+      definition: definition,
+      stages: [],
+      results: {}
     };
+    if (dryRun) this.currentWorkflow.dryRun = true;
 
-    console.log(`[${this.name}] Initialized with ${Object.keys(this.agents).length} agents`);
+    return this.runWorkflow();
   }
 
-  async executeWorkflow(workflowType = 'full_automation') {
-    try {
-      this.status = 'working';
-      const workflowId = `workflow_${Date.now()}`;
-      
-      console.log(`\n🚀 [${this.name}] Starting ${workflowType} workflow (ID: ${workflowId})`);
-      console.log('=' .repeat(80));
+  // Continues a failed or interrupted workflow with the steps that didn't
+  // finish. Finished steps are not repeated: their checkpointed results are
+  // used, and creates that did go through are matched by idempotency key.
+  async resumeWorkflow(workflowId) {
+    if (this.status === 'working') {
+      throw new Error(`Workflow ${this.currentWorkflow?.id} is already running`);
+    }
 
-      // Validate configuration
-      const configValid = config.validateConfig();
-      if (!configValid) {
-        console.warn('⚠️  Some configuration values are missing. Using fallback values where possible.');
-      }
+    const workflow = this.workflowHistory.find(item => item.id === workflowId) ||
+      this.storage.workflows.findById(workflowId);
+    if (!workflow) throw new Error(`Workflow not found: ${workflowId}`);
+    if (workflow.dryRun) throw new Error(`Workflow ${workflowId} was a dry run; start a new one instead`);
+    if (workflow.status === 'completed') throw new Error(`Workflow ${workflowId} has already completed`);
 
-      this.currentWorkflow = {
-        id: workflowId,
-        type: workflowType,
-        startTime: new Date().toISOString(),
-        stages: [],
-        results: {}
-      };
+    const definition = workflow.definition || this.workflows.get(workflow.type);
+    const remainingSteps = this.getRemainingSteps(workflow);
+    this.status = 'working';
+    console.log(`\n🔁 [${this.name}] Resuming ${workflow.type} workflow ${workflowId} for ${this.account.name} (${remainingSteps.join(', ')} to run)`);
+    console.log('=' .repeat(80));
 
-      // Execute workflow stages
-      await this.executeStage1_Setup();
-      await this.executeStage2_Optimization();
-      await this.executeStage3_Monitoring();
-      await this.executeStage4_Reporting();
+    const { error, endTime, duration, ...previous } = workflow;
+    this.currentWorkflow = {
+      ...previous,
+      definition: definition,
+      status: 'running',
+      resumes: [...(workflow.resumes || []), { remainingSteps, previousError: error || null, time: new Date().toISOString() }]
+    };
+
+    return this.runWorkflow();
+  }
+
+  // Runs the current workflow's remaining steps, saving a checkpoint after each
+  async runWorkflow() {
+    const workflowType = this.currentWorkflow.type;
+    const dryRun = Boolean(this.currentWorkflow.dryRun);
+    let plan = null;
+
+    try {
+      if (dryRun) {
+        // A dry run gets its own client, queue and agents, which record mutations
+        // and approval proposals in the plan. The shared ones stay live, so
+        // approvals and scheduled tasks handled meanwhile still reach the account.
+        plan = new ChangePlan({ workflowId: this.currentWorkflow.id, workflowType });
+        this.workflowPlan = plan;
+        const googleAdsClient = this.createGoogleAdsClient(plan);
+        this.workflowAgents = this.createAgents(googleAdsClient, new ApprovalQueue({ storage: this.storage, googleAdsClient, plan }));
+        this.forwardEventsOf(this.workflowAgents);
+      }
+      this.emitEvent('workflow_started', { type: workflowType, dryRun, resumed: Boolean(this.currentWorkflow.resumes) });
+
+      await this.runSteps(this.currentWorkflow.definition);
 
       // Complete workflow
       this.currentWorkflow.endTime = new Date().toISOString();
       this.currentWorkflow.duration = this.calculateDuration(this.currentWorkflow.startTime, this.currentWorkflow.endTime);
       this.currentWorkflow.status = 'completed';
+      if (plan) this.currentWorkflow.plan = plan.toJSON();
 
-      this.workflowHistory.push(this.currentWorkflow);
+      this.recordWorkflow();
       this.status = 'completed';
+      this.emitEvent('workflow_completed', {
+        type: workflowType,
+        duration: this.currentWorkflow.duration
+      }, { agents: this.getAllAgentStatuses() });
 
       console.log('\n✅ [Orchestrator] Workflow completed successfully!');
       console.log(`Duration: ${this.currentWorkflow.duration}`);
       console.log('=' .repeat(80));
 
+      if (plan) {
+        console.log(`\n📝 ${plan.format()}`);
+      }
+
       return this.currentWorkflow;
 
     } catch (error) {
       this.status = 'error';
       console.error(`\n❌ [${this.name}] Workflow failed:`, error.message);
       
-      if (this.currentWorkflow) {
-        this.currentWorkflow.status = 'failed';
-        this.currentWorkflow.error = error.message;
-        this.currentWorkflow.endTime = new Date().toISOString();
-      }
+      this.currentWorkflow.status = 'failed';
+      this.currentWorkflow.error = error.message;
+      this.currentWorkflow.endTime = new Date().toISOString();
+      if (plan) this.currentWorkflow.plan = plan.toJSON();
+
+      // Failed runs are kept too so they show up in summaries and audits, and can be resumed
+      this.recordWorkflow();
+      this.emitEvent('workflow_failed', {
+        type: workflowType,
+        error: error.message,
+        remainingSteps: dryRun ? [] : this.getRemainingSteps(this.currentWorkflow)
+      }, { agents: this.getAllAgentStatuses() });
       
       throw error;
+
+    } finally {
+      this.workflowAgents = this.agents;
+      this.workflowPlan = null;
     }
   }
 
-  async executeStage1_Setup() {
-    console.log('\n📋 STAGE 1: Campaign Setup & Initialization');
-    console.log('-'.repeat(50));
-
-    const stageStart = Date.now();
-    
-    try {
-      // Prepare campaign data for 2015 Security Services
-      const campaignData = {
-        budget: config.campaignSettings.budgetDaily,
-        campaignType: 'Search',
-        targeting: {
-          location: config.campaignSettings.region,
-          radius: 25,
-          keywords: [
-            'security services london',
-            'security guards london',
-            'manned guarding london',
-            'construction site security',
-            'residential security services'
-          ]
-        }
-      };
+  // Starts each step as soon as every step it needs is done, so independent
+  // branches run in parallel. After a failure no new steps start, but the
+  // ones already running finish (and are checkpointed) before it is thrown.
+  async runSteps(definition) {
+    const remaining = this.getRemainingSteps(this.currentWorkflow);
+    const done = new Set(definition.steps.map(step => step.id).filter(id => !remaining.includes(id)));
+    done.forEach(id => console.log(`\n⏭️  ${id} finished earlier, using its checkpoint`));
+
+    const waiting = definition.steps.filter(step => !done.has(step.id));
+    const running = new Map();
+    let failure = null;
+
+    while (running.size > 0 || (waiting.length > 0 && !failure)) {
+      if (!failure) {
+        waiting.filter(step => step.needs.every(id => done.has(id))).forEach(step => {
+          waiting.splice(waiting.indexOf(step), 1);
+          running.set(step.id, this.runStep(step).then(() => [step.id, null], error => [step.id, error]));
+        });
+      }
+      if (running.size === 0) {
+        throw new Error(`Workflow ${definition.id} can't run ${waiting.map(step => step.id).join(', ')}: the steps they need never finish`);
+      }
 
-      // Execute campaign setup
-      const campaignResult = await this.agents.campaignSetup.setupCampaign(campaignData);
-      
-      this.currentWorkflow.results.campaignSetup = campaignResult;
-      this.currentWorkflow.stages.push({
-        stage: 1,
-        name: 'Campaign Setup',
-        status: 'completed',
-        duration: Date.now() - stageStart,
-        result: campaignResult
-      });
+      const [stepId, error] = await Promise.race(running.values());
+      running.delete(stepId);
+      if (error) {
+        failure = failure || error;
+      } else {
+        done.add(stepId);
+      }
+    }
 
-      console.log('✅ Stage 1 completed successfully');
-      return campaignResult;
+    if (failure) throw failure;
+  }
 
-    } catch (error) {
-      console.error('❌ Stage 1 failed:', error.message);
-      this.currentWorkflow.stages.push({
-        stage: 1,
-        name: 'Campaign Setup',
-        status: 'failed',
-        duration: Date.now() - stageStart,
-        error: error.message
-      });
-      throw error;
+  async runStep(step) {
+    const capability = this.agentRegistry.getCapability(step.action);
+    const agent = capability && this.workflowAgents[capability.agentId];
+    const name = step.name || (agent ? agent.name : step.action);
+    const context = this.getStepContext();
+
+    if (step.when && !WorkflowLoader.evaluate(step.when, context)) {
+      console.log(`\n⏭️  Skipping ${name} (${step.id}): condition not met`);
+      this.recordStage({ stage: step.id, name: name, action: step.action, status: 'skipped', duration: 0 });
+      this.saveCheckpoint();
+      return;
     }
-  }
 
-  async executeStage2_Optimization() {
-    console.log('\n🎯 STAGE 2: Keyword & Ad Copy Optimization');
+    console.log(`\n▶️  ${name} (${step.id})`);
     console.log('-'.repeat(50));
 
     const stageStart = Date.now();
-    
+    this.startStage(step.id, name);
+
+    // Transient failures are retried; the step's own policy overrides config.resilience
+    const policy = new RetryPolicy({ ...step.retry, timeoutMs: step.timeoutMs || config.resilience.stepTimeoutMs });
+    const inputs = WorkflowLoader.resolve(step.inputs, context);
+
     try {
-      // Base keywords for 2015 Security Services
-      const baseKeywords = [
-        'security services',
-        'security guards',
-        'manned guarding',
-        'construction security',
-        'residential security',
-        'commercial security',
-        'london security'
-      ];
-
-      // Execute keyword optimization
-      console.log('🔍 Optimizing keywords...');
-      const keywordResult = await this.agents.keywordManager.fetchAndOptimizeKeywords(baseKeywords);
-      
-      // Execute ad copy generation
-      console.log('✍️  Generating ad copy...');
-      const campaignData = this.currentWorkflow.results.campaignSetup || {};
-      const adCopyResult = await this.agents.adCopy.generateAdCopy(campaignData, keywordResult.keywords.exact.slice(0, 10));
+      const run = () => {
+        if (!agent) throw new Error(`No agent available for ${step.action}; check the plugin agents in the startup log`);
+        return agent.run(inputs, this.getAgentContext(step));
+      };
+      const { value: output, attempts } = await policy.execute(run, {
+        onRetry: ({ attempt, error, delayMs }) => {
+          console.warn(`⚠️  ${name} attempt ${attempt}/${policy.maxAttempts} failed: ${error.message} (retrying in ${(delayMs / 1000).toFixed(1)}s)`);
+          this.emitEvent('stage_retrying', { stage: step.id, name, attempt, maxAttempts: policy.maxAttempts, delayMs, error: error.message });
+        }
+      });
 
-      this.currentWorkflow.results.keywordOptimization = keywordResult;
-      this.currentWorkflow.results.adCopyGeneration = adCopyResult;
-      
-      this.currentWorkflow.stages.push({
-        stage: 2,
-        name: 'Optimization',
+      this.currentWorkflow.results[step.id] = output;
+      this.recordStage({
+        stage: step.id,
+        name: name,
+        action: step.action,
         status: 'completed',
         duration: Date.now() - stageStart,
-        results: {
-          keywords: keywordResult.summary,
-          adCopy: adCopyResult.summary
-        }
+        attempts: attempts,
+        result: capability.summarize ? capability.summarize(output) : null
       });
+      this.saveCheckpoint();
 
-      console.log('✅ Stage 2 completed successfully');
-      return { keywordResult, adCopyResult };
+      console.log(`✅ ${name} completed${attempts.length > 1 ? ` after ${attempts.length} attempts` : ''}`);
+      return output;
 
     } catch (error) {
-      console.error('❌ Stage 2 failed:', error.message);
-      this.currentWorkflow.stages.push({
-        stage: 2,
-        name: 'Optimization',
+      const attempts = error.attempts || [];
+      console.error(`❌ ${name} failed${attempts.length > 1 ? ` after ${attempts.length} attempts` : ''}:`, error.message);
+      this.recordStage({
+        stage: step.id,
+        name: name,
+        action: step.action,
         status: 'failed',
         duration: Date.now() - stageStart,
+        attempts: attempts,
         error: error.message
       });
       throw error;
     }
   }
 
-  async executeStage3_Monitoring() {
-    console.log('\n📊 STAGE 3: Performance Monitoring & Bid Optimization');
-    console.log('-'.repeat(50));
+  // What "$..." references in a workflow definition can read
+  getStepContext() {
+    const latestWorkflow = this.getLatestCampaignWorkflow();
+    const campaignId = latestWorkflow ? latestWorkflow.results.campaignSetup.id : this.account.campaigns[0];
 
-    const stageStart = Date.now();
-    
-    try {
-      const campaignId = this.currentWorkflow.results.campaignSetup?.id || 'demo_campaign';
-      
-      // Execute performance monitoring
-      console.log('📈 Monitoring campaign performance...');
-      const performanceResult = await this.agents.performanceMonitor.monitorCampaign(campaignId);
-      
-      // Execute bid optimization based on performance
-      console.log('💰 Optimizing bids...');
-      const keywords = this.currentWorkflow.results.keywordOptimization?.keywords?.exact || [];
-      const bidOptimizationResult = await this.agents.bidOptimizer.adjustBids(
-        campaignId, 
-        performanceResult.metrics,
-        keywords.slice(0, 5)
-      );
-
-      this.currentWorkflow.results.performanceMonitoring = performanceResult;
-      this.currentWorkflow.results.bidOptimization = bidOptimizationResult;
-      
-      this.currentWorkflow.stages.push({
-        stage: 3,
-        name: 'Monitoring & Optimization',
-        status: 'completed',
-        duration: Date.now() - stageStart,
-        results: {
-          performance: {
-            status: performanceResult.status,
-            overallScore: performanceResult.analysis?.overallScore,
-            alerts: performanceResult.alerts?.length || 0
-          },
-          bidOptimization: bidOptimizationResult.summary
-        }
-      });
+    return {
+      settings: this.settings,
+      account: this.account,
+      campaign: campaignId ? this.getCampaignData(campaignId) : null, // The account's latest campaign, if any
+      steps: this.currentWorkflow.results,
+      workflow: { id: this.currentWorkflow.id, type: this.currentWorkflow.type, dryRun: Boolean(this.currentWorkflow.dryRun) }
+    };
+  }
 
-      console.log('✅ Stage 3 completed successfully');
-      return { performanceResult, bidOptimizationResult };
+  // What an agent's run() gets besides the step's inputs (see agents/BaseAgent)
+  getAgentContext(step) {
+    return {
+      capability: step.action,
+      account: this.account,
+      workflow: { id: this.currentWorkflow.id, type: this.currentWorkflow.type, dryRun: Boolean(this.currentWorkflow.dryRun) },
+      step: step.id,
+      idempotencyKey: `${this.currentWorkflow.id}:${step.id}`,
+      plan: this.workflowPlan,
+      agentStatuses: this.getAllAgentStatuses()
+    };
+  }
 
-    } catch (error) {
-      console.error('❌ Stage 3 failed:', error.message);
-      this.currentWorkflow.stages.push({
-        stage: 3,
-        name: 'Monitoring & Optimization',
-        status: 'failed',
-        duration: Date.now() - stageStart,
-        error: error.message
-      });
-      throw error;
+  // Stored after every step so a crash or failure loses at most the steps in progress.
+  // Dry runs have nothing to resume, so they are only stored once finished.
+  saveCheckpoint() {
+    if (!this.currentWorkflow.dryRun) {
+      this.storage.workflows.save(this.currentWorkflow);
     }
   }
 
-  async executeStage4_Reporting() {
-    console.log('\n📋 STAGE 4: Report Generation & Dashboard Update');
-    console.log('-'.repeat(50));
+  recordWorkflow() {
+    // A resumed workflow replaces its earlier entry
+    this.workflowHistory = this.workflowHistory.filter(workflow => workflow.id !== this.currentWorkflow.id);
+    this.workflowHistory.push(this.currentWorkflow);
+    this.storage.workflows.save(this.currentWorkflow);
+  }
 
-    const stageStart = Date.now();
-    
-    try {
-      const campaignData = this.currentWorkflow.results.campaignSetup || {};
-      const performanceData = this.currentWorkflow.results.performanceMonitoring || {};
-      
-      // Get all agent statuses
-      const agentStatuses = this.getAllAgentStatuses();
-      
-      // Generate comprehensive report
-      console.log('📊 Generating comprehensive report...');
-      const reportResult = await this.agents.reporting.generateReport(
-        campaignData,
-        performanceData,
-        agentStatuses
-      );
-
-      this.currentWorkflow.results.reporting = reportResult;
-      
-      this.currentWorkflow.stages.push({
-        stage: 4,
-        name: 'Reporting',
-        status: 'completed',
-        duration: Date.now() - stageStart,
-        result: {
-          reportId: reportResult.id,
-          overallScore: reportResult.executiveSummary?.campaignHealth?.status,
-          insights: reportResult.insights?.totalInsights || 0,
-          recommendations: reportResult.recommendations?.totalRecommendations || 0
-        }
-      });
+  // Steps of the workflow's definition that haven't completed (or been skipped)
+  getRemainingSteps(workflow) {
+    return (workflow.definition || this.workflows.get(workflow.type)).steps
+      .filter(step => !workflow.stages.some(record => record.stage === step.id && ['completed', 'skipped'].includes(record.status)))
+      .map(step => step.id);
+  }
 
-      console.log('✅ Stage 4 completed successfully');
-      return reportResult;
 
-    } catch (error) {
-      console.error('❌ Stage 4 failed:', error.message);
-      this.currentWorkflow.stages.push({
-        stage: 4,
-        name: 'Reporting',
-        status: 'failed',
-        duration: Date.now() - stageStart,
-        error: error.message
-      });
-      throw error;
-    }
+  // The latest workflow that failed or was interrupted, if any
+  getResumableWorkflow() {
+    return [...this.workflowHistory].reverse().find(workflow => !workflow.dryRun && workflow.status !== 'completed') || null;
   }
 
   getAllAgentStatuses() {
@@ -307,6 +476,27 @@ class GoogleAdsOrchestrator {
     return statuses;
   }
 
+  // Every agent with its capabilities, status and health, for the dashboard and API
+  async getAgents() {
+    return Promise.all(Object.keys(this.agents).map(async agentKey => {
+      const agent = this.agents[agentKey];
+      let health;
+      try {
+        // A plugin's check mustn't hold up the others
+        health = await new RetryPolicy({ timeoutMs: HEALTH_CHECK_TIMEOUT_MS }).withTimeout(agent.healthCheck());
+      } catch (error) {
+        health = { healthy: false, message: `Health check failed: ${error.message}` };
+      }
+
+      return {
+        ...this.agentRegistry.describe(agentKey),
+        name: agent.name,
+        status: agent.getStatus(),
+        health: { ...health, checkedAt: new Date().toISOString() }
+      };
+    }));
+  }
+
   calculateDuration(startTime, endTime) {
     const start = new Date(startTime);
     const end = new Date(endTime);
@@ -320,52 +510,121 @@ class GoogleAdsOrchestrator {
     return `${seconds}s`;
   }
 
-  // Method to start continuous monitoring
-  async startContinuousMonitoring(intervalMinutes = 15) {
-    console.log(`\n🔄 Starting continuous monitoring (every ${intervalMinutes} minutes)`);
-    
-    const monitoringInterval = setInterval(async () => {
-      try {
-        console.log('\n🔍 Continuous monitoring cycle...');
-        
-        // Get latest campaign data
-        const latestWorkflow = this.workflowHistory[this.workflowHistory.length - 1];
-        if (!latestWorkflow) {
-          console.log('No previous workflow found, skipping monitoring cycle');
-          return;
-        }
+  // Starts the scheduled tasks (see getScheduledTasks) until stopScheduler()
+  startScheduler() {
+    // Long-running from here on, so keep picking up rotated keys and profile edits
+    this.secrets.startAutoRefresh();
+    this.watchSettings();
+    this.scheduler.start();
+  }
 
-        const campaignId = latestWorkflow.results.campaignSetup?.id;
-        if (!campaignId) {
-          console.log('No campaign ID found, skipping monitoring cycle');
-          return;
-        }
+  stopScheduler() {
+    this.scheduler.stop();
+    this.stopWatchingSettings();
+  }
 
-        // Monitor performance
-        const performanceResult = await this.agents.performanceMonitor.monitorCampaign(campaignId);
-        
-        // Check if optimization is needed
-        if (performanceResult.alerts && performanceResult.alerts.length > 0) {
-          console.log(`⚠️  ${performanceResult.alerts.length} alerts detected, running optimization...`);
-          
-          // Run bid optimization
-          await this.agents.bidOptimizer.adjustBids(campaignId, performanceResult.metrics);
-          
-          // Generate updated report
-          const agentStatuses = this.getAllAgentStatuses();
-          await this.agents.reporting.generateReport(
-            latestWorkflow.results.campaignSetup,
-            performanceResult,
-            agentStatuses
-          );
-        }
+  // Tasks run on the cron schedules in the profile's automationSettings.schedule.
+  // They share one lock so they never run side by side, and give way to a running workflow.
+  getScheduledTasks() {
+    const canRun = (needsCampaigns) => () => {
+      if (this.status === 'working') return `workflow ${this.currentWorkflow?.id} is running`;
+      if (needsCampaigns && this.getMonitoredCampaignIds().length === 0) return 'no campaigns to monitor yet';
+      return null;
+    };
+    const task = (description, run, options = {}) => ({ description, run, lock: 'account', canRun: canRun(options.needsCampaigns !== false), ...options });
 
-      } catch (error) {
-        console.error('❌ Error in continuous monitoring:', error.message);
+    return {
+      // The next check is never far away, so a missed one isn't caught up
+      monitoring: task('Check performance, raise alerts and react to them', () => this.runScheduledMonitoring(), { catchUp: false }),
+      bidOptimization: task('Adjust keyword bids and location and ad schedule bid modifiers from current performance', () => this.runScheduledBidOptimization()),
+      keywordRefresh: task('Refresh keyword research from the seed keywords', () => this.runScheduledKeywordRefresh(), { needsCampaigns: false }),
+      dailyReport: task('Daily performance report', () => this.runScheduledReport('daily')),
+      weeklyReport: task('Weekly performance report', () => this.runScheduledReport('weekly'))
+    };
+  }
+
+  async runScheduledMonitoring() {
+    let alerts = 0;
+    const campaignIds = this.getMonitoredCampaignIds();
+
+    for (const campaignId of campaignIds) {
+      const performanceResult = await this.agents.performanceMonitor.monitorCampaign(campaignId);
+      alerts += performanceResult.alerts?.length || 0;
+
+      // Alerts get an immediate optimization and an updated report rather than waiting for their slots
+      if (performanceResult.alerts && performanceResult.alerts.length > 0) {
+        console.log(`⚠️  ${performanceResult.alerts.length} alerts detected for campaign ${campaignId}, running optimization...`);
+        await this.agents.bidOptimizer.adjustBids(campaignId, performanceResult.metrics);
+        await this.agents.reporting.generateReport(this.getCampaignData(campaignId), performanceResult, this.getAllAgentStatuses());
       }
-    }, intervalMinutes * 60 * 1000);
+    }
+
+    return { campaigns: campaignIds.length, alerts };
+  }
+
+  async runScheduledBidOptimization() {
+    let adjustments = 0;
+    let locationAdjustments = 0;
+    let scheduleAdjustments = 0;
+    const campaignIds = this.getMonitoredCampaignIds();
+
+    for (const campaignId of campaignIds) {
+      const metrics = await this.agents.performanceMonitor.fetchPerformanceMetrics(campaignId);
+      const result = await this.agents.bidOptimizer.adjustBids(campaignId, metrics, metrics.keywords);
+      adjustments += result.summary.totalAdjustments;
+
+      const locationResult = await this.agents.bidOptimizer.adjustLocationBids(campaignId);
+      locationAdjustments += locationResult.summary.totalAdjustments;
+
+      const scheduleResult = await this.agents.bidOptimizer.optimizeAdSchedule(campaignId);
+      scheduleAdjustments += scheduleResult.summary.totalAdjustments;
+    }
+
+    return { campaigns: campaignIds.length, adjustments, locationAdjustments, scheduleAdjustments };
+  }
 
-    return monitoringInterval;
+  async runScheduledKeywordRefresh() {
+    const result = await this.agents.keywordManager.fetchAndOptimizeKeywords(this.settings.seedKeywords);
+    return result.summary;
+  }
+
+  async runScheduledReport(period) {
+    const campaignIds = this.getMonitoredCampaignIds();
+    const dateRange = this.agents.performanceMonitor.getDefaultDateRange(period === 'weekly' ? 7 : 1);
+    const reportIds = [];
+
+    for (const campaignId of campaignIds) {
+      const performanceResult = await this.agents.performanceMonitor.monitorCampaign(campaignId, {}, { dateRange });
+      const report = await this.agents.reporting.generateReport(this.getCampaignData(campaignId), performanceResult, this.getAllAgentStatuses(), { period });
+      reportIds.push(report.id);
+    }
+
+    return { period, reportIds };
+  }
+
+  // The campaign as created by the latest workflow, or just its id for campaigns listed in the accounts file
+  getCampaignData(campaignId) {
+    const latestWorkflow = this.getLatestCampaignWorkflow();
+    return String(latestWorkflow?.results.campaignSetup?.id) === String(campaignId)
+      ? latestWorkflow.results.campaignSetup
+      : { id: campaignId, name: `${this.account.name} campaign ${campaignId}` };
+  }
+
+  // Campaigns listed for the account plus the one created by the latest workflow
+  getMonitoredCampaignIds() {
+    const latestCampaignId = this.getLatestCampaignWorkflow()?.results.campaignSetup.id;
+    const campaignIds = [...this.account.campaigns];
+    if (latestCampaignId && !campaignIds.includes(String(latestCampaignId))) {
+      campaignIds.push(String(latestCampaignId));
+    }
+    return campaignIds;
+  }
+
+  // Dry runs only plan their campaign, so they are skipped
+  getLatestCampaignWorkflow() {
+    return [...this.workflowHistory]
+      .reverse()
+      .find(workflow => !workflow.dryRun && workflow.results?.campaignSetup?.id);
   }
 
   // Method to get current status for dashboard
@@ -374,6 +633,12 @@ class GoogleAdsOrchestrator {
     const dashboardData = this.agents.reporting.getDashboardData();
     
     return {
+      account: {
+        customerId: this.account.customerId,
+        name: this.account.name,
+        managerId: this.account.managerId,
+        profile: this.profile.id
+      },
       orchestrator: {
         status: this.status,
         currentWorkflow: this.currentWorkflow?.id,
@@ -383,6 +648,12 @@ class GoogleAdsOrchestrator {
       },
       agents: agentStatuses,
       dashboard: dashboardData,
+      approvals: {
+        pending: this.approvalQueue.countPending()
+      },
+      kpiTargets: this.profile.kpiThresholds,
+      kpiChanges: this.agents.performanceMonitor.getKpiChanges(),
+      performanceTrend: this.agents.performanceMonitor.getPerformanceTrend(7),
       timestamp: new Date().toISOString()
     };
   }
@@ -445,7 +716,7 @@ class GoogleAdsOrchestrator {
 
     switch (format) {
       case 'json':
-        return JSON.stringify(data, null, 2);
+        return JSON.stringify(redact(data), null, 2);
       case 'csv':
         return this.convertWorkflowsToCSV(this.workflowHistory);
       default:
@@ -453,11 +724,23 @@ class GoogleAdsOrchestrator {
     }
   }
 
+  // Plans are stored with their dry-run workflow; text is the printed form
+  getWorkflowPlan(workflowId, format = 'json') {
+    const workflow = this.workflowHistory.find(item => item.id === workflowId) ||
+      this.storage.workflows.findById(workflowId);
+
+    if (!workflow || !workflow.plan) return null;
+
+    return format === 'text'
+      ? ChangePlan.fromJSON(workflow.plan).format()
+      : workflow.plan;
+  }
+
   convertWorkflowsToCSV(workflows) {
     let csv = 'Workflow ID,Type,Status,Start Time,End Time,Duration,Stages Completed\n';
     
     workflows.forEach(workflow => {
-      csv += `${workflow.id},${workflow.type},${workflow.status},${workflow.startTime},${workflow.endTime || 'N/A'},${workflow.duration || 'N/A'},${workflow.stages.length}\n`;
+      csv += `${workflow.id},${workflow.type},${workflow.status},${workflow.startTime},${workflow.endTime || 'N/A'},${workflow.duration || 'N/A'},${workflow.stages.filter(stage => stage.status === 'completed').length}\n`;
     });
     
     return csv;
@@ -466,17 +749,46 @@ class GoogleAdsOrchestrator {
 
 // Main execution function
 async function main() {
-  console.log('🤖 Google Ads AI Agent Automation System');
-  console.log('🏢 Client: 2015 Security Services Ltd');
-  console.log('📍 Location: London, UK');
-  console.log('💰 Budget: £600/month (£20/day)');
-  console.log('🎯 Goal: Increase qualified leads, improve ROI, reduce CPL\n');
-
-  const orchestrator = new GoogleAdsOrchestrator();
-  
+  // --dry-run prints the plan instead of changing the account; --plan-out=<file> saves it as JSON.
+  // --workflow=<type> runs another workflow type than full_automation.
+  // --resume[=<workflowId>] continues a failed workflow (the latest one by default) with the steps that didn't finish
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const planOut = args.find(arg => arg.startsWith('--plan-out='))?.split('=')[1];
+  const resume = args.find(arg => arg === '--resume' || arg.startsWith('--resume='));
+  const workflowType = args.find(arg => arg.startsWith('--workflow='))?.split('=')[1] || 'full_automation';
+  let orchestrator = null;
+
   try {
-    // Execute full automation workflow
-    const workflowResult = await orchestrator.executeWorkflow('full_automation');
+    // Remote secrets providers answer asynchronously; wait so startup checks see them
+    await getSecrets().ready();
+    orchestrator = new GoogleAdsOrchestrator();
+    const { businessInfo, region, budgetDaily, budgetMonthly } = orchestrator.settings;
+
+    console.log('🤖 Google Ads AI Agent Automation System');
+    console.log(`🏢 Client: ${businessInfo.name}`);
+    console.log(`📍 Location: ${region}`);
+    console.log(`💰 Budget: £${budgetMonthly || budgetDaily * 30}/month (£${budgetDaily}/day)`);
+    console.log('🎯 Goal: Increase qualified leads, improve ROI, reduce CPL\n');
+
+    // Execute the workflow (full automation by default), or finish one that failed
+    let workflowResult;
+    if (resume) {
+      const workflowId = resume.split('=')[1] || orchestrator.getResumableWorkflow()?.id;
+      if (!workflowId) throw new Error('No failed workflow to resume');
+      workflowResult = await orchestrator.resumeWorkflow(workflowId);
+    } else {
+      workflowResult = await orchestrator.executeWorkflow(workflowType, { dryRun });
+    }
+
+    if (dryRun) {
+      if (planOut) {
+        fs.writeFileSync(planOut, JSON.stringify(workflowResult.plan, null, 2));
+        console.log(`\n💾 Plan written to ${planOut}`);
+      }
+      console.log('\n✅ Dry run finished - no changes were made to the account');
+      process.exit(0);
+    }
     
     // Display results summary
     console.log('\n📊 WORKFLOW RESULTS SUMMARY');
@@ -484,7 +796,7 @@ async function main() {
     console.log(`Workflow ID: ${workflowResult.id}`);
     console.log(`Status: ${workflowResult.status}`);
     console.log(`Duration: ${workflowResult.duration}`);
-    console.log(`Stages Completed: ${workflowResult.stages.length}/4`);
+    console.log(`Steps Completed: ${workflowResult.stages.filter(stage => stage.status === 'completed').length}/${workflowResult.definition.steps.length}`);
     
     // Display key metrics
     const performanceData = workflowResult.results.performanceMonitoring;
@@ -506,24 +818,29 @@ async function main() {
       console.log(`${status.agent}: ${status.status} - ${status.lastAction}`);
     });
 
-    // Start continuous monitoring (optional)
-    console.log('\n🔄 Starting continuous monitoring...');
-    const monitoringInterval = await orchestrator.startContinuousMonitoring(15); // Every 15 minutes
+    // Scheduled monitoring, bid optimization, keyword refresh and reports
+    console.log('\n🔄 Starting scheduled tasks...');
+    orchestrator.startScheduler();
+    console.log(`\n🗓️  ${orchestrator.scheduler.format()}`);
     
     // Keep the process running for demonstration
-    console.log('\n✅ System is now running in continuous monitoring mode');
+    console.log('\n✅ System is now running scheduled tasks');
     console.log('Press Ctrl+C to stop the system');
     
     // Graceful shutdown
     process.on('SIGINT', () => {
       console.log('\n🛑 Shutting down gracefully...');
-      clearInterval(monitoringInterval);
+      orchestrator.stopScheduler();
       console.log('✅ System stopped');
       process.exit(0);
     });
 
   } catch (error) {
     console.error('\n❌ System Error:', error.message);
+    const workflow = orchestrator?.currentWorkflow;
+    if (workflow && workflow.status === 'failed' && !workflow.dryRun) {
+      console.error(`🔁 Fix the problem, then run ${orchestrator.getRemainingSteps(workflow).join(', ')} with: npm start -- --resume=${workflow.id}`);
+    }
     process.exit(1);
   }
 }
@@ -0,0 +1,91 @@
+const axios = require('axios');
+const BaseAgent = require('../agents/BaseAgent');
+
+const REQUEST_TIMEOUT_MS = 15000;
+const SLOW_PAGE_MS = 3000;
+
+// Example plugin agent: checks that the pages ads point to load quickly over
+// HTTPS and look relevant to the client's service area. Loaded from plugins/
+// like any other plugin; see the landing_page_audit workflow.
+class LandingPageAuditorAgent extends BaseAgent {
+  static capabilities = {
+    auditLandingPages: {
+      description: 'Check landing pages for errors, HTTPS, load time, title, mobile viewport and local relevance',
+      inputs: ['urls'],
+      summarize: result => result.summary
+    }
+  };
+  static events = ['landing_pages_audited'];
+
+  constructor(options = {}) {
+    super(options);
+    this.name = 'Landing Page Auditor';
+  }
+
+  async run(input) {
+    return this.auditLandingPages(input.urls || [this.profile.campaignSettings.businessInfo.website]);
+  }
+
+  async auditLandingPages(urls) {
+    try {
+      this.status = 'working';
+      console.log(`[${this.name}] Auditing ${urls.length} landing pages...`);
+
+      const pages = [];
+      for (const url of urls) {
+        pages.push(await this.auditPage(url));
+      }
+
+      const result = {
+        pages: pages,
+        summary: {
+          pages: pages.length,
+          passed: pages.filter(page => page.issues.length === 0).length,
+          issues: pages.reduce((total, page) => total + page.issues.length, 0)
+        },
+        auditedAt: new Date().toISOString()
+      };
+
+      this.status = 'completed';
+      this.lastAction = `Audited ${result.summary.pages} landing pages, ${result.summary.issues} issues`;
+      this.emit('landing_pages_audited', result.summary);
+      return result;
+
+    } catch (error) {
+      this.status = 'error';
+      this.lastAction = `Error: ${error.message}`;
+      console.error(`[${this.name}] Error auditing landing pages:`, error.message);
+      throw error;
+    }
+  }
+
+  // An unreachable page is an issue of that page, not a failure of the audit
+  async auditPage(url) {
+    const issues = [];
+    const startedAt = Date.now();
+
+    if (!url.startsWith('https://')) issues.push('Not served over HTTPS');
+
+    try {
+      const response = await axios.get(url, { timeout: REQUEST_TIMEOUT_MS, validateStatus: () => true, responseType: 'text' });
+      const loadTime = Date.now() - startedAt;
+      const html = typeof response.data === 'string' ? response.data : '';
+
+      if (response.status >= 400) issues.push(`Returned HTTP ${response.status}`);
+      if (loadTime > SLOW_PAGE_MS) issues.push(`Slow to load (${loadTime}ms)`);
+      if (!/<title>[^<]+<\/title>/i.test(html)) issues.push('No page title');
+      if (!/<meta[^>]+name=["']viewport["']/i.test(html)) issues.push('No mobile viewport meta tag');
+
+      const region = this.profile.campaignSettings.region;
+      if (region && !html.toLowerCase().includes(region.toLowerCase())) issues.push(`Doesn't mention ${region}`);
+
+      return { url, status: response.status, loadTime, issues };
+
+    } catch (error) {
+      issues.push(`Unreachable: ${error.message}`);
+      return { url, status: null, loadTime: null, issues };
+    }
+  }
+}
+
+module.exports = LandingPageAuditorAgent;
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const FILE_VERSION = 1;
+
+// Secrets kept in a local file encrypted with AES-256-GCM. The key is derived
+// from the SECRETS_KEY passphrase, which stays in the environment. Manage the
+// file with `npm run secrets`; the file is read again on every fetch, so a
+// key changed there is picked up by the next refresh.
+class EncryptedFileSecretsProvider {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.filePath = options.file;
+    this.passphrase = options.key;
+  }
+
+  fetch(names) {
+    const values = this.read();
+    return Object.fromEntries(names.map(name => [name, values[name] || null]));
+  }
+
+  read() {
+    if (!fs.existsSync(this.filePath)) return {};
+
+    let envelope;
+    try {
+      envelope = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to read secrets file ${this.filePath}: ${error.message}`);
+    }
+    if (envelope.version !== FILE_VERSION) {
+      throw new Error(`Unsupported secrets file version ${envelope.version} in ${this.filePath}`);
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, this.deriveKey(Buffer.from(envelope.salt, 'base64')), Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+      return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Unable to decrypt ${this.filePath}: wrong SECRETS_KEY or corrupted file`);
+    }
+  }
+
+  write(values) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.deriveKey(salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(values), 'utf8'), cipher.final()]);
+
+    const envelope = {
+      version: FILE_VERSION,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+      updatedAt: new Date().toISOString()
+    };
+
+    // Write then rename so a running orchestrator never reads a half-written file
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(envelope, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  deriveKey(salt) {
+    if (!this.passphrase) {
+      throw new Error('SECRETS_KEY must be set to use the encrypted secrets file');
+    }
+    return crypto.scryptSync(this.passphrase, salt, 32);
+  }
+}
+
+module.exports = EncryptedFileSecretsProvider;
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Values copied unchanged from .env.example (or config.js defaults) mean "not set"
+const PLACEHOLDER = /^your_\w+_here$|INSERT_/i;
+
+// Reads secrets from environment variables. Values that dotenv loaded from
+// .env are re-read from the file on every fetch, so editing .env rotates a
+// key without a restart; variables set in the real environment win as usual.
+// Placeholders left from .env.example count as not set, so an unedited .env
+// falls back (AI ads from templates) instead of sending the placeholder.
+class EnvSecretsProvider {
+  constructor(options = {}) {
+    this.name = 'env';
+    this.envVars = options.envVars || {};
+    this.envFile = options.envFile || path.join(process.cwd(), '.env');
+    this.fromFile = new Set(Object.entries(this.readEnvFile())
+      .filter(([variable, value]) => process.env[variable] === value)
+      .map(([variable]) => variable));
+  }
+
+  readEnvFile() {
+    try {
+      return fs.existsSync(this.envFile) ? dotenv.parse(fs.readFileSync(this.envFile)) : {};
+    } catch (error) {
+      console.warn(`[Secrets] Unable to read ${this.envFile}: ${error.message}`);
+      return {};
+    }
+  }
+
+  fetch(names) {
+    const fileValues = this.fromFile.size > 0 ? this.readEnvFile() : {};
+
+    return Object.fromEntries(names.map(name => {
+      const variable = this.envVars[name];
+      const value = this.fromFile.has(variable) ? fileValues[variable] : process.env[variable];
+      return [name, value && !PLACEHOLDER.test(value) ? value : null];
+    }));
+  }
+}
+
+module.exports = EnvSecretsProvider;
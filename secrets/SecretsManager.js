@@ -0,0 +1,98 @@
+const EventEmitter = require('events');
+const { addSecretValue } = require('./redact');
+
+// Holds the current value of every secret from one provider. Consumers call
+// get() whenever they need a credential rather than copying it, so refresh()
+// (on a timer or through the API) rotates keys without a restart. Values are
+// registered with the redactor, and old values stay registered after rotation.
+class SecretsManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.name = 'Secrets Manager';
+    this.provider = options.provider;
+    this.names = options.names || [];
+    this.refreshIntervalMinutes = options.refreshIntervalMinutes || 0;
+    this.values = {};
+    this.rotatedAt = {};
+    this.loadedAt = null;
+    this.lastError = null;
+    this.refreshTimer = null;
+
+    // Local providers answer synchronously, so their secrets are usable straight away
+    this.loading = this.refresh().catch(error => {
+      console.error(`[${this.name}] Unable to load secrets from ${this.provider.name}: ${error.message}`);
+    });
+  }
+
+  // Resolves once the first load has finished (successfully or not)
+  ready() {
+    return this.loading;
+  }
+
+  get(name) {
+    return this.values[name] || null;
+  }
+
+  async refresh() {
+    let fetched;
+    try {
+      fetched = this.provider.fetch(this.names);
+      if (fetched && typeof fetched.then === 'function') fetched = await fetched;
+    } catch (error) {
+      this.lastError = error.message;
+      throw error;
+    }
+
+    const rotated = this.names.filter(name => this.loadedAt && (fetched[name] || null) !== this.get(name));
+    const now = new Date().toISOString();
+
+    this.names.forEach(name => {
+      this.values[name] = fetched[name] || null;
+      addSecretValue(this.values[name]);
+    });
+    rotated.forEach(name => {
+      this.rotatedAt[name] = now;
+    });
+    this.loadedAt = now;
+    this.lastError = null;
+
+    if (rotated.length > 0) {
+      console.log(`[${this.name}] Rotated ${rotated.join(', ')}`);
+      this.emit('rotated', { names: rotated, rotatedAt: now });
+    }
+
+    return rotated;
+  }
+
+  startAutoRefresh() {
+    if (this.refreshTimer || !this.refreshIntervalMinutes) return;
+
+    this.refreshTimer = setInterval(() => {
+      this.refresh().catch(error => console.error(`[${this.name}] Refresh failed: ${error.message}`));
+    }, this.refreshIntervalMinutes * 60 * 1000);
+    // Refreshing alone shouldn't keep the process running
+    this.refreshTimer.unref();
+  }
+
+  stopAutoRefresh() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  // Which secrets are set and when they last changed, never the values
+  describe() {
+    return {
+      provider: this.provider.name,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError,
+      refreshIntervalMinutes: this.refreshIntervalMinutes,
+      secrets: this.names.map(name => ({
+        name: name,
+        set: Boolean(this.get(name)),
+        rotatedAt: this.rotatedAt[name] || null
+      }))
+    };
+  }
+}
+
+module.exports = SecretsManager;
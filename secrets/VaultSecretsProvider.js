@@ -0,0 +1,41 @@
+const axios = require('axios');
+
+// Reads secrets from a HashiCorp Vault KV v2 secret whose keys are the secret
+// names (e.g. "googleAds.refreshToken"). Other vaults plug in the same way:
+// any class with fetch(names) returning { name: value } (or a promise of it)
+// can be set as SECRETS_PROVIDER=./path/to/Provider.js.
+class VaultSecretsProvider {
+  constructor(options = {}) {
+    this.name = 'vault';
+    this.address = options.address;
+    this.token = options.token;
+    this.secretPath = options.path;
+    this.namespace = options.namespace || null;
+    this.timeout = options.timeout || 10000;
+  }
+
+  async fetch(names) {
+    if (!this.address || !this.token) {
+      throw new Error('VAULT_ADDR and VAULT_TOKEN must be set to use the vault secrets provider');
+    }
+
+    let response;
+    try {
+      response = await axios.get(`${this.address.replace(/\/$/, '')}/v1/${this.secretPath}`, {
+        headers: {
+          'X-Vault-Token': this.token,
+          ...(this.namespace ? { 'X-Vault-Namespace': this.namespace } : {})
+        },
+        timeout: this.timeout
+      });
+    } catch (error) {
+      const reason = error.response?.data?.errors?.join('; ') || error.message;
+      throw new Error(`Vault request for ${this.secretPath} failed: ${reason}`);
+    }
+
+    const values = response.data?.data?.data || {};
+    return Object.fromEntries(names.map(name => [name, values[name] || null]));
+  }
+}
+
+module.exports = VaultSecretsProvider;
@@ -0,0 +1,87 @@
+const config = require('../config/config');
+const EncryptedFileSecretsProvider = require('./EncryptedFileSecretsProvider');
+const { SECRET_ENV_VARS } = require('./index');
+
+// `npm run secrets -- <command>` manages the encrypted secrets file
+// (SECRETS_PROVIDER=file). Values are never printed. A running orchestrator
+// picks changes up on its next refresh, or straight away through
+// POST /api/secrets/refresh.
+const USAGE = `Usage: npm run secrets -- <command>
+
+  list                  Secret names and whether each is set
+  set <name> [value]    Set a secret (reads the value from stdin when omitted)
+  remove <name>         Remove a secret
+  import-env            Copy secrets from environment variables into the file
+
+Secrets: ${Object.keys(SECRET_ENV_VARS).join(', ')}`;
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let input = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { input += chunk; });
+    process.stdin.on('end', () => resolve(input.trim()));
+    process.stdin.on('error', reject);
+  });
+}
+
+function assertKnown(name) {
+  if (!SECRET_ENV_VARS[name]) {
+    throw new Error(`Unknown secret: ${name} (use one of ${Object.keys(SECRET_ENV_VARS).join(', ')})`);
+  }
+}
+
+async function main() {
+  const [command, name, value] = process.argv.slice(2);
+  const provider = new EncryptedFileSecretsProvider(config.secrets);
+
+  switch (command) {
+    case 'list': {
+      const values = provider.read();
+      Object.keys(SECRET_ENV_VARS).forEach(secret => {
+        console.log(`${values[secret] ? '✓' : '·'} ${secret}`);
+      });
+      break;
+    }
+
+    case 'set': {
+      assertKnown(name);
+      const secret = value || await readStdin();
+      if (!secret) throw new Error(`No value given for ${name}`);
+
+      provider.write({ ...provider.read(), [name]: secret });
+      console.log(`✅ ${name} saved to ${provider.filePath}`);
+      break;
+    }
+
+    case 'remove': {
+      assertKnown(name);
+      const { [name]: removed, ...rest } = provider.read();
+      provider.write(rest);
+      console.log(removed ? `✅ ${name} removed` : `${name} was not set`);
+      break;
+    }
+
+    case 'import-env': {
+      const imported = Object.entries(SECRET_ENV_VARS).filter(([, variable]) => process.env[variable]);
+      provider.write({
+        ...provider.read(),
+        ...Object.fromEntries(imported.map(([secret, variable]) => [secret, process.env[variable]]))
+      });
+      console.log(`✅ Imported ${imported.map(([secret]) => secret).join(', ') || 'nothing'} into ${provider.filePath}`);
+      break;
+    }
+
+    default:
+      console.log(USAGE);
+      process.exit(command ? 1 : 0);
+  }
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,68 @@
+const path = require('path');
+const config = require('../config/config');
+const SecretsManager = require('./SecretsManager');
+const EnvSecretsProvider = require('./EnvSecretsProvider');
+const EncryptedFileSecretsProvider = require('./EncryptedFileSecretsProvider');
+const VaultSecretsProvider = require('./VaultSecretsProvider');
+const { addSecretValue } = require('./redact');
+
+// Every secret the system uses, with the environment variable the env provider reads
+const SECRET_ENV_VARS = {
+  'googleAds.developerToken': 'GOOGLE_ADS_DEVELOPER_TOKEN',
+  'googleAds.clientSecret': 'GOOGLE_ADS_CLIENT_SECRET',
+  'googleAds.refreshToken': 'GOOGLE_ADS_REFRESH_TOKEN',
+  'aiProvider.apiKey': 'OPENROUTER_API_KEY',
+  'server.apiToken': 'API_TOKEN'
+};
+
+let defaultSecrets = null;
+
+function createProvider(settings) {
+  switch (settings.provider) {
+    case 'env':
+      return new EnvSecretsProvider({ envVars: SECRET_ENV_VARS });
+    case 'file':
+      return new EncryptedFileSecretsProvider(settings);
+    case 'vault':
+      return new VaultSecretsProvider(settings.vault);
+    default: {
+      // Anything else is a module exporting a provider class (see VaultSecretsProvider)
+      if (!/\.js$/.test(settings.provider)) {
+        throw new Error(`Unknown secrets provider: ${settings.provider} (use env, file, vault or a path to a .js module)`);
+      }
+      const Provider = require(path.resolve(settings.provider));
+      const provider = new Provider(settings);
+      provider.name = provider.name || path.basename(settings.provider, '.js');
+      return provider;
+    }
+  }
+}
+
+function createSecrets(options = {}) {
+  const settings = { ...config.secrets, ...options };
+
+  // The keys that unlock the other secrets must never be logged either
+  addSecretValue(settings.key);
+  addSecretValue(settings.vault?.token);
+
+  return new SecretsManager({
+    provider: options.provider && typeof options.provider === 'object' ? options.provider : createProvider(settings),
+    names: Object.keys(SECRET_ENV_VARS),
+    refreshIntervalMinutes: settings.refreshIntervalMinutes
+  });
+}
+
+// Shared secrets used by the Google Ads client, agents and API server unless one is injected
+function getSecrets() {
+  if (!defaultSecrets) {
+    defaultSecrets = createSecrets();
+  }
+  return defaultSecrets;
+}
+
+module.exports = {
+  SECRET_ENV_VARS,
+  createProvider,
+  createSecrets,
+  getSecrets
+};
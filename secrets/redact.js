@@ -0,0 +1,88 @@
+// Keeps secrets out of logs and exported JSON. Known secret values (registered
+// by the secrets manager, including rotated-out ones) are replaced wherever
+// they appear, as are credential-shaped strings and fields named like
+// credentials, so a key that never went through the manager is caught too.
+const REDACTED = '[REDACTED]';
+
+// Shortest registered value; shorter strings would clobber ordinary text
+const MIN_SECRET_LENGTH = 8;
+
+const SECRET_KEYS = /^(authorization|password|secret|client_?secret|refresh_?token|access_?token|api_?key|api_?token|developer_?token|developer-token|x-vault-token|x-api-key)$/i;
+
+const SECRET_PATTERNS = [
+  /AIza[0-9A-Za-z_-]{35}/g, // Google API keys
+  /ya29\.[0-9A-Za-z._-]+/g, // Google OAuth access tokens
+  /1\/\/[0-9A-Za-z_-]{20,}/g, // Google OAuth refresh tokens
+  /sk-(or-)?[0-9A-Za-z-]{20,}/g, // OpenRouter / OpenAI style API keys
+  /(Bearer\s+)[A-Za-z0-9._~+/-]+=*/g
+];
+
+const secretValues = new Set();
+let consoleInstalled = false;
+
+function addSecretValue(value) {
+  if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+    secretValues.add(value);
+  }
+}
+
+function redactText(text) {
+  let redacted = text;
+
+  secretValues.forEach(value => {
+    if (redacted.includes(value)) redacted = redacted.split(value).join(REDACTED);
+  });
+
+  SECRET_PATTERNS.forEach(pattern => {
+    redacted = redacted.replace(pattern, (match, prefix) => (typeof prefix === 'string' && /^Bearer/.test(prefix) ? `${prefix}${REDACTED}` : REDACTED));
+  });
+
+  return redacted;
+}
+
+// Returns a redacted copy; the original value is left untouched
+function redact(value, seen = new WeakMap()) {
+  if (typeof value === 'string') return redactText(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value;
+  if (seen.has(value)) return seen.get(value);
+
+  if (value instanceof Error) {
+    const error = new Error(redactText(value.message));
+    error.stack = value.stack ? redactText(value.stack) : error.stack;
+    return error;
+  }
+
+  if (Array.isArray(value)) {
+    const copy = [];
+    seen.set(value, copy);
+    value.forEach(item => copy.push(redact(item, seen)));
+    return copy;
+  }
+
+  const copy = {};
+  seen.set(value, copy);
+  Object.keys(value).forEach(key => {
+    copy[key] = SECRET_KEYS.test(key) && value[key] ? REDACTED : redact(value[key], seen);
+  });
+  return copy;
+}
+
+// Every console method redacts its arguments, whichever module logs
+function installConsoleRedaction() {
+  if (consoleInstalled) return;
+  consoleInstalled = true;
+
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(method => {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(...args.map(arg => redact(arg)));
+  });
+}
+
+module.exports = {
+  REDACTED,
+  addSecretValue,
+  redact,
+  redactText,
+  installConsoleRedaction
+};
@@ -0,0 +1,655 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const { getSecrets } = require('../secrets');
+const { getCircuitBreakers } = require('../services/CircuitBreaker');
+const { redact, redactText } = require('../secrets/redact');
+
+const UI_DIR = path.join(__dirname, '..', 'ui');
+const MAX_BODY_BYTES = 1024 * 1024;
+const EVENT_BUFFER_SIZE = 100;
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// Dashboard assets served as-is; anything else under / is a 404
+const STATIC_FILES = {
+  '/': { file: 'dashboard.html', type: 'text/html' },
+  '/dashboard': { file: 'dashboard.html', type: 'text/html' },
+  '/dashboard.css': { file: 'dashboard.css', type: 'text/css' },
+  '/dashboard.js': { file: 'dashboard.js', type: 'application/javascript' }
+};
+
+// /api/accounts/<customerId>/<any other API path> runs against that account
+const ACCOUNT_PATH = /^\/api\/accounts\/([\d-]+)(\/.+)$/;
+
+// Hosts only this machine can reach; anywhere else needs API_TOKEN
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+const EXPORT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv'
+};
+
+class ApiServer {
+  constructor(orchestrator, options = {}) {
+    this.name = 'API Server';
+    this.orchestrator = orchestrator;
+    this.accounts = options.accounts || null; // MultiAccountOrchestrator when managing several accounts
+    this.accountScopes = {};
+    this.secrets = options.secrets || getSecrets();
+    this.apiToken = options.apiToken; // Overrides server.apiToken from the secrets provider when given
+    this.server = null;
+    this.host = null;
+    this.routes = this.initializeRoutes();
+
+    // Server-Sent Events: connected clients plus a short replay buffer for reconnects
+    this.eventClients = new Set();
+    this.recentEvents = [];
+    this.lastEventId = 0;
+    this.heartbeat = null;
+    this.onOrchestratorEvent = event => this.broadcastEvent(event);
+  }
+
+  initializeRoutes() {
+    return [
+      { method: 'GET', pattern: /^\/api\/accounts$/, handler: () => this.getAccountsStatus() },
+      { method: 'POST', pattern: /^\/api\/accounts\/workflows$/, handler: (req, params, query, body) => this.startAccountWorkflows(body) },
+
+      { method: 'GET', pattern: /^\/api\/secrets$/, handler: () => this.secrets.describe() },
+      { method: 'POST', pattern: /^\/api\/secrets\/refresh$/, handler: () => this.refreshSecrets() },
+
+      { method: 'GET', pattern: /^\/api\/settings$/, handler: () => this.orchestrator.settingsManager.getSettings() },
+      { method: 'POST', pattern: /^\/api\/settings$/, handler: (req, params, query, body) => this.updateSettings(body) },
+      { method: 'GET', pattern: /^\/api\/settings\/audit$/, handler: (req, params, query) => this.orchestrator.settingsManager.getAuditTrail({ path: query.path, limit: this.parseLimit(query.limit, 20) }) },
+
+      { method: 'GET', pattern: /^\/api\/schedule$/, handler: () => this.orchestrator.scheduler.getSchedule() },
+      { method: 'GET', pattern: /^\/api\/schedule\/runs$/, handler: (req, params, query) => this.orchestrator.scheduler.getRuns({ taskId: query.task, limit: this.parseLimit(query.limit, 20) }) },
+      { method: 'POST', pattern: /^\/api\/schedule\/(\w+)\/run$/, handler: (req, params) => this.runScheduledTask(params[0]) },
+
+      { method: 'GET', pattern: /^\/api\/agents$/, handler: () => this.orchestrator.getAgents() },
+      { method: 'GET', pattern: /^\/api\/dependencies$/, handler: () => getCircuitBreakers().map(breaker => breaker.getStatus()) },
+
+      { method: 'GET', pattern: /^\/api\/status$/, handler: () => this.orchestrator.getDashboardStatus() },
+      { method: 'GET', pattern: /^\/api\/campaign-status$/, handler: () => this.orchestrator.agents.reporting.getDashboardData() },
+
+      { method: 'GET', pattern: /^\/api\/workflows$/, handler: (req, params, query) => this.listWorkflows(query) },
+      { method: 'POST', pattern: /^\/api\/workflows$/, handler: (req, params, query, body) => this.startWorkflow(body) },
+      { method: 'GET', pattern: /^\/api\/workflows\/types$/, handler: () => this.orchestrator.workflows.list() },
+      { method: 'GET', pattern: /^\/api\/workflows\/summary$/, handler: () => this.orchestrator.getWorkflowSummary() },
+      { method: 'GET', pattern: /^\/api\/workflows\/export$/, handler: (req, params, query) => this.exportWorkflows(query) },
+      { method: 'GET', pattern: /^\/api\/workflows\/([\w-]+)$/, handler: (req, params) => this.getWorkflow(params[0]) },
+      { method: 'GET', pattern: /^\/api\/workflows\/([\w-]+)\/plan$/, handler: (req, params, query) => this.getWorkflowPlan(params[0], query) },
+      { method: 'POST', pattern: /^\/api\/workflows\/([\w-]+)\/resume$/, handler: (req, params) => this.resumeWorkflow(params[0]) },
+
+      { method: 'GET', pattern: /^\/api\/reports$/, handler: (req, params, query) => this.orchestrator.agents.reporting.getRecentReports(this.parseLimit(query.limit, 10)) },
+      { method: 'GET', pattern: /^\/api\/reports\/([\w-]+)$/, handler: (req, params) => this.getReport(params[0]) },
+      { method: 'GET', pattern: /^\/api\/reports\/([\w-]+)\/export$/, handler: (req, params, query) => this.exportReport(params[0], query) },
+
+      { method: 'GET', pattern: /^\/api\/alerts$/, handler: (req, params, query) => this.orchestrator.agents.performanceMonitor.getRecentAlerts(this.parseLimit(query.hours, 24)) },
+
+      { method: 'GET', pattern: /^\/api\/bids\/history$/, handler: (req, params, query) => this.listBidHistory(query) },
+      { method: 'POST', pattern: /^\/api\/bids\/revert$/, handler: (req, params, query, body) => this.revertBids(body) },
+
+      { method: 'GET', pattern: /^\/api\/approvals$/, handler: (req, params, query) => this.listApprovals(query) },
+      { method: 'GET', pattern: /^\/api\/approvals\/([\w-]+)$/, handler: (req, params) => this.getApproval(params[0]) },
+      { method: 'POST', pattern: /^\/api\/approvals\/([\w-]+)\/approve$/, handler: (req, params, query, body) => this.decideApproval(params[0], 'approve', body) },
+      { method: 'POST', pattern: /^\/api\/approvals\/([\w-]+)\/reject$/, handler: (req, params, query, body) => this.decideApproval(params[0], 'reject', body) }
+    ];
+  }
+
+  start(port = config.server.port, host = config.server.host) {
+    return new Promise((resolve, reject) => {
+      if (!LOOPBACK_HOSTS.includes(host) && !this.getApiToken()) {
+        return reject(new Error(`API_TOKEN is required to serve on ${host}; set it or use HOST=127.0.0.1`));
+      }
+      this.host = host;
+      this.server = http.createServer((req, res) => this.handleRequest(req, res));
+      this.server.on('error', reject);
+      this.getEventSource().on('event', this.onOrchestratorEvent);
+      this.getEventSource().startScheduler();
+      this.secrets.startAutoRefresh();
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        this.url = `http://${host === '0.0.0.0' ? 'localhost' : host}:${address.port}`;
+        console.log(`[${this.name}] Dashboard and API running on ${this.url}`);
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.getEventSource().removeListener('event', this.onOrchestratorEvent);
+      this.getEventSource().stopScheduler();
+
+      // Open event streams would otherwise keep the server from closing
+      this.eventClients.forEach(client => client.end());
+      this.eventClients.clear();
+      this.stopHeartbeat();
+
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      if (req.method === 'GET' && STATIC_FILES[url.pathname]) {
+        return this.sendStatic(res, STATIC_FILES[url.pathname]);
+      }
+
+      // Off loopback every API request needs the token; EventSource can't send
+      // headers, so the event stream also takes it as ?token=
+      if (url.pathname.startsWith('/api/') && !this.isLoopbackOnly() && !this.isAuthorized(req, url)) {
+        return this.sendJson(res, 401, { error: 'Unauthorized' });
+      }
+
+      if (req.method === 'GET' && url.pathname === '/api/events') {
+        return this.openEventStream(req, res);
+      }
+
+      // Account paths are served by a copy of this server bound to that account
+      const accountMatch = url.pathname.match(ACCOUNT_PATH);
+      const scope = accountMatch ? this.getAccountScope(accountMatch[1]) : this;
+      const pathname = accountMatch ? `/api${accountMatch[2]}` : url.pathname;
+
+      const route = scope.findRoute(req.method, pathname);
+      if (!route) {
+        const allowed = scope.routes.some(r => r.pattern.test(pathname));
+        return this.sendJson(res, allowed ? 405 : 404, { error: allowed ? 'Method not allowed' : 'Not found' });
+      }
+
+      // State-changing requests require the API token when one is configured
+      if (req.method !== 'GET' && !this.isAuthorized(req)) {
+        return this.sendJson(res, 401, { error: 'Unauthorized' });
+      }
+
+      // A cross-site form or text/plain fetch can't send this without a CORS preflight
+      if (req.method !== 'GET' && !/^application\/json\s*(;|$)/i.test(req.headers['content-type'] || '')) {
+        return this.sendJson(res, 415, { error: 'Content-Type must be application/json' });
+      }
+
+      const body = req.method === 'GET' ? {} : await this.readJsonBody(req);
+      const query = Object.fromEntries(url.searchParams);
+      const result = await route.handler(req, route.params, query, body);
+
+      if (result && result.raw) {
+        return this.sendRaw(res, result.statusCode || 200, result.contentType, result.body, result.filename);
+      }
+      this.sendJson(res, (result && result.statusCode) || 200, result && result.statusCode ? result.payload : result);
+
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      if (statusCode >= 500) {
+        console.error(`[${this.name}] ${req.method} ${url.pathname} failed:`, error.message);
+      }
+      this.sendJson(res, statusCode, { error: error.message });
+    }
+  }
+
+  // With several accounts every account's events go out on the one stream
+  getEventSource() {
+    return this.accounts || this.orchestrator;
+  }
+
+  getAccountScope(customerId) {
+    const orchestrator = this.accounts && this.accounts.getOrchestrator(customerId);
+    if (!orchestrator) throw this.httpError(404, `Account not found: ${customerId}`);
+
+    if (!this.accountScopes[orchestrator.account.customerId]) {
+      const scope = Object.create(this);
+      scope.orchestrator = orchestrator;
+      scope.routes = scope.initializeRoutes();
+      this.accountScopes[orchestrator.account.customerId] = scope;
+    }
+    return this.accountScopes[orchestrator.account.customerId];
+  }
+
+  getAccountsStatus() {
+    if (!this.accounts) {
+      // Single-account installs report their one account in the same shape
+      const status = this.orchestrator.getDashboardStatus();
+      return {
+        orchestrator: { status: status.orchestrator.status, accounts: 1 },
+        accounts: [{ ...status.account, status: status.orchestrator.status, pendingApprovals: status.approvals.pending }],
+        timestamp: status.timestamp
+      };
+    }
+    return this.accounts.getDashboardStatus();
+  }
+
+  startAccountWorkflows(body) {
+    if (!this.accounts) throw this.httpError(404, 'Multi-account mode is not enabled (no accounts file)');
+
+    const busy = this.accounts.getAccounts().filter(account => this.accounts.getOrchestrator(account.customerId).status === 'working');
+    if (busy.length > 0) {
+      throw this.httpError(409, `Workflows are already running for ${busy.map(account => account.customerId).join(', ')}`);
+    }
+
+    const workflowType = this.checkWorkflowType(body.type);
+    const dryRun = body.dryRun === true;
+    this.accounts.executeWorkflowForAll(workflowType, { dryRun }).catch(error => {
+      console.error(`[${this.name}] Account workflows failed:`, error.message);
+    });
+
+    return {
+      statusCode: 202,
+      payload: {
+        type: workflowType,
+        dryRun: dryRun,
+        accounts: this.accounts.getAccounts().map(account => account.customerId),
+        status: 'started'
+      }
+    };
+  }
+
+  openEventStream(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write('retry: 5000\n\n');
+
+    // EventSource sends Last-Event-ID on reconnect; replay what it missed
+    const lastSeen = parseInt(req.headers['last-event-id'], 10);
+    if (lastSeen > 0) {
+      this.recentEvents
+        .filter(entry => entry.id > lastSeen)
+        .forEach(entry => this.writeEvent(res, entry));
+    }
+
+    this.eventClients.add(res);
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.eventClients.delete(res);
+      if (this.eventClients.size === 0) this.stopHeartbeat();
+    });
+  }
+
+  broadcastEvent(event) {
+    const entry = { id: ++this.lastEventId, event };
+    this.recentEvents.push(entry);
+    if (this.recentEvents.length > EVENT_BUFFER_SIZE) this.recentEvents.shift();
+
+    this.eventClients.forEach(client => this.writeEvent(client, entry));
+  }
+
+  writeEvent(res, entry) {
+    res.write(`id: ${entry.id}\nevent: ${entry.event.type}\ndata: ${JSON.stringify(redact(entry.event))}\n\n`);
+  }
+
+  // Comment lines keep idle connections open through proxies
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      this.eventClients.forEach(client => client.write(': heartbeat\n\n'));
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  findRoute(method, pathname) {
+    for (const route of this.routes) {
+      const match = pathname.match(route.pattern);
+      if (match && route.method === method) {
+        return { ...route, params: match.slice(1) };
+      }
+    }
+    return null;
+  }
+
+  // Read on every request so a rotated token applies straight away
+  getApiToken() {
+    return this.apiToken !== undefined ? this.apiToken : this.secrets.get('server.apiToken');
+  }
+
+  isLoopbackOnly() {
+    return !this.host || LOOPBACK_HOSTS.includes(this.host);
+  }
+
+  // url: given for the event stream, whose token may come as ?token=
+  isAuthorized(req, url = null) {
+    const apiToken = this.getApiToken();
+    // Off loopback a token removed since start() locks the API instead of opening it
+    if (!apiToken) return this.isLoopbackOnly();
+    if (url && url.pathname === '/api/events' && url.searchParams.get('token') === apiToken) return true;
+    return req.headers.authorization === `Bearer ${apiToken}`;
+  }
+
+  // Re-reads every secret from the provider, e.g. right after rotating a key
+  async refreshSecrets() {
+    try {
+      const rotated = await this.secrets.refresh();
+      return { rotated, ...this.secrets.describe() };
+    } catch (error) {
+      throw this.httpError(502, `Secrets provider ${this.secrets.provider.name} failed: ${error.message}`);
+    }
+  }
+
+  // body: { kpiThresholds, automationSettings, by, note }; a null value clears an earlier override
+  updateSettings(body) {
+    const { by, note, ...changes } = body;
+    if (Object.keys(changes).length === 0) {
+      throw this.httpError(400, 'Specify kpiThresholds and/or automationSettings to change');
+    }
+
+    const settingsManager = this.orchestrator.settingsManager;
+    const { errors } = settingsManager.check(changes);
+    if (errors.length > 0) {
+      return { statusCode: 400, payload: { error: `Invalid settings: ${errors.map(issue => `${issue.path} ${issue.message}`).join('; ')}`, issues: errors } };
+    }
+
+    const entry = settingsManager.update(changes, { by, note });
+    return { ...settingsManager.getSettings(), change: entry };
+  }
+
+  // Runs a scheduled task now; its result arrives as a schedule_run_* event
+  runScheduledTask(taskId) {
+    const scheduler = this.orchestrator.scheduler;
+    const task = scheduler.tasks.get(taskId);
+    if (!task) throw this.httpError(404, `Scheduled task not found: ${taskId}`);
+    if (task.running) throw this.httpError(409, `${taskId} is already running`);
+
+    scheduler.runNow(taskId);
+    return {
+      statusCode: 202,
+      payload: { task: taskId, status: 'started' }
+    };
+  }
+
+  listWorkflows(query) {
+    const limit = this.parseLimit(query.limit, 20);
+    return this.orchestrator.workflowHistory
+      .slice(-limit)
+      .reverse()
+      .map(workflow => ({
+        id: workflow.id,
+        type: workflow.type,
+        status: workflow.status,
+        dryRun: Boolean(workflow.dryRun),
+        startTime: workflow.startTime,
+        endTime: workflow.endTime,
+        duration: workflow.duration,
+        stagesCompleted: workflow.stages.filter(stage => stage.status === 'completed').length,
+        error: workflow.error
+      }));
+  }
+
+  getWorkflow(workflowId) {
+    const current = this.orchestrator.currentWorkflow;
+    if (current && current.id === workflowId) return current;
+
+    const workflow = this.orchestrator.workflowHistory.find(w => w.id === workflowId) ||
+      this.orchestrator.storage.workflows.findById(workflowId);
+    if (!workflow) throw this.httpError(404, `Workflow not found: ${workflowId}`);
+    return workflow;
+  }
+
+  startWorkflow(body) {
+    if (this.orchestrator.status === 'working') {
+      throw this.httpError(409, `Workflow ${this.orchestrator.currentWorkflow?.id} is already running`);
+    }
+
+    const workflowType = this.checkWorkflowType(body.type);
+    const dryRun = body.dryRun === true;
+
+    // executeWorkflow sets currentWorkflow synchronously, so its id is known immediately
+    this.orchestrator.executeWorkflow(workflowType, { dryRun }).catch(error => {
+      console.error(`[${this.name}] Workflow ${workflowType} failed:`, error.message);
+    });
+
+    return {
+      statusCode: 202,
+      payload: {
+        workflowId: this.orchestrator.currentWorkflow.id,
+        type: workflowType,
+        dryRun: dryRun,
+        status: 'started'
+      }
+    };
+  }
+
+  // Unknown or broken definitions are rejected before anything starts
+  checkWorkflowType(workflowType = 'full_automation') {
+    try {
+      this.orchestrator.workflows.get(workflowType);
+    } catch (error) {
+      throw this.httpError(400, error.message);
+    }
+    return workflowType;
+  }
+
+  resumeWorkflow(workflowId) {
+    if (this.orchestrator.status === 'working') {
+      throw this.httpError(409, `Workflow ${this.orchestrator.currentWorkflow?.id} is already running`);
+    }
+
+    const workflow = this.getWorkflow(workflowId);
+    if (workflow.dryRun) throw this.httpError(409, `Workflow ${workflowId} was a dry run; start a new one instead`);
+    if (workflow.status === 'completed') throw this.httpError(409, `Workflow ${workflowId} has already completed`);
+
+    const remainingSteps = this.orchestrator.getRemainingSteps(workflow);
+    this.orchestrator.resumeWorkflow(workflowId).catch(error => {
+      console.error(`[${this.name}] Resumed workflow ${workflowId} failed:`, error.message);
+    });
+
+    return {
+      statusCode: 202,
+      payload: {
+        workflowId: workflowId,
+        type: workflow.type,
+        remainingSteps: remainingSteps,
+        status: 'resumed'
+      }
+    };
+  }
+
+  getWorkflowPlan(workflowId, query) {
+    const workflow = this.getWorkflow(workflowId);
+    if (!workflow.dryRun) throw this.httpError(404, `Workflow ${workflowId} was not a dry run`);
+    if (!workflow.plan) throw this.httpError(409, `Workflow ${workflowId} is still running`);
+
+    const format = query.format || 'json';
+    if (!['json', 'text'].includes(format)) {
+      throw this.httpError(400, `Unsupported plan format: ${format} (use json or text)`);
+    }
+
+    const plan = this.orchestrator.getWorkflowPlan(workflowId, format);
+    return {
+      raw: true,
+      contentType: format === 'json' ? 'application/json' : 'text/plain',
+      body: format === 'json' ? JSON.stringify(plan, null, 2) : plan,
+      filename: `${workflowId}-plan.${format === 'json' ? 'json' : 'txt'}`
+    };
+  }
+
+  exportWorkflows(query) {
+    const format = this.parseFormat(query.format);
+    return {
+      raw: true,
+      contentType: EXPORT_TYPES[format],
+      body: this.orchestrator.exportWorkflowData(format),
+      filename: `workflows.${format}`
+    };
+  }
+
+  getReport(reportId) {
+    const report = this.orchestrator.agents.reporting.getReportById(reportId);
+    if (!report) throw this.httpError(404, `Report not found: ${reportId}`);
+    return report;
+  }
+
+  exportReport(reportId, query) {
+    const format = this.parseFormat(query.format);
+    const exported = this.orchestrator.agents.reporting.exportReport(reportId, format);
+    if (!exported) throw this.httpError(404, `Report not found: ${reportId}`);
+
+    return {
+      raw: true,
+      contentType: EXPORT_TYPES[format],
+      body: exported,
+      filename: `${reportId}.${format}`
+    };
+  }
+
+  listBidHistory(query) {
+    return this.orchestrator.agents.bidOptimizer.getBidHistory({
+      campaignId: query.campaignId,
+      limit: this.parseLimit(query.limit, 20)
+    });
+  }
+
+  revertBids(body) {
+    const selector = {
+      historyId: body.historyId,
+      since: body.since,
+      until: body.until,
+      campaignId: body.campaignId,
+      keywords: body.keywords
+    };
+
+    if (!selector.historyId && !selector.since && !(selector.keywords && selector.keywords.length > 0)) {
+      throw this.httpError(400, 'Specify historyId, since/until or keywords to revert');
+    }
+    if (selector.keywords && !Array.isArray(selector.keywords)) {
+      throw this.httpError(400, 'keywords must be an array');
+    }
+    ['since', 'until'].forEach(field => {
+      if (selector[field] && isNaN(Date.parse(selector[field]))) {
+        throw this.httpError(400, `Invalid ${field} timestamp: ${selector[field]}`);
+      }
+    });
+    if (selector.historyId && !this.orchestrator.storage.bidHistory.findById(selector.historyId)) {
+      throw this.httpError(404, `Bid history entry not found: ${selector.historyId}`);
+    }
+
+    return this.orchestrator.agents.bidOptimizer.revertBids(selector, { by: body.by, force: body.force === true });
+  }
+
+  listApprovals(query) {
+    const statuses = ['pending', 'auto_approved', 'approved', 'rejected', 'expired', 'executed', 'failed'];
+    if (query.status && !statuses.includes(query.status)) {
+      throw this.httpError(400, `Unknown approval status: ${query.status}`);
+    }
+
+    return this.orchestrator.approvalQueue.list({
+      status: query.status,
+      campaignId: query.campaignId,
+      limit: this.parseLimit(query.limit, 50)
+    });
+  }
+
+  getApproval(approvalId) {
+    const approval = this.orchestrator.approvalQueue.get(approvalId);
+    if (!approval) throw this.httpError(404, `Approval not found: ${approvalId}`);
+    return approval;
+  }
+
+  async decideApproval(approvalId, decision, body) {
+    const approval = this.getApproval(approvalId);
+    if (approval.status !== 'pending') {
+      throw this.httpError(409, `Approval ${approvalId} is already ${approval.status}`);
+    }
+
+    const queue = this.orchestrator.approvalQueue;
+    return decision === 'approve'
+      ? queue.approve(approvalId, { by: body.by, note: body.note })
+      : queue.reject(approvalId, { by: body.by, reason: body.reason });
+  }
+
+  parseFormat(format = 'json') {
+    if (!EXPORT_TYPES[format]) {
+      throw this.httpError(400, `Unsupported export format: ${format} (use json or csv)`);
+    }
+    return format;
+  }
+
+  parseLimit(value, defaultValue) {
+    const parsed = parseInt(value, 10);
+    return parsed > 0 ? parsed : defaultValue;
+  }
+
+  httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+          reject(this.httpError(413, 'Request body too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        if (!body) return resolve({});
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          reject(this.httpError(400, 'Request body must be valid JSON'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  sendStatic(res, asset) {
+    res.writeHead(200, { 'Content-Type': asset.type });
+    fs.createReadStream(path.join(UI_DIR, asset.file)).pipe(res);
+  }
+
+  sendJson(res, statusCode, payload) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload === undefined ? null : redact(payload)));
+  }
+
+  sendRaw(res, statusCode, contentType, body, filename) {
+    const headers = { 'Content-Type': contentType };
+    if (filename) headers['Content-Disposition'] = `attachment; filename="${filename}"`;
+    res.writeHead(statusCode, headers);
+    res.end(redactText(body));
+  }
+
+  // Serves every configured account until Ctrl+C; unscoped API paths and the dashboard use the first
+  static async serve(port) {
+    const MultiAccountOrchestrator = require('../multiAccountOrchestrator');
+    const accounts = new MultiAccountOrchestrator();
+    let server = null;
+
+    process.on('SIGINT', async () => {
+      console.log('\n🛑 Shutting down API server...');
+      if (server) await server.stop();
+      process.exit(0);
+    });
+
+    await accounts.initialize();
+    server = new ApiServer(accounts.getPrimaryOrchestrator(), { accounts });
+    await server.start(port);
+    return server;
+  }
+}
+
+module.exports = ApiServer;
+
+// Run if this file is executed directly
+if (require.main === module) {
+  ApiServer.serve().catch(error => {
+    console.error(`\n❌ Failed to start API server:`, error.message);
+    process.exit(1);
+  });
+}
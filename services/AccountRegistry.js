@@ -0,0 +1,127 @@
+const fs = require('fs');
+const config = require('../config/config');
+const GoogleAdsClient = require('./GoogleAdsClient');
+
+// Works out which Google Ads accounts the orchestrator manages. The accounts
+// file lists individual accounts and manager (MCC) accounts; managers are
+// expanded to their enabled client accounts through the customer_client report.
+class AccountRegistry {
+  constructor(options = {}) {
+    this.name = 'Account Registry';
+    this.filePath = options.filePath || config.accounts.file;
+    this.clientOptions = options.clientOptions || {}; // Passed to the clients used for manager lookups
+  }
+
+  hasAccountsFile() {
+    return fs.existsSync(this.filePath);
+  }
+
+  async resolve() {
+    if (!this.hasAccountsFile()) {
+      return [this.getDefaultAccount()];
+    }
+
+    const { accounts, managers } = this.loadFile();
+    const resolved = new Map();
+
+    for (const manager of managers) {
+      const clients = await this.getManagerClients(manager);
+      clients.forEach(account => resolved.set(account.customerId, account));
+    }
+
+    // Accounts listed on their own override what their manager provides
+    accounts.forEach(entry => {
+      const inherited = resolved.get(this.normalizeCustomerId(entry.customerId));
+      const account = this.normalizeAccount(entry, inherited);
+      resolved.set(account.customerId, account);
+    });
+
+    const enabled = [...resolved.values()].filter(account => account.enabled);
+    if (enabled.length === 0) {
+      throw new Error(`No enabled accounts found in ${this.filePath}`);
+    }
+
+    console.log(`[${this.name}] Resolved ${enabled.length} accounts from ${this.filePath}`);
+    return enabled;
+  }
+
+  loadFile() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to read accounts file ${this.filePath}: ${error.message}`);
+    }
+
+    return {
+      accounts: data.accounts || [],
+      managers: data.managers || []
+    };
+  }
+
+  // The single account configured through googleAds.customerId
+  getDefaultAccount() {
+    const client = new GoogleAdsClient(this.clientOptions);
+
+    return {
+      customerId: client.customerId,
+      name: null, // The profile's business name
+      loginCustomerId: client.loginCustomerId,
+      managerId: null,
+      profile: null, // Uses the default profile
+      campaigns: [],
+      settings: {},
+      enabled: true
+    };
+  }
+
+  async getManagerClients(manager) {
+    const managerId = this.normalizeCustomerId(manager.customerId);
+    const excluded = (manager.exclude || []).map(id => this.normalizeCustomerId(id));
+
+    // Client accounts are read and managed through the manager's login
+    const client = new GoogleAdsClient({ ...this.clientOptions, customerId: managerId, loginCustomerId: managerId });
+    const rows = await client.searchStream(
+      "SELECT customer_client.id, customer_client.descriptive_name, customer_client.manager, customer_client.status, customer_client.level FROM customer_client WHERE customer_client.manager = FALSE AND customer_client.status = 'ENABLED'"
+    );
+
+    // Sub-managers are walked by the report itself, so only leaf accounts remain
+    const clients = rows
+      .map(row => row.customerClient)
+      .filter(customerClient => !customerClient.manager && customerClient.status === 'ENABLED')
+      .filter(customerClient => !excluded.includes(String(customerClient.id)))
+      .map(customerClient => this.normalizeAccount(
+        { customerId: String(customerClient.id), name: customerClient.descriptiveName },
+        { loginCustomerId: managerId, managerId: managerId, profile: manager.profile, settings: manager.settings }
+      ));
+
+    console.log(`[${this.name}] Manager ${managerId} has ${clients.length} client accounts`);
+    return clients;
+  }
+
+  normalizeAccount(entry, inherited = {}) {
+    const customerId = this.normalizeCustomerId(entry.customerId);
+    const loginCustomerId = entry.loginCustomerId || inherited.loginCustomerId || config.googleAds.loginCustomerId;
+
+    return {
+      customerId: customerId,
+      name: entry.name || inherited.name || null, // Falls back to the profile's business name
+      loginCustomerId: loginCustomerId ? this.normalizeCustomerId(loginCustomerId) : null,
+      managerId: inherited.managerId || null,
+      profile: entry.profile || inherited.profile || null,
+      campaigns: (entry.campaigns || inherited.campaigns || []).map(String),
+      settings: { ...inherited.settings, ...entry.settings },
+      enabled: entry.enabled !== false
+    };
+  }
+
+  normalizeCustomerId(customerId) {
+    const normalized = String(customerId || '').replace(/-/g, '');
+    if (!/^\d{10}$/.test(normalized)) {
+      throw new Error(`Invalid customer ID in ${this.filePath}: ${customerId}`);
+    }
+    return normalized;
+  }
+}
+
+module.exports = AccountRegistry;
@@ -0,0 +1,291 @@
+// Ad schedules from performance by hour of day and day of week. The monitor
+// stores each report's hourly breakdown (in the account's time zone); this
+// adds those up into a 7 x 24 matrix and turns it into ad schedule criteria
+// with a bid modifier per slot. Until there is enough data the schedule is
+// the profile's business hours at +0%. Emergency services run 24/7, with
+// quiet hours bid down rather than switched off.
+
+const DAYS = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'];
+
+// Used when the profile doesn't set adSchedule.businessHours
+const DEFAULT_BUSINESS_HOURS = {
+  monday: '08:00-18:00',
+  tuesday: '08:00-18:00',
+  wednesday: '08:00-18:00',
+  thursday: '08:00-18:00',
+  friday: '08:00-18:00',
+  saturday: '09:00-17:00',
+  sunday: '10:00-16:00'
+};
+
+const DEFAULT_TIMEZONE = 'Europe/London';
+
+// Conversions the matrix needs before it drives the schedule, and clicks a
+// day or an hour needs before its own CPA counts
+const MIN_CONVERSIONS = 10;
+const MIN_CLICKS = 20;
+
+const MODIFIER_RANGE = { min: 0.5, max: 1.5 };
+const MODIFIER_STEP = 0.05; // Hours whose modifiers round to the same step share a slot
+const MIN_MODIFIER_CHANGE = 0.05;
+const MAX_SLOTS_PER_DAY = 6; // Google Ads limit per campaign
+
+class AdSchedule {
+  // options: the profile's campaignSettings.adSchedule
+  constructor(options = {}) {
+    this.name = 'Ad Schedule';
+    this.timezone = options.timezone || DEFAULT_TIMEZONE;
+    this.businessHours = options.businessHours || DEFAULT_BUSINESS_HOURS;
+    this.emergencyServices = options.emergencyServices || [];
+  }
+
+  // Reports overlap (monitoring re-reads the last 7 days every run), so per
+  // campaign only the newest report for each stretch of days is counted
+  selectHistory(entries) {
+    const selected = [];
+    [...entries]
+      .filter(entry => Array.isArray(entry.metrics?.hourly) && entry.metrics.dateRange)
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+      .forEach(entry => {
+        const { startDate, endDate } = entry.metrics.dateRange;
+        const overlaps = selected.some(other => String(other.campaignId) === String(entry.campaignId) &&
+          startDate <= other.metrics.dateRange.endDate && endDate >= other.metrics.dateRange.startDate);
+        if (!overlaps) selected.push(entry);
+      });
+    return selected;
+  }
+
+  // entries: performance history entries (see PerformanceMonitorAgent)
+  buildMatrix(entries) {
+    const history = this.selectHistory(entries);
+    const cells = DAYS.map(() => Array.from({ length: 24 }, () => ({ impressions: 0, clicks: 0, cost: 0, conversions: 0 })));
+
+    history.forEach(entry => entry.metrics.hourly.forEach(row => {
+      const day = DAYS.indexOf(row.dayOfWeek);
+      if (day === -1 || !(row.hour >= 0 && row.hour < 24)) return;
+      const cell = cells[day][row.hour];
+      cell.impressions += row.impressions;
+      cell.clicks += row.clicks;
+      cell.cost += row.cost;
+      cell.conversions += row.conversions;
+    }));
+
+    const all = cells.flat();
+    return {
+      timezone: this.timezone,
+      cells: cells,
+      totals: this.sum(all),
+      reports: history.length,
+      dateRanges: history.map(entry => entry.metrics.dateRange)
+    };
+  }
+
+  sum(cells) {
+    return cells.reduce((total, cell) => ({
+      impressions: total.impressions + cell.impressions,
+      clicks: total.clicks + cell.clicks,
+      cost: total.cost + cell.cost,
+      conversions: total.conversions + cell.conversions
+    }), { impressions: 0, clicks: 0, cost: 0, conversions: 0 });
+  }
+
+  hasEnoughData(matrix) {
+    return matrix.totals.conversions >= MIN_CONVERSIONS;
+  }
+
+  // Bid modifier for every hour: the campaign's CPA over the day's, times the
+  // campaign's over the hour's. Days and hours are judged separately because
+  // single hours of the week rarely have enough clicks on their own.
+  calculateModifiers(matrix) {
+    const campaignCPA = matrix.totals.cost / matrix.totals.conversions;
+    const factor = slice => {
+      if (slice.clicks < MIN_CLICKS) return 1;
+      // No conversions yet: treat it as the CPA it would have with one
+      return campaignCPA / (slice.cost / Math.max(slice.conversions, 1));
+    };
+
+    const dayFactors = matrix.cells.map(hours => factor(this.sum(hours)));
+    const hourFactors = Array.from({ length: 24 }, (_, hour) => factor(this.sum(matrix.cells.map(hours => hours[hour]))));
+
+    return dayFactors.map(dayFactor => hourFactors.map(hourFactor => this.clamp(dayFactor * hourFactor)));
+  }
+
+  clamp(modifier) {
+    return Math.round(Math.min(Math.max(modifier, MODIFIER_RANGE.min), MODIFIER_RANGE.max) * 100) / 100;
+  }
+
+  // 'monday' -> [start, end) hours, or null when closed
+  getBusinessHours(day) {
+    const hours = this.businessHours[DAYS[day].toLowerCase()];
+    if (!hours || hours === 'off') return null;
+    const [start, end] = hours.split('-').map(time => parseInt(time, 10));
+    return { start, end };
+  }
+
+  isBusinessHour(day, hour) {
+    const hours = this.getBusinessHours(day);
+    return Boolean(hours) && hour >= hours.start && hour < hours.end;
+  }
+
+  // { source, timezone, alwaysOn, slots: [{ dayOfWeek, startHour, endHour, bidModifier }] }.
+  // Business hours are always in the schedule; other hours join it once they
+  // have converted, or all of them when emergency services are offered.
+  generate(matrix) {
+    const useData = Boolean(matrix) && this.hasEnoughData(matrix);
+    const modifiers = useData ? this.calculateModifiers(matrix) : null;
+    const alwaysOn = this.emergencyServices.length > 0;
+
+    const slots = DAYS.flatMap((dayOfWeek, day) => {
+      const hours = Array.from({ length: 24 }, (_, hour) => hour).filter(hour =>
+        alwaysOn || this.isBusinessHour(day, hour) || (useData && matrix.cells[day][hour].conversions > 0));
+      const daySlots = [];
+      hours.forEach(hour => {
+        const bidModifier = modifiers ? Math.round(modifiers[day][hour] / MODIFIER_STEP) * MODIFIER_STEP : 1;
+        const last = daySlots[daySlots.length - 1];
+        if (last && last.endHour === hour && Math.abs(last.bidModifier - bidModifier) < 0.001) {
+          last.endHour = hour + 1;
+        } else {
+          daySlots.push({ dayOfWeek, startHour: hour, endHour: hour + 1, bidModifier });
+        }
+      });
+      return this.mergeSlots(daySlots).map(slot => ({ ...slot, bidModifier: this.clamp(slot.bidModifier) }));
+    });
+
+    return {
+      source: useData ? 'performance' : 'default',
+      timezone: this.timezone,
+      alwaysOn: alwaysOn,
+      emergencyServices: this.emergencyServices,
+      slots: slots,
+      reason: useData
+        ? `${matrix.totals.conversions} conversions across ${matrix.reports} report${matrix.reports === 1 ? '' : 's'}`
+        : `No bid modifiers until there are ${MIN_CONVERSIONS} conversions by hour (${matrix ? matrix.totals.conversions : 0} so far)`
+    };
+  }
+
+  // Down to the per-day limit by joining the neighbouring slots that differ
+  // least (hours between them are taken in); the modifier is the hour-weighted average
+  mergeSlots(slots) {
+    const merged = [...slots];
+    while (merged.length > MAX_SLOTS_PER_DAY) {
+      let best = 0;
+      let bestCost = Infinity;
+      for (let i = 0; i < merged.length - 1; i++) {
+        const cost = Math.abs(merged[i].bidModifier - merged[i + 1].bidModifier) + (merged[i + 1].startHour - merged[i].endHour);
+        if (cost < bestCost) {
+          best = i;
+          bestCost = cost;
+        }
+      }
+      const [first, second] = merged.slice(best, best + 2);
+      const firstHours = first.endHour - first.startHour;
+      const secondHours = second.endHour - second.startHour;
+      merged.splice(best, 2, {
+        dayOfWeek: first.dayOfWeek,
+        startHour: first.startHour,
+        endHour: second.endHour,
+        bidModifier: (first.bidModifier * firstHours + second.bidModifier * secondHours) / (firstHours + secondHours)
+      });
+    }
+    return merged;
+  }
+
+  // Campaign criteria create operations for the schedule
+  buildCriteriaOperations(schedule, campaignResourceName) {
+    return schedule.slots.map(slot => ({
+      create: {
+        campaign: campaignResourceName,
+        adSchedule: {
+          dayOfWeek: slot.dayOfWeek,
+          startHour: slot.startHour,
+          startMinute: 'ZERO',
+          endHour: slot.endHour,
+          endMinute: 'ZERO'
+        },
+        bidModifier: slot.bidModifier
+      }
+    }));
+  }
+
+  // New bid modifiers for a campaign's existing slots: the average of the
+  // matrix's hourly modifiers over each slot, moved at most stepPercent.
+  // currentSlots: [{ resourceName, dayOfWeek, startHour, endHour, bidModifier }]
+  calculateSlotChanges(matrix, currentSlots, stepPercent) {
+    if (!this.hasEnoughData(matrix)) return [];
+    const modifiers = this.calculateModifiers(matrix);
+
+    return currentSlots.flatMap(slot => {
+      const day = DAYS.indexOf(slot.dayOfWeek);
+      if (day === -1) return [];
+      const hours = modifiers[day].slice(slot.startHour, slot.endHour);
+      if (hours.length === 0) return [];
+
+      const current = Number(slot.bidModifier || 1);
+      const target = hours.reduce((sum, modifier) => sum + modifier, 0) / hours.length;
+      const modifier = this.clamp(Math.min(Math.max(target, current * (1 - stepPercent)), current * (1 + stepPercent)));
+      if (Math.abs(modifier - current) < MIN_MODIFIER_CHANGE) return [];
+
+      // The modifier comes from the whole day and from these hours across the week
+      const dayTotals = this.sum(matrix.cells[day]);
+      const hourTotals = this.sum(matrix.cells.flatMap(hours => hours.slice(slot.startHour, slot.endHour)));
+      const label = this.describeSlot(slot);
+      return [{
+        ...slot,
+        label: label,
+        currentModifier: current,
+        newModifier: modifier,
+        reason: `${label.split(' ')[0]}s: ${this.describePerformance(dayTotals)}; ${label.split(' ')[1]} all week: ${this.describePerformance(hourTotals)}; ` +
+          `campaign CPA £${(matrix.totals.cost / matrix.totals.conversions).toFixed(2)}`
+      }];
+    });
+  }
+
+  // Hours the generated schedule has that the campaign's doesn't, and the
+  // reverse; slot boundaries aren't changed automatically
+  compareSlots(generated, currentSlots) {
+    const covered = slots => new Set(slots.flatMap(slot =>
+      Array.from({ length: slot.endHour - slot.startHour }, (_, index) => `${slot.dayOfWeek}:${slot.startHour + index}`)));
+    const wanted = covered(generated.slots);
+    const current = covered(currentSlots);
+
+    const ranges = (hours, action) => DAYS.flatMap(dayOfWeek => {
+      const result = [];
+      for (let hour = 0; hour < 24; hour++) {
+        if (!hours.has(`${dayOfWeek}:${hour}`)) continue;
+        const last = result[result.length - 1];
+        if (last && last.endHour === hour) last.endHour = hour + 1;
+        else result.push({ action, dayOfWeek, startHour: hour, endHour: hour + 1 });
+      }
+      return result;
+    });
+
+    return [
+      ...ranges(new Set([...wanted].filter(hour => !current.has(hour))), 'add'),
+      ...ranges(new Set([...current].filter(hour => !wanted.has(hour))), 'remove')
+    ].map(change => ({ ...change, label: this.describeSlot(change) }));
+  }
+
+  describePerformance(totals) {
+    return totals.conversions > 0 ? `CPA £${(totals.cost / totals.conversions).toFixed(2)}` : `${totals.clicks} clicks, no conversions`;
+  }
+
+  // "Monday 08:00-18:00"
+  describeSlot(slot) {
+    const hour = value => `${String(value).padStart(2, '0')}:00`;
+    return `${slot.dayOfWeek.charAt(0)}${slot.dayOfWeek.slice(1).toLowerCase()} ${hour(slot.startHour)}-${hour(slot.endHour)}`;
+  }
+
+  // Hourly reports and ad schedules are both in the account's time zone, so
+  // a profile set to another zone would shift every slot. Checked in live mode.
+  async verifyTimezone(googleAdsClient) {
+    if (googleAdsClient.mode !== 'live') return;
+
+    const rows = await googleAdsClient.searchStream('SELECT customer.time_zone FROM customer');
+    const accountTimezone = rows[0]?.customer?.timeZone;
+    if (accountTimezone && accountTimezone !== this.timezone) {
+      throw new Error(`The Google Ads account's time zone is ${accountTimezone} but adSchedule.timezone is ${this.timezone}; set adSchedule.timezone to ${accountTimezone}`);
+    }
+  }
+}
+
+module.exports = AdSchedule;
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const ProfileLoader = require('./ProfileLoader');
+
+// Built-in agents, by the id the orchestrator and scheduled tasks use
+const BUILT_IN_AGENTS = {
+  campaignSetup: require('../agents/CampaignSetupAgent'),
+  keywordManager: require('../agents/KeywordManagerAgent'),
+  adCopy: require('../agents/AdCopyAgent'),
+  bidOptimizer: require('../agents/BidOptimizerAgent'),
+  performanceMonitor: require('../agents/PerformanceMonitorAgent'),
+  assetManager: require('../agents/AssetManagerAgent'),
+  reporting: require('../agents/ReportingAgent')
+};
+
+const REQUIRED_METHODS = ['run', 'getStatus', 'healthCheck'];
+
+// The agents each account gets: the built-in ones plus plugins. A plugin is a
+// .js file in AGENT_PLUGINS_DIR (default plugins/) exporting an agent class
+// (see agents/BaseAgent); the file name is the agent's id. Its capabilities
+// become workflow step actions and it appears in the dashboard. A plugin that
+// doesn't follow the agent contract is reported and left out, so one broken
+// file doesn't stop the others.
+class AgentRegistry {
+  constructor(options = {}) {
+    this.name = 'Agent Registry';
+    this.directory = options.directory === undefined ? config.agents.pluginDirectory : options.directory;
+    this.agents = new Map(Object.keys(BUILT_IN_AGENTS).map(id => [id, { id, Agent: BUILT_IN_AGENTS[id], file: null }]));
+    this.issues = []; // { severity, path, message } for each plugin left out
+    this.loadPlugins();
+  }
+
+  loadPlugins() {
+    if (!this.directory || !fs.existsSync(this.directory)) return;
+
+    fs.readdirSync(this.directory)
+      .filter(file => path.extname(file) === '.js')
+      .sort()
+      .forEach(file => {
+        const id = path.basename(file, '.js');
+        const pluginPath = path.join(this.directory, file);
+        try {
+          const Agent = require(pluginPath);
+          const problems = this.validate(id, Agent);
+          if (problems.length > 0) throw new Error(problems.join('; '));
+
+          this.agents.set(id, { id, Agent, file: pluginPath });
+          console.log(`[${this.name}] Loaded plugin agent ${id} (${Object.keys(Agent.capabilities).join(', ')})`);
+        } catch (error) {
+          this.issues.push({ severity: 'error', path: `plugin ${id} (${pluginPath})`, message: error.message });
+          console.error(`[${this.name}] Skipping plugin agent ${id} (${pluginPath}): ${error.message}`);
+        }
+      });
+  }
+
+  validate(id, Agent) {
+    if (!/^\w+$/.test(id)) return ['the file name (the agent id) must be letters, digits and underscores'];
+    if (this.agents.has(id)) return [`has the same id as the ${this.agents.get(id).file ? 'plugin' : 'built-in agent'} "${id}"`];
+    if (typeof Agent !== 'function') return ['must export the agent class (module.exports = MyAgent)'];
+
+    const problems = REQUIRED_METHODS
+      .filter(method => typeof Agent.prototype[method] !== 'function')
+      .map(method => `has no ${method}() method (extend agents/BaseAgent)`);
+
+    const capabilities = Agent.capabilities;
+    if (!ProfileLoader.isPlainObject(capabilities) || Object.keys(capabilities).length === 0) {
+      problems.push('needs a static capabilities object with at least one capability');
+    } else {
+      Object.keys(capabilities).forEach(name => {
+        const capability = capabilities[name];
+        const owner = this.getCapability(name);
+        if (!/^\w+$/.test(name)) problems.push(`capability "${name}" must be letters, digits and underscores`);
+        if (owner) problems.push(`capability "${name}" is already provided by agent ${owner.agentId}`);
+        if (!ProfileLoader.isPlainObject(capability) || !Array.isArray(capability.inputs)) {
+          problems.push(`capability "${name}" needs an inputs list (it can be empty)`);
+        } else if (capability.summarize !== undefined && typeof capability.summarize !== 'function') {
+          problems.push(`capability "${name}" summarize must be a function`);
+        }
+      });
+    }
+
+    if (Agent.events !== undefined && !(Array.isArray(Agent.events) && Agent.events.every(event => typeof event === 'string'))) {
+      problems.push('events must be a list of event names');
+    }
+    return problems;
+  }
+
+  // { agentId, name, description, inputs, summarize } of the agent that can do it
+  getCapability(name) {
+    for (const { id, Agent } of this.agents.values()) {
+      if (Object.prototype.hasOwnProperty.call(Agent.capabilities, name)) {
+        return { agentId: id, name, ...Agent.capabilities[name] };
+      }
+    }
+    return null;
+  }
+
+  getCapabilities() {
+    return [...this.agents.values()].flatMap(({ Agent }) => Object.keys(Agent.capabilities).map(name => this.getCapability(name)));
+  }
+
+  // One instance of every agent for an account. A plugin whose constructor
+  // throws is left out; steps using its capabilities then fail.
+  createAgents(options) {
+    const agents = {};
+    this.agents.forEach(({ id, Agent, file }) => {
+      try {
+        agents[id] = new Agent(options);
+      } catch (error) {
+        if (!file) throw error;
+        console.error(`[${this.name}] Unable to create plugin agent ${id}: ${error.message}`);
+      }
+    });
+    return agents;
+  }
+
+  describe(id) {
+    const { Agent, file } = this.agents.get(id);
+    const relativeFile = file && path.relative(process.cwd(), file);
+    return {
+      id: id,
+      source: file ? (relativeFile.startsWith('..') ? file : relativeFile) : 'built-in',
+      capabilities: Object.keys(Agent.capabilities).map(name => ({
+        name: name,
+        description: Agent.capabilities[name].description || null,
+        inputs: Agent.capabilities[name].inputs
+      })),
+      events: Agent.events || [],
+      dependencies: Agent.dependencies || []
+    };
+  }
+
+  // For config:check
+  check() {
+    return this.issues;
+  }
+}
+
+module.exports = AgentRegistry;
@@ -0,0 +1,230 @@
+const EventEmitter = require('events');
+const config = require('../config/config');
+const GoogleAdsClient = require('./GoogleAdsClient');
+const { getStorage } = require('../storage');
+
+// Holds changes proposed by the agents until someone signs them off.
+// Each item carries a diff of Google Ads fields ({ resource, resourceName,
+// field, before, after }); approved items are applied with one mutate call
+// per resource. Small bid changes are approved automatically.
+class ApprovalQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const settings = { ...config.approvals, ...options.settings };
+
+    this.name = 'Approval Queue';
+    this.enabled = settings.enabled;
+    this.bidChangeThresholdPercent = settings.bidChangeThresholdPercent;
+    this.alwaysRequireApproval = settings.alwaysRequireApproval || [];
+    this.expiryHours = settings.expiryHours;
+    this.autoExecute = settings.autoExecute;
+    this.storage = options.storage || getStorage();
+    this.googleAdsClient = options.googleAdsClient || new GoogleAdsClient();
+    this.plan = options.plan || null; // A dry run's ChangePlan: proposals are recorded in it, not queued
+  }
+
+  requiresApproval(proposal) {
+    if (!this.enabled) return false;
+    if (this.alwaysRequireApproval.includes(proposal.type)) return true;
+    return Math.abs(proposal.changePercent || 0) > this.bidChangeThresholdPercent;
+  }
+
+  // proposal: { type, campaignId, source, reason, changes, changePercent, expectedImpact }
+  async submit(proposal) {
+    if (!proposal.changes || proposal.changes.length === 0) {
+      throw new Error(`Proposal ${proposal.type} has no changes to apply`);
+    }
+
+    // Dry runs only record what would be proposed
+    if (this.plan) {
+      this.plan.recordProposal(proposal);
+      return { ...proposal, id: null, status: 'planned' };
+    }
+
+    const createdAt = new Date();
+    const needsApproval = this.requiresApproval(proposal);
+
+    const item = {
+      id: `approval_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      ...proposal,
+      campaignId: proposal.campaignId ? String(proposal.campaignId) : null,
+      status: needsApproval ? 'pending' : 'auto_approved',
+      createdAt: createdAt.toISOString(),
+      expiresAt: needsApproval
+        ? new Date(createdAt.getTime() + this.expiryHours * 60 * 60 * 1000).toISOString()
+        : null,
+      decision: needsApproval ? null : {
+        outcome: 'auto_approved',
+        by: 'system',
+        note: this.enabled ? `Change within ${this.bidChangeThresholdPercent}% threshold` : 'Approvals disabled',
+        decidedAt: createdAt.toISOString()
+      },
+      execution: null
+    };
+
+    this.storage.approvals.save(item);
+
+    if (!needsApproval) {
+      return this.execute(item);
+    }
+
+    console.log(`[${this.name}] ${item.type} for campaign ${item.campaignId} awaiting approval (${item.id})`);
+    this.emit('approval_requested', this.summarize(item));
+    return item;
+  }
+
+  list(query = {}) {
+    this.expireStale();
+
+    let items = this.storage.approvals.findAll({ campaignId: query.campaignId, order: 'desc' });
+    if (query.status) items = items.filter(item => item.status === query.status);
+    if (query.limit) items = items.slice(0, query.limit);
+
+    return items;
+  }
+
+  get(approvalId) {
+    this.expireStale();
+    return this.storage.approvals.findById(approvalId);
+  }
+
+  countPending() {
+    this.expireStale();
+    return this.storage.approvals.findByStatus('pending').length;
+  }
+
+  async approve(approvalId, decision = {}) {
+    const item = this.getPending(approvalId);
+
+    item.status = 'approved';
+    item.decision = this.buildDecision('approved', decision);
+    this.storage.approvals.save(item);
+
+    console.log(`[${this.name}] ${item.id} approved by ${item.decision.by}`);
+    this.emit('approval_decided', this.summarize(item));
+
+    return this.autoExecute ? this.execute(item) : item;
+  }
+
+  reject(approvalId, decision = {}) {
+    const item = this.getPending(approvalId);
+
+    item.status = 'rejected';
+    item.decision = this.buildDecision('rejected', decision);
+    this.storage.approvals.save(item);
+
+    console.log(`[${this.name}] ${item.id} rejected by ${item.decision.by}`);
+    this.emit('approval_decided', this.summarize(item));
+
+    return item;
+  }
+
+  getPending(approvalId) {
+    const item = this.get(approvalId);
+    if (!item) {
+      throw new Error(`Approval not found: ${approvalId}`);
+    }
+    if (item.status !== 'pending') {
+      throw new Error(`Approval ${approvalId} is already ${item.status}`);
+    }
+    return item;
+  }
+
+  buildDecision(outcome, decision) {
+    return {
+      outcome: outcome,
+      by: decision.by || 'unknown',
+      note: decision.note || decision.reason || null,
+      decidedAt: new Date().toISOString()
+    };
+  }
+
+  // Pending items are expired lazily whenever the queue is read
+  expireStale() {
+    const now = new Date().toISOString();
+
+    this.storage.approvals.findByStatus('pending')
+      .filter(item => item.expiresAt && item.expiresAt < now)
+      .forEach(item => {
+        item.status = 'expired';
+        item.decision = { outcome: 'expired', by: 'system', note: null, decidedAt: now };
+        this.storage.approvals.save(item);
+        this.emit('approval_decided', this.summarize(item));
+      });
+  }
+
+  async execute(item) {
+    try {
+      const results = await this.applyChanges(item);
+
+      item.status = 'executed';
+      item.execution = { executedAt: new Date().toISOString(), results };
+      console.log(`[${this.name}] Applied ${item.type} (${item.changes.length} changes) for campaign ${item.campaignId}`);
+      this.emit('action_executed', this.summarize(item));
+
+    } catch (error) {
+      // A failed change stays in the queue with its error rather than breaking the workflow
+      item.status = 'failed';
+      item.execution = { executedAt: new Date().toISOString(), error: error.message };
+      console.error(`[${this.name}] Failed to apply ${item.id}:`, error.message);
+      this.emit('action_failed', this.summarize(item));
+    }
+
+    this.storage.approvals.save(item);
+    return item;
+  }
+
+  async applyChanges(item) {
+    // One mutate per resource type, one update operation per resource
+    const operationsByResource = {};
+
+    item.changes.forEach(change => {
+      const operations = operationsByResource[change.resource] || (operationsByResource[change.resource] = {});
+      const operation = operations[change.resourceName] || (operations[change.resourceName] = {
+        update: { resourceName: change.resourceName },
+        fields: []
+      });
+
+      operation.update[change.field] = this.toApiValue(change.field, change.after);
+      operation.fields.push(this.toFieldPath(change.field));
+    });
+
+    const results = [];
+    for (const resource of Object.keys(operationsByResource)) {
+      const operations = Object.values(operationsByResource[resource]).map(operation => ({
+        update: operation.update,
+        updateMask: operation.fields.join(',')
+      }));
+
+      const response = await this.googleAdsClient.mutate(resource, operations, { customerId: item.customerId });
+      results.push(...(response.results || []));
+    }
+
+    return results;
+  }
+
+  // Diffs show money in pounds; the API expects micros
+  toApiValue(field, value) {
+    return field.endsWith('Micros') ? GoogleAdsClient.toMicros(value) : value;
+  }
+
+  // updateMask uses snake_case field paths
+  toFieldPath(field) {
+    return field.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+  }
+
+  summarize(item) {
+    return {
+      approvalId: item.id,
+      type: item.type,
+      campaignId: item.campaignId,
+      status: item.status,
+      reason: item.reason,
+      changes: item.changes.length,
+      expectedImpact: item.expectedImpact?.summary || null,
+      error: item.execution?.error || null
+    };
+  }
+}
+
+module.exports = ApprovalQueue;
@@ -0,0 +1,216 @@
+// Changes a dry-run workflow would make, collected instead of being applied.
+// The Google Ads client and approval queue record into the plan while it is
+// attached; format() prints it Terraform-style and toJSON() exports it.
+const ACTION_SYMBOLS = {
+  create: '+',
+  update: '~',
+  pause: '!',
+  remove: '-'
+};
+
+// Fields worth showing for each created resource, in display order
+const CREATE_FIELDS = {
+  campaignBudgets: ['name', 'amountMicros', 'deliveryMethod'],
+  campaigns: [
+    'name', 'advertisingChannelType', 'status', 'campaignBudget', 'targetCpa.targetCpaMicros', 'maximizeConversions.targetCpaMicros',
+    'geoTargetTypeSetting.positiveGeoTargetType', 'geoTargetTypeSetting.negativeGeoTargetType'
+  ],
+  adGroups: ['name', 'campaign', 'status', 'cpcBidMicros'],
+  adGroupCriteria: ['keyword.text', 'keyword.matchType', 'negative', 'cpcBidMicros', 'userList.userList'],
+  campaignCriteria: [
+    'keyword.text', 'keyword.matchType', 'negative', 'location.geoTargetConstant',
+    'proximity.address.postalCode', 'proximity.radius', 'proximity.radiusUnits',
+    'adSchedule.dayOfWeek', 'adSchedule.startHour', 'adSchedule.endHour', 'bidModifier'
+  ],
+  adGroupAds: [
+    'ad.responsiveSearchAd.headlines', 'ad.responsiveSearchAd.descriptions',
+    'ad.callAd.phoneNumber', 'ad.callAd.headline2', 'ad.callAd.description1', 'ad.callAd.description2',
+    'ad.responsiveDisplayAd.headlines', 'ad.responsiveDisplayAd.longHeadline.text', 'ad.responsiveDisplayAd.descriptions', 'ad.finalUrls'
+  ],
+  assets: [
+    'sitelinkAsset.linkText', 'sitelinkAsset.description1', 'sitelinkAsset.description2', 'finalUrls',
+    'calloutAsset.calloutText', 'callAsset.phoneNumber', 'callAsset.callConversionReportingState',
+    'structuredSnippetAsset.header', 'structuredSnippetAsset.values', 'textAsset.text', 'type'
+  ],
+  assetGroups: ['name', 'campaign', 'finalUrls', 'status'],
+  assetGroupAssets: ['fieldType', 'asset'],
+  assetGroupSignals: ['searchTheme.text', 'audience.audience'],
+  customAudiences: ['name', 'type', 'members'],
+  audiences: ['name']
+};
+
+class ChangePlan {
+  constructor(options = {}) {
+    this.workflowId = options.workflowId || null;
+    this.workflowType = options.workflowType || null;
+    this.createdAt = new Date().toISOString();
+    this.changes = [];
+    this.nextTemporaryId = -1; // Google Ads uses negative ids for resources not created yet
+  }
+
+  add(change) {
+    const entry = {
+      id: this.changes.length + 1,
+      action: change.action,
+      resource: change.resource,
+      resourceName: change.resourceName,
+      label: change.label || change.resourceName,
+      source: change.source || null,
+      reason: change.reason || null,
+      fields: change.fields || [],
+      applied: change.applied !== false // false for recommendations the workflow does not push
+    };
+
+    this.changes.push(entry);
+    return entry;
+  }
+
+  // Record a mutate request instead of sending it; returns a mutate-shaped response
+  recordMutation(resource, operations, getResourceName) {
+    const results = operations.map(operation => {
+      if (operation.create) {
+        const resourceName = getResourceName(resource, this.nextTemporaryId--);
+        this.add({
+          action: 'create',
+          resource,
+          resourceName,
+          label: this.getCreateLabel(operation.create),
+          fields: this.getCreateFields(resource, operation.create)
+        });
+        return { resourceName };
+      }
+
+      if (operation.update) {
+        const { resourceName, ...values } = operation.update;
+        this.add({
+          action: values.status === 'PAUSED' ? 'pause' : 'update',
+          resource,
+          resourceName,
+          fields: Object.keys(values).map(field => ({ field, before: null, after: this.toDisplayValue(field, values[field]) }))
+        });
+        return { resourceName };
+      }
+
+      this.add({ action: 'remove', resource, resourceName: operation.remove });
+      return { resourceName: operation.remove };
+    });
+
+    return { results };
+  }
+
+  // Approval queue proposals already carry before/after values
+  recordProposal(proposal) {
+    proposal.changes.forEach(change => {
+      this.add({
+        action: change.field === 'status' && change.after === 'PAUSED' ? 'pause' : 'update',
+        resource: change.resource,
+        resourceName: change.resourceName,
+        label: change.label,
+        source: proposal.source,
+        reason: proposal.reason,
+        fields: [{ field: change.field, before: change.before, after: change.after }]
+      });
+    });
+  }
+
+  // What a created resource is called in the plan
+  getCreateLabel(values) {
+    return values.name || values.keyword?.text || values.ad?.responsiveSearchAd?.headlines?.[0]?.text ||
+      values.ad?.callAd?.headline1 || values.ad?.responsiveDisplayAd?.headlines?.[0]?.text || values.textAsset?.text ||
+      values.searchTheme?.text || values.audience?.audience || values.userList?.userList ||
+      values.sitelinkAsset?.linkText || values.calloutAsset?.calloutText || values.callAsset?.phoneNumber ||
+      values.structuredSnippetAsset?.header || values.fieldType || values.location?.geoTargetConstant ||
+      (values.proximity && `${values.proximity.radius} ${values.proximity.radiusUnits.toLowerCase()} around ${values.proximity.address.postalCode}`) ||
+      (values.adSchedule && `${values.adSchedule.dayOfWeek} ${String(values.adSchedule.startHour).padStart(2, '0')}:00-${String(values.adSchedule.endHour).padStart(2, '0')}:00`);
+  }
+
+  getCreateFields(resource, values) {
+    const fields = CREATE_FIELDS[resource] || Object.keys(values);
+
+    return fields
+      .map(field => ({ field, value: field.split('.').reduce((obj, key) => obj && obj[key], values) }))
+      .filter(entry => entry.value !== undefined)
+      .map(({ field, value }) => ({ field, before: null, after: this.toDisplayValue(field, value) }));
+  }
+
+  // Mutate requests carry money in micros; plans show pounds like approval diffs do
+  toDisplayValue(field, value) {
+    return /Micros$/.test(field) ? Number(value) / 1000000 : value;
+  }
+
+  getSummary() {
+    const summary = { create: 0, update: 0, pause: 0, remove: 0, recommendations: 0 };
+
+    this.changes.forEach(change => {
+      if (change.applied) {
+        summary[change.action]++;
+      } else {
+        summary.recommendations++;
+      }
+    });
+
+    return summary;
+  }
+
+  formatValue(field, value) {
+    if (value === null || value === undefined) return '(unknown)';
+    if (Array.isArray(value)) return `[${value.map(item => item.text || item.keyword || item).join(', ')}]`;
+    if (/Micros$/.test(field)) return `£${Number(value).toFixed(2)}`;
+    return typeof value === 'string' ? `"${value}"` : String(value);
+  }
+
+  format() {
+    const lines = [`Plan for workflow ${this.workflowId} (${this.workflowType}, dry run - nothing was changed)`, ''];
+
+    const applied = this.changes.filter(change => change.applied);
+    const recommended = this.changes.filter(change => !change.applied);
+
+    const formatChange = change => {
+      lines.push(`  ${ACTION_SYMBOLS[change.action]} ${change.action} ${change.resource} "${change.label}"`);
+      if (change.reason) lines.push(`      # ${change.reason}`);
+
+      change.fields.forEach(({ field, before, after }) => {
+        lines.push(change.action === 'create'
+          ? `      + ${field} = ${this.formatValue(field, after)}`
+          : `      ~ ${field}: ${this.formatValue(field, before)} -> ${this.formatValue(field, after)}`);
+      });
+      lines.push('');
+    };
+
+    if (applied.length === 0) {
+      lines.push('  No changes to the account.', '');
+    }
+    applied.forEach(formatChange);
+
+    if (recommended.length > 0) {
+      lines.push('Recommendations (computed, but not pushed to the account by this workflow):', '');
+      recommended.forEach(formatChange);
+    }
+
+    const summary = this.getSummary();
+    lines.push(`Plan: ${summary.create} to create, ${summary.update} to update, ${summary.pause} to pause, ${summary.remove} to remove` +
+      (summary.recommendations > 0 ? `, ${summary.recommendations} recommendations.` : '.'));
+
+    return lines.join('\n');
+  }
+
+  // Rebuild a stored plan (e.g. from a saved workflow) so it can be formatted again
+  static fromJSON(data) {
+    const plan = new ChangePlan({ workflowId: data.workflowId, workflowType: data.workflowType });
+    plan.createdAt = data.createdAt;
+    plan.changes = data.changes || [];
+    return plan;
+  }
+
+  toJSON() {
+    return {
+      workflowId: this.workflowId,
+      workflowType: this.workflowType,
+      createdAt: this.createdAt,
+      summary: this.getSummary(),
+      changes: this.changes
+    };
+  }
+}
+
+module.exports = ChangePlan;
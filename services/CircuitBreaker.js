@@ -0,0 +1,121 @@
+const EventEmitter = require('events');
+const config = require('../config/config');
+const RetryPolicy = require('./RetryPolicy');
+
+// One breaker per external dependency, shared by every account in the process
+const breakers = new Map();
+
+// Stops calling a dependency that keeps failing. After failureThreshold
+// transient failures in a row the circuit opens and calls fail straight away
+// with a CIRCUIT_OPEN error; once resetTimeoutMs has passed one trial call is
+// let through (half open), which closes the circuit again if it succeeds.
+// Errors such as a 400 or 404 mean the dependency is up, so they don't count.
+class CircuitBreaker extends EventEmitter {
+  constructor(dependency, options = {}) {
+    super();
+    const defaults = config.resilience.circuitBreaker;
+    this.name = `Circuit Breaker ${dependency}`;
+    this.dependency = dependency;
+    this.failureThreshold = options.failureThreshold || defaults.failureThreshold;
+    this.resetTimeoutMs = options.resetTimeoutMs || defaults.resetTimeoutMs;
+
+    this.state = 'closed';
+    this.failures = 0; // Transient failures in a row
+    this.openedAt = null;
+    this.trialInProgress = false;
+    this.lastError = null;
+    this.stats = { calls: 0, failures: 0, rejected: 0 };
+  }
+
+  async execute(operation) {
+    this.stats.calls++;
+
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.resetTimeoutMs) throw this.rejectCall();
+      this.setState('half_open');
+    }
+    if (this.state === 'half_open') {
+      if (this.trialInProgress) throw this.rejectCall();
+      this.trialInProgress = true;
+    }
+
+    try {
+      const result = await operation();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (RetryPolicy.isTransient(error)) {
+        this.recordFailure(error);
+      } else {
+        this.recordSuccess();
+      }
+      throw error;
+    } finally {
+      this.trialInProgress = false;
+    }
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    if (this.state !== 'closed') this.setState('closed');
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.stats.failures++;
+    this.lastError = error.message;
+
+    // Calls already in flight when the circuit opened don't extend the wait
+    if (this.state === 'half_open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+      this.openedAt = Date.now();
+      this.setState('open');
+    }
+  }
+
+  rejectCall() {
+    this.stats.rejected++;
+    const retryAt = new Date(this.openedAt + this.resetTimeoutMs);
+    const error = new Error(`${this.dependency} is unavailable after ${this.failures} failures in a row (last: ${this.lastError}); calls resume after ${retryAt.toISOString()}`);
+    error.code = 'CIRCUIT_OPEN';
+    error.dependency = this.dependency;
+    return error;
+  }
+
+  setState(state) {
+    const previous = this.state;
+    this.state = state;
+    console.log(`[${this.name}] ${previous} -> ${state}${state === 'open' ? ` after ${this.failures} failures (last: ${this.lastError})` : ''}`);
+    this.emit('state_changed', { dependency: this.dependency, state, previous, failures: this.failures, lastError: this.lastError });
+  }
+
+  getStatus() {
+    return {
+      dependency: this.dependency,
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+      lastError: this.lastError,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+// The shared breaker for a dependency, e.g. 'googleAds' or 'aiProvider'
+function getCircuitBreaker(dependency) {
+  if (!breakers.has(dependency)) {
+    breakers.set(dependency, new CircuitBreaker(dependency));
+  }
+  return breakers.get(dependency);
+}
+
+function getCircuitBreakers() {
+  return [...breakers.values()];
+}
+
+module.exports = {
+  CircuitBreaker,
+  getCircuitBreaker,
+  getCircuitBreakers
+};
@@ -0,0 +1,167 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week)
+// evaluated in an IANA timezone, so "0 8 * * MON" means 8am London time
+// in both GMT and BST. Supports *, lists, ranges, steps, month and day
+// names, and the @hourly / @daily / @weekly / @monthly shorthands.
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const SHORTHANDS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Far enough ahead to reach the next 29 February
+const MAX_DAYS_AHEAD = 366 * 4;
+
+const formatters = new Map();
+
+class CronExpression {
+  constructor(expression, timeZone = 'UTC') {
+    this.expression = expression;
+    this.timeZone = timeZone;
+
+    const parts = (SHORTHANDS[expression.trim()] || expression).trim().split(/\s+/);
+    if (parts.length !== 5) {
+      throw new Error(`Invalid cron expression "${expression}": expected 5 fields (minute hour day-of-month month day-of-week)`);
+    }
+    CronExpression.getFormatter(timeZone);
+
+    [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] = parts.map((part, index) => this.parseField(part, FIELDS[index]));
+    // 7 is Sunday too
+    if (this.daysOfWeek.has(7)) this.daysOfWeek.add(0);
+
+    // As in cron, when both day fields are restricted a day matching either one runs
+    this.anyDayOfMonth = parts[2] === '*';
+    this.anyDayOfWeek = parts[4] === '*';
+  }
+
+  parseField(part, field) {
+    const values = new Set();
+
+    part.split(',').forEach(item => {
+      const [range, stepText] = item.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+      if (!Number.isInteger(step) || step < 1) {
+        throw new Error(`Invalid cron expression "${this.expression}": bad step "${stepText}" in ${field.name}`);
+      }
+
+      let start = field.min;
+      let end = field.max;
+      if (range !== '*') {
+        [start, end] = range.split('-').map(value => this.parseValue(value, field));
+        if (end === undefined) end = stepText === undefined ? start : field.max;
+      }
+      if (start > end) {
+        throw new Error(`Invalid cron expression "${this.expression}": range ${range} in ${field.name} is backwards`);
+      }
+
+      for (let value = start; value <= end; value += step) values.add(value);
+    });
+
+    return values;
+  }
+
+  parseValue(value, field) {
+    const nameIndex = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+    const number = nameIndex >= 0 ? nameIndex + (field.name === 'month' ? 1 : 0) : Number(value);
+
+    if (!/^\w+$/.test(value) || !Number.isInteger(number) || number < field.min || number > field.max) {
+      throw new Error(`Invalid cron expression "${this.expression}": "${value}" is not a valid ${field.name} (${field.min}-${field.max})`);
+    }
+    return number;
+  }
+
+  matchesDay(year, month, day) {
+    if (!this.months.has(month)) return false;
+
+    const dayOfMonth = this.daysOfMonth.has(day);
+    const dayOfWeek = this.daysOfWeek.has(new Date(Date.UTC(year, month - 1, day)).getUTCDay());
+    if (this.anyDayOfMonth || this.anyDayOfWeek) return dayOfMonth && dayOfWeek;
+    return dayOfMonth || dayOfWeek;
+  }
+
+  // First matching time strictly after `after`. Local times skipped by a
+  // clock change never run; repeated ones run at their first occurrence.
+  next(after = new Date()) {
+    const afterTime = new Date(after).getTime();
+    const start = CronExpression.getZonedParts(new Date(afterTime), this.timeZone);
+    const hours = [...this.hours].sort((a, b) => a - b);
+    const minutes = [...this.minutes].sort((a, b) => a - b);
+
+    for (let offset = 0; offset <= MAX_DAYS_AHEAD; offset++) {
+      const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+      const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+      if (!this.matchesDay(year, month, day)) continue;
+
+      for (const hour of hours) {
+        if (offset === 0 && hour < start.hour) continue;
+        for (const minute of minutes) {
+          const time = CronExpression.toInstant({ year, month, day, hour, minute }, this.timeZone);
+          if (time && time.getTime() > afterTime) return time;
+        }
+      }
+    }
+    return null;
+  }
+
+  // The UTC instant of a wall-clock time in timeZone, or null if the clocks skip it
+  static toInstant(local, timeZone) {
+    const wallTime = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute);
+
+    // Try the offsets either side of a possible change; the earliest valid one wins
+    const candidates = [...new Set([
+      CronExpression.getOffset(new Date(wallTime - 24 * 60 * 60 * 1000), timeZone),
+      CronExpression.getOffset(new Date(wallTime + 24 * 60 * 60 * 1000), timeZone)
+    ])]
+      .map(offset => new Date(wallTime - offset))
+      .filter(candidate => {
+        const parts = CronExpression.getZonedParts(candidate, timeZone);
+        return parts.hour === local.hour && parts.minute === local.minute && parts.day === local.day;
+      })
+      .sort((a, b) => a - b);
+
+    return candidates[0] || null;
+  }
+
+  // Milliseconds the zone is ahead of UTC at that moment
+  static getOffset(date, timeZone) {
+    const parts = CronExpression.getZonedParts(date, timeZone);
+    const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return wallTime - Math.floor(date.getTime() / 60000) * 60000;
+  }
+
+  static getZonedParts(date, timeZone) {
+    return Object.fromEntries(CronExpression.getFormatter(timeZone)
+      .formatToParts(date)
+      .filter(part => part.type !== 'literal')
+      .map(part => [part.type, Number(part.value)]));
+  }
+
+  static getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+      try {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-GB', {
+          timeZone: timeZone,
+          hourCycle: 'h23',
+          year: 'numeric',
+          month: 'numeric',
+          day: 'numeric',
+          hour: 'numeric',
+          minute: 'numeric'
+        }));
+      } catch (error) {
+        throw new Error(`Unknown timezone: ${timeZone}`);
+      }
+    }
+    return formatters.get(timeZone);
+  }
+}
+
+module.exports = CronExpression;
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const GoogleAdsClient = require('./GoogleAdsClient');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'googleAds');
+
+// Stand-in for GoogleAdsClient that answers GAQL queries from recorded
+// searchStream responses (fixtures/googleAds/<resource>.json)
+class FixtureGoogleAdsClient {
+  constructor(options = {}) {
+    this.name = 'Fixture Google Ads Client';
+    this.mode = 'fixture';
+    this.customerId = options.customerId || '1234567890';
+    this.fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+    this.queries = []; // Every query received, for inspection
+    this.mutations = []; // Every mutate request received
+    this.nextId = 1000;
+    this.plan = options.plan || null; // A dry run's ChangePlan: mutations are recorded in it, not applied
+  }
+
+  static getResourceFromQuery(query) {
+    const match = query.match(/\bFROM\s+([a-z_]+)/i);
+    if (!match) throw new Error(`Unable to find FROM clause in GAQL query: ${query}`);
+    return match[1].toLowerCase();
+  }
+
+  // Reports segmented by hour come from <resource>_by_hour.json, so they
+  // don't change the totals reported from <resource>.json
+  static getFixtureFromQuery(query) {
+    const resource = FixtureGoogleAdsClient.getResourceFromQuery(query);
+    return /\bsegments\.hour\b/i.test(query) ? `${resource}_by_hour` : resource;
+  }
+
+  loadBatches(resource) {
+    const fixturePath = path.join(this.fixturesDir, `${resource}.json`);
+    if (!fs.existsSync(fixturePath)) return [];
+    return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  }
+
+  getResourceName(resource, id, customerId = this.customerId) {
+    return `customers/${customerId}/${resource}/${id}`;
+  }
+
+  async searchStream(query, options = {}) {
+    this.queries.push({ query, customerId: options.customerId || this.customerId });
+    const batches = this.loadBatches(FixtureGoogleAdsClient.getFixtureFromQuery(query));
+    return batches.flatMap(batch => batch.results || []);
+  }
+
+  async mutate(resource, operations, options = {}) {
+    const customerId = options.customerId || this.customerId;
+    this.mutations.push({ resource, operations, options });
+
+    if (this.plan) {
+      return this.plan.recordMutation(resource, operations, (name, id) => this.getResourceName(name, id, customerId));
+    }
+    if (options.validateOnly) return {};
+
+    return {
+      results: operations.map(operation => ({
+        resourceName: operation.update?.resourceName || operation.remove ||
+          `customers/${customerId}/${resource}/${this.nextId++}`
+      }))
+    };
+  }
+
+  async mutateAll(mutateOperations, options = {}) {
+    const customerId = options.customerId || this.customerId;
+    this.mutations.push({ resource: 'googleAds', operations: mutateOperations, options });
+
+    if (this.plan) {
+      return GoogleAdsClient.recordMutateOperations(this.plan, mutateOperations, (name, id) => this.getResourceName(name, id, customerId));
+    }
+    if (options.validateOnly) return {};
+
+    return {
+      mutateOperationResponses: mutateOperations.map(mutateOperation => {
+        const [operationType] = Object.keys(mutateOperation);
+        const operation = mutateOperation[operationType];
+        const resource = GoogleAdsClient.getResourceFromOperation(operationType);
+        const resourceName = operation.update?.resourceName || operation.remove || `customers/${customerId}/${resource}/${this.nextId++}`;
+        return { [operationType.replace(/Operation$/, 'Result')]: { resourceName } };
+      })
+    };
+  }
+
+  async mutateCampaignBudgets(operations, options = {}) {
+    return this.mutate('campaignBudgets', operations, options);
+  }
+
+  async mutateCampaigns(operations, options = {}) {
+    return this.mutate('campaigns', operations, options);
+  }
+
+  async mutateCampaignCriteria(operations, options = {}) {
+    return this.mutate('campaignCriteria', operations, options);
+  }
+
+  async mutateAdGroups(operations, options = {}) {
+    return this.mutate('adGroups', operations, options);
+  }
+
+  async mutateAdGroupCriteria(operations, options = {}) {
+    return this.mutate('adGroupCriteria', operations, options);
+  }
+
+  async mutateAdGroupAds(operations, options = {}) {
+    return this.mutate('adGroupAds', operations, options);
+  }
+
+  async mutateAssets(operations, options = {}) {
+    return this.mutate('assets', operations, options);
+  }
+
+  async mutateCampaignAssets(operations, options = {}) {
+    return this.mutate('campaignAssets', operations, options);
+  }
+
+  async mutateAdGroupAssets(operations, options = {}) {
+    return this.mutate('adGroupAssets', operations, options);
+  }
+
+  async mutateAssetSets(operations, options = {}) {
+    return this.mutate('assetSets', operations, options);
+  }
+
+  async mutateCampaignAssetSets(operations, options = {}) {
+    return this.mutate('campaignAssetSets', operations, options);
+  }
+
+  async mutateCustomAudiences(operations, options = {}) {
+    return this.mutate('customAudiences', operations, options);
+  }
+
+  async mutateAudiences(operations, options = {}) {
+    return this.mutate('audiences', operations, options);
+  }
+}
+
+module.exports = FixtureGoogleAdsClient;
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const config = require('../config/config');
+
+// When a name matches several targets, the most specific kind wins
+const TARGET_TYPE_PRIORITY = ['Postal Code', 'Neighborhood', 'Borough', 'City', 'County', 'Province', 'Country'];
+
+// UK postcodes: the district ("E4") and the full code ("E4 9HH")
+const POSTCODE_DISTRICT = /^[A-Z]{1,2}\d[A-Z\d]?$/i;
+const FULL_POSTCODE = /\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})\b/i;
+
+const COUNTRY_CODES = { 'united kingdom': 'GB', 'uk': 'GB', 'great britain': 'GB', 'england': 'GB' };
+
+// Location bid modifiers: a location is judged once it has this many clicks,
+// and its modifier stays within this range
+const MIN_CLICKS = 20;
+const MODIFIER_RANGE = { min: 0.5, max: 1.5 };
+const MIN_MODIFIER_CHANGE = 0.05;
+
+// Resolves place names (London boroughs, neighbourhoods, postcode districts)
+// to Google Ads geo target constants from an offline copy of Google's
+// geotargets CSV (config/geoTargets.csv, or GEO_TARGETS_FILE), and turns a
+// profile's campaignSettings.geoTargeting into campaign criteria: targeted and
+// excluded locations, a radius around the business address and whether people
+// searching for an area count as well as people in it.
+class GeoTargeting {
+  constructor(options = {}) {
+    this.name = 'Geo Targeting';
+    this.file = options.file || config.geo.targetsFile;
+    this.targets = this.load(this.file);
+  }
+
+  load(file) {
+    const [header, ...lines] = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim());
+    const columns = this.parseCsvLine(header);
+    const column = name => columns.indexOf(name);
+
+    return lines.map(line => {
+      const values = this.parseCsvLine(line);
+      return {
+        id: values[column('Criteria ID')],
+        name: values[column('Name')],
+        canonicalName: values[column('Canonical Name')],
+        parentId: values[column('Parent ID')] || null,
+        countryCode: values[column('Country Code')],
+        targetType: values[column('Target Type')],
+        status: values[column('Status')]
+      };
+    }).filter(target => target.status === 'Active');
+  }
+
+  // Google's file quotes every field; names contain commas
+  parseCsvLine(line) {
+    const values = [];
+    let current = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"' && quoted && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = !quoted;
+      } else if (char === ',' && !quoted) {
+        values.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    values.push(current);
+    return values;
+  }
+
+  // "Waltham Forest", "London Borough of Hackney", "e4" or a canonical name
+  // such as "London,England,United Kingdom" -> the target, or null
+  resolve(query, countryCode = 'GB') {
+    const key = this.normalize(query);
+    const candidates = this.targets.filter(target => target.countryCode === countryCode &&
+      (this.normalize(target.name) === key || this.normalize(target.canonicalName) === key));
+    if (POSTCODE_DISTRICT.test(String(query).trim())) {
+      const postcode = candidates.find(target => target.targetType === 'Postal Code');
+      if (postcode) return postcode;
+    }
+    return candidates.sort((a, b) => this.getTypeRank(a) - this.getTypeRank(b))[0] || null;
+  }
+
+  getTypeRank(target) {
+    const rank = TARGET_TYPE_PRIORITY.indexOf(target.targetType);
+    return rank === -1 ? TARGET_TYPE_PRIORITY.length : rank;
+  }
+
+  normalize(name) {
+    return String(name).toLowerCase()
+      .replace(/^(the )?(london )?borough of /, '')
+      .replace(/[^a-z0-9,]+/g, ' ')
+      .replace(/\s*,\s*/g, ',')
+      .trim();
+  }
+
+  // Names that start like the query, for "did you mean" hints
+  suggest(query, limit = 3) {
+    const key = this.normalize(query).slice(0, 3);
+    return this.targets.filter(target => this.normalize(target.name).startsWith(key)).slice(0, limit).map(target => target.name);
+  }
+
+  // { resolved: [target + query], unresolved: [query] }
+  resolveAll(queries = []) {
+    const resolved = [];
+    const unresolved = [];
+    queries.forEach(query => {
+      const target = this.resolve(query);
+      if (!target) {
+        unresolved.push(query);
+      } else if (!resolved.some(existing => existing.id === target.id)) {
+        resolved.push({ ...target, query });
+      }
+    });
+    return { resolved, unresolved };
+  }
+
+  // The profile's geo targeting, resolved. Throws naming every location that
+  // isn't in the dataset.
+  buildTargeting(campaignSettings) {
+    const geo = campaignSettings.geoTargeting || {};
+    const included = this.resolveAll(geo.locations || [campaignSettings.region]);
+    const excluded = this.resolveAll(geo.excludedLocations || []);
+
+    const unresolved = [...included.unresolved, ...excluded.unresolved];
+    if (unresolved.length > 0) {
+      throw new Error(`Unknown locations: ${unresolved.map(query => this.describeUnresolved(query)).join(', ')}; use Google Ads location names, London boroughs or postcode districts from ${this.file}`);
+    }
+
+    const overlapping = included.resolved.filter(target => excluded.resolved.some(exclusion => exclusion.id === target.id));
+    if (overlapping.length > 0) {
+      throw new Error(`Locations both targeted and excluded: ${overlapping.map(target => target.name).join(', ')}`);
+    }
+
+    const radius = geo.radiusAroundAddress ? campaignSettings.radius : null;
+    return {
+      locations: included.resolved.map(target => this.toLocation(target)),
+      excludedLocations: excluded.resolved.map(target => this.toLocation(target)),
+      proximity: radius ? { address: this.parseAddress(campaignSettings.businessInfo.address), radius: radius, radiusUnits: 'MILES' } : null,
+      positiveGeoTargetType: geo.targetType || 'PRESENCE',
+      negativeGeoTargetType: geo.excludedType || 'PRESENCE'
+    };
+  }
+
+  describeUnresolved(query) {
+    const suggestions = this.suggest(query);
+    return suggestions.length > 0 ? `"${query}" (did you mean ${suggestions.join(', ')}?)` : `"${query}"`;
+  }
+
+  toLocation(target) {
+    return {
+      id: target.id,
+      name: target.name,
+      targetType: target.targetType,
+      geoTargetConstant: `geoTargetConstants/${target.id}`
+    };
+  }
+
+  // "480 Larkshall Road, 1st Floor, E4 9HH London, United Kingdom" ->
+  // { streetAddress, postalCode, cityName, countryCode } for a proximity target
+  parseAddress(address) {
+    const parts = String(address).split(',').map(part => part.trim()).filter(Boolean);
+    const postcodeIndex = parts.findIndex(part => FULL_POSTCODE.test(part));
+    if (postcodeIndex === -1) {
+      throw new Error(`No postcode in the business address "${address}"; a radius is measured from it`);
+    }
+
+    const [postcode, district, sector] = parts[postcodeIndex].match(FULL_POSTCODE);
+    const cityName = parts[postcodeIndex].replace(postcode, '').trim() || parts[postcodeIndex + 1] || null;
+    const country = parts[parts.length - 1].toLowerCase();
+
+    return {
+      streetAddress: parts.slice(0, postcodeIndex).join(', '),
+      postalCode: `${district.toUpperCase()} ${sector.toUpperCase()}`,
+      cityName: cityName,
+      countryCode: COUNTRY_CODES[country] || 'GB'
+    };
+  }
+
+  // Campaign criteria create operations for the targeting
+  buildCriteriaOperations(targeting, campaignResourceName) {
+    return [
+      ...targeting.locations.map(location => ({
+        create: { campaign: campaignResourceName, location: { geoTargetConstant: location.geoTargetConstant } }
+      })),
+      ...targeting.excludedLocations.map(location => ({
+        create: { campaign: campaignResourceName, negative: true, location: { geoTargetConstant: location.geoTargetConstant } }
+      })),
+      ...(targeting.proximity ? [{ create: { campaign: campaignResourceName, proximity: targeting.proximity } }] : [])
+    ];
+  }
+
+  // The bundled file can fall behind Google's; in live mode the constants are
+  // checked against the API before a campaign uses them
+  async verify(googleAdsClient, locations) {
+    if (googleAdsClient.mode !== 'live' || locations.length === 0) return;
+
+    const ids = locations.map(location => location.id);
+    if (ids.some(id => !/^\d+$/.test(String(id)))) throw new Error(`Invalid geo target constant ids: ${ids.join(', ')}`);
+
+    const rows = await googleAdsClient.searchStream(
+      `SELECT geo_target_constant.id, geo_target_constant.name, geo_target_constant.status FROM geo_target_constant WHERE geo_target_constant.id IN (${ids.join(', ')})`
+    );
+    const problems = locations.filter(location => {
+      const constant = rows.find(row => String(row.geoTargetConstant.id) === String(location.id))?.geoTargetConstant;
+      return !constant || constant.status !== 'ENABLED' || this.normalize(constant.name) !== this.normalize(location.name);
+    });
+    if (problems.length > 0) {
+      throw new Error(`Geo target constants not found or renamed in Google Ads: ${problems.map(location => `${location.name} (${location.id})`).join(', ')}; update ${this.file} from Google's geotargets download`);
+    }
+  }
+
+  // New bid modifier for each targeted location with enough clicks: the
+  // campaign's CPA over the location's, so cheaper conversions bid up, moved
+  // at most stepPercent from the current modifier and kept within range.
+  // rows: location_view report rows
+  calculateBidModifiers(rows, stepPercent) {
+    const totals = rows.reduce((sum, row) => ({
+      cost: sum.cost + Number(row.metrics?.costMicros || 0),
+      conversions: sum.conversions + Number(row.metrics?.conversions || 0)
+    }), { cost: 0, conversions: 0 });
+    if (totals.conversions === 0) return [];
+    const campaignCPA = totals.cost / totals.conversions;
+
+    return rows.flatMap(row => {
+      const clicks = Number(row.metrics?.clicks || 0);
+      if (clicks < MIN_CLICKS) return [];
+
+      const cost = Number(row.metrics?.costMicros || 0);
+      const conversions = Number(row.metrics?.conversions || 0);
+      const current = Number(row.campaignCriterion.bidModifier || 1);
+      // No conversions yet: treat it as the CPA it would have with one
+      const locationCPA = cost / Math.max(conversions, 1);
+      const ratio = campaignCPA / locationCPA;
+
+      const target = Math.min(Math.max(current * ratio, current * (1 - stepPercent)), current * (1 + stepPercent));
+      const modifier = Math.round(Math.min(Math.max(target, MODIFIER_RANGE.min), MODIFIER_RANGE.max) * 100) / 100;
+      if (Math.abs(modifier - current) < MIN_MODIFIER_CHANGE) return [];
+
+      return [{
+        criterionId: row.campaignCriterion.criterionId,
+        resourceName: row.campaignCriterion.resourceName,
+        geoTargetConstant: row.campaignCriterion.location?.geoTargetConstant,
+        location: this.getName(row.campaignCriterion.location?.geoTargetConstant),
+        clicks: clicks,
+        conversions: conversions,
+        CPA: conversions > 0 ? Math.round(cost / conversions / 10000) / 100 : null,
+        campaignCPA: Math.round(campaignCPA / 10000) / 100,
+        currentModifier: current,
+        newModifier: modifier,
+        reason: conversions > 0
+          ? `CPA £${(cost / conversions / 1000000).toFixed(2)} vs £${(campaignCPA / 1000000).toFixed(2)} for the campaign`
+          : `${clicks} clicks and no conversions`
+      }];
+    });
+  }
+
+  // "geoTargetConstants/1006886" -> "London"
+  getName(geoTargetConstant) {
+    const id = String(geoTargetConstant || '').split('/').pop();
+    return this.targets.find(target => target.id === id)?.name || geoTargetConstant;
+  }
+
+  // For config:check: locations in the profile that the dataset can't
+  // resolve, and a radius around an address without a postcode
+  check(campaignSettings = {}) {
+    const geo = campaignSettings.geoTargeting || {};
+    const issues = ['locations', 'excludedLocations'].flatMap(field => (geo[field] || [])
+      .map((query, index) => ({ query, index }))
+      .filter(({ query }) => !this.resolve(query))
+      .map(({ query, index }) => ({
+        severity: 'error',
+        path: `campaignSettings.geoTargeting.${field}[${index}]`,
+        message: `${this.describeUnresolved(query)} is not in ${this.file}`
+      })));
+
+    if (!geo.locations && campaignSettings.region && !this.resolve(campaignSettings.region)) {
+      issues.push({ severity: 'error', path: 'campaignSettings.region', message: `${this.describeUnresolved(campaignSettings.region)} is not in ${this.file}; set geoTargeting.locations` });
+    }
+    if (geo.radiusAroundAddress && campaignSettings.businessInfo?.address) {
+      try {
+        this.parseAddress(campaignSettings.businessInfo.address);
+      } catch (error) {
+        issues.push({ severity: 'error', path: 'campaignSettings.businessInfo.address', message: error.message });
+      }
+    }
+    return issues;
+  }
+}
+
+module.exports = GeoTargeting;
@@ -0,0 +1,368 @@
+const axios = require('axios');
+const config = require('../config/config');
+const { getSecrets } = require('../secrets');
+const { getStorage } = require('../storage');
+const RetryPolicy = require('./RetryPolicy');
+const { getCircuitBreaker } = require('./CircuitBreaker');
+
+const LIVE_API_URL = 'https://googleads.googleapis.com';
+const LIVE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const MOCK_CUSTOMER_ID = '1234567890';
+
+// Country calling code -> region code for phone numbers in ads and assets; numbers without one are UK numbers
+const CALLING_CODES = { '44': 'GB', '353': 'IE', '1': 'US', '61': 'AU' };
+const DEFAULT_CALLING_CODE = '44';
+
+// One in-process mock server is shared by every client running in mock mode.
+// The start promise is cached so parallel first requests wait for the same server.
+let sharedMockServerUrl = null;
+
+// Mutations sent with an idempotency key and not answered yet, by key. Shared by
+// every client, as a retried step may reach the API through another one.
+const pendingMutations = new Map();
+
+class GoogleAdsClient {
+  constructor(options = {}) {
+    const settings = { ...config.googleAds, ...options };
+
+    this.name = 'Google Ads Client';
+    this.mode = settings.mode === 'live' ? 'live' : 'mock';
+    this.apiVersion = settings.apiVersion;
+    this.clientId = settings.clientId;
+    // Credentials are read from the secrets manager on use, so rotated keys apply straight away
+    this.secrets = options.secrets || getSecrets();
+    this.customerId = this.normalizeCustomerId(settings.customerId);
+    this.loginCustomerId = settings.loginCustomerId ? this.normalizeCustomerId(settings.loginCustomerId) : null;
+    this.mockServerUrl = settings.mockServerUrl || null;
+    this.timeout = settings.timeout || 30000;
+
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+    this.accessTokenRefreshToken = null; // Refresh token the cached access token came from
+    this.plan = options.plan || null; // A dry run's ChangePlan: mutations are recorded in it, not sent
+    this.storage = options.storage || null; // Remembers idempotent mutations; the shared storage when not given
+    // Shared by every account, so an API outage stops all of them hammering it
+    this.circuitBreaker = options.circuitBreaker || getCircuitBreaker('googleAds');
+  }
+
+  normalizeCustomerId(customerId) {
+    const normalized = String(customerId || '').replace(/-/g, '');
+
+    // Placeholder ids are only tolerated offline, where the mock accepts any account
+    if (!/^\d+$/.test(normalized)) {
+      if (this.mode === 'mock') return MOCK_CUSTOMER_ID;
+      throw new Error(`Invalid Google Ads customer ID: ${customerId}`);
+    }
+
+    return normalized;
+  }
+
+  async getBaseUrl() {
+    if (this.mode === 'live') return LIVE_API_URL;
+    if (this.mockServerUrl) return this.mockServerUrl;
+
+    if (!sharedMockServerUrl) {
+      const MockGoogleAdsServer = require('./MockGoogleAdsServer');
+      // Don't keep short-lived processes alive just for the mock
+      sharedMockServerUrl = new MockGoogleAdsServer().start(0, { unref: true });
+    }
+
+    return sharedMockServerUrl;
+  }
+
+  async getTokenUrl() {
+    if (this.mode === 'live') return LIVE_TOKEN_URL;
+    return `${await this.getBaseUrl()}/token`;
+  }
+
+  async getAccessToken() {
+    await this.secrets.ready();
+    const refreshToken = this.getCredential('refreshToken');
+
+    // Reuse the cached token until a minute before it expires or the refresh token is rotated
+    if (this.accessToken && this.accessTokenRefreshToken === refreshToken && Date.now() < this.accessTokenExpiresAt - 60000) {
+      return this.accessToken;
+    }
+
+    const params = new URLSearchParams({
+      grant_type: 'refresh_token',
+      client_id: this.clientId,
+      client_secret: this.getCredential('clientSecret'),
+      refresh_token: refreshToken
+    });
+
+    try {
+      const response = await axios.post(await this.getTokenUrl(), params.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: this.timeout
+      });
+
+      this.accessToken = response.data.access_token;
+      this.accessTokenRefreshToken = refreshToken;
+      this.accessTokenExpiresAt = Date.now() + (response.data.expires_in || 3600) * 1000;
+      return this.accessToken;
+
+    } catch (error) {
+      const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+      const wrapped = new Error(`OAuth token refresh failed: ${reason}`);
+      // Kept so a network error or 5xx from the token endpoint is retried like any other
+      wrapped.status = error.response?.status;
+      wrapped.code = error.code;
+      throw wrapped;
+    }
+  }
+
+  // The mock accepts any credentials, so offline runs work without real ones
+  getCredential(name) {
+    return this.secrets.get(`googleAds.${name}`) || (this.mode === 'mock' ? 'mock-credential' : '');
+  }
+
+  async getHeaders() {
+    const headers = {
+      'Authorization': `Bearer ${await this.getAccessToken()}`,
+      'developer-token': this.getCredential('developerToken'),
+      'Content-Type': 'application/json'
+    };
+
+    // Required when the account is accessed through a manager (MCC) account
+    if (this.loginCustomerId) {
+      headers['login-customer-id'] = this.loginCustomerId;
+    }
+
+    return headers;
+  }
+
+  getCustomerPath(customerId = this.customerId) {
+    return `/${this.apiVersion}/customers/${this.normalizeCustomerId(customerId)}`;
+  }
+
+  // e.g. getResourceName('adGroupCriteria', '2001~3001') => customers/123/adGroupCriteria/2001~3001
+  getResourceName(resource, id, customerId = this.customerId) {
+    return `customers/${this.normalizeCustomerId(customerId)}/${resource}/${id}`;
+  }
+
+  async request(method, path, data, retried = false) {
+    const url = `${await this.getBaseUrl()}${path}`;
+
+    try {
+      const response = await this.circuitBreaker.execute(async () => axios({
+        method,
+        url,
+        data,
+        headers: await this.getHeaders(),
+        timeout: this.timeout
+      }));
+      return response.data;
+
+    } catch (error) {
+      // A revoked credential may already have been rotated in the secrets provider
+      if (error.response?.status === 401 && !retried) {
+        await this.secrets.refresh().catch(() => {});
+        this.accessToken = null;
+        return this.request(method, path, data, true);
+      }
+      throw this.toApiError(error);
+    }
+  }
+
+  toApiError(error) {
+    if (!error.response) return error;
+
+    // Google Ads wraps failures as { error: { code, message, status, details } }
+    const apiError = error.response.data?.error || {};
+    const failures = (apiError.details || [])
+      .flatMap(detail => detail.errors || [])
+      .map(failure => failure.message)
+      .filter(Boolean);
+
+    const message = failures.length > 0 ? failures.join('; ') : (apiError.message || error.message);
+    const wrapped = new Error(`Google Ads API error (${error.response.status}): ${message}`);
+    wrapped.status = error.response.status;
+    wrapped.code = apiError.status;
+    wrapped.details = apiError.details || [];
+    wrapped.retryAfterMs = RetryPolicy.parseRetryAfter(error.response.headers?.['retry-after']);
+    return wrapped;
+  }
+
+  async mutate(resource, operations, options = {}) {
+    // A dry run's client records the request in its plan instead of sending it
+    if (this.plan) {
+      return this.plan.recordMutation(resource, operations, (name, id) => this.getResourceName(name, id, options.customerId));
+    }
+
+    const body = {
+      operations,
+      partialFailure: options.partialFailure || false,
+      validateOnly: options.validateOnly || false
+    };
+
+    return this.sendMutation(resource, options, () => this.request('post', `${this.getCustomerPath(options.customerId)}/${resource}:mutate`, body));
+  }
+
+  // Operations on several resources in one request that succeeds or fails as a
+  // whole, e.g. a Performance Max asset group with the assets it can't be
+  // created without. Each is { <type>Operation: { create | update | remove } };
+  // a resource created in the request is referred to by a temporary (negative) id.
+  async mutateAll(mutateOperations, options = {}) {
+    if (this.plan) {
+      return GoogleAdsClient.recordMutateOperations(this.plan, mutateOperations, (name, id) => this.getResourceName(name, id, options.customerId));
+    }
+
+    const body = { mutateOperations, validateOnly: options.validateOnly || false };
+    return this.sendMutation('googleAds', options, () => this.request('post', `${this.getCustomerPath(options.customerId)}/googleAds:mutate`, body));
+  }
+
+  // The API has no request ids, so a mutation sent again with the same key
+  // (e.g. by a resumed workflow) returns the first response instead of creating twice
+  async sendMutation(resource, options, send) {
+    const idempotencyKeys = options.idempotencyKey && !options.validateOnly ? (this.storage || getStorage()).idempotencyKeys : null;
+    if (!idempotencyKeys) return send();
+
+    // The key is reserved while its request is out: a step retried after a
+    // timeout waits for the first attempt's answer instead of sending again
+    const key = options.idempotencyKey;
+    while (pendingMutations.has(key)) {
+      console.log(`[${this.name}] ${resource} mutation ${key} is still in progress, waiting for it`);
+      await pendingMutations.get(key).catch(() => null);
+    }
+
+    const previous = idempotencyKeys.findById(key);
+    if (previous) {
+      console.log(`[${this.name}] ${resource} mutation ${key} already applied, reusing ${GoogleAdsClient.getResultNames(previous.response).join(', ')}`);
+      return previous.response;
+    }
+
+    const request = send().then(response => {
+      idempotencyKeys.save({ id: key, resource, customerId: this.normalizeCustomerId(options.customerId || this.customerId), response, createdAt: new Date().toISOString() });
+      return response;
+    });
+    pendingMutations.set(key, request);
+    try {
+      return await request;
+    } finally {
+      pendingMutations.delete(key);
+    }
+  }
+
+  async mutateCampaignBudgets(operations, options = {}) {
+    return this.mutate('campaignBudgets', operations, options);
+  }
+
+  async mutateCampaigns(operations, options = {}) {
+    return this.mutate('campaigns', operations, options);
+  }
+
+  async mutateCampaignCriteria(operations, options = {}) {
+    return this.mutate('campaignCriteria', operations, options);
+  }
+
+  async mutateAdGroups(operations, options = {}) {
+    return this.mutate('adGroups', operations, options);
+  }
+
+  async mutateAdGroupCriteria(operations, options = {}) {
+    return this.mutate('adGroupCriteria', operations, options);
+  }
+
+  async mutateAdGroupAds(operations, options = {}) {
+    return this.mutate('adGroupAds', operations, options);
+  }
+
+  async mutateAssets(operations, options = {}) {
+    return this.mutate('assets', operations, options);
+  }
+
+  async mutateCampaignAssets(operations, options = {}) {
+    return this.mutate('campaignAssets', operations, options);
+  }
+
+  async mutateAdGroupAssets(operations, options = {}) {
+    return this.mutate('adGroupAssets', operations, options);
+  }
+
+  async mutateAssetSets(operations, options = {}) {
+    return this.mutate('assetSets', operations, options);
+  }
+
+  async mutateCampaignAssetSets(operations, options = {}) {
+    return this.mutate('campaignAssetSets', operations, options);
+  }
+
+  async mutateCustomAudiences(operations, options = {}) {
+    return this.mutate('customAudiences', operations, options);
+  }
+
+  async mutateAudiences(operations, options = {}) {
+    return this.mutate('audiences', operations, options);
+  }
+
+  // Run a GAQL query and return every result row across all streamed batches
+  async searchStream(query, options = {}) {
+    const batches = await this.request('post', `${this.getCustomerPath(options.customerId)}/googleAds:searchStream`, { query });
+    return (batches || []).flatMap(batch => batch.results || []);
+  }
+
+  // assetGroupOperation -> assetGroups, the resource's own :mutate path
+  static getResourceFromOperation(operationType) {
+    const type = operationType.replace(/Operation$/, '');
+    return /Criterion$/.test(type) ? type.replace(/Criterion$/, 'Criteria') : `${type}s`;
+  }
+
+  // A dry run of mutateAll: each operation goes into the plan like a mutate
+  // request of its own, with the plan's temporary ids in place of the caller's,
+  // and the response has the shape mutateAll returns
+  static recordMutateOperations(plan, mutateOperations, getResourceName) {
+    const names = {};
+    return {
+      mutateOperationResponses: mutateOperations.map(mutateOperation => {
+        const [operationType] = Object.keys(mutateOperation);
+        const resource = GoogleAdsClient.getResourceFromOperation(operationType);
+        const { create, ...operation } = mutateOperation[operationType];
+        if (create) {
+          const { resourceName, ...values } = create;
+          operation.create = Object.fromEntries(Object.entries(values).map(([field, value]) => [field, names[value] || value]));
+        }
+
+        const [result] = plan.recordMutation(resource, [operation], getResourceName).results;
+        if (create?.resourceName) names[create.resourceName] = result.resourceName;
+        return { [operationType.replace(/Operation$/, 'Result')]: result };
+      })
+    };
+  }
+
+  // Resource names in a mutate or mutateAll response
+  static getResultNames(response) {
+    return response.results
+      ? response.results.map(result => result.resourceName)
+      : (response.mutateOperationResponses || []).flatMap(result => Object.values(result).map(value => value.resourceName));
+  }
+
+  // Extract the trailing id from a resource name such as customers/123/campaigns/456
+  static getIdFromResourceName(resourceName) {
+    return resourceName ? resourceName.split('/').pop() : null;
+  }
+
+  // "+44 (0)20 3927 2672", "+4402039272672" and "020 3927 2672" -> { countryCode: 'GB', phoneNumber: '+442039272672' }
+  static normalizePhoneNumber(phone) {
+    const digits = phone.replace(/[\s()-]/g, '');
+    if (!/^\+?\d+$/.test(digits)) return null;
+
+    if (!digits.startsWith('+')) {
+      return { countryCode: CALLING_CODES[DEFAULT_CALLING_CODE], phoneNumber: `+${DEFAULT_CALLING_CODE}${digits.replace(/^0/, '')}` };
+    }
+
+    const code = Object.keys(CALLING_CODES).find(callingCode => digits.startsWith(`+${callingCode}`));
+    if (!code) return null;
+    return { countryCode: CALLING_CODES[code], phoneNumber: `+${code}${digits.slice(code.length + 1).replace(/^0/, '')}` };
+  }
+
+  static toMicros(amount) {
+    return Math.round(amount * 1000000);
+  }
+
+  static fromMicros(micros) {
+    return Number(micros || 0) / 1000000;
+  }
+}
+
+module.exports = GoogleAdsClient;
@@ -0,0 +1,236 @@
+const http = require('http');
+const FixtureGoogleAdsClient = require('./FixtureGoogleAdsClient');
+const GoogleAdsClient = require('./GoogleAdsClient');
+
+// Matches /v17/customers/1234567890/campaigns:mutate and similar REST paths
+const MUTATE_PATH = /^\/(v\d+)\/customers\/(\d+)\/([A-Za-z]+):mutate$/;
+const SEARCH_STREAM_PATH = /^\/(v\d+)\/customers\/(\d+)\/googleAds:searchStream$/;
+
+// customers/1234567890/assetGroups/-1: a resource created earlier in the same googleAds:mutate request
+const TEMPORARY_NAME = /customers\/\d+\/\w+\/-\d+/g;
+
+// Entities from the recorded reports that exist in every mock account,
+// so updates to reported campaigns, ad groups, keywords and locations succeed
+const SEEDED_RESOURCES = [
+  { fixture: 'campaign', field: 'campaign', resource: 'campaigns' },
+  { fixture: 'ad_group', field: 'adGroup', resource: 'adGroups' },
+  { fixture: 'keyword_view', field: 'adGroupCriterion', resource: 'adGroupCriteria' },
+  { fixture: 'ad_group_ad', field: 'adGroupAd', resource: 'adGroupAds' },
+  { fixture: 'location_view', field: 'campaignCriterion', resource: 'campaignCriteria' }
+];
+
+// Entity queries are answered from the mock account rather than the
+// fixtures, so they reflect updates made through mutate
+const ENTITY_QUERIES = {
+  ad_group_criterion: { field: 'adGroupCriterion', resource: 'adGroupCriteria' },
+  campaign_criterion: { field: 'campaignCriterion', resource: 'campaignCriteria' }
+};
+
+class MockGoogleAdsServer {
+  constructor() {
+    this.name = 'Mock Google Ads Server';
+    this.server = null;
+    this.url = null;
+    this.nextId = 1000;
+    this.accounts = {};
+    this.fixtures = new FixtureGoogleAdsClient();
+  }
+
+  start(port = 0, options = {}) {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handleRequest(req, res));
+      this.server.on('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        if (options.unref) this.server.unref();
+        console.log(`[${this.name}] Listening on ${this.url}`);
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  async handleRequest(req, res) {
+    try {
+      const body = await this.readBody(req);
+
+      if (req.method === 'POST' && req.url === '/token') {
+        return this.sendJson(res, 200, {
+          access_token: `mock_access_token_${Date.now()}`,
+          expires_in: 3600,
+          token_type: 'Bearer'
+        });
+      }
+
+      // Same authentication requirements as the real API
+      if (!req.headers['developer-token'] || !/^Bearer\s.+/.test(req.headers.authorization || '')) {
+        return this.sendError(res, 401, 'UNAUTHENTICATED', 'Request is missing required authentication credential.');
+      }
+
+      const mutateMatch = req.method === 'POST' && req.url.match(MUTATE_PATH);
+      if (mutateMatch) {
+        const [, , customerId, resource] = mutateMatch;
+        return this.sendJson(res, 200, this.handleMutate(customerId, resource, JSON.parse(body || '{}')));
+      }
+
+      const searchMatch = req.method === 'POST' && req.url.match(SEARCH_STREAM_PATH);
+      if (searchMatch) {
+        const [, , customerId] = searchMatch;
+        return this.sendJson(res, 200, this.handleSearchStream(customerId, JSON.parse(body || '{}')));
+      }
+
+      this.sendError(res, 404, 'NOT_FOUND', `Unknown endpoint: ${req.method} ${req.url}`);
+
+    } catch (error) {
+      this.sendError(res, 400, 'INVALID_ARGUMENT', error.message);
+    }
+  }
+
+  handleMutate(customerId, resource, body) {
+    if (resource === 'googleAds') return this.handleMutateOperations(customerId, body);
+
+    const operations = body.operations || [];
+    if (operations.length === 0) {
+      throw new Error('The operations field must contain at least one operation.');
+    }
+
+    // validateOnly requests are checked but never stored, matching the real API
+    if (body.validateOnly) return {};
+
+    return { results: operations.map(operation => ({ resourceName: this.applyOperation(customerId, resource, operation) })) };
+  }
+
+  // googleAds:mutate applies every operation or none. Temporary (negative) ids
+  // name resources created earlier in the request and are replaced by real ones.
+  handleMutateOperations(customerId, body) {
+    const mutateOperations = body.mutateOperations || [];
+    if (mutateOperations.length === 0) {
+      throw new Error('The mutateOperations field must contain at least one operation.');
+    }
+    if (body.validateOnly) return {};
+
+    this.getResourceStore(customerId, 'campaigns'); // Seeds the account before it is copied
+    const snapshot = JSON.parse(JSON.stringify(this.accounts[customerId]));
+    const names = {};
+
+    try {
+      return {
+        mutateOperationResponses: mutateOperations.map(mutateOperation => {
+          const [operationType] = Object.keys(mutateOperation);
+          const resource = GoogleAdsClient.getResourceFromOperation(operationType);
+          const operation = JSON.parse(JSON.stringify(mutateOperation[operationType]).replace(TEMPORARY_NAME, name => names[name] || name));
+
+          const resourceName = this.applyOperation(customerId, resource, operation);
+          const temporaryName = mutateOperation[operationType].create?.resourceName;
+          if (temporaryName) names[temporaryName] = resourceName;
+          return { [operationType.replace(/Operation$/, 'Result')]: { resourceName } };
+        })
+      };
+    } catch (error) {
+      this.accounts[customerId] = snapshot;
+      throw error;
+    }
+  }
+
+  // The resource name the operation created, updated or removed
+  applyOperation(customerId, resource, operation) {
+    const store = this.getResourceStore(customerId, resource);
+
+    if (operation.create) {
+      const resourceName = `customers/${customerId}/${resource}/${this.nextId++}`;
+      store[resourceName] = { ...operation.create, resourceName };
+      return resourceName;
+    }
+
+    if (operation.update) {
+      const resourceName = operation.update.resourceName;
+      if (!store[resourceName]) throw new Error(`Resource not found: ${resourceName}`);
+      store[resourceName] = { ...store[resourceName], ...operation.update };
+      return resourceName;
+    }
+
+    if (operation.remove) {
+      if (!store[operation.remove]) throw new Error(`Resource not found: ${operation.remove}`);
+      delete store[operation.remove];
+      return operation.remove;
+    }
+
+    throw new Error('Each operation must specify create, update or remove.');
+  }
+
+  handleSearchStream(customerId, body) {
+    if (!body.query) throw new Error('The query field is required.');
+
+    const resource = FixtureGoogleAdsClient.getResourceFromQuery(body.query);
+    const entity = ENTITY_QUERIES[resource];
+    if (entity) {
+      return [{ results: this.getResources(customerId, entity.resource).map(item => ({ [entity.field]: item })) }];
+    }
+
+    // Reporting data comes from the recorded fixtures, whatever the query filters on
+    return this.fixtures.loadBatches(FixtureGoogleAdsClient.getFixtureFromQuery(body.query));
+  }
+
+  getResourceStore(customerId, resource) {
+    if (!this.accounts[customerId]) this.accounts[customerId] = this.seedAccount(customerId);
+    if (!this.accounts[customerId][resource]) this.accounts[customerId][resource] = {};
+    return this.accounts[customerId][resource];
+  }
+
+  seedAccount(customerId) {
+    const account = {};
+
+    SEEDED_RESOURCES.forEach(({ fixture, field, resource }) => {
+      account[resource] = {};
+      this.fixtures.loadBatches(fixture)
+        .flatMap(batch => batch.results || [])
+        .forEach(row => {
+          const entity = row[field];
+          const resourceName = entity.resourceName.replace(/^customers\/\d+\//, `customers/${customerId}/`);
+          account[resource][resourceName] = { ...entity, resourceName };
+        });
+    });
+
+    return account;
+  }
+
+  // Inspect what has been "created" in the mock account
+  getResources(customerId, resource) {
+    return Object.values(this.getResourceStore(customerId, resource));
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
+  sendJson(res, statusCode, payload) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+
+  sendError(res, statusCode, status, message) {
+    this.sendJson(res, statusCode, {
+      error: { code: statusCode, message, status, details: [] }
+    });
+  }
+}
+
+module.exports = MockGoogleAdsServer;
+
+// Run standalone: GOOGLE_ADS_MOCK_URL=http://127.0.0.1:8080 points clients here
+if (require.main === module) {
+  const port = parseInt(process.env.GOOGLE_ADS_MOCK_PORT, 10) || 8080;
+  new MockGoogleAdsServer().start(port);
+}
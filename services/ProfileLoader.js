@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../config/config');
+const { getRequiredPaths } = require('../config/schema');
+
+const PROFILE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+// Every agent needs these; anything else can come from the agency defaults
+const REQUIRED_FIELDS = getRequiredPaths();
+
+let defaultProfile = null;
+
+// Client profiles (config/profiles/<id>.yaml or .json) describe one client:
+// business info, services, regions, KPI thresholds, automation settings and
+// brand rules. A profile can `extends` another, usually the agency defaults;
+// objects are merged key by key and anything else (including lists) replaces
+// the inherited value.
+class ProfileLoader {
+  constructor(options = {}) {
+    this.name = 'Profile Loader';
+    this.directory = options.directory || config.profiles.directory;
+    this.defaultProfileId = options.defaultProfileId || config.profiles.defaultProfile;
+    this.cache = new Map();
+  }
+
+  load(profileId = this.defaultProfileId) {
+    if (!this.cache.has(profileId)) {
+      const profile = this.resolve(profileId, []);
+      this.assertComplete(profile);
+      this.cache.set(profileId, profile);
+    }
+    return ProfileLoader.merge({}, this.cache.get(profileId));
+  }
+
+  resolve(profileId, chain) {
+    if (chain.includes(profileId)) {
+      throw new Error(`Profile inheritance loop: ${[...chain, profileId].join(' -> ')}`);
+    }
+
+    const { extends: parentId, ...data } = this.readFile(profileId);
+    const parent = parentId ? this.resolve(parentId, [...chain, profileId]) : {};
+
+    return ProfileLoader.merge(parent, { ...data, id: profileId });
+  }
+
+  // Files a profile is built from, the profile's own file first
+  getFiles(profileId = this.defaultProfileId) {
+    const files = [];
+    let currentId = profileId;
+
+    while (currentId && !files.includes(this.findFile(currentId))) {
+      files.push(this.findFile(currentId));
+      currentId = this.readFile(currentId).extends;
+    }
+    return files;
+  }
+
+  findFile(profileId) {
+    if (!/^[\w-]+$/.test(profileId)) {
+      throw new Error(`Invalid profile id: ${profileId}`);
+    }
+
+    const filePath = PROFILE_EXTENSIONS
+      .map(extension => path.join(this.directory, `${profileId}${extension}`))
+      .find(candidate => fs.existsSync(candidate));
+    if (!filePath) {
+      throw new Error(`Profile not found: ${profileId} (looked in ${this.directory})`);
+    }
+    return filePath;
+  }
+
+  readFile(profileId) {
+    const filePath = this.findFile(profileId);
+
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      const data = filePath.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+      return data || {};
+    } catch (error) {
+      throw new Error(`Unable to read profile ${filePath}: ${error.message}`);
+    }
+  }
+
+  assertComplete(profile) {
+    const missing = REQUIRED_FIELDS.filter(field =>
+      field.split('.').reduce((obj, key) => obj && obj[key], profile) === undefined
+    );
+
+    if (missing.length > 0) {
+      throw new Error(`Profile ${profile.id} is missing: ${missing.join(', ')}`);
+    }
+  }
+
+  list() {
+    if (!fs.existsSync(this.directory)) return [];
+
+    return fs.readdirSync(this.directory)
+      .filter(file => PROFILE_EXTENSIONS.includes(path.extname(file)))
+      .map(file => path.basename(file, path.extname(file)));
+  }
+
+  // Deep merge for plain objects; arrays and scalars from overrides win
+  static merge(base, overrides = {}) {
+    const merged = { ...base };
+
+    Object.keys(overrides).forEach(key => {
+      const value = overrides[key];
+      if (value === undefined) return;
+
+      merged[key] = ProfileLoader.isPlainObject(value) && ProfileLoader.isPlainObject(base[key])
+        ? ProfileLoader.merge(base[key], value)
+        : ProfileLoader.clone(value);
+    });
+
+    return merged;
+  }
+
+  static clone(value) {
+    if (Array.isArray(value)) return value.map(item => ProfileLoader.clone(item));
+    if (ProfileLoader.isPlainObject(value)) return ProfileLoader.merge({}, value);
+    return value;
+  }
+
+  static isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // Profile used by agents and orchestrators that are not given one
+  static getDefaultProfile() {
+    if (!defaultProfile) {
+      defaultProfile = new ProfileLoader().load();
+    }
+    return defaultProfile;
+  }
+}
+
+module.exports = ProfileLoader;
@@ -0,0 +1,96 @@
+const config = require('../config/config');
+
+// Network error codes that usually clear up on their own
+const TRANSIENT_CODES = ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'STEP_TIMEOUT'];
+
+// Runs an operation until it succeeds, a non-transient error occurs or
+// maxAttempts is reached. Waits grow exponentially from initialDelayMs up to
+// maxDelayMs, with jitter so callers that failed together don't retry
+// together; a Retry-After from the server is honoured up to maxDelayMs.
+// Each attempt can be limited to timeoutMs.
+class RetryPolicy {
+  constructor(options = {}) {
+    const defaults = config.resilience.retry;
+    this.maxAttempts = options.maxAttempts || defaults.maxAttempts;
+    this.initialDelayMs = options.initialDelayMs ?? defaults.initialDelayMs;
+    this.maxDelayMs = options.maxDelayMs ?? defaults.maxDelayMs;
+    this.multiplier = options.multiplier || defaults.multiplier;
+    this.timeoutMs = options.timeoutMs || null;
+    this.random = options.random || Math.random;
+  }
+
+  // Resolves with { value, attempts }. A failure is thrown with
+  // error.attempts, so both outcomes can be recorded. hooks.onRetry is
+  // called with { attempt, error, delayMs } before each wait.
+  async execute(operation, hooks = {}) {
+    const attempts = [];
+
+    for (let attempt = 1; ; attempt++) {
+      const startedAt = Date.now();
+      try {
+        const value = await this.withTimeout(operation(attempt));
+        attempts.push({ attempt, status: 'completed', duration: Date.now() - startedAt });
+        return { value, attempts };
+
+      } catch (error) {
+        const record = { attempt, status: 'failed', duration: Date.now() - startedAt, error: error.message };
+        attempts.push(record);
+
+        if (attempt >= this.maxAttempts || !RetryPolicy.isTransient(error)) {
+          error.attempts = attempts;
+          throw error;
+        }
+
+        record.delayMs = this.getDelay(attempt, error);
+        if (hooks.onRetry) hooks.onRetry({ attempt, error, delayMs: record.delayMs });
+        await new Promise(resolve => setTimeout(resolve, record.delayMs));
+      }
+    }
+  }
+
+  // Half the backoff is fixed and half random ("equal jitter"), so waits never collapse to zero
+  getDelay(attempt, error = {}) {
+    const backoff = Math.min(this.initialDelayMs * Math.pow(this.multiplier, attempt - 1), this.maxDelayMs);
+    const delay = Math.round(backoff / 2 + this.random() * backoff / 2);
+    const retryAfter = error.retryAfterMs || RetryPolicy.parseRetryAfter(error.response?.headers?.['retry-after']);
+    return Math.max(delay, Math.min(retryAfter || 0, this.maxDelayMs));
+  }
+
+  // The operation can't be cancelled, so a timed-out attempt may still finish
+  // in the background. Steps that create things use idempotency keys, and
+  // GoogleAdsClient makes a retry wait for a still-running request with its key.
+  withTimeout(promise) {
+    if (!this.timeoutMs) return promise;
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Timed out after ${this.timeoutMs}ms`);
+        error.code = 'STEP_TIMEOUT';
+        reject(error);
+      }, this.timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // Worth trying again: timeouts, network errors, rate limits and server errors.
+  // An open circuit isn't, it fails fast until the dependency has had time to recover.
+  static isTransient(error) {
+    if (!error || error.code === 'CIRCUIT_OPEN') return false;
+    if (TRANSIENT_CODES.includes(error.code)) return true;
+
+    const status = error.status || error.response?.status;
+    return status === 429 || status >= 500;
+  }
+
+  // Retry-After is either seconds or an HTTP date
+  static parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : new Date(value).getTime() - Date.now();
+    return Number.isFinite(delay) && delay > 0 ? delay : null;
+  }
+}
+
+module.exports = RetryPolicy;
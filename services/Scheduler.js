@@ -0,0 +1,259 @@
+const EventEmitter = require('events');
+const CronExpression = require('./CronExpression');
+const { getStorage } = require('../storage');
+
+// setTimeout can't wait longer than ~24.8 days; waking up hourly also keeps
+// the schedule right after the machine sleeps or the clock is changed
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+// Stops a catch-up search over a very long outage of a very frequent task
+const MAX_MISSED_RUNS = 10000;
+
+// Runs tasks on cron schedules in one timezone. A task never overlaps its
+// own previous run (that run is recorded as skipped), and tasks sharing a
+// lock wait for each other. Every run is stored, so after a restart a task
+// that missed its slot while the process was down runs once to catch up.
+class Scheduler extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.name = 'Scheduler';
+    this.storage = options.storage || getStorage();
+    this.customerId = options.customerId || null;
+    this.timeZone = 'UTC';
+    this.tasks = new Map();
+    this.locks = new Map(); // lock name -> promise that settles when its current holder is done
+    this.timer = null;
+    this.started = false;
+  }
+
+  // definitions: { taskId: { description, run, lock, catchUp, canRun } }
+  // schedule: { timezone, taskId: cron expression or 'off' }
+  configure(definitions, schedule) {
+    const timeZone = schedule.timezone || 'UTC';
+    const tasks = Object.keys(definitions).map(taskId => {
+      const definition = definitions[taskId];
+      const cron = schedule[taskId] || 'off';
+
+      return {
+        id: taskId,
+        description: definition.description,
+        run: definition.run,
+        canRun: definition.canRun || (() => null),
+        lock: definition.lock || taskId,
+        catchUp: definition.catchUp !== false,
+        cron: cron,
+        expression: cron === 'off' ? null : new CronExpression(cron, timeZone),
+        running: this.tasks.get(taskId)?.running || false,
+        nextRun: null
+      };
+    });
+
+    // Only replace the schedule once every expression has parsed
+    this.timeZone = timeZone;
+    this.tasks = new Map(tasks.map(task => [task.id, task]));
+    this.tasks.forEach(task => {
+      task.nextRun = task.expression ? task.expression.next() : null;
+    });
+
+    if (this.started) this.arm();
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    console.log(`[${this.name}] Started with ${this.getEnabledTasks().length} tasks (${this.timeZone})`);
+    this.catchUpMissedRuns();
+    this.arm();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.started = false;
+  }
+
+  getEnabledTasks() {
+    return [...this.tasks.values()].filter(task => task.expression);
+  }
+
+  arm() {
+    clearTimeout(this.timer);
+    const nextRuns = this.getEnabledTasks().map(task => task.nextRun).filter(Boolean);
+    if (nextRuns.length === 0) return;
+
+    const delay = Math.min(Math.max(Math.min(...nextRuns) - Date.now(), 0), MAX_TIMER_MS);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  tick() {
+    const now = new Date();
+
+    this.getEnabledTasks()
+      .filter(task => task.nextRun && task.nextRun <= now)
+      .forEach(task => {
+        const scheduledFor = task.nextRun;
+        task.nextRun = task.expression.next(now);
+        this.runTask(task, { trigger: 'schedule', scheduledFor });
+      });
+
+    this.arm();
+  }
+
+  // Runs each task that should have run while the process was down, once
+  catchUpMissedRuns() {
+    const now = new Date();
+
+    this.getEnabledTasks().filter(task => task.catchUp).forEach(task => {
+      const lastRun = this.storage.scheduleRuns.findLastScheduledRun(task.id);
+      if (!lastRun) return;
+
+      let missed = 0;
+      let latestMissed = null;
+      let slot = task.expression.next(new Date(lastRun.scheduledFor));
+      while (slot && slot < now && missed < MAX_MISSED_RUNS) {
+        latestMissed = slot;
+        missed++;
+        slot = task.expression.next(slot);
+      }
+      if (!latestMissed) return;
+
+      console.log(`[${this.name}] ${task.id} missed ${missed} run${missed === 1 ? '' : 's'} (last due ${this.formatTime(latestMissed)}), catching up now`);
+      this.runTask(task, { trigger: 'catch_up', scheduledFor: latestMissed, missedRuns: missed });
+    });
+  }
+
+  // Runs a task now, outside its schedule
+  runNow(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) throw new Error(`Unknown scheduled task: ${taskId}`);
+    return this.runTask(task, { trigger: 'manual', scheduledFor: null });
+  }
+
+  async runTask(task, options) {
+    const run = {
+      id: `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      taskId: task.id,
+      customerId: this.customerId,
+      trigger: options.trigger,
+      scheduledFor: options.scheduledFor ? options.scheduledFor.toISOString() : null,
+      missedRuns: options.missedRuns || 0,
+      startedAt: null,
+      finishedAt: null,
+      duration: null,
+      status: 'running',
+      summary: null,
+      error: null
+    };
+
+    if (task.running) {
+      return this.finishRun(run, 'skipped', { error: 'previous run still running' });
+    }
+
+    task.running = true;
+    const release = await this.acquireLock(task.lock);
+    try {
+      const reason = task.canRun();
+      if (reason) return this.finishRun(run, 'skipped', { error: reason });
+
+      run.startedAt = new Date().toISOString();
+      console.log(`[${this.name}] Running ${task.id} (${run.trigger})`);
+      const summary = await task.run();
+      return this.finishRun(run, 'completed', { summary: summary || null });
+
+    } catch (error) {
+      console.error(`[${this.name}] ${task.id} failed:`, error.message);
+      return this.finishRun(run, 'failed', { error: error.message });
+
+    } finally {
+      release();
+      task.running = false;
+    }
+  }
+
+  finishRun(run, status, result) {
+    const finishedAt = new Date();
+    Object.assign(run, result, {
+      status: status,
+      startedAt: run.startedAt || finishedAt.toISOString(),
+      finishedAt: finishedAt.toISOString()
+    });
+    run.duration = finishedAt - new Date(run.startedAt);
+
+    if (status === 'skipped') {
+      console.log(`[${this.name}] Skipped ${run.taskId}: ${run.error}`);
+    }
+
+    this.storage.scheduleRuns.save(run);
+    this.emit(`run_${status}`, run);
+    return run;
+  }
+
+  // Resolves with a release function once every earlier holder of the lock is done
+  async acquireLock(lock) {
+    const previous = this.locks.get(lock) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => {
+      release = resolve;
+    });
+    const tail = previous.then(() => current);
+    this.locks.set(lock, tail);
+
+    await previous;
+    return () => {
+      release();
+      if (this.locks.get(lock) === tail) this.locks.delete(lock);
+    };
+  }
+
+  getSchedule() {
+    return {
+      timezone: this.timeZone,
+      running: this.started,
+      tasks: [...this.tasks.values()].map(task => {
+        const lastRun = this.storage.scheduleRuns.findByTask(task.id, 1)[0] || null;
+        return {
+          id: task.id,
+          description: task.description,
+          cron: task.cron,
+          enabled: Boolean(task.expression),
+          running: task.running,
+          nextRun: task.nextRun ? task.nextRun.toISOString() : null,
+          lastRun: lastRun && {
+            status: lastRun.status,
+            trigger: lastRun.trigger,
+            startedAt: lastRun.startedAt,
+            duration: lastRun.duration,
+            error: lastRun.error
+          }
+        };
+      })
+    };
+  }
+
+  getRuns(query = {}) {
+    const limit = query.limit || 20;
+    return query.taskId
+      ? this.storage.scheduleRuns.findByTask(query.taskId, limit)
+      : this.storage.scheduleRuns.findAll({ order: 'desc', limit });
+  }
+
+  // Printable table of the schedule, times in the schedule's timezone
+  format() {
+    const lines = [`Schedule (${this.timeZone}):`];
+
+    this.getSchedule().tasks.forEach(task => {
+      const next = task.enabled ? `next ${this.formatTime(task.nextRun)}` : 'off';
+      const last = task.lastRun ? `, last ${this.formatTime(task.lastRun.startedAt)} ${task.lastRun.status}` : '';
+      lines.push(`  ${task.id.padEnd(16)} ${task.cron.padEnd(16)} ${next}${last}`);
+    });
+
+    return lines.join('\n');
+  }
+
+  formatTime(time) {
+    return new Date(time).toLocaleString('en-GB', { timeZone: this.timeZone, dateStyle: 'medium', timeStyle: 'short' });
+  }
+}
+
+module.exports = Scheduler;
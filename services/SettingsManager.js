@@ -0,0 +1,218 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const ProfileLoader = require('./ProfileLoader');
+const { PROFILE_SCHEMA, validateProfile } = require('../config/schema');
+const { getStorage } = require('../storage');
+
+// Profile sections that can change while running; the rest need a restart
+const LIVE_SECTIONS = ['kpiThresholds', 'automationSettings'];
+
+const WATCH_INTERVAL_MS = 2000;
+
+// Keeps one account's KPI thresholds and automation settings current while
+// the orchestrator runs. They are layered: the client profile files (watched
+// for edits), then overrides saved through the API. Every change is checked
+// against the profile schema before it replaces the section on the shared
+// profile the agents read, and is recorded in the settings audit trail.
+class SettingsManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.name = 'Settings Manager';
+    this.profile = options.profile;
+    this.profileId = options.profileId || null; // Nothing to watch when the profile was passed in
+    this.accountSettings = options.accountSettings; // campaignSettings from the accounts file
+    this.customerId = options.customerId || null;
+    this.loader = options.loader || new ProfileLoader();
+    this.storage = options.storage || getStorage();
+    this.watchInterval = options.watchInterval || WATCH_INTERVAL_MS;
+    this.watchers = new Map(); // file -> change listener
+
+    // Profile values before overrides, so clearing an override restores them
+    this.base = this.pickLiveSections(this.profile);
+    this.overrides = this.storage.settings.getOverrides();
+    LIVE_SECTIONS.forEach(section => {
+      this.profile[section] = ProfileLoader.merge(this.base[section], this.overrides[section]);
+    });
+  }
+
+  getSettings() {
+    return {
+      profile: this.profile.id,
+      ...this.pickLiveSections(this.profile),
+      overrides: this.overrides,
+      watching: [...this.watchers.keys()]
+    };
+  }
+
+  getAuditTrail(query = {}) {
+    const entries = query.path
+      ? this.storage.settingsAudit.findByPath(query.path)
+      : this.storage.settingsAudit.findAll();
+    return entries.reverse().slice(0, query.limit || 20);
+  }
+
+  // changes: { kpiThresholds: { maxCPA: 45 }, ... }; null clears an override.
+  // Returns the resulting overrides and settings plus any schema errors.
+  check(changes) {
+    const errors = [];
+
+    Object.keys(changes).forEach(section => {
+      if (!LIVE_SECTIONS.includes(section)) {
+        errors.push({ severity: 'error', path: section, message: `can't be changed at runtime (only ${LIVE_SECTIONS.join(' and ')})` });
+      } else if (!ProfileLoader.isPlainObject(changes[section])) {
+        errors.push({ severity: 'error', path: section, message: 'must be an object' });
+      } else {
+        errors.push(...this.findUnknownSettings(changes[section], PROFILE_SCHEMA[section].properties, section));
+      }
+    });
+    if (errors.length > 0) return { errors };
+
+    const overrides = this.removeCleared(ProfileLoader.merge(this.overrides, changes));
+
+    const settings = this.applyOverrides(this.base, overrides);
+    return { overrides, settings, errors: this.findNewErrors(ProfileLoader.merge(this.profile, settings)) };
+  }
+
+  // Drops null overrides (and sections left empty) so the profile's values apply again
+  removeCleared(values) {
+    const kept = {};
+    Object.keys(values).forEach(key => {
+      const value = ProfileLoader.isPlainObject(values[key]) ? this.removeCleared(values[key]) : values[key];
+      if (value !== null && !(ProfileLoader.isPlainObject(value) && Object.keys(value).length === 0)) kept[key] = value;
+    });
+    return kept;
+  }
+
+  findUnknownSettings(values, properties, basePath) {
+    return Object.keys(values).flatMap(key => {
+      const path = `${basePath}.${key}`;
+      if (!properties[key]) return [{ severity: 'error', path: path, message: 'is not a known setting' }];
+      return properties[key].type === 'object' && ProfileLoader.isPlainObject(values[key])
+        ? this.findUnknownSettings(values[key], properties[key].properties, path)
+        : [];
+    });
+  }
+
+  update(changes, options = {}) {
+    const { overrides, settings, errors } = this.check(changes);
+    if (errors.length > 0) {
+      throw new Error(`Invalid settings: ${errors.map(issue => `${issue.path} ${issue.message}`).join('; ')}`);
+    }
+
+    this.overrides = overrides;
+    this.storage.settings.saveOverrides(overrides);
+    return this.apply(settings, { source: 'api', by: options.by || 'api', note: options.note });
+  }
+
+  // Re-reads the profile files; a broken edit is reported and the running values kept
+  reload(changedFile) {
+    let base;
+    try {
+      const profile = ProfileLoader.merge(this.loader.resolve(this.profileId, []), { campaignSettings: this.accountSettings });
+      const errors = this.findNewErrors(ProfileLoader.merge(profile, this.applyOverrides(profile, this.overrides)));
+      if (errors.length > 0) {
+        throw new Error(errors.map(issue => `${issue.path} ${issue.message}`).join('; '));
+      }
+
+      const restartNeeded = Object.keys(profile)
+        .filter(section => !LIVE_SECTIONS.includes(section) && section !== 'id')
+        .filter(section => JSON.stringify(profile[section]) !== JSON.stringify(this.profile[section]));
+      if (restartNeeded.length > 0) {
+        console.warn(`[${this.name}] Changes to ${restartNeeded.join(', ')} in profile ${this.profileId} take effect after a restart`);
+      }
+      base = this.pickLiveSections(profile);
+    } catch (error) {
+      console.error(`[${this.name}] Ignoring change to profile ${this.profileId}: ${error.message}`);
+      return null;
+    }
+
+    this.base = base;
+    // An edit can add or remove an `extends`
+    if (this.watchers.size > 0) this.watch();
+    return this.apply(this.applyOverrides(base, this.overrides), { source: 'file', by: changedFile || `profile ${this.profileId}` });
+  }
+
+  apply(settings, meta) {
+    const changes = LIVE_SECTIONS.flatMap(section => this.diff(this.profile[section], settings[section], section));
+    if (changes.length === 0) return null;
+
+    // Agents keep a reference to the profile, so replace its sections rather than the profile
+    LIVE_SECTIONS.forEach(section => {
+      this.profile[section] = settings[section];
+    });
+
+    const entry = {
+      id: `settings_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      customerId: this.customerId,
+      profile: this.profile.id,
+      source: meta.source,
+      by: meta.by,
+      note: meta.note || null,
+      changes: changes,
+      timestamp: new Date().toISOString()
+    };
+    this.storage.settingsAudit.save(entry);
+
+    console.log(`[${this.name}] ${changes.map(change => `${change.path}: ${change.before} -> ${change.after}`).join(', ')} (${meta.source}, by ${meta.by})`);
+    this.emit('settings_updated', entry);
+    return entry;
+  }
+
+  // One { path, before, after } per changed setting, nested objects included
+  diff(before = {}, after = {}, basePath) {
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])].flatMap(key => {
+      const path = `${basePath}.${key}`;
+      if (ProfileLoader.isPlainObject(before[key]) && ProfileLoader.isPlainObject(after[key])) {
+        return this.diff(before[key], after[key], path);
+      }
+      return JSON.stringify(before[key]) !== JSON.stringify(after[key])
+        ? [{ path: path, before: before[key] ?? null, after: after[key] ?? null }]
+        : [];
+    });
+  }
+
+  watch() {
+    if (!this.profileId) return;
+    this.unwatch();
+
+    let files;
+    try {
+      files = this.loader.getFiles(this.profileId);
+    } catch (error) {
+      console.error(`[${this.name}] Unable to watch profile ${this.profileId}: ${error.message}`);
+      return;
+    }
+
+    // Polling copes with editors that replace the file; not persistent so watching alone never keeps the process running
+    files.forEach(file => {
+      const listener = (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) this.reload(file);
+      };
+      fs.watchFile(file, { interval: this.watchInterval, persistent: false }, listener);
+      this.watchers.set(file, listener);
+    });
+  }
+
+  unwatch() {
+    this.watchers.forEach((listener, file) => fs.unwatchFile(file, listener));
+    this.watchers.clear();
+  }
+
+  applyOverrides(base, overrides) {
+    return Object.fromEntries(LIVE_SECTIONS.map(section => [section, ProfileLoader.merge(base[section], overrides[section])]));
+  }
+
+  // Errors the running profile doesn't already have, so an unrelated
+  // problem elsewhere in the profile doesn't block threshold changes
+  findNewErrors(profile) {
+    const describe = issue => `${issue.path} ${issue.message}`;
+    const existing = new Set(validateProfile(this.profile).map(describe));
+    return validateProfile(profile).filter(issue => issue.severity === 'error' && !existing.has(describe(issue)));
+  }
+
+  pickLiveSections(profile) {
+    return Object.fromEntries(LIVE_SECTIONS.map(section => [section, ProfileLoader.clone(profile[section])]));
+  }
+}
+
+module.exports = SettingsManager;
@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../config/config');
+const ProfileLoader = require('./ProfileLoader');
+const { STEP_POLICY_SCHEMA, validateObject } = require('../config/schema');
+const AgentRegistry = require('./AgentRegistry');
+
+const BUILT_IN_DIRECTORY = path.join(__dirname, '..', 'config', 'workflows');
+const WORKFLOW_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+// What a "$..." reference can start with; steps are the outputs of earlier steps
+const REFERENCE_ROOTS = ['settings', 'account', 'campaign', 'steps', 'workflow'];
+
+// What a step can set; anything else is most likely a typo
+const STEP_FIELDS = ['id', 'name', 'action', 'needs', 'inputs', 'when', 'retry', 'timeoutMs'];
+
+const CONDITIONS = ['exists', 'notEmpty', 'equals', 'greaterThan', 'lessThan', 'not', 'all', 'any'];
+
+// Workflow types are defined as data: config/workflows/<type>.yaml (built in)
+// plus any in WORKFLOWS_DIR, which can add types or replace built-in ones.
+// A definition is a DAG of steps. Each step runs an action (a capability of
+// one of the agents, see AgentRegistry) once the steps it `needs` are done, so independent
+// branches run in parallel; its `inputs` can be "$..." references to
+// settings or earlier outputs, and `when` skips it unless a condition holds.
+// `retry` and `timeoutMs` override config.resilience for the step.
+class WorkflowLoader {
+  constructor(options = {}) {
+    this.name = 'Workflow Loader';
+    const userDirectory = options.directory === undefined ? config.workflows.directory : options.directory;
+    this.directories = [BUILT_IN_DIRECTORY, userDirectory].filter(Boolean);
+    this.agents = options.agents || new AgentRegistry(); // Which actions exist
+  }
+
+  // The definition of a workflow type, read fresh so new files apply without a restart
+  get(workflowType) {
+    const file = this.findFiles().get(workflowType);
+    if (!file) {
+      throw new Error(`Unknown workflow type: ${workflowType} (available: ${[...this.findFiles().keys()].join(', ')})`);
+    }
+
+    const definition = this.readFile(file);
+    const errors = this.validate(definition).filter(issue => issue.severity === 'error');
+    if (errors.length > 0) {
+      throw new Error(`Invalid workflow ${workflowType} (${this.describeFile(file)}): ${errors.map(issue => `${issue.path} ${issue.message}`).join('; ')}`);
+    }
+    return definition;
+  }
+
+  // Every type with its steps, or its problems when the file doesn't load.
+  // Served to API clients, so a definition is known by its source rather than
+  // its path on the server.
+  list() {
+    return [...this.findFiles()].map(([workflowType, file]) => {
+      try {
+        const definition = this.get(workflowType);
+        return {
+          id: definition.id,
+          description: definition.description || null,
+          source: this.getSource(file),
+          steps: definition.steps.map(step => ({ id: step.id, action: step.action, needs: step.needs, conditional: Boolean(step.when) }))
+        };
+      } catch (error) {
+        return { id: workflowType, source: this.getSource(file), error: error.message };
+      }
+    });
+  }
+
+  // For config:check - every problem in every definition file
+  check() {
+    return [...this.findFiles()].map(([workflowType, file]) => {
+      try {
+        return { id: workflowType, file: file, issues: this.validate(this.readFile(file)) };
+      } catch (error) {
+        return { id: workflowType, file: file, issues: [{ severity: 'error', path: 'file', message: error.message }] };
+      }
+    });
+  }
+
+  // Type id -> file; a later directory replaces an earlier one's type
+  findFiles() {
+    const files = new Map();
+
+    this.directories.filter(directory => fs.existsSync(directory)).forEach(directory => {
+      fs.readdirSync(directory)
+        .filter(file => WORKFLOW_EXTENSIONS.includes(path.extname(file)))
+        .forEach(file => files.set(path.basename(file, path.extname(file)), path.join(directory, file)));
+    });
+    return files;
+  }
+
+  // 'built-in' (config/workflows) or 'WORKFLOWS_DIR'
+  getSource(file) {
+    return path.dirname(file) === BUILT_IN_DIRECTORY ? 'built-in' : 'WORKFLOWS_DIR';
+  }
+
+  // A file as errors name it, without the server's directories
+  describeFile(file) {
+    return `${this.getSource(file) === 'built-in' ? 'config/workflows' : 'WORKFLOWS_DIR'}/${path.basename(file)}`;
+  }
+
+  readFile(file) {
+    let data;
+    try {
+      const content = fs.readFileSync(file, 'utf8');
+      data = (file.endsWith('.json') ? JSON.parse(content) : yaml.load(content)) || {};
+    } catch (error) {
+      throw new Error(`Unable to read workflow ${this.describeFile(file)}: ${error.message}`);
+    }
+
+    // Defaults, so the rest of the code can rely on every field being there
+    return {
+      ...data,
+      id: path.basename(file, path.extname(file)),
+      steps: (Array.isArray(data.steps) ? data.steps : []).map(step => ({ needs: [], inputs: {}, ...step }))
+    };
+  }
+
+  validate(definition) {
+    const issues = [];
+    const error = (issuePath, message) => issues.push({ severity: 'error', path: issuePath, message });
+    const stepIds = definition.steps.map(step => step.id);
+
+    if (definition.steps.length === 0) error('steps', 'must list at least one step');
+
+    definition.steps.forEach((step, index) => {
+      const stepPath = `steps[${step.id || index}]`;
+
+      if (typeof step.id !== 'string' || !/^\w+$/.test(step.id)) {
+        error(stepPath, 'needs an id made of letters, digits and underscores');
+      } else if (stepIds.indexOf(step.id) !== index) {
+        error(stepPath, 'has the same id as an earlier step');
+      }
+
+      Object.keys(step)
+        .filter(field => !STEP_FIELDS.includes(field))
+        .forEach(field => error(`${stepPath}.${field}`, `is not a step field (use ${STEP_FIELDS.join(', ')})`));
+      Object.keys(ProfileLoader.isPlainObject(step.retry) ? step.retry : {})
+        .filter(field => !STEP_POLICY_SCHEMA.retry.properties[field])
+        .forEach(field => error(`${stepPath}.retry.${field}`, `is not a retry setting (use ${Object.keys(STEP_POLICY_SCHEMA.retry.properties).join(', ')})`));
+      issues.push(...validateObject(STEP_POLICY_SCHEMA, step, stepPath, step));
+
+      const action = typeof step.action === 'string' ? this.agents.getCapability(step.action) : null;
+      if (!action) {
+        error(`${stepPath}.action`, `must be one of ${this.agents.getCapabilities().map(capability => capability.name).join(', ')} (got ${JSON.stringify(step.action)})`);
+      } else {
+        Object.keys(step.inputs || {})
+          .filter(input => !action.inputs.includes(input))
+          .forEach(input => error(`${stepPath}.inputs.${input}`, `is not an input of ${step.action} (use ${action.inputs.join(', ')})`));
+      }
+
+      if (!Array.isArray(step.needs)) {
+        error(`${stepPath}.needs`, 'must be a list of step ids');
+        return;
+      }
+      step.needs
+        .filter(id => !stepIds.includes(id))
+        .forEach(id => error(`${stepPath}.needs`, `refers to unknown step "${id}"`));
+    });
+    if (issues.length > 0) return issues;
+
+    const cycle = this.findCycle(definition.steps);
+    if (cycle) {
+      error('steps', `have a dependency loop: ${cycle.join(' -> ')}`);
+      return issues;
+    }
+
+    // A step can only read outputs that are guaranteed to exist when it starts
+    definition.steps.forEach(step => {
+      const upstream = this.getUpstream(definition.steps, step);
+      const stepPath = `steps[${step.id}]`;
+
+      WorkflowLoader.findReferences(step.inputs).forEach(reference => this.checkReference(reference, upstream, `${stepPath}.inputs`, error));
+      if (step.when !== undefined) {
+        this.checkCondition(step.when, `${stepPath}.when`, error);
+        WorkflowLoader.findReferences(step.when).forEach(reference => this.checkReference(reference, upstream, `${stepPath}.when`, error));
+      }
+    });
+
+    return issues;
+  }
+
+  checkReference(reference, upstream, issuePath, error) {
+    const [root, stepId] = reference.slice(1).split('.');
+
+    if (!REFERENCE_ROOTS.includes(root)) {
+      error(issuePath, `"${reference}" must start with ${REFERENCE_ROOTS.map(name => `$${name}`).join(', ')}`);
+    } else if (root === 'steps' && !upstream.has(stepId)) {
+      error(issuePath, `"${reference}" reads step "${stepId}", which this step doesn't need (directly or through another step)`);
+    }
+  }
+
+  checkCondition(condition, issuePath, error) {
+    const operators = ProfileLoader.isPlainObject(condition) ? Object.keys(condition) : [];
+    if (operators.length !== 1 || !CONDITIONS.includes(operators[0])) {
+      error(issuePath, `must be an object with one of ${CONDITIONS.join(', ')}`);
+      return;
+    }
+
+    const [operator] = operators;
+    const operand = condition[operator];
+    if (operator === 'not') {
+      this.checkCondition(operand, `${issuePath}.not`, error);
+    } else if (operator === 'all' || operator === 'any') {
+      if (!Array.isArray(operand)) return error(`${issuePath}.${operator}`, 'must be a list of conditions');
+      operand.forEach((item, index) => this.checkCondition(item, `${issuePath}.${operator}[${index}]`, error));
+    } else if (['equals', 'greaterThan', 'lessThan'].includes(operator) && (!Array.isArray(operand) || operand.length !== 2)) {
+      error(`${issuePath}.${operator}`, 'must be a list of two values, e.g. [$steps.performanceMonitoring.analysis.overallScore, 50]');
+    }
+  }
+
+  findCycle(steps) {
+    const byId = new Map(steps.map(step => [step.id, step]));
+    const visiting = [];
+    const done = new Set();
+
+    const visit = id => {
+      if (done.has(id)) return null;
+      if (visiting.includes(id)) return [...visiting.slice(visiting.indexOf(id)), id];
+
+      visiting.push(id);
+      for (const need of byId.get(id).needs) {
+        const cycle = visit(need);
+        if (cycle) return cycle;
+      }
+      visiting.pop();
+      done.add(id);
+      return null;
+    };
+
+    for (const step of steps) {
+      const cycle = visit(step.id);
+      if (cycle) return cycle;
+    }
+    return null;
+  }
+
+  // Every step that finishes before this one starts
+  getUpstream(steps, step) {
+    const byId = new Map(steps.map(item => [item.id, item]));
+    const upstream = new Set();
+    const pending = [...step.needs];
+
+    while (pending.length > 0) {
+      const id = pending.pop();
+      if (upstream.has(id)) continue;
+      upstream.add(id);
+      pending.push(...byId.get(id).needs);
+    }
+    return upstream;
+  }
+
+  // Replaces every "$root.path" string in value with what it points to in context
+  static resolve(value, context) {
+    if (typeof value === 'string' && value.startsWith('$')) {
+      return value.slice(1).split('.').reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), context);
+    }
+    if (Array.isArray(value)) return value.map(item => WorkflowLoader.resolve(item, context));
+    if (ProfileLoader.isPlainObject(value)) {
+      return Object.fromEntries(Object.keys(value).map(key => [key, WorkflowLoader.resolve(value[key], context)]));
+    }
+    return value;
+  }
+
+  static evaluate(condition, context) {
+    const [operator] = Object.keys(condition);
+    const operand = condition[operator];
+    const [left, right] = Array.isArray(operand) ? WorkflowLoader.resolve(operand, context) : [];
+
+    switch (operator) {
+      case 'exists': {
+        const value = WorkflowLoader.resolve(operand, context);
+        return value !== undefined && value !== null;
+      }
+      case 'notEmpty': {
+        const value = WorkflowLoader.resolve(operand, context);
+        return Array.isArray(value) ? value.length > 0 : Boolean(value);
+      }
+      case 'equals':
+        return JSON.stringify(left) === JSON.stringify(right);
+      case 'greaterThan':
+        return Number(left) > Number(right);
+      case 'lessThan':
+        return Number(left) < Number(right);
+      case 'not':
+        return !WorkflowLoader.evaluate(operand, context);
+      case 'all':
+        return operand.every(item => WorkflowLoader.evaluate(item, context));
+      case 'any':
+        return operand.some(item => WorkflowLoader.evaluate(item, context));
+      default:
+        throw new Error(`Unknown workflow condition: ${operator}`);
+    }
+  }
+
+  static findReferences(value) {
+    if (typeof value === 'string') return value.startsWith('$') ? [value] : [];
+    if (Array.isArray(value)) return value.flatMap(item => WorkflowLoader.findReferences(item));
+    if (ProfileLoader.isPlainObject(value)) return Object.values(value).flatMap(item => WorkflowLoader.findReferences(item));
+    return [];
+  }
+}
+
+module.exports = WorkflowLoader;
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const migrations = require('./migrations');
+
+// Fallback store keeping every collection in a single JSON file.
+// Suitable for small installs; the SQLite store is preferred.
+class JsonFileStore {
+  constructor(filePath) {
+    this.name = 'JSON File Store';
+    this.driver = 'json';
+    this.filePath = filePath;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.data = fs.existsSync(filePath)
+      ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+      : { schemaVersion: 0, migrations: [], collections: {} };
+
+    this.migrate();
+  }
+
+  migrate() {
+    const pending = migrations.filter(migration => migration.version > this.data.schemaVersion);
+
+    pending.forEach(migration => {
+      migration.json(this.data);
+      this.data.schemaVersion = migration.version;
+      this.data.migrations.push({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: new Date().toISOString()
+      });
+      console.log(`[${this.name}] Applied migration ${migration.version}: ${migration.name}`);
+    });
+
+    if (pending.length > 0) this.persist();
+  }
+
+  getSchemaVersion() {
+    return this.data.schemaVersion;
+  }
+
+  persist() {
+    // Write to a temp file first so a crash never leaves a truncated store
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  getCollection(collection) {
+    const records = this.data.collections[collection];
+    if (!records) throw new Error(`Unknown storage collection: ${collection}`);
+    return records;
+  }
+
+  upsert(collection, record) {
+    this.getCollection(collection)[record.id] = {
+      id: record.id,
+      campaignId: record.campaignId ? String(record.campaignId) : null,
+      createdAt: record.createdAt,
+      data: record.data
+    };
+    this.persist();
+  }
+
+  get(collection, id) {
+    const record = this.getCollection(collection)[id];
+    return record ? record.data : null;
+  }
+
+  list(collection, query = {}) {
+    let records = Object.values(this.getCollection(collection))
+      .filter(record => !query.campaignId || record.campaignId === String(query.campaignId))
+      .filter(record => !query.since || record.createdAt >= query.since)
+      .filter(record => !query.until || record.createdAt <= query.until)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    if (query.order === 'desc') records.reverse();
+    if (query.limit) records = records.slice(0, query.limit);
+
+    return records.map(record => record.data);
+  }
+
+  count(collection) {
+    return Object.keys(this.getCollection(collection)).length;
+  }
+
+  remove(collection, id) {
+    const records = this.getCollection(collection);
+    if (!records[id]) return false;
+    delete records[id];
+    this.persist();
+    return true;
+  }
+
+  prune(collection, policy = {}) {
+    const records = this.getCollection(collection);
+    const sorted = Object.values(records).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const cutoff = policy.maxAgeDays
+      ? new Date(Date.now() - policy.maxAgeDays * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    const expired = sorted.filter((record, index) =>
+      (cutoff && record.createdAt < cutoff) || (policy.maxEntries && index >= policy.maxEntries)
+    );
+
+    expired.forEach(record => delete records[record.id]);
+    if (expired.length > 0) this.persist();
+
+    return expired.length;
+  }
+
+  close() {
+    this.persist();
+  }
+}
+
+module.exports = JsonFileStore;
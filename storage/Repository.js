@@ -0,0 +1,62 @@
+// Base repository: maps one entity type onto a store collection and
+// enforces that collection's retention policy on every write.
+class Repository {
+  constructor(store, collection, retention = {}) {
+    this.store = store;
+    this.collection = collection;
+    this.retention = retention;
+  }
+
+  // Subclasses describe how an entity maps onto the indexed columns
+  toRecord(entity) {
+    return {
+      id: entity.id,
+      campaignId: entity.campaignId || null,
+      createdAt: entity.timestamp || new Date().toISOString(),
+      data: entity
+    };
+  }
+
+  save(entity) {
+    this.store.upsert(this.collection, this.toRecord(entity));
+    this.applyRetention();
+    return entity;
+  }
+
+  findById(id) {
+    return this.store.get(this.collection, id);
+  }
+
+  // Most recent entries, returned oldest first
+  findRecent(limit = 10, query = {}) {
+    return this.store.list(this.collection, { ...query, order: 'desc', limit }).reverse();
+  }
+
+  findByCampaign(campaignId, limit = 10) {
+    return this.findRecent(limit, { campaignId });
+  }
+
+  findSince(since, query = {}) {
+    const sinceIso = since instanceof Date ? since.toISOString() : since;
+    return this.store.list(this.collection, { ...query, since: sinceIso });
+  }
+
+  findAll(query = {}) {
+    return this.store.list(this.collection, query);
+  }
+
+  count() {
+    return this.store.count(this.collection);
+  }
+
+  remove(id) {
+    return this.store.remove(this.collection, id);
+  }
+
+  applyRetention() {
+    if (!this.retention.maxEntries && !this.retention.maxAgeDays) return 0;
+    return this.store.prune(this.collection, this.retention);
+  }
+}
+
+module.exports = Repository;
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const migrations = require('./migrations');
+
+class SqliteStore {
+  constructor(filePath) {
+    // Loaded lazily so a missing native module can fall back to the JSON store
+    const Database = require('better-sqlite3');
+
+    this.name = 'SQLite Store';
+    this.driver = 'sqlite';
+    this.filePath = filePath;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+
+    this.migrate();
+    this.collections = this.db
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name != 'schema_migrations'")
+      .all()
+      .map(row => row.name);
+  }
+
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const applied = new Set(this.db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+    const recordMigration = this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+    migrations
+      .filter(migration => !applied.has(migration.version))
+      .forEach(migration => {
+        this.db.transaction(() => {
+          migration.sqlite(this.db);
+          recordMigration.run(migration.version, migration.name, new Date().toISOString());
+        })();
+        console.log(`[${this.name}] Applied migration ${migration.version}: ${migration.name}`);
+      });
+  }
+
+  getSchemaVersion() {
+    return this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+  }
+
+  // Table names can't be bound as parameters, so only accept known collections
+  assertCollection(collection) {
+    if (!this.collections.includes(collection)) {
+      throw new Error(`Unknown storage collection: ${collection}`);
+    }
+  }
+
+  upsert(collection, record) {
+    this.assertCollection(collection);
+    this.db.prepare(`
+      INSERT INTO ${collection} (id, campaign_id, created_at, data) VALUES (?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET campaign_id = excluded.campaign_id, created_at = excluded.created_at, data = excluded.data
+    `).run(record.id, record.campaignId || null, record.createdAt, JSON.stringify(record.data));
+  }
+
+  get(collection, id) {
+    this.assertCollection(collection);
+    const row = this.db.prepare(`SELECT data FROM ${collection} WHERE id = ?`).get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  list(collection, query = {}) {
+    this.assertCollection(collection);
+
+    const conditions = [];
+    const params = [];
+    if (query.campaignId) {
+      conditions.push('campaign_id = ?');
+      params.push(String(query.campaignId));
+    }
+    if (query.since) {
+      conditions.push('created_at >= ?');
+      params.push(query.since);
+    }
+    if (query.until) {
+      conditions.push('created_at <= ?');
+      params.push(query.until);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const order = query.order === 'desc' ? 'DESC' : 'ASC';
+    const limit = query.limit ? `LIMIT ${parseInt(query.limit, 10)}` : '';
+
+    return this.db
+      .prepare(`SELECT data FROM ${collection} ${where} ORDER BY created_at ${order} ${limit}`)
+      .all(...params)
+      .map(row => JSON.parse(row.data));
+  }
+
+  count(collection) {
+    this.assertCollection(collection);
+    return this.db.prepare(`SELECT COUNT(*) AS total FROM ${collection}`).get().total;
+  }
+
+  remove(collection, id) {
+    this.assertCollection(collection);
+    return this.db.prepare(`DELETE FROM ${collection} WHERE id = ?`).run(id).changes > 0;
+  }
+
+  prune(collection, policy = {}) {
+    this.assertCollection(collection);
+    let removed = 0;
+
+    if (policy.maxAgeDays) {
+      const cutoff = new Date(Date.now() - policy.maxAgeDays * 24 * 60 * 60 * 1000).toISOString();
+      removed += this.db.prepare(`DELETE FROM ${collection} WHERE created_at < ?`).run(cutoff).changes;
+    }
+
+    if (policy.maxEntries) {
+      removed += this.db.prepare(`
+        DELETE FROM ${collection} WHERE id NOT IN (
+          SELECT id FROM ${collection} ORDER BY created_at DESC LIMIT ?
+        )
+      `).run(policy.maxEntries).changes;
+    }
+
+    return removed;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteStore;
@@ -0,0 +1,76 @@
+const path = require('path');
+const config = require('../config/config');
+const JsonFileStore = require('./JsonFileStore');
+const WorkflowRepository = require('./repositories/WorkflowRepository');
+const BidHistoryRepository = require('./repositories/BidHistoryRepository');
+const PerformanceHistoryRepository = require('./repositories/PerformanceHistoryRepository');
+const AlertRepository = require('./repositories/AlertRepository');
+const ReportRepository = require('./repositories/ReportRepository');
+const ApprovalRepository = require('./repositories/ApprovalRepository');
+const SettingsRepository = require('./repositories/SettingsRepository');
+const SettingsAuditRepository = require('./repositories/SettingsAuditRepository');
+const ScheduleRunRepository = require('./repositories/ScheduleRunRepository');
+const IdempotencyKeyRepository = require('./repositories/IdempotencyKeyRepository');
+
+const DEFAULT_FILES = {
+  sqlite: 'automation.sqlite',
+  json: 'automation.json'
+};
+
+let defaultStorage = null;
+
+function createStore(settings) {
+  const directory = settings.directory;
+
+  if (settings.driver === 'sqlite') {
+    try {
+      const SqliteStore = require('./SqliteStore');
+      return new SqliteStore(settings.path || path.join(directory, DEFAULT_FILES.sqlite));
+    } catch (error) {
+      // better-sqlite3 is optional; fall back rather than refusing to start
+      console.warn(`⚠️  SQLite storage unavailable (${error.message}), falling back to JSON file storage`);
+    }
+  } else if (settings.driver !== 'json') {
+    throw new Error(`Unknown storage driver: ${settings.driver}`);
+  }
+
+  const jsonPath = settings.driver === 'json' && settings.path
+    ? settings.path
+    : path.join(directory, DEFAULT_FILES.json);
+  return new JsonFileStore(jsonPath);
+}
+
+function createStorage(options = {}) {
+  const settings = { ...config.storage, ...options };
+  const retention = { ...config.storage.retention, ...options.retention };
+  const store = createStore(settings);
+
+  return {
+    driver: store.driver,
+    store: store,
+    workflows: new WorkflowRepository(store, retention.workflows),
+    bidHistory: new BidHistoryRepository(store, retention.bidHistory),
+    performanceHistory: new PerformanceHistoryRepository(store, retention.performanceHistory),
+    alerts: new AlertRepository(store, retention.alerts),
+    reports: new ReportRepository(store, retention.reports),
+    approvals: new ApprovalRepository(store, retention.approvals),
+    settings: new SettingsRepository(store),
+    settingsAudit: new SettingsAuditRepository(store, retention.settingsAudit),
+    scheduleRuns: new ScheduleRunRepository(store, retention.scheduleRuns),
+    idempotencyKeys: new IdempotencyKeyRepository(store, retention.idempotencyKeys),
+    close: () => store.close()
+  };
+}
+
+// Shared storage used by the orchestrator and agents unless one is injected
+function getStorage() {
+  if (!defaultStorage) {
+    defaultStorage = createStorage();
+  }
+  return defaultStorage;
+}
+
+module.exports = {
+  createStorage,
+  getStorage
+};
@@ -0,0 +1,107 @@
+// Schema migrations, applied in order by both store drivers.
+// Each migration defines how to upgrade a SQLite database and a JSON store file.
+const COLLECTIONS = ['workflows', 'bid_history', 'performance_history', 'alerts', 'reports'];
+
+const migrations = [
+  {
+    version: 1,
+    name: 'create_core_collections',
+    sqlite: (db) => {
+      COLLECTIONS.forEach(collection => {
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS ${collection} (
+            id TEXT PRIMARY KEY,
+            campaign_id TEXT,
+            created_at TEXT NOT NULL,
+            data TEXT NOT NULL
+          );
+          CREATE INDEX IF NOT EXISTS idx_${collection}_created_at ON ${collection} (created_at);
+          CREATE INDEX IF NOT EXISTS idx_${collection}_campaign ON ${collection} (campaign_id, created_at);
+        `);
+      });
+    },
+    json: (data) => {
+      COLLECTIONS.forEach(collection => {
+        if (!data.collections[collection]) data.collections[collection] = {};
+      });
+    }
+  },
+  {
+    version: 2,
+    name: 'create_approvals_collection',
+    sqlite: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS approvals (
+          id TEXT PRIMARY KEY,
+          campaign_id TEXT,
+          created_at TEXT NOT NULL,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_approvals_created_at ON approvals (created_at);
+        CREATE INDEX IF NOT EXISTS idx_approvals_campaign ON approvals (campaign_id, created_at);
+      `);
+    },
+    json: (data) => {
+      if (!data.collections.approvals) data.collections.approvals = {};
+    }
+  },
+  {
+    version: 3,
+    name: 'create_settings_collections',
+    sqlite: (db) => {
+      ['settings', 'settings_audit'].forEach(collection => {
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS ${collection} (
+            id TEXT PRIMARY KEY,
+            campaign_id TEXT,
+            created_at TEXT NOT NULL,
+            data TEXT NOT NULL
+          );
+          CREATE INDEX IF NOT EXISTS idx_${collection}_created_at ON ${collection} (created_at);
+        `);
+      });
+    },
+    json: (data) => {
+      if (!data.collections.settings) data.collections.settings = {};
+      if (!data.collections.settings_audit) data.collections.settings_audit = {};
+    }
+  },
+  {
+    version: 4,
+    name: 'create_schedule_runs_collection',
+    sqlite: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS schedule_runs (
+          id TEXT PRIMARY KEY,
+          campaign_id TEXT,
+          created_at TEXT NOT NULL,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_schedule_runs_created_at ON schedule_runs (created_at);
+      `);
+    },
+    json: (data) => {
+      if (!data.collections.schedule_runs) data.collections.schedule_runs = {};
+    }
+  },
+  {
+    version: 5,
+    name: 'create_idempotency_keys_collection',
+    sqlite: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS idempotency_keys (
+          id TEXT PRIMARY KEY,
+          campaign_id TEXT,
+          created_at TEXT NOT NULL,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys (created_at);
+      `);
+    },
+    json: (data) => {
+      if (!data.collections.idempotency_keys) data.collections.idempotency_keys = {};
+    }
+  }
+];
+
+module.exports = migrations;
@@ -0,0 +1,13 @@
+const Repository = require('../Repository');
+
+class AlertRepository extends Repository {
+  constructor(store, retention) {
+    super(store, 'alerts', retention);
+  }
+
+  findRecentAlerts(hours = 24) {
+    return this.findSince(new Date(Date.now() - hours * 60 * 60 * 1000));
+  }
+}
+
+module.exports = AlertRepository;
@@ -0,0 +1,22 @@
+const Repository = require('../Repository');
+
+class ApprovalRepository extends Repository {
+  constructor(store, retention) {
+    super(store, 'approvals', retention);
+  }
+
+  toRecord(approval) {
+    return {
+      id: approval.id,
+      campaignId: approval.campaignId || null,
+      createdAt: approval.createdAt,
+      data: approval
+    };
+  }
+
+  findByStatus(status) {
+    return this.findAll().filter(approval => approval.status === status);
+  }
+}
+
+module.exports = ApprovalRepository;
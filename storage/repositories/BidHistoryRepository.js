@@ -0,0 +1,9 @@
+const Repository = require('../Repository');
+
+class BidHistoryRepository extends Repository {
+  constructor(store, retention) {
+    super(store, 'bid_history', retention);
+  }
+}
+
+module.exports = BidHistoryRepository;
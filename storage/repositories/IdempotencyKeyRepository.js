@@ -0,0 +1,19 @@
+const Repository = require('../Repository');
+
+// Responses to mutations sent with an idempotency key, by key
+class IdempotencyKeyRepository extends Repository {
+  constructor(store, retention) {
+    super(store, 'idempotency_keys', retention);
+  }
+
+  toRecord(entry) {
+    return {
+      id: entry.id,
+      campaignId: null,
+      createdAt: entry.createdAt,
+      data: entry
+    };
+  }
+}
+
+module.exports = IdempotencyKeyRepository;
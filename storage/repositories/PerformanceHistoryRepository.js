@@ -0,0 +1,9 @@
+const Repository = require('../Repository');
+
+class PerformanceHistoryRepository extends Repository {
+  constructor(store, retention) {
+    super(store, 'performance_history', retention);
+  }
+}
+
+module.exports = PerformanceHistoryRepository;
@@ -0,0 +1,18 @@
+const Repository = require('../Repository');
+
+class ReportRepository extends Repository {
+  constructor(store, retention) {
+    super(store, 'reports', retention);
+  }
+
+  toRecord(report) {
+    return {
+      id: report.id,
+      campaignId: report.campaignId || null,
+      createdAt: report.generatedAt,
+      data: report
+    };
+  }
+}
+
+module.exports = ReportRepository;
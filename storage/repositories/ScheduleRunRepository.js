@@ -0,0 +1,27 @@
+const Repository = require('../Repository');
+
+class ScheduleRunRepository extends Repository {
+  constructor(store, retention) {
+    super(store, 'schedule_runs', retention);
+  }
+
+  toRecord(run) {
+    return {
+      id: run.id,
+      campaignId: null,
+      createdAt: run.startedAt,
+      data: run
+    };
+  }
+
+  findByTask(taskId, limit = 20) {
+    return this.findAll({ order: 'desc' }).filter(run => run.taskId === taskId).slice(0, limit);
+  }
+
+  // Latest run that was due on the schedule (manual runs don't count)
+  findLastScheduledRun(taskId) {
+    return this.findAll({ order: 'desc' }).find(run => run.taskId === taskId && run.scheduledFor) || null;
+  }
+}
+
+module.exports = ScheduleRunRepository;
@@ -0,0 +1,13 @@
+const Repository = require('../Repository');
+
+class SettingsAuditRepository extends Repository {
+  constructor(store, retention) {
+    super(store, 'settings_audit', retention);
+  }
+
+  findByPath(path) {
+    return this.findAll().filter(entry => entry.changes.some(change => change.path === path));
+  }
+}
+
+module.exports = SettingsAuditRepository;
@@ -0,0 +1,31 @@
+const Repository = require('../Repository');
+
+const OVERRIDES_ID = 'overrides';
+
+// Settings changed at runtime (e.g. from the dashboard), applied on top of
+// the client profile at every start
+class SettingsRepository extends Repository {
+  constructor(store, retention) {
+    super(store, 'settings', retention);
+  }
+
+  toRecord(entry) {
+    return {
+      id: entry.id,
+      campaignId: null,
+      createdAt: entry.updatedAt,
+      data: entry
+    };
+  }
+
+  getOverrides() {
+    const entry = this.findById(OVERRIDES_ID);
+    return entry ? entry.values : {};
+  }
+
+  saveOverrides(values) {
+    return this.save({ id: OVERRIDES_ID, values: values, updatedAt: new Date().toISOString() });
+  }
+}
+
+module.exports = SettingsRepository;
@@ -0,0 +1,18 @@
+const Repository = require('../Repository');
+
+class WorkflowRepository extends Repository {
+  constructor(store, retention) {
+    super(store, 'workflows', retention);
+  }
+
+  toRecord(workflow) {
+    return {
+      id: workflow.id,
+      campaignId: workflow.results?.campaignSetup?.id || null,
+      createdAt: workflow.startTime,
+      data: workflow
+    };
+  }
+}
+
+module.exports = WorkflowRepository;
@@ -1,13 +1,63 @@
 // Dashboard JavaScript for Google Ads AI Automation System
+
+// Live events pushed by /api/events: activity feed text, and whether to refetch dashboard data
+const LIVE_EVENTS = {
+    workflow_started: { title: 'Workflow Started', text: (d) => d.resumed ? `Resuming ${d.type} workflow` : `Running ${d.type} workflow` },
+    workflow_completed: { title: 'Workflow Completed', text: (d) => `${d.type} workflow finished in ${d.duration}`, refresh: true },
+    workflow_failed: { title: 'Workflow Failed', text: (d) => d.remainingSteps && d.remainingSteps.length > 0 ? `${d.error} (can resume with ${d.remainingSteps.join(', ')})` : d.error, refresh: true },
+    stage_started: { title: 'Step Started', text: (d) => `${d.name} (${d.stage})` },
+    stage_completed: { title: 'Step Completed', text: (d) => `${d.name} (${d.stage}, ${d.duration}ms${d.attempts > 1 ? `, ${d.attempts} attempts` : ''})` },
+    stage_retrying: { title: 'Step Retrying', text: (d) => `${d.name} attempt ${d.attempt}/${d.maxAttempts} failed: ${d.error}` },
+    stage_skipped: { title: 'Step Skipped', text: (d) => `${d.name} (${d.stage}): condition not met` },
+    stage_failed: { title: 'Step Failed', text: (d) => `${d.name} (${d.stage}) - ${d.error}` },
+    campaign_created: { title: 'Campaign Created', text: (d) => `${d.name} (ID: ${d.campaignId})` },
+    keywords_optimized: { title: 'Keywords Optimized', text: (d) => `${d.totalKeywords} keywords, ${d.negativeKeywords} negatives` },
+    ads_generated: { title: 'Ad Copy Generated', text: (d) => `${d.totalAds} ads across ${d.testGroups} test groups` },
+    alert_raised: { title: 'Alert Raised', text: (d) => `[${d.severity}] ${d.message}`, refresh: true },
+    monitoring_completed: { title: 'Performance Checked', text: (d) => `Score ${d.overallScore}/100, ${d.alerts} alerts`, refresh: true },
+    bids_adjusted: { title: 'Bids Adjusted', text: (d) => `${d.totalAdjustments} bids changed (avg ${d.averageChange}%)` },
+    bids_reverted: { title: 'Bids Reverted', text: (d) => d.error || `${d.reverted} bids restored, ${d.conflicts} conflicts` },
+    report_generated: { title: 'Report Generated', text: (d) => `Report ${d.reportId}`, refresh: true },
+    approval_requested: { title: 'Approval Needed', text: (d) => `${d.type}: ${d.reason}`, refresh: true },
+    approval_decided: { title: 'Approval Decided', text: (d) => `${d.type} ${d.status}`, refresh: true },
+    action_executed: { title: 'Change Applied', text: (d) => `${d.type} (${d.changes} changes) applied to campaign ${d.campaignId}`, refresh: true },
+    action_failed: { title: 'Change Failed', text: (d) => `${d.type}: ${d.error}`, refresh: true },
+    settings_updated: { title: 'Thresholds Updated', text: (d) => d.changes.map(change => `${change.path} ${change.before} → ${change.after}`).join(', '), refresh: true },
+    schedule_run_completed: { title: 'Scheduled Task Finished', text: (d) => `${d.taskId} (${d.trigger}) in ${Math.round(d.duration / 1000)}s` },
+    schedule_run_failed: { title: 'Scheduled Task Failed', text: (d) => `${d.taskId}: ${d.error}` },
+    schedule_run_skipped: { title: 'Scheduled Task Skipped', text: (d) => `${d.taskId}: ${d.error}` }
+};
+
+const APPROVAL_TYPES = {
+    pause_campaign: 'Pause campaign',
+    reduce_bids: 'Reduce keyword bids',
+    increase_bids: 'Increase keyword bids',
+    keyword_bid: 'Keyword bid change'
+};
+
+// Editable KPI thresholds (kpiThresholds in the client profile)
+const THRESHOLD_FIELDS = {
+    minCTR: { label: 'Min CTR (ratio)', step: '0.001' },
+    maxCPC: { label: 'Max CPC (£)', step: '0.01' },
+    maxCPA: { label: 'Max CPA (£)', step: '0.01' },
+    minROAS: { label: 'Min ROAS (x)', step: '0.1' },
+    qualityScoreMin: { label: 'Min Quality Score', step: '1' }
+};
+
 class GoogleAdsDashboard {
     constructor() {
         this.isLoading = false;
         this.updateInterval = null;
         this.activityLog = [];
-        this.chartData = {
-            labels: [],
-            datasets: []
-        };
+        this.lastSuccessfulFetch = null;
+        this.requestTimeout = 10000; // 10 seconds
+        this.performanceTrend = [];
+        this.settings = null;
+        this.selectedMetric = 'ctr';
+        this.eventSource = null;
+        this.pluginEvents = {};
+        this.apiToken = typeof sessionStorage !== 'undefined' ? sessionStorage.getItem('apiToken') : null;
+        this.tokenPrompt = null; // Shared by requests that get a 401 at the same time
         
         this.init();
     }
@@ -19,12 +69,10 @@ class GoogleAdsDashboard {
         this.setupEventListeners();
         this.initializeChart();
         this.loadInitialData();
-        this.startAutoRefresh();
-        
-        // Hide loading overlay after initialization
-        setTimeout(() => {
-            this.hideLoading();
-        }, 2000);
+        this.loadSettings();
+        this.loadSchedule();
+        this.loadAgents();
+        this.connectEventStream();
     }
 
     setupEventListeners() {
@@ -34,10 +82,33 @@ class GoogleAdsDashboard {
             refreshBtn.addEventListener('click', () => this.refreshData());
         }
 
+        // Approve / reject buttons are re-rendered on every refresh, so delegate
+        const approvalsList = document.getElementById('approvalsList');
+        if (approvalsList) {
+            approvalsList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-approval-id]');
+                if (button) this.decideApproval(button.dataset.approvalId, button.dataset.decision);
+            });
+        }
+
+        const scheduleTable = document.getElementById('scheduleTable');
+        if (scheduleTable) {
+            scheduleTable.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-task-id]');
+                if (button) this.runScheduledTask(button.dataset.taskId);
+            });
+        }
+
+        const saveThresholdsBtn = document.getElementById('saveThresholdsBtn');
+        if (saveThresholdsBtn) {
+            saveThresholdsBtn.addEventListener('click', () => this.saveThresholds());
+        }
+
         // Chart metric selector
         const chartMetric = document.getElementById('chartMetric');
         if (chartMetric) {
             chartMetric.addEventListener('change', (e) => this.updateChart(e.target.value));
+            this.selectedMetric = chartMetric.value;
         }
 
         // Keyboard shortcuts
@@ -57,234 +128,240 @@ class GoogleAdsDashboard {
     async loadInitialData() {
         console.log('📊 Loading initial dashboard data...');
         
+        this.showLoading();
+        
         try {
-            // Simulate initial data load
-            await this.fetchDashboardData();
-            this.addActivity('System Initialized', 'Dashboard loaded successfully');
-            
-        } catch (error) {
-            console.error('Error loading initial data:', error);
-            this.addActivity('System Error', 'Failed to load initial data');
-        }
-    }
-
-    async fetchDashboardData() {
-        try {
-            // In a real implementation, this would fetch from the backend API
-            // For now, we'll simulate the API response
-            const response = await this.simulateAPICall('/api/campaign-status');
-            
-            if (response) {
-                this.updateDashboard(response);
-                this.updateLastUpdated();
+            const loaded = await this.fetchDashboardData();
+            if (loaded) {
+                this.addActivity('System Initialized', 'Dashboard loaded successfully');
+            } else {
+                this.addActivity('System Error', 'Failed to load initial data');
             }
             
-        } catch (error) {
-            console.error('Error fetching dashboard data:', error);
-            this.showError('Failed to fetch dashboard data');
+        } finally {
+            // Hide the overlay once the first request settles, whatever the outcome
+            this.hideLoading();
         }
     }
 
-    async simulateAPICall(endpoint) {
-        // Simulate API delay
-        await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000));
+    connectEventStream() {
+        if (typeof EventSource === 'undefined') {
+            // No push support in this browser, fall back to polling
+            this.startAutoRefresh();
+            return;
+        }
         
-        // Generate realistic simulated data
-        return {
-            campaignStatus: this.getRandomCampaignStatus(),
-            KPIs: this.generateKPIData(),
-            agents: this.generateAgentData(),
-            budget: this.generateBudgetData(),
-            alerts: this.generateAlerts(),
-            performance: this.generatePerformanceData()
+        // EventSource can't send an Authorization header, so the token goes in the URL
+        if (this.eventSource) this.eventSource.close();
+        this.eventSource = new EventSource(this.apiToken ? `/api/events?token=${encodeURIComponent(this.apiToken)}` : '/api/events');
+        
+        this.eventSource.onopen = () => {
+            // Updates now arrive as they happen, polling is only needed while disconnected
+            console.log('📡 Live updates connected');
+            this.stopAutoRefresh();
         };
+        
+        this.eventSource.onerror = () => {
+            // EventSource reconnects by itself; poll in the meantime
+            console.warn('📡 Live updates disconnected, polling until reconnected');
+            if (!this.updateInterval) this.startAutoRefresh();
+        };
+        
+        Object.keys(LIVE_EVENTS).forEach(type => {
+            this.eventSource.addEventListener(type, (e) => this.handleLiveEvent(JSON.parse(e.data)));
+        });
     }
 
-    getRandomCampaignStatus() {
-        const statuses = ['excellent', 'good', 'needs_attention', 'critical'];
-        const weights = [0.3, 0.4, 0.2, 0.1]; // Probability weights
+    handleLiveEvent(event) {
+        const describe = LIVE_EVENTS[event.type] || this.pluginEvents[event.type];
+        if (!describe) return;
         
-        const random = Math.random();
-        let cumulative = 0;
+        this.addActivity(describe.title, describe.text(event.data));
         
-        for (let i = 0; i < statuses.length; i++) {
-            cumulative += weights[i];
-            if (random <= cumulative) {
-                return statuses[i];
-            }
+        // Agent cards update straight from the event payload
+        if (event.agents) {
+            this.updateAgentStatuses(event.agents);
+        } else if (event.agentStatus) {
+            this.updateAgentStatuses({ [event.source]: event.agentStatus });
         }
         
-        return 'good';
-    }
-
-    generateKPIData() {
-        // Generate realistic KPI data for security services
-        const baseCTR = 2.1 + (Math.random() - 0.5) * 1.0; // 1.6% - 2.6%
-        const baseCPC = 1.45 + (Math.random() - 0.5) * 0.6; // £1.15 - £1.75
-        const baseCPA = 42.30 + (Math.random() - 0.5) * 20; // £32 - £52
-        const baseROAS = 3.2 + (Math.random() - 0.5) * 1.0; // 2.7x - 3.7x
-        
-        return {
-            CTR: `${baseCTR.toFixed(2)}%`,
-            CPC: `£${baseCPC.toFixed(2)}`,
-            CPA: `£${baseCPA.toFixed(2)}`,
-            ROAS: `${baseROAS.toFixed(1)}x`
-        };
-    }
-
-    generateAgentData() {
-        const agents = [
-            'campaignSetup',
-            'keywordManager', 
-            'adCopy',
-            'bidOptimizer',
-            'performanceMonitor',
-            'reporting'
-        ];
+        // Changed elsewhere (profile edit or another dashboard); only re-render the form then
+        if (event.type === 'settings_updated') {
+            this.loadSettings();
+        }
         
-        const statuses = ['idle', 'working', 'completed', 'monitoring', 'error'];
-        const agentData = {};
+        // A run changes its task's last run; a settings change can move the next ones
+        if (event.type.startsWith('schedule_run_') || event.type === 'settings_updated') {
+            this.loadSchedule();
+        }
         
-        agents.forEach(agent => {
-            const status = statuses[Math.floor(Math.random() * statuses.length)];
-            agentData[agent] = {
-                status: status,
-                lastAction: this.getAgentAction(agent, status),
-                timestamp: new Date().toISOString()
-            };
-        });
+        // A run can change agent health (a failed step, an open circuit)
+        if (event.type === 'workflow_completed' || event.type === 'workflow_failed') {
+            this.loadAgents();
+        }
         
-        return agentData;
+        // KPIs, alerts and the chart come from the report and monitoring data, so refetch those
+        if (describe.refresh && !this.isLoading) {
+            this.fetchDashboardData();
+        }
     }
 
-    getAgentAction(agent, status) {
-        const actions = {
-            campaignSetup: {
-                idle: 'Waiting for campaign setup request',
-                working: 'Setting up new campaign structure',
-                completed: 'Campaign setup completed successfully',
-                monitoring: 'Monitoring campaign configuration',
-                error: 'Failed to create campaign - API error'
-            },
-            keywordManager: {
-                idle: 'No keyword optimization scheduled',
-                working: 'Analyzing and expanding keyword list',
-                completed: 'Optimized 47 keywords, added 12 negatives',
-                monitoring: 'Monitoring keyword performance',
-                error: 'Keyword analysis failed - insufficient data'
-            },
-            adCopy: {
-                idle: 'Ready to generate ad variations',
-                working: 'Generating AI-powered ad copy variations',
-                completed: 'Generated 8 ad variations across 3 test groups',
-                monitoring: 'Monitoring ad performance metrics',
-                error: 'Ad generation failed - AI API timeout'
-            },
-            bidOptimizer: {
-                idle: 'Bid optimization not required',
-                working: 'Analyzing performance and adjusting bids',
-                completed: 'Optimized bids for 15 keywords (-12% avg CPA)',
-                monitoring: 'Continuous bid monitoring active',
-                error: 'Bid adjustment failed - API rate limit'
-            },
-            performanceMonitor: {
-                idle: 'Performance monitoring paused',
-                working: 'Analyzing campaign performance metrics',
-                completed: 'Performance analysis complete - 2 alerts generated',
-                monitoring: 'Real-time performance monitoring active',
-                error: 'Performance data fetch failed'
-            },
-            reporting: {
-                idle: 'No reports scheduled',
-                working: 'Generating comprehensive performance report',
-                completed: 'Daily report generated and dashboard updated',
-                monitoring: 'Monitoring for reporting triggers',
-                error: 'Report generation failed - data incomplete'
+    async fetchDashboardData() {
+        try {
+            const [status, alerts, approvals] = await Promise.all([
+                this.fetchJSON('/api/status'),
+                this.fetchJSON('/api/alerts?hours=24'),
+                this.fetchJSON('/api/approvals?status=pending')
+            ]);
+            
+            this.updateDashboard(this.buildDashboardData(status, alerts, approvals));
+            this.lastSuccessfulFetch = new Date();
+            this.setConnectionState(true);
+            this.updateLastUpdated();
+            return true;
+            
+        } catch (error) {
+            console.error('Error fetching dashboard data:', error);
+            this.setConnectionState(false, error.message);
+            return false;
+        }
+    }
+
+    async fetchJSON(endpoint, options = {}) {
+        const token = this.apiToken;
+        const send = () => this.sendRequest(endpoint, {
+            ...options,
+            headers: {
+                ...options.headers,
+                ...(this.apiToken ? { 'Authorization': `Bearer ${this.apiToken}` } : {})
             }
-        };
+        });
         
-        return actions[agent]?.[status] || 'No recent activity';
+        try {
+            return await send();
+        } catch (error) {
+            // The server wants API_TOKEN; ask once and keep it for this tab. A request
+            // sent before another one's prompt was answered just retries with the answer.
+            if (error.status !== 401) throw error;
+            if (this.apiToken === token && !(await this.askApiToken())) throw error;
+            return send();
+        }
     }
 
-    generateBudgetData() {
-        const dailyBudget = 20.00;
-        const currentSpend = Math.random() * dailyBudget * 1.2; // Can go slightly over
-        const utilization = (currentSpend / dailyBudget) * 100;
-        
-        let status = 'on_track';
-        if (utilization > 120) status = 'overspend';
-        else if (utilization > 90) status = 'on_track_high';
-        else if (utilization < 70) status = 'underspend';
-        
-        return {
-            dailySpend: currentSpend.toFixed(2),
-            dailyBudget: dailyBudget.toFixed(2),
-            utilization: utilization.toFixed(1),
-            status: status
-        };
+    askApiToken() {
+        if (!this.tokenPrompt) {
+            this.tokenPrompt = Promise.resolve().then(() => {
+                const apiToken = window.prompt('API token required');
+                if (!apiToken) return false;
+                this.apiToken = apiToken;
+                sessionStorage.setItem('apiToken', apiToken);
+                if (this.eventSource) this.connectEventStream();
+                return true;
+            }).finally(() => { this.tokenPrompt = null; });
+        }
+        return this.tokenPrompt;
     }
 
-    generateAlerts() {
-        const alertCount = Math.floor(Math.random() * 4); // 0-3 alerts
-        const alerts = [];
+    async sendRequest(endpoint, options) {
+        // Abort requests that hang so a dead backend is detected promptly
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
         
-        const possibleAlerts = [
-            'CPA above target threshold',
-            'Low quality score detected',
-            'Budget utilization high',
-            'CTR below industry average',
-            'Keyword performance declining'
-        ];
-        
-        for (let i = 0; i < alertCount; i++) {
-            alerts.push(possibleAlerts[i]);
+        try {
+            const response = await fetch(endpoint, { ...options, signal: controller.signal });
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                const error = new Error(body.error || `${endpoint} returned HTTP ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            return await response.json();
+            
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`${endpoint} timed out`);
+            }
+            throw error;
+            
+        } finally {
+            clearTimeout(timeoutId);
         }
-        
-        return alerts;
     }
 
-    generatePerformanceData() {
-        const score = Math.floor(Math.random() * 40) + 60; // 60-100
+    buildDashboardData(status, alerts, approvals) {
+        // The Reporting Agent's dashboard data is empty until the first report
+        const dashboard = status.dashboard || {};
+        
         return {
-            overallScore: score,
-            grade: this.getPerformanceGrade(score)
+            hasReport: Boolean(dashboard.lastUpdated),
+            reportUpdated: dashboard.lastUpdated,
+            campaignStatus: dashboard.campaignStatus,
+            KPIs: dashboard.KPIs || {},
+            kpiTargets: status.kpiTargets || {},
+            kpiChanges: status.kpiChanges || {},
+            agents: status.agents || {},
+            budget: dashboard.budgetUtilization,
+            alerts: alerts || [],
+            approvals: approvals || [],
+            performance: {
+                overallScore: dashboard.overallScore
+            },
+            orchestrator: status.orchestrator || {},
+            performanceTrend: status.performanceTrend || []
         };
     }
 
-    getPerformanceGrade(score) {
-        if (score >= 90) return 'A+';
-        if (score >= 80) return 'A';
-        if (score >= 70) return 'B';
-        if (score >= 60) return 'C';
-        return 'D';
-    }
-
     updateDashboard(data) {
         console.log('📊 Updating dashboard with new data...');
         
-        // Update campaign health
-        this.updateCampaignHealth(data.campaignStatus);
-        
-        // Update KPIs
-        this.updateKPIs(data.KPIs);
+        if (data.hasReport) {
+            // Update campaign health
+            this.updateCampaignHealth(data.campaignStatus);
+            
+            // Update KPIs
+            this.updateKPIs(data.KPIs, data.kpiTargets, data.kpiChanges);
+            
+            // Update budget information
+            this.updateBudgetInfo(data.budget);
+            
+            // Update performance score
+            this.updatePerformanceScore(data.performance);
+        } else {
+            this.showEmptyState();
+        }
         
         // Update agent statuses
         this.updateAgentStatuses(data.agents);
         
-        // Update budget information
-        this.updateBudgetInfo(data.budget);
-        
         // Update alerts
         this.updateAlerts(data.alerts);
         
-        // Update performance score
-        this.updatePerformanceScore(data.performance);
+        // Update approval queue
+        this.updateApprovals(data.approvals);
         
         // Update system status
-        this.updateSystemStatus();
+        this.updateSystemStatus(data.orchestrator);
+        
+        // Update performance chart
+        this.performanceTrend = data.performanceTrend;
+        this.initializeChart();
+    }
+
+    showEmptyState() {
+        // No workflow has produced a report yet
+        const healthText = document.querySelector('#campaignHealth .health-text');
+        if (healthText) healthText.textContent = 'No data yet';
         
-        // Add activity log entry
-        this.addActivity('Data Updated', 'Dashboard refreshed with latest metrics');
+        const statusCard = document.getElementById('campaignStatus');
+        if (statusCard) {
+            const statusValue = statusCard.querySelector('.status-value');
+            const statusDesc = statusCard.querySelector('.status-description');
+            if (statusValue) statusValue.textContent = 'No report yet';
+            if (statusDesc) statusDesc.textContent = 'Run a workflow to generate the first report';
+        }
+        
+        const budgetStatus = document.querySelector('#budgetInfo .budget-status');
+        if (budgetStatus) budgetStatus.textContent = 'No spend data yet';
     }
 
     updateCampaignHealth(status) {
@@ -292,21 +369,21 @@ class GoogleAdsDashboard {
         const indicator = healthElement?.querySelector('.health-indicator');
         const text = healthElement?.querySelector('.health-text');
         
+        const statusTexts = {
+            excellent: 'Excellent Performance',
+            good: 'Good Performance', 
+            needs_attention: 'Needs Attention',
+            critical: 'Critical Issues'
+        };
+        
         if (indicator && text) {
             // Remove existing classes
             indicator.className = 'health-indicator';
             
             // Add new status class
-            indicator.classList.add(status);
+            if (status) indicator.classList.add(status);
             
             // Update text
-            const statusTexts = {
-                excellent: 'Excellent Performance',
-                good: 'Good Performance', 
-                needs_attention: 'Needs Attention',
-                critical: 'Critical Issues'
-            };
-            
             text.textContent = statusTexts[status] || 'Unknown Status';
         }
 
@@ -329,30 +406,40 @@ class GoogleAdsDashboard {
         }
     }
 
-    updateKPIs(kpis) {
+    updateKPIs(kpis, targets, changes) {
+        // Targets come from the backend's KPI thresholds (CTR threshold is a ratio)
+        const ctrTarget = (targets.minCTR || 0.02) * 100;
+        
         // Update CTR
-        this.updateKPI('ctr', kpis.CTR, 2.0, 'higher');
+        this.updateKPI('ctr', kpis.CTR, ctrTarget, 'higher', changes.CTR, `Target: ${ctrTarget.toFixed(1)}%`);
         
         // Update CPC
-        this.updateKPI('cpc', kpis.CPC, 2.50, 'lower');
+        this.updateKPI('cpc', kpis.CPC, targets.maxCPC, 'lower', changes.CPC, `Target: ≤£${Number(targets.maxCPC).toFixed(2)}`);
         
         // Update CPA
-        this.updateKPI('cpa', kpis.CPA, 60.00, 'lower');
+        this.updateKPI('cpa', kpis.CPA, targets.maxCPA, 'lower', changes.CPA, `Target: ≤£${Number(targets.maxCPA).toFixed(2)}`);
         
         // Update ROAS
-        this.updateKPI('roas', kpis.ROAS, 2.0, 'higher');
+        this.updateKPI('roas', kpis.ROAS, targets.minROAS, 'higher', changes.ROAS, `Target: ≥${Number(targets.minROAS).toFixed(1)}x`);
     }
 
-    updateKPI(kpiName, value, target, direction) {
+    updateKPI(kpiName, value, target, direction, change, targetText) {
         const valueElement = document.getElementById(`${kpiName}Value`);
         const statusElement = document.getElementById(`${kpiName}Status`);
         const changeElement = document.getElementById(`${kpiName}Change`);
+        const targetElement = document.getElementById(`${kpiName}Target`);
+        
+        if (targetElement && target) {
+            targetElement.textContent = targetText;
+        }
+        
+        if (!value) return;
         
         if (valueElement) {
             valueElement.textContent = value;
         }
         
-        if (statusElement) {
+        if (statusElement && target) {
             // Calculate status based on value vs target
             const numericValue = parseFloat(value.replace(/[£%x]/g, ''));
             const status = this.calculateKPIStatus(numericValue, target, direction);
@@ -362,9 +449,16 @@ class GoogleAdsDashboard {
         }
         
         if (changeElement) {
-            // Generate random change for demo
-            const change = (Math.random() - 0.5) * 20; // -10% to +10%
-            const changeClass = change > 0 ? 'positive' : change < 0 ? 'negative' : 'neutral';
+            // Change since the previous monitoring run; unknown until there are two
+            if (change === null || change === undefined) {
+                changeElement.className = 'kpi-change neutral';
+                changeElement.textContent = '--';
+                return;
+            }
+            
+            // For cost metrics a decrease is the good direction
+            const improved = direction === 'higher' ? change > 0 : change < 0;
+            const changeClass = change === 0 ? 'neutral' : improved ? 'positive' : 'negative';
             
             changeElement.className = `kpi-change ${changeClass}`;
             changeElement.textContent = `${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
@@ -389,6 +483,58 @@ class GoogleAdsDashboard {
         }
     }
 
+    async loadAgents() {
+        try {
+            const agents = await this.fetchJSON('/api/agents');
+            this.updateAgents(agents);
+            this.subscribePluginEvents(agents);
+            
+        } catch (error) {
+            console.error('Error loading agents:', error);
+        }
+    }
+
+    updateAgents(agents) {
+        const gridElement = document.getElementById('agentsGrid');
+        if (!gridElement) return;
+        
+        gridElement.innerHTML = agents.map(agent => `
+            <div class="agent-card" id="${this.escapeHtml(agent.id)}Agent">
+                <div class="agent-header">
+                    <h3>${this.escapeHtml(agent.name)}</h3>
+                    <span class="agent-status ${this.escapeHtml(agent.status.status)}">${this.escapeHtml(agent.status.status)}</span>
+                </div>
+                <div class="agent-activity">${this.escapeHtml(agent.status.lastAction || 'No recent activity')}</div>
+                <div class="agent-capabilities">
+                    ${agent.source === 'built-in' ? '' : `<span class="agent-source" title="${this.escapeHtml(agent.source)}">plugin</span>`}
+                    ${agent.capabilities.map(capability => `<code title="${this.escapeHtml(capability.description || '')}">${this.escapeHtml(capability.name)}</code>`).join(' ')}
+                </div>
+                <div class="agent-health ${agent.health.healthy ? 'healthy' : 'unhealthy'}">${this.escapeHtml(agent.health.message)}</div>
+                <div class="agent-timestamp">${agent.status.lastAction ? this.formatTimestamp(agent.status.timestamp) : '--'}</div>
+            </div>
+        `).join('');
+    }
+
+    // Plugin events aren't in LIVE_EVENTS, so they get a generic activity entry
+    subscribePluginEvents(agents) {
+        agents.forEach(agent => {
+            agent.events
+                .filter(type => !LIVE_EVENTS[type] && !this.pluginEvents[type])
+                .forEach(type => {
+                    this.pluginEvents[type] = {
+                        title: `${agent.name}: ${type.replace(/_/g, ' ')}`,
+                        text: (d) => Object.keys(d || {})
+                            .filter(key => d[key] === null || typeof d[key] !== 'object')
+                            .map(key => `${key} ${d[key]}`)
+                            .join(', ')
+                    };
+                    if (this.eventSource) {
+                        this.eventSource.addEventListener(type, (e) => this.handleLiveEvent(JSON.parse(e.data)));
+                    }
+                });
+        });
+    }
+
     updateAgentStatuses(agents) {
         Object.keys(agents).forEach(agentKey => {
             const agentData = agents[agentKey];
@@ -441,23 +587,28 @@ class GoogleAdsDashboard {
 
     updateBudgetInfo(budget) {
         const budgetInfo = document.getElementById('budgetInfo');
-        if (!budgetInfo) return;
+        if (!budgetInfo || !budget) return;
         
         const amountElement = budgetInfo.querySelector('.budget-amount');
         const progressElement = budgetInfo.querySelector('.budget-progress');
         const statusElement = budgetInfo.querySelector('.budget-status');
         
+        // The Reporting Agent sends formatted strings such as '£12.50' and '62.5%'
+        const dailySpend = this.parseNumber(budget.dailySpend);
+        const dailyBudget = this.parseNumber(budget.dailyBudget);
+        const utilization = this.parseNumber(budget.dailyUtilization);
+        
         if (amountElement) {
-            amountElement.textContent = `£${budget.dailySpend} / £${budget.dailyBudget}`;
+            amountElement.textContent = `£${dailySpend.toFixed(2)} / £${dailyBudget.toFixed(2)}`;
         }
         
         if (progressElement) {
-            progressElement.style.width = `${Math.min(budget.utilization, 100)}%`;
+            progressElement.style.width = `${Math.min(utilization, 100)}%`;
             
             // Change color based on utilization
-            if (budget.utilization > 100) {
+            if (utilization > 100) {
                 progressElement.style.background = 'linear-gradient(90deg, #ef4444 0%, #dc2626 100%)';
-            } else if (budget.utilization > 90) {
+            } else if (utilization > 90) {
                 progressElement.style.background = 'linear-gradient(90deg, #f59e0b 0%, #d97706 100%)';
             } else {
                 progressElement.style.background = 'linear-gradient(90deg, #10b981 0%, #059669 100%)';
@@ -490,31 +641,249 @@ class GoogleAdsDashboard {
             if (alerts.length === 0) {
                 descElement.textContent = 'No active alerts';
             } else if (alerts.length === 1) {
-                descElement.textContent = alerts[0];
+                descElement.textContent = alerts[0].message;
             } else {
-                descElement.textContent = `${alerts.length} active alerts`;
+                const critical = alerts.filter(alert => alert.severity === 'critical').length;
+                descElement.textContent = critical > 0
+                    ? `${alerts.length} active alerts (${critical} critical)`
+                    : `${alerts.length} active alerts`;
             }
         }
     }
 
+    updateApprovals(approvals) {
+        const countElement = document.getElementById('approvalsCount');
+        const listElement = document.getElementById('approvalsList');
+        
+        if (countElement) {
+            countElement.textContent = approvals.length;
+            countElement.classList.toggle('has-pending', approvals.length > 0);
+        }
+        
+        if (!listElement) return;
+        
+        if (approvals.length === 0) {
+            listElement.innerHTML = '<div class="approvals-empty">No changes waiting for approval</div>';
+            return;
+        }
+        
+        listElement.innerHTML = approvals.map(approval => `
+            <div class="approval-card">
+                <div class="approval-header">
+                    <span class="approval-type">${this.escapeHtml(APPROVAL_TYPES[approval.type] || approval.type)} - campaign ${this.escapeHtml(approval.campaignId)}</span>
+                    <span class="approval-expiry">Expires ${new Date(approval.expiresAt).toLocaleString()}</span>
+                </div>
+                <div class="approval-reason">${this.escapeHtml(approval.reason)}</div>
+                <table class="approval-diff">
+                    ${approval.changes.map(change => `
+                        <tr>
+                            <td>${this.escapeHtml(change.label || change.resourceName)}</td>
+                            <td class="diff-before">${this.escapeHtml(this.formatChangeValue(change.field, change.before))}</td>
+                            <td class="diff-after">${this.escapeHtml(this.formatChangeValue(change.field, change.after))}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+                <div class="approval-impact">Expected impact: ${this.escapeHtml(approval.expectedImpact?.summary || 'Unknown')}</div>
+                <div class="approval-actions">
+                    <button class="refresh-btn" data-approval-id="${this.escapeHtml(approval.id)}" data-decision="approve">Approve</button>
+                    <button class="reject-btn" data-approval-id="${this.escapeHtml(approval.id)}" data-decision="reject">Reject</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    formatChangeValue(field, value) {
+        return field.endsWith('Micros') ? `£${Number(value).toFixed(2)}` : String(value);
+    }
+
+    async decideApproval(approvalId, decision) {
+        try {
+            const approval = await this.postJSON(`/api/approvals/${approvalId}/${decision}`, { by: 'dashboard' });
+            this.addActivity(decision === 'approve' ? 'Change Approved' : 'Change Rejected', `${APPROVAL_TYPES[approval.type] || approval.type}: ${approval.status}`);
+            
+        } catch (error) {
+            console.error('Error deciding approval:', error);
+            this.showError(`Failed to ${decision} change: ${error.message}`);
+            
+        } finally {
+            this.fetchDashboardData();
+        }
+    }
+
+    async loadSettings() {
+        try {
+            const [settings, audit] = await Promise.all([
+                this.fetchJSON('/api/settings'),
+                this.fetchJSON('/api/settings/audit?limit=5')
+            ]);
+            this.settings = settings;
+            this.updateThresholdsForm(settings);
+            this.updateSettingsAudit(audit);
+            
+        } catch (error) {
+            console.error('Error loading settings:', error);
+        }
+    }
+
+    updateThresholdsForm(settings) {
+        const form = document.getElementById('thresholdsForm');
+        if (!form) return;
+        
+        const overrides = settings.overrides.kpiThresholds || {};
+        form.innerHTML = Object.keys(THRESHOLD_FIELDS).map(field => `
+            <label class="threshold-field${overrides[field] !== undefined ? ' overridden' : ''}">
+                ${this.escapeHtml(THRESHOLD_FIELDS[field].label)}
+                <input type="number" name="${field}" step="${THRESHOLD_FIELDS[field].step}" value="${this.escapeHtml(settings.kpiThresholds[field])}">
+            </label>
+        `).join('');
+    }
+
+    updateSettingsAudit(entries) {
+        const auditElement = document.getElementById('settingsAudit');
+        if (!auditElement) return;
+        
+        if (entries.length === 0) {
+            auditElement.innerHTML = '<div class="approvals-empty">No threshold changes yet</div>';
+            return;
+        }
+        
+        auditElement.innerHTML = entries.map(entry => `
+            <div class="settings-audit-entry">
+                ${new Date(entry.timestamp).toLocaleString()} - ${this.escapeHtml(entry.changes.map(change => `${change.path} ${change.before} → ${change.after}`).join(', '))}
+                (${this.escapeHtml(entry.source === 'file' ? 'profile file' : entry.by)})
+            </div>
+        `).join('');
+    }
+
+    async saveThresholds() {
+        const form = document.getElementById('thresholdsForm');
+        if (!form || !this.settings) return;
+        
+        // Only send what was edited so untouched values keep following the profile
+        const kpiThresholds = {};
+        Object.keys(THRESHOLD_FIELDS).forEach(field => {
+            const value = parseFloat(form.elements[field].value);
+            if (!isNaN(value) && value !== this.settings.kpiThresholds[field]) kpiThresholds[field] = value;
+        });
+        
+        if (Object.keys(kpiThresholds).length === 0) {
+            this.addActivity('Thresholds Unchanged', 'No threshold was edited');
+            return;
+        }
+        
+        try {
+            await this.postJSON('/api/settings', { kpiThresholds, by: 'dashboard' });
+            
+        } catch (error) {
+            console.error('Error saving thresholds:', error);
+            this.showError(`Failed to save thresholds: ${error.message}`);
+            
+        } finally {
+            this.loadSettings();
+        }
+    }
+
+    async loadSchedule() {
+        try {
+            this.updateSchedule(await this.fetchJSON('/api/schedule'));
+            
+        } catch (error) {
+            console.error('Error loading schedule:', error);
+        }
+    }
+
+    updateSchedule(schedule) {
+        const tableElement = document.getElementById('scheduleTable');
+        const timezoneElement = document.getElementById('scheduleTimezone');
+        if (timezoneElement) timezoneElement.textContent = schedule.timezone;
+        if (!tableElement) return;
+        
+        // Times are shown in the schedule's timezone, as the cron expressions are
+        const formatTime = (time) => time ? new Date(time).toLocaleString('en-GB', { timeZone: schedule.timezone, dateStyle: 'medium', timeStyle: 'short' }) : '-';
+        tableElement.innerHTML = schedule.tasks.map(task => `
+            <tr>
+                <td title="${this.escapeHtml(task.description)}">${this.escapeHtml(task.id)}</td>
+                <td><code>${this.escapeHtml(task.cron)}</code></td>
+                <td>${task.lastRun ? `${formatTime(task.lastRun.startedAt)} <span class="run-status ${this.escapeHtml(task.lastRun.status)}">${this.escapeHtml(task.lastRun.status)}</span>` : '-'}</td>
+                <td>${task.enabled ? formatTime(task.nextRun) : 'off'}</td>
+                <td><button class="refresh-btn" data-task-id="${this.escapeHtml(task.id)}"${task.running ? ' disabled' : ''}>${task.running ? 'Running' : 'Run now'}</button></td>
+            </tr>
+        `).join('');
+    }
+
+    async runScheduledTask(taskId) {
+        try {
+            await this.postJSON(`/api/schedule/${taskId}/run`, {});
+            this.addActivity('Scheduled Task Started', `${taskId} (manual)`);
+            
+        } catch (error) {
+            console.error('Error running scheduled task:', error);
+            this.showError(`Failed to run ${taskId}: ${error.message}`);
+            
+        } finally {
+            this.loadSchedule();
+        }
+    }
+
+    postJSON(endpoint, body) {
+        return this.fetchJSON(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
     updatePerformanceScore(performance) {
         const scoreElement = document.getElementById('performanceScore');
         if (!scoreElement) return;
         
         const scoreValue = scoreElement.querySelector('.score-value');
         if (scoreValue) {
-            scoreValue.textContent = `${performance.overallScore}/100`;
+            const score = performance.overallScore;
+            scoreValue.textContent = score !== undefined && score !== null ? `${score}/100` : '--/100';
         }
     }
 
-    updateSystemStatus() {
+    updateSystemStatus(orchestrator) {
         const systemStatus = document.getElementById('systemStatus');
         if (!systemStatus) return;
         
         const statusText = systemStatus.querySelector('.status-text');
         if (statusText) {
-            statusText.textContent = 'System Active';
+            const statusTexts = {
+                idle: 'System Idle',
+                working: 'Workflow Running',
+                completed: 'System Active',
+                error: 'Last Workflow Failed'
+            };
+            statusText.textContent = statusTexts[orchestrator.status] || 'System Active';
+        }
+    }
+
+    setConnectionState(connected, errorMessage) {
+        const systemStatus = document.getElementById('systemStatus');
+        const banner = document.getElementById('staleBanner');
+        
+        if (systemStatus) {
+            systemStatus.classList.toggle('offline', !connected);
+            if (!connected) {
+                const statusText = systemStatus.querySelector('.status-text');
+                if (statusText) statusText.textContent = 'Backend Unreachable';
+            }
+        }
+        
+        if (!banner) return;
+        
+        if (connected) {
+            banner.classList.add('hidden');
+            return;
         }
+        
+        // Whatever is on screen is now stale; say how old it is
+        banner.textContent = this.lastSuccessfulFetch
+            ? `Backend unreachable (${errorMessage}). Showing data from ${this.lastSuccessfulFetch.toLocaleTimeString()}, retrying automatically.`
+            : `Backend unreachable (${errorMessage}). No data loaded yet, retrying automatically.`;
+        banner.classList.remove('hidden');
     }
 
     updateLastUpdated() {
@@ -525,6 +894,17 @@ class GoogleAdsDashboard {
         }
     }
 
+    parseNumber(value) {
+        const parsed = parseFloat(String(value ?? '').replace(/[£%x,]/g, ''));
+        return isNaN(parsed) ? 0 : parsed;
+    }
+
+    escapeHtml(text) {
+        return String(text ?? '').replace(/[&<>"']/g, (char) => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
     addActivity(title, description) {
         const activity = {
             time: new Date().toLocaleTimeString(),
@@ -556,8 +936,8 @@ class GoogleAdsDashboard {
             activityItem.innerHTML = `
                 <div class="activity-time">${activity.time}</div>
                 <div class="activity-content">
-                    <div class="activity-title">${activity.title}</div>
-                    <div class="activity-description">${activity.description}</div>
+                    <div class="activity-title">${this.escapeHtml(activity.title)}</div>
+                    <div class="activity-description">${this.escapeHtml(activity.description)}</div>
                 </div>
             `;
             
@@ -591,13 +971,12 @@ class GoogleAdsDashboard {
         
         try {
             console.log('🔄 Refreshing dashboard data...');
-            await this.fetchDashboardData();
-            this.addActivity('Data Refresh', 'Manual refresh completed successfully');
-            
-        } catch (error) {
-            console.error('Error refreshing data:', error);
-            this.addActivity('Refresh Error', 'Failed to refresh dashboard data');
-            this.showError('Failed to refresh data');
+            const refreshed = await this.fetchDashboardData();
+            if (refreshed) {
+                this.addActivity('Data Refresh', 'Manual refresh completed successfully');
+            } else {
+                this.showError('Failed to refresh data');
+            }
             
         } finally {
             this.isLoading = false;
@@ -656,6 +1035,13 @@ class GoogleAdsDashboard {
         this.drawSimpleChart(ctx, canvas.width, canvas.height);
     }
 
+    drawEmptyChart(ctx, width, height) {
+        ctx.fillStyle = '#64748b';
+        ctx.font = '14px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText('No performance data yet - run a workflow to start monitoring', width / 2, height / 2);
+    }
+
     drawSimpleChart(ctx, width, height) {
         // Clear canvas
         ctx.clearRect(0, 0, width, height);
@@ -681,13 +1067,21 @@ class GoogleAdsDashboard {
         ctx.lineTo(padding, height - padding);
         ctx.stroke();
         
-        // Generate sample data points
-        const dataPoints = 7;
-        const data = [];
-        for (let i = 0; i < dataPoints; i++) {
-            data.push(Math.random() * 0.8 + 0.2); // Random values between 0.2 and 1.0
+        const metricKey = this.selectedMetric.toUpperCase();
+        const points = this.performanceTrend.filter(point => typeof point[metricKey] === 'number');
+        if (points.length === 0) {
+            this.drawEmptyChart(ctx, width, height);
+            return;
         }
         
+        // Scale values into 0.1-1.0 of the chart height
+        const values = points.map(point => point[metricKey]);
+        const max = Math.max(...values);
+        const min = Math.min(...values);
+        const range = max - min || 1;
+        const data = values.map(value => 0.1 + ((value - min) / range) * 0.9);
+        const dataPoints = Math.max(data.length, 2);
+        
         // Draw line chart
         ctx.strokeStyle = '#3b82f6';
         ctx.lineWidth = 2;
@@ -722,23 +1116,24 @@ class GoogleAdsDashboard {
         ctx.font = '12px Inter';
         ctx.textAlign = 'center';
         
-        // X-axis labels (days)
-        const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
-        for (let i = 0; i < days.length; i++) {
+        // X-axis labels (monitoring run times)
+        for (let i = 0; i < points.length; i++) {
             const x = padding + (i * chartWidth / (dataPoints - 1));
-            ctx.fillText(days[i], x, height - 10);
+            const label = new Date(points[i].timestamp).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+            ctx.fillText(label, x, height - 10);
         }
         
         // Chart title
         ctx.font = '14px Inter';
         ctx.textAlign = 'center';
         ctx.fillStyle = '#1e293b';
-        ctx.fillText('Performance Trend (Last 7 Days)', width / 2, 20);
+        ctx.fillText(`${metricKey} Trend (Last ${points.length} Monitoring Runs, ${min}-${max})`, width / 2, 20);
     }
 
     updateChart(metric) {
         // Update chart based on selected metric
         console.log(`📊 Updating chart for metric: ${metric}`);
+        this.selectedMetric = metric;
         
         // Re-draw chart with new data
         this.initializeChart();
@@ -747,6 +1142,10 @@ class GoogleAdsDashboard {
     // Cleanup method
     destroy() {
         this.stopAutoRefresh();
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
         console.log('🧹 Dashboard cleanup completed');
     }
 }